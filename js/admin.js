@@ -1,9 +1,9 @@
 /**
  * MonkaCraft Admin Panel — Complete Controller
  *
- * Handles authentication (SHA-256), dashboard, 6 tabs (video, screenshot,
- * blog post, stream, chat, settings), content CRUD list, auto-save drafts,
- * modals, and all admin interactions.
+ * Handles authentication (SHA-256), dashboard, 9 tabs (video, screenshot,
+ * blog post, stream, series, chat, tags, trash, settings), content CRUD list, undo/redo,
+ * auto-save drafts, modals, and all admin interactions.
  *
  * Dependencies: content.js (ContentStore), cloudinary.js (CloudinaryUpload),
  *               emailjs.js (EmailService)
@@ -36,10 +36,85 @@
     screenshot: 'tab-screenshot',
     blog: 'tab-post',
     stream: 'tab-stream',
+    series: 'tab-series',
     chat: 'tab-chat',
+    tags: 'tab-tags',
+    trash: 'tab-trash',
     settings: 'tab-settings'
   };
 
+  // Entry field -> form input ID, per form. Used to place validation errors
+  // from ContentStore next to the right input. A function picks the visible
+  // input when a field can come from more than one place.
+  var FIELD_INPUTS = {
+    video: {
+      title: 'video-title',
+      slug: 'video-slug',
+      url: function () {
+        var checked = document.querySelector('input[name="video-type"]:checked');
+        return checked && checked.value === 'upload' ? 'video-upload-btn' : 'video-youtube-url';
+      },
+      tags: 'video-tags',
+      category: 'video-category',
+      description: 'video-description',
+      date: 'video-date',
+      publishAt: 'video-publish-at'
+    },
+    screenshot: {
+      title: 'screenshot-title',
+      slug: 'screenshot-slug',
+      url: 'screenshot-upload-btn',
+      thumbnail: 'screenshot-upload-btn',
+      tags: 'screenshot-tags',
+      category: 'screenshot-category',
+      description: 'screenshot-caption',
+      date: 'screenshot-date',
+      publishAt: 'screenshot-publish-at'
+    },
+    post: {
+      title: 'post-title',
+      slug: 'post-slug',
+      content: 'post-editor',
+      tags: 'post-tags',
+      excerpt: 'post-excerpt',
+      date: 'post-date',
+      publishAt: 'post-publish-at'
+    },
+    stream: {
+      title: 'stream-title',
+      url: 'stream-url',
+      tags: 'stream-tags',
+      date: 'stream-date',
+      publishAt: 'stream-publish-at',
+      start: 'stream-start',
+      duration: 'stream-duration',
+      timezone: 'stream-timezone',
+      repeat: 'stream-repeat'
+    },
+    series: {
+      title: 'series-title',
+      cover: 'series-cover',
+      items: 'series-add-select'
+    }
+  };
+
+  // Validation error code -> message shown under the input
+  var FIELD_ERROR_TEXT = {
+    required: '\u0417\u0430\u0434\u044A\u043B\u0436\u0438\u0442\u0435\u043B\u043D\u043E \u043F\u043E\u043B\u0435! / This field is required!',
+    url: '\u041D\u0435\u0432\u0430\u043B\u0438\u0434\u0435\u043D \u043B\u0438\u043D\u043A! / Invalid link!',
+    date: '\u041D\u0435\u0432\u0430\u043B\u0438\u0434\u043D\u0430 \u0434\u0430\u0442\u0430! / Invalid date!',
+    enum: '\u041D\u0435\u0432\u0430\u043B\u0438\u0434\u0435\u043D \u0438\u0437\u0431\u043E\u0440! / Invalid choice!',
+    type: '\u0413\u0440\u0435\u0448\u0435\u043D \u0442\u0438\u043F! / Wrong content type!',
+    tags: '\u041D\u0435\u0432\u0430\u043B\u0438\u0434\u043D\u0438 \u0442\u0430\u0433\u043E\u0432\u0435! / Invalid tags!',
+    slug: '\u0421\u0430\u043C\u043E a-z, 0-9 \u0438 \u0442\u0438\u0440\u0435\u0442\u0430! / Only a-z, 0-9 and dashes!',
+    duplicate: '\u0422\u043E\u0437\u0438 \u0442\u0430\u0433 \u0432\u0435\u0447\u0435 \u0441\u044A\u0449\u0435\u0441\u0442\u0432\u0443\u0432\u0430! / This tag already exists!',
+    color: '\u041D\u0435\u0432\u0430\u043B\u0438\u0434\u0435\u043D \u0446\u0432\u044F\u0442! / Invalid color!',
+    series: '\u0412\u0435\u0447\u0435 \u0435 \u0432 \u0434\u0440\u0443\u0433\u0430 \u0441\u0435\u0440\u0438\u044F! / Already part of another series!',
+    duration: '\u041C\u0438\u043D\u0443\u0442\u0438 \u043E\u0442 1 \u0434\u043E 1440! / Minutes from 1 to 1440!',
+    repeat: '\u041D\u0435\u0432\u0430\u043B\u0438\u0434\u043D\u043E \u043F\u043E\u0432\u0442\u043E\u0440\u0435\u043D\u0438\u0435! / Invalid repeat rule!',
+    timezone: '\u041D\u0435\u043F\u043E\u0437\u043D\u0430\u0442\u0430 \u0447\u0430\u0441\u043E\u0432\u0430 \u0437\u043E\u043D\u0430! / Unknown time zone!'
+  };
+
   // Type icons for content list
   var TYPE_ICONS = {
     video: '\u{1F4F9}',
@@ -48,16 +123,43 @@
     stream: '\u{1F3AC}'
   };
 
+  // Publication status badges for content list
+  var STATUS_LABELS = {
+    draft: '\u{1F4DD} \u0427\u0435\u0440\u043D\u043E\u0432\u0430 / Draft',
+    scheduled: '\u23F0 \u041D\u0430\u0441\u0440\u043E\u0447\u0435\u043D\u043E / Scheduled',
+    published: '\u2705 \u041F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043D\u043E / Published'
+  };
+
   // =====================================================================
   // B) UTILITY HELPERS
   // =====================================================================
 
-  /** Return today's date as dd/mm/yy. */
+  /** Return today's date as YYYY-MM-DD (the format ContentStore validates). */
   function todayISO() {
     var d = new Date();
-    return String(d.getDate()).padStart(2, '0') + '/' +
-      String(d.getMonth() + 1).padStart(2, '0') + '/' +
-      String(d.getFullYear()).slice(-2);
+    return d.getFullYear() + '-' +
+      String(d.getMonth() + 1).padStart(2, '0') + '-' +
+      String(d.getDate()).padStart(2, '0');
+  }
+
+  /**
+   * Convert an ISO date-time to the local "YYYY-MM-DDTHH:MM" value a
+   * datetime-local input expects ('' if missing or invalid).
+   */
+  function toLocalDateTime(iso) {
+    var d = new Date(iso || '');
+    if (isNaN(d.getTime())) return '';
+    return d.getFullYear() + '-' +
+      String(d.getMonth() + 1).padStart(2, '0') + '-' +
+      String(d.getDate()).padStart(2, '0') + 'T' +
+      String(d.getHours()).padStart(2, '0') + ':' +
+      String(d.getMinutes()).padStart(2, '0');
+  }
+
+  /** Convert a datetime-local input value (local time) to an ISO string. */
+  function fromLocalDateTime(value) {
+    var d = new Date(value || '');
+    return isNaN(d.getTime()) ? '' : d.toISOString();
   }
 
   /** Safely get a DOM element by ID. */
@@ -95,31 +197,18 @@
     }).join('');
   }
 
-  /**
-   * Extract YouTube video ID from various URL formats.
-   * @param {string} url
-   * @returns {string|null}
-   */
-  function extractYouTubeId(url) {
-    if (!url) return null;
-    var patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/)([a-zA-Z0-9_-]{11})/,
-      /^([a-zA-Z0-9_-]{11})$/
-    ];
-    for (var i = 0; i < patterns.length; i++) {
-      var match = url.match(patterns[i]);
-      if (match) return match[1];
-    }
-    return null;
+  /** Inline colors for a tag badge or chip, from its registry color (js/utils.js). */
+  function tagStyle(color) {
+    return MonkaCraft.tagStyle(color);
   }
 
-  /** Get the tag CSS class for a game tag name. */
-  function tagClass(gameTag) {
-    if (!gameTag) return 'tag-other';
-    var lower = gameTag.toLowerCase();
-    if (lower === 'minecraft') return 'tag-minecraft';
-    if (lower === 'roblox') return 'tag-roblox';
-    return 'tag-other';
+  /** Colored badges for an entry's tags, using the tag registry. */
+  function tagBadges(tags) {
+    return (tags || []).map(function (name) {
+      var tag = ContentStore.getTag(name);
+      return '<span class="tag" style="' + escapeAttr(tagStyle(tag.color)) + '">' +
+        (tag.icon ? escapeHtml(tag.icon) + ' ' : '') + escapeHtml(tag.name) + '</span>';
+    }).join(' ');
   }
 
   // =====================================================================
@@ -233,8 +322,55 @@
     updateStats();
     renderContentList();
     loadSettingsValues();
+    refreshTagPickers();
     restoreAllDrafts();
     setDateDefaults();
+    updateHistoryButtons();
+    if (ContentStore.getSaveError()) {
+      updateSaveWarning({ ok: false, error: ContentStore.getSaveError(), storage: ContentStore.storageName() });
+    }
+    showRemoteUpdate(ContentStore.getRemoteUpdate());
+  }
+
+  /**
+   * Show or hide the save warning under the top bar. Called with the
+   * detail of ContentStore's `contentSaveStatus` event.
+   */
+  function updateSaveWarning(status) {
+    var banner = $('admin-save-warning');
+    if (!banner) return;
+
+    if (status.ok) {
+      if (banner.style.display !== 'none') {
+        banner.style.display = 'none';
+        showSuccess('\u{1F4BE} \u0417\u0430\u043F\u0438\u0441\u044A\u0442 \u043F\u0430\u043A \u0440\u0430\u0431\u043E\u0442\u0438! / Saving works again!');
+      }
+      return;
+    }
+
+    var reason = status.error && status.error.name === 'QuotaExceededError' ?
+      '\u041F\u0430\u043C\u0435\u0442\u0442\u0430 \u043D\u0430 \u0431\u0440\u0430\u0443\u0437\u044A\u0440\u0430 \u0435 \u043F\u044A\u043B\u043D\u0430. / Browser storage is full.' :
+      '\u0411\u0440\u0430\u0443\u0437\u044A\u0440\u044A\u0442 \u043E\u0442\u043A\u0430\u0437\u0430 \u0437\u0430\u043F\u0438\u0441\u0430. / The browser refused the write.';
+    $('admin-save-warning-text').textContent = '\u26A0\uFE0F \u041F\u0440\u043E\u043C\u0435\u043D\u0438\u0442\u0435 \u041D\u0415 \u0441\u0430 \u0437\u0430\u043F\u0430\u0437\u0435\u043D\u0438! / Changes are NOT being saved! ' +
+      reason + ' (' + (status.storage || '?') + ')';
+    banner.style.display = '';
+  }
+
+  /**
+   * Offer a newer published version that was not loaded automatically
+   * because this browser has unpublished edits.
+   */
+  function showRemoteUpdate(update) {
+    var banner = $('admin-remote-update');
+    if (!banner || !update) return;
+    var when = update.publishedAt ? new Date(update.publishedAt).toLocaleString() : '?';
+    $('admin-remote-update-text').textContent = '\u{1F195} \u0418\u043C\u0430 \u043F\u043E-\u043D\u043E\u0432\u0430 \u043F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043D\u0430 \u0432\u0435\u0440\u0441\u0438\u044F (' + when + '), \u043D\u043E \u0442\u0443\u043A \u0438\u043C\u0430 \u043D\u0435\u043F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043D\u0438 \u043F\u0440\u043E\u043C\u0435\u043D\u0438. / A newer published version exists (' + when + '), but this browser has unpublished changes.';
+    banner.style.display = '';
+  }
+
+  function hideRemoteUpdate() {
+    var banner = $('admin-remote-update');
+    if (banner) banner.style.display = 'none';
   }
 
   /** Update the stats counters in the top bar. */
@@ -293,6 +429,12 @@
 
     // Re-render content list filtered by active tab type
     renderContentList();
+    if (tabName === 'trash') renderTrashList();
+    if (tabName === 'tags') renderTagList();
+    if (tabName === 'series') {
+      renderSeriesList();
+      renderSeriesItems();
+    }
 
     // Ensure date fields have today's date
     setDateDefaults();
@@ -305,8 +447,6 @@
   function initVideoTab() {
     var form = $('form-video');
     var ytUrl = $('video-youtube-url');
-    var ytPreview = $('video-yt-preview');
-    var ytIframeWrapper = $('video-yt-iframe-wrapper');
     var ytSection = $('video-youtube-section');
     var uploadSection = $('video-upload-section');
     var uploadBtn = $('video-upload-btn');
@@ -327,14 +467,7 @@
 
     // YouTube URL preview
     ytUrl.addEventListener('input', function () {
-      var id = extractYouTubeId(this.value);
-      if (id) {
-        ytIframeWrapper.innerHTML = '<iframe style="position:absolute;inset:0;width:100%;height:100%;border:none;" src="https://www.youtube.com/embed/' + id + '" allowfullscreen></iframe>';
-        ytPreview.style.display = '';
-      } else {
-        ytIframeWrapper.innerHTML = '';
-        ytPreview.style.display = 'none';
-      }
+      showVideoPreview(this.value);
       saveDraft('video');
     });
 
@@ -361,12 +494,15 @@
     });
   }
 
+  /** Show the player for a YouTube link under the input (hidden for anything else). */
+  function showVideoPreview(url) {
+    var html = EmbedProviders.youTubeId(url) ? EmbedProviders.player(url, { title: 'Preview' }) : '';
+    $('video-yt-iframe-wrapper').innerHTML = html;
+    $('video-yt-preview').style.display = html ? '' : 'none';
+  }
+
   function saveVideo() {
-    var title = $('video-title').value.trim();
-    if (!title) {
-      showError('\u041C\u043E\u043B\u044F \u043D\u0430\u043F\u0438\u0448\u0438 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435! / Please enter a title!');
-      return;
-    }
+    clearFieldErrors('video');
 
     var videoType = document.querySelector('input[name="video-type"]:checked').value;
     var url = '';
@@ -374,40 +510,37 @@
 
     if (videoType === 'youtube') {
       url = $('video-youtube-url').value.trim();
-      var ytId = extractYouTubeId(url);
-      if (!ytId) {
+      var ytId = EmbedProviders.youTubeId(url);
+      if (url && !ytId) {
+        showFieldErrors('video', [{ field: 'url', code: 'url' }]);
         showError('\u041C\u043E\u043B\u044F \u0432\u044A\u0432\u0435\u0434\u0438 \u0432\u0430\u043B\u0438\u0434\u0435\u043D YouTube \u043B\u0438\u043D\u043A! / Please enter a valid YouTube URL!');
         return;
       }
-      url = 'https://www.youtube.com/watch?v=' + ytId;
-      thumbnail = 'https://img.youtube.com/vi/' + ytId + '/hqdefault.jpg';
+      if (ytId) {
+        url = 'https://www.youtube.com/watch?v=' + ytId;
+        thumbnail = EmbedProviders.thumbnail(url);
+      }
     } else {
       url = $('video-upload-url').value;
-      if (!url) {
-        showError('\u041C\u043E\u043B\u044F \u043A\u0430\u0447\u0438 \u0432\u0438\u0434\u0435\u043E! / Please upload a video!');
-        return;
-      }
-      thumbnail = url;
+      thumbnail = EmbedProviders.thumbnail(url);
     }
 
     var entry = {
       type: 'video',
-      title: title,
+      title: $('video-title').value.trim(),
+      slug: $('video-slug').value.trim(),
       url: url,
       thumbnail: thumbnail,
       videoType: videoType,
-      gameTag: $('video-gametag').value,
+      tags: getPickerTags('video'),
       category: $('video-category').value,
       description: $('video-description').value.trim(),
+      status: $('video-status').value,
+      publishAt: fromLocalDateTime($('video-publish-at').value),
       date: $('video-date').value || todayISO()
     };
 
-    var editId = $('video-edit-id').value;
-    if (editId) {
-      ContentStore.update(editId, entry);
-    } else {
-      ContentStore.add(entry);
-    }
+    if (!persistEntry('video', $('video-edit-id').value, entry)) return;
 
     showSuccess('\u2705 \u0417\u0410\u041F\u0410\u0417\u0415\u041D\u041E! / SAVED!');
     resetVideoForm();
@@ -417,7 +550,11 @@
   }
 
   function resetVideoForm() {
+    clearFieldErrors('video');
     $('form-video').reset();
+    setPickerTags('video', []);
+    updateSlugHint('video');
+    syncScheduleField('video');
     $('video-edit-id').value = '';
     $('video-yt-preview').style.display = 'none';
     $('video-yt-iframe-wrapper').innerHTML = '';
@@ -458,35 +595,25 @@
   }
 
   function saveScreenshot() {
-    var title = $('screenshot-title').value.trim();
-    if (!title) {
-      showError('\u041C\u043E\u043B\u044F \u043D\u0430\u043F\u0438\u0448\u0438 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435! / Please enter a title!');
-      return;
-    }
+    clearFieldErrors('screenshot');
 
     var url = $('screenshot-upload-url').value;
-    if (!url) {
-      showError('\u041C\u043E\u043B\u044F \u043A\u0430\u0447\u0438 \u0441\u043D\u0438\u043C\u043A\u0430! / Please upload an image!');
-      return;
-    }
 
     var entry = {
       type: 'screenshot',
-      title: title,
+      title: $('screenshot-title').value.trim(),
+      slug: $('screenshot-slug').value.trim(),
       url: url,
       thumbnail: url,
-      gameTag: $('screenshot-gametag').value,
+      tags: getPickerTags('screenshot'),
       category: $('screenshot-category').value,
       description: $('screenshot-caption').value.trim(),
+      status: $('screenshot-status').value,
+      publishAt: fromLocalDateTime($('screenshot-publish-at').value),
       date: $('screenshot-date').value || todayISO()
     };
 
-    var editId = $('screenshot-edit-id').value;
-    if (editId) {
-      ContentStore.update(editId, entry);
-    } else {
-      ContentStore.add(entry);
-    }
+    if (!persistEntry('screenshot', $('screenshot-edit-id').value, entry)) return;
 
     showSuccess('\u2705 \u0417\u0410\u041F\u0410\u0417\u0415\u041D\u041E! / SAVED!');
     resetScreenshotForm();
@@ -496,7 +623,11 @@
   }
 
   function resetScreenshotForm() {
+    clearFieldErrors('screenshot');
     $('form-screenshot').reset();
+    setPickerTags('screenshot', []);
+    updateSlugHint('screenshot');
+    syncScheduleField('screenshot');
     $('screenshot-edit-id').value = '';
     $('screenshot-upload-preview').style.display = 'none';
     $('screenshot-preview-img').src = '';
@@ -556,33 +687,23 @@
   }
 
   function savePost() {
-    var title = $('post-title').value.trim();
-    if (!title) {
-      showError('\u041C\u043E\u043B\u044F \u043D\u0430\u043F\u0438\u0448\u0438 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435! / Please enter a title!');
-      return;
-    }
+    clearFieldErrors('post');
 
     var content = $('post-editor').innerHTML.trim();
-    if (!content || content === '<br>') {
-      showError('\u041C\u043E\u043B\u044F \u043D\u0430\u043F\u0438\u0448\u0438 \u043D\u0435\u0449\u043E \u0432 \u043F\u043E\u0441\u0442\u0430! / Please write something in the post!');
-      return;
-    }
 
     var entry = {
       type: 'post',
-      title: title,
+      title: $('post-title').value.trim(),
+      slug: $('post-slug').value.trim(),
       content: content,
-      gameTag: $('post-gametag').value,
+      tags: getPickerTags('post'),
       excerpt: $('post-excerpt').value.trim() || ($('post-editor').textContent || '').substring(0, 150),
+      status: $('post-status').value,
+      publishAt: fromLocalDateTime($('post-publish-at').value),
       date: $('post-date').value || todayISO()
     };
 
-    var editId = $('post-edit-id').value;
-    if (editId) {
-      ContentStore.update(editId, entry);
-    } else {
-      ContentStore.add(entry);
-    }
+    if (!persistEntry('post', $('post-edit-id').value, entry)) return;
 
     showSuccess('\u2705 \u0417\u0410\u041F\u0410\u0417\u0415\u041D\u041E! / SAVED!');
     resetPostForm();
@@ -592,7 +713,11 @@
   }
 
   function resetPostForm() {
+    clearFieldErrors('post');
     $('form-post').reset();
+    setPickerTags('post', []);
+    updateSlugHint('post');
+    syncScheduleField('post');
     $('post-edit-id').value = '';
     $('post-editor').innerHTML = '';
     $('post-excerpt').value = '';
@@ -605,6 +730,22 @@
 
   function initStreamTab() {
     var form = $('form-stream');
+    renderTimeZoneOptions('');
+    syncRepeatFields();
+
+    $('stream-repeat').addEventListener('change', function () {
+      // Weekly starts out on the weekday of the start date
+      var start = $('stream-start').value;
+      if (this.value === 'weekly' && start && !weekdayBoxes().some(function (box) { return box.checked; })) {
+        var weekday = new Date(start.slice(0, 10) + 'T00:00:00Z').getUTCDay();
+        weekdayBoxes().forEach(function (box) {
+          box.checked = Number(box.value) === weekday;
+        });
+      }
+      syncRepeatFields();
+    });
+    $('stream-occurrences').addEventListener('click', handleOccurrenceAction);
+    $('stream-url').addEventListener('input', updateEmbedHint);
 
     form.addEventListener('submit', function (e) {
       e.preventDefault();
@@ -612,41 +753,207 @@
     });
   }
 
-  function saveStream() {
-    var title = $('stream-title').value.trim();
-    if (!title) {
-      showError('\u041C\u043E\u043B\u044F \u043D\u0430\u043F\u0438\u0448\u0438 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435! / Please enter a title!');
+  /** The browser's own time zone, e.g. 'Europe/Sofia' ('' if unknown). */
+  function localTimeZone() {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * Fill the stream time zone select and pick `selected` (default: the
+   * browser's zone). Browsers without a zone list offer a short one.
+   */
+  function renderTimeZoneOptions(selected) {
+    var zones = typeof Intl.supportedValuesOf === 'function' ?
+      Intl.supportedValuesOf('timeZone') : ['Europe/Sofia', 'Europe/London', 'UTC'];
+    var pick = selected || localTimeZone() || 'UTC';
+    if (zones.indexOf(pick) === -1) zones = [pick].concat(zones);
+
+    $('stream-timezone').innerHTML = zones.map(function (zone) {
+      return '<option value="' + escapeAttr(zone) + '"' + (zone === pick ? ' selected' : '') + '>' +
+        escapeHtml(zone.replace(/_/g, ' ')) + '</option>';
+    }).join('');
+  }
+
+  /** Names of the embed providers for the stream link hint. */
+  var EMBED_NAMES = { youtube: 'YouTube', twitch: 'Twitch', kick: 'Kick', file: 'Video' };
+
+  /** Say under the stream link whether the site can play it. */
+  function updateEmbedHint() {
+    var url = $('stream-url').value.trim();
+    var info = EmbedProviders.parse(url);
+    var name = info && (EMBED_NAMES[info.provider] || info.provider);
+    $('stream-embed-hint').textContent = !url ? '' : info ?
+      '\u25B6\uFE0F \u041F\u043B\u0435\u0439\u044A\u0440: ' + name + ' / Player: ' + name :
+      '\u26A0\uFE0F \u0422\u043E\u0437\u0438 \u043B\u0438\u043D\u043A \u043D\u0435 \u043C\u043E\u0436\u0435 \u0434\u0430 \u0441\u0435 \u0432\u0433\u0440\u0430\u0434\u0438 \u2014 \u043F\u043E\u0441\u0435\u0442\u0438\u0442\u0435\u043B\u0438\u0442\u0435 \u0449\u0435 \u0432\u0438\u0434\u044F\u0442 \u0441\u0430\u043C\u043E \u043B\u0438\u043D\u043A. / This link cannot be embedded \u2014 visitors get a plain link.';
+  }
+
+  /** Show the inputs that belong to the chosen kind of repeat. */
+  function syncRepeatFields() {
+    var freq = $('stream-repeat').value;
+    $('stream-repeat-interval').style.display = freq ? '' : 'none';
+    $('stream-repeat-until').style.display = freq ? '' : 'none';
+    $('stream-repeat-weekdays').style.display = freq === 'weekly' ? '' : 'none';
+  }
+
+  function weekdayBoxes() {
+    return Array.prototype.slice.call($('stream-repeat-weekdays').querySelectorAll('input'));
+  }
+
+  /** Fill the repeat inputs from a rule (empty for a one-off stream). */
+  function setRepeatFields(rule) {
+    rule = rule || {};
+    $('stream-repeat').value = rule.freq || '';
+    $('stream-repeat-interval').value = rule.interval > 1 ? rule.interval : '';
+    $('stream-repeat-until').value = rule.until || '';
+    weekdayBoxes().forEach(function (box) {
+      box.checked = (rule.weekdays || []).indexOf(Number(box.value)) !== -1;
+    });
+    syncRepeatFields();
+  }
+
+  /**
+   * The repeat rule in the form, or '' for a one-off stream. Dates skipped
+   * or moved in the list under the form are kept from `existing`.
+   */
+  function readRepeatFields(existing) {
+    var freq = $('stream-repeat').value;
+    if (!freq) return '';
+
+    var rule = { freq: freq };
+    var interval = $('stream-repeat-interval').value.trim();
+    if (interval && interval !== '1') rule.interval = Number(interval);
+    if (freq === 'weekly') {
+      rule.weekdays = weekdayBoxes().filter(function (box) {
+        return box.checked;
+      }).map(function (box) {
+        return Number(box.value);
+      });
+    }
+    if ($('stream-repeat-until').value) rule.until = $('stream-repeat-until').value;
+    if (existing && existing.skip) rule.skip = existing.skip.slice();
+    if (existing && existing.moved) rule.moved = Object.assign({}, existing.moved);
+    return rule;
+  }
+
+  /** How far ahead the date list of a repeating stream reaches. */
+  var OCCURRENCE_DAYS = 60;
+
+  /**
+   * List the coming dates of the repeating stream being edited, each with
+   * Move and Skip (or Restore) buttons. Hidden for one-off and new streams.
+   */
+  function renderOccurrences() {
+    var id = $('stream-edit-id').value;
+    var entry = id ? ContentStore.getById(id) : null;
+    if (!entry || !entry.repeat) {
+      $('stream-occurrences-group').style.display = 'none';
       return;
     }
 
+    var now = Date.now();
+    var moved = entry.repeat.moved || {};
+    var rows = ContentStore.getStreamSchedule(now, now + OCCURRENCE_DAYS * 86400000).filter(function (occ) {
+      return occ.entry.id === id;
+    }).map(function (occ) {
+      return { day: occ.day, time: occ.start, wall: moved[occ.day] || occ.day + entry.start.slice(10), moved: occ.moved };
+    });
+    (entry.repeat.skip || []).forEach(function (day) {
+      if (day >= todayISO()) rows.push({ day: day, time: Date.parse(day), skipped: true });
+    });
+    rows.sort(function (a, b) {
+      return a.time - b.time;
+    });
+
+    $('stream-occurrences').innerHTML = rows.length ? rows.map(function (row) {
+      var when = row.skipped ?
+        new Date(row.time).toLocaleDateString('bg-BG', { timeZone: 'UTC', weekday: 'short', day: 'numeric', month: 'short' }) :
+        new Date(row.time).toLocaleString('bg-BG', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+      return '<div class="occurrence-row' + (row.skipped ? ' skipped' : '') + '" data-day="' + escapeAttr(row.day) + '">' +
+        '<span class="occurrence-when">' + escapeHtml(when) +
+          (row.moved ? ' <small>(\u21AA ' + escapeHtml(row.day) + ')</small>' : '') + '</span>' +
+        (row.skipped ? '' :
+          '<input type="datetime-local" class="form-input" value="' + escapeAttr(row.wall) + '" aria-label="Move to">' +
+          '<button type="button" class="btn btn-sm btn-secondary" data-action="move">\u041F\u0440\u0435\u043C\u0435\u0441\u0442\u0438 / Move</button>' +
+          '<button type="button" class="btn btn-sm btn-ghost" data-action="skip">\u041F\u0440\u043E\u043F\u0443\u0441\u043D\u0438 / Skip</button>') +
+        (row.skipped || row.moved ?
+          '<button type="button" class="btn btn-sm btn-ghost" data-action="restore">\u0412\u044A\u0440\u043D\u0438 / Restore</button>' : '') +
+      '</div>';
+    }).join('') : '<p style="color:var(--color-text-dim);">\u041D\u044F\u043C\u0430 \u0441\u043B\u0435\u0434\u0432\u0430\u0449\u0438 \u0434\u0430\u0442\u0438 / No upcoming dates</p>';
+    $('stream-occurrences-group').style.display = '';
+  }
+
+  /** Skip, move or restore one date of the repeating stream being edited. */
+  function handleOccurrenceAction(e) {
+    var btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    var row = btn.closest('.occurrence-row');
+    var id = $('stream-edit-id').value;
+    var day = row.getAttribute('data-day');
+    var action = btn.getAttribute('data-action');
+
+    try {
+      if (action === 'skip') {
+        ContentStore.skipStreamOccurrence(id, day);
+      } else if (action === 'restore') {
+        ContentStore.restoreStreamOccurrence(id, day);
+      } else {
+        var start = row.querySelector('input').value;
+        if (!start) return;
+        ContentStore.moveStreamOccurrence(id, day, start);
+      }
+    } catch (err) {
+      if (err instanceof ContentStore.ValidationError) {
+        showError('❌ ' + (FIELD_ERROR_TEXT[err.errors[0].code] || err.message));
+        return;
+      }
+      throw err;
+    }
+    renderOccurrences();
+    renderContentList();
+    updateHistoryButtons();
+  }
+
+  function saveStream() {
+    clearFieldErrors('stream');
+
     var url = $('stream-url').value.trim();
     var isLive = $('stream-is-live').checked;
+    var start = $('stream-start').value;
+    var duration = $('stream-duration').value.trim();
+    var editId = $('stream-edit-id').value;
 
     var entry = {
       type: 'stream',
-      title: title,
+      title: $('stream-title').value.trim(),
       url: url,
       isLive: isLive,
-      gameTag: $('stream-gametag').value,
-      date: $('stream-date').value || todayISO()
+      tags: getPickerTags('stream'),
+      status: $('stream-status').value,
+      publishAt: fromLocalDateTime($('stream-publish-at').value),
+      // A planned stream is dated on the day it starts
+      start: start,
+      duration: duration ? Number(duration) : '',
+      timezone: start ? $('stream-timezone').value : '',
+      repeat: start ? readRepeatFields(editId && (ContentStore.getById(editId) || {}).repeat) : '',
+      date: start ? start.slice(0, 10) : $('stream-date').value || todayISO()
     };
 
-    // Extract thumbnail for YouTube
-    var ytId = extractYouTubeId(url);
-    if (ytId) {
-      entry.thumbnail = 'https://img.youtube.com/vi/' + ytId + '/hqdefault.jpg';
+    // Thumbnail from the link, where the platform has one
+    var thumbnail = EmbedProviders.thumbnail(url);
+    if (thumbnail) {
+      entry.thumbnail = thumbnail;
     }
 
-    var editId = $('stream-edit-id').value;
-    if (editId) {
-      ContentStore.update(editId, entry);
-      // Also set live status via the dedicated method
-      ContentStore.setLive(editId, isLive);
-    } else {
-      var saved = ContentStore.add(entry);
-      if (saved && isLive) {
-        ContentStore.setLive(saved.id, true);
-      }
+    var saved = persistEntry('stream', editId, entry);
+    if (!saved) return;
+    // Also set live status via the dedicated method
+    if (editId || isLive) {
+      ContentStore.setLive(saved.id, isLive);
+      updateHistoryButtons();
     }
 
     showSuccess('\u2705 \u0417\u0410\u041F\u0410\u0417\u0415\u041D\u041E! / SAVED!');
@@ -657,14 +964,209 @@
   }
 
   function resetStreamForm() {
+    clearFieldErrors('stream');
     $('form-stream').reset();
+    setPickerTags('stream', []);
+    syncScheduleField('stream');
     $('stream-edit-id').value = '';
     $('stream-is-live').checked = false;
+    renderTimeZoneOptions('');
+    setRepeatFields(null);
+    renderOccurrences();
+    updateEmbedHint();
     $('stream-date').value = todayISO();
   }
 
   // =====================================================================
-  // I-b) TAB 5 — CHAT WITH UNCLE (ЧАТ С ЧИЧИ)
+  // I-a) TAB 5 — SERIES (BUILD AND REORDER)
+  // =====================================================================
+
+  /** Member ids of the series in the form, in order. */
+  var seriesItems = [];
+
+  /** A video or post for the series editor (drafts and trashed ones included). */
+  function seriesEntry(id) {
+    return ContentStore.getById(id) || ContentStore.getTrash().filter(function (entry) {
+      return entry.id === id;
+    })[0] || null;
+  }
+
+  /** "\u{1F4F9} Title" label for a series member, marked when it is in the trash. */
+  function seriesEntryLabel(entry) {
+    return (TYPE_ICONS[entry.type] || '\u{1F4C4}') + ' ' + (entry.title || '\u0411\u0435\u0437 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435') +
+      (entry.deletedAt ? ' (\u{1F5D1}\uFE0F)' : '');
+  }
+
+  /** Render the saved series with their part counts. */
+  function renderSeriesList() {
+    var container = $('series-list');
+    if (!container) return;
+
+    var list = ContentStore.getSeries();
+    if (!list.length) {
+      container.innerHTML = '<div class="empty-state"><p>\u{1F4DA} \u041E\u0449\u0435 \u043D\u044F\u043C\u0430 \u0441\u0435\u0440\u0438\u0438. / No series yet.</p></div>';
+      return;
+    }
+
+    container.innerHTML = list.map(function (series) {
+      return '<div class="series-row">' +
+        '<span class="entry-title">' + escapeHtml(series.title) + '</span>' +
+        '<span class="entry-date">' + series.items.length + ' \u0447\u0430\u0441\u0442\u0438 / parts</span>' +
+        '<div class="content-list-actions">' +
+          '<button type="button" class="edit-btn series-edit-btn" data-id="' + series.id + '" title="\u0420\u0435\u0434\u0430\u043A\u0442\u0438\u0440\u0430\u0439 / Edit">\u270F\uFE0F</button>' +
+          '<button type="button" class="delete-btn series-delete-btn" data-id="' + series.id + '" data-title="' + escapeAttr(series.title) + '" title="\u0418\u0437\u0442\u0440\u0438\u0439 / Delete">\u{1F5D1}\uFE0F</button>' +
+        '</div>' +
+        '</div>';
+    }).join('');
+  }
+
+  /**
+   * Render the parts of the series in the form, and offer every video and
+   * post that is not in a series yet (oldest first) in the "add" select.
+   */
+  function renderSeriesItems() {
+    var listEl = $('series-items');
+    var select = $('series-add-select');
+    if (!listEl || !select) return;
+
+    listEl.innerHTML = seriesItems.map(function (id, i) {
+      var entry = seriesEntry(id);
+      return '<li class="series-item">' +
+        '<span class="series-item-title">' + escapeHtml(entry ? seriesEntryLabel(entry) : id) + '</span>' +
+        '<div class="content-list-actions">' +
+          '<button type="button" class="series-move-btn" data-index="' + i + '" data-step="-1" title="\u041D\u0430\u0433\u043E\u0440\u0435 / Up"' + (i === 0 ? ' disabled' : '') + '>\u25B2</button>' +
+          '<button type="button" class="series-move-btn" data-index="' + i + '" data-step="1" title="\u041D\u0430\u0434\u043E\u043B\u0443 / Down"' + (i === seriesItems.length - 1 ? ' disabled' : '') + '>\u25BC</button>' +
+          '<button type="button" class="delete-btn series-remove-btn" data-index="' + i + '" title="\u041C\u0430\u0445\u043D\u0438 / Remove">\u2715</button>' +
+        '</div>' +
+        '</li>';
+    }).join('');
+
+    var editId = $('series-edit-id').value;
+    var taken = {};
+    ContentStore.getSeries().forEach(function (series) {
+      if (series.id === editId) return;
+      series.items.forEach(function (id) { taken[id] = true; });
+    });
+    seriesItems.forEach(function (id) { taken[id] = true; });
+
+    var candidates = ContentStore.getAll('video').concat(ContentStore.getAll('post')).filter(function (entry) {
+      return !taken[entry.id];
+    });
+    candidates.sort(function (a, b) {
+      return new Date(a.date) - new Date(b.date);
+    });
+
+    select.innerHTML = '<option value="">\u2014 \u0418\u0437\u0431\u0435\u0440\u0438 \u0432\u0438\u0434\u0435\u043E \u0438\u043B\u0438 \u043F\u043E\u0441\u0442 / Pick a video or post \u2014</option>' +
+      candidates.map(function (entry) {
+        return '<option value="' + entry.id + '">' + escapeHtml(seriesEntryLabel(entry) + ' \u00B7 ' + (entry.date || '')) + '</option>';
+      }).join('');
+  }
+
+  /** Load a saved series into the form. */
+  function editSeries(id) {
+    var series = ContentStore.getSeries().filter(function (s) { return s.id === id; })[0];
+    if (!series) return;
+    clearFieldErrors('series');
+    $('series-edit-id').value = series.id;
+    $('series-title').value = series.title;
+    $('series-cover').value = series.cover || '';
+    $('series-description').value = series.description || '';
+    seriesItems = series.items.slice();
+    renderSeriesItems();
+    $('series-title').focus();
+  }
+
+  function resetSeriesForm() {
+    clearFieldErrors('series');
+    $('form-series').reset();
+    $('series-edit-id').value = '';
+    seriesItems = [];
+    renderSeriesItems();
+  }
+
+  function saveSeriesForm() {
+    clearFieldErrors('series');
+    try {
+      ContentStore.saveSeries({
+        id: $('series-edit-id').value || undefined,
+        title: $('series-title').value,
+        cover: $('series-cover').value.trim(),
+        description: $('series-description').value,
+        items: seriesItems
+      });
+    } catch (err) {
+      if (!(err instanceof ContentStore.ValidationError)) throw err;
+      showFieldErrors('series', err.errors);
+      return;
+    }
+
+    showSuccess('\u2705 \u0417\u0410\u041F\u0410\u0417\u0415\u041D\u041E! / SAVED!');
+    resetSeriesForm();
+    renderSeriesList();
+    updateHistoryButtons();
+  }
+
+  /** Ask before deleting a series (its videos and posts stay). */
+  function confirmDeleteSeries(id, title) {
+    showConfirmModal(
+      '\u26A0\uFE0F \u0421\u0438\u0433\u0443\u0440\u0435\u043D \u043B\u0438 \u0441\u0438? / Are you sure?',
+      '\u0421\u0435\u0440\u0438\u044F\u0442\u0430 "' + title + '" \u0449\u0435 \u0431\u044A\u0434\u0435 \u0438\u0437\u0442\u0440\u0438\u0442\u0430. \u0412\u0438\u0434\u0435\u0430\u0442\u0430 \u0438 \u043F\u043E\u0441\u0442\u043E\u0432\u0435\u0442\u0435 \u043E\u0441\u0442\u0430\u0432\u0430\u0442. / The series "' + title + '" will be deleted. Its videos and posts stay.',
+      function () {
+        if (!ContentStore.deleteSeries(id)) return;
+        if ($('series-edit-id').value === id) resetSeriesForm();
+        renderSeriesList();
+        renderSeriesItems();
+        updateHistoryButtons();
+        showSuccess('\u{1F5D1}\uFE0F \u0418\u0437\u0442\u0440\u0438\u0442\u0430 / Deleted: ' + title);
+      }
+    );
+  }
+
+  function initSeriesTab() {
+    $('form-series').addEventListener('submit', function (e) {
+      e.preventDefault();
+      saveSeriesForm();
+    });
+
+    $('series-new').addEventListener('click', function () {
+      resetSeriesForm();
+      $('series-title').focus();
+    });
+
+    $('series-add-btn').addEventListener('click', function () {
+      var id = $('series-add-select').value;
+      if (!id) return;
+      seriesItems.push(id);
+      renderSeriesItems();
+    });
+
+    $('series-items').addEventListener('click', function (e) {
+      var btn = e.target.closest('button');
+      if (!btn) return;
+      var i = parseInt(btn.getAttribute('data-index'), 10);
+
+      if (btn.classList.contains('series-move-btn')) {
+        var j = i + parseInt(btn.getAttribute('data-step'), 10);
+        if (j < 0 || j >= seriesItems.length) return;
+        var moved = seriesItems[i];
+        seriesItems[i] = seriesItems[j];
+        seriesItems[j] = moved;
+      } else if (btn.classList.contains('series-remove-btn')) {
+        seriesItems.splice(i, 1);
+      }
+      renderSeriesItems();
+    });
+
+    $('series-list').addEventListener('click', function (e) {
+      var edit = e.target.closest('.series-edit-btn');
+      var del = e.target.closest('.series-delete-btn');
+      if (edit) editSeries(edit.getAttribute('data-id'));
+      if (del) confirmDeleteSeries(del.getAttribute('data-id'), del.getAttribute('data-title'));
+    });
+  }
+
+  // =====================================================================
+  // I-b) TAB 6 — CHAT WITH UNCLE (ЧАТ С ЧИЧИ)
   // =====================================================================
 
   function initChatTab() {
@@ -814,6 +1316,50 @@
   // J) CONTENT LIST — RENDER, SEARCH, EDIT, DELETE
   // =====================================================================
 
+  // Status filter of the content list ('all' or one of ContentStore.STATUSES)
+  var activeStatus = 'all';
+
+  /** Format the time left until `iso` as e.g. "2d 3h 15m". */
+  function formatCountdown(iso) {
+    var minutes = Math.ceil((Date.parse(iso) - Date.now()) / 60000);
+    if (!(minutes > 0)) return '0m';
+    var days = Math.floor(minutes / 1440);
+    var hours = Math.floor((minutes % 1440) / 60);
+    var parts = [];
+    if (days) parts.push(days + 'd');
+    if (days || hours) parts.push(hours + 'h');
+    parts.push((minutes % 60) + 'm');
+    return parts.join(' ');
+  }
+
+  /**
+   * Build the status badge HTML for a content list entry. Pending scheduled
+   * entries get a countdown, kept fresh by tickCountdowns().
+   */
+  function statusBadge(item) {
+    var status = ContentStore.statusOf(item);
+    var html = '<span class="status-badge status-' + status + '"';
+    var label = STATUS_LABELS[status] || escapeHtml(status);
+    if (status === 'scheduled') {
+      html += ' data-publish-at="' + escapeAttr(item.publishAt) + '" title="' + escapeAttr(new Date(item.publishAt).toLocaleString()) + '"';
+      label += ' \u00B7 <span class="status-countdown">' + formatCountdown(item.publishAt) + '</span>';
+    }
+    return html + '>' + label + '</span>';
+  }
+
+  /** Refresh the countdowns of scheduled entries in the content list. */
+  function tickCountdowns() {
+    document.querySelectorAll('.content-list [data-publish-at] .status-countdown').forEach(function (el) {
+      el.textContent = formatCountdown(el.parentNode.getAttribute('data-publish-at'));
+    });
+  }
+
+  /** Build the publish button HTML — only for entries that are not live yet. */
+  function publishButton(item) {
+    if (ContentStore.statusOf(item) === 'published') return '';
+    return '<button class="publish-btn" data-id="' + item.id + '" data-title="' + escapeAttr(item.title) + '" title="\u041F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u0439 / Publish">\u{1F4E2}</button>';
+  }
+
   /** Render the full content list (desktop table + mobile cards). */
   function renderContentList(filter) {
     var search = (filter || $('content-search').value || '').toLowerCase().trim();
@@ -834,10 +1380,21 @@
       return new Date(b.date || 0) - new Date(a.date || 0);
     });
 
-    // Filter by search
+    // Filter by search — full text, so descriptions and post bodies count too
     if (search) {
+      var matched = {};
+      ContentStore.search(search, { types: types, limit: 0 }).forEach(function (result) {
+        matched[result.entry.id] = true;
+      });
       allEntries = allEntries.filter(function (item) {
-        return (item.title || '').toLowerCase().indexOf(search) !== -1;
+        return matched[item.id] || (item.title || '').toLowerCase().indexOf(search) !== -1;
+      });
+    }
+
+    // Filter by publication status
+    if (activeStatus !== 'all') {
+      allEntries = allEntries.filter(function (item) {
+        return ContentStore.statusOf(item) === activeStatus;
       });
     }
 
@@ -848,14 +1405,14 @@
     allEntries.forEach(function (item) {
       var typeKey = item._type || item.type;
       var icon = TYPE_ICONS[typeKey] || '\u{1F4C4}';
-      var tc = tagClass(item.gameTag);
-
       tbodyHTML += '<tr>' +
         '<td class="type-icon">' + icon + '</td>' +
-        '<td class="entry-title" title="' + escapeAttr(item.title) + '">' + escapeHtml(item.title || '\u0411\u0435\u0437 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435') + '</td>' +
-        '<td><span class="tag ' + tc + '">' + escapeHtml(item.gameTag || '') + '</span></td>' +
+        '<td class="entry-title" title="' + escapeAttr(item.title) + '">' + escapeHtml(item.title || '\u0411\u0435\u0437 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435') + statusBadge(item) + '</td>' +
+        '<td>' + tagBadges(item.tags) + '</td>' +
         '<td class="entry-date">' + escapeHtml(item.date || '') + '</td>' +
         '<td><div class="content-list-actions">' +
+          publishButton(item) +
+          endStreamButton(item) +
           '<button class="edit-btn" data-id="' + item.id + '" data-type="' + typeKey + '" title="\u0420\u0435\u0434\u0430\u043A\u0442\u0438\u0440\u0430\u0439 / Edit">\u{270F}\uFE0F</button>' +
           '<button class="delete-btn" data-id="' + item.id + '" data-title="' + escapeAttr(item.title) + '" title="\u0418\u0437\u0442\u0440\u0438\u0439 / Delete">\u{1F5D1}\uFE0F</button>' +
         '</div></td>' +
@@ -871,18 +1428,19 @@
     allEntries.forEach(function (item) {
       var typeKey = item._type || item.type;
       var icon = TYPE_ICONS[typeKey] || '\u{1F4C4}';
-      var tc = tagClass(item.gameTag);
-
       cardsHTML += '<div class="list-entry">' +
         '<span style="font-size:1.5rem;">' + icon + '</span>' +
         '<div class="list-entry-info">' +
           '<div class="entry-title">' + escapeHtml(item.title || '\u0411\u0435\u0437 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435') + '</div>' +
           '<div class="entry-meta">' +
-            '<span class="tag ' + tc + '">' + escapeHtml(item.gameTag || '') + '</span>' +
+            tagBadges(item.tags) +
             '<span>' + escapeHtml(item.date || '') + '</span>' +
+            statusBadge(item) +
           '</div>' +
         '</div>' +
         '<div class="content-list-actions">' +
+          publishButton(item) +
+          endStreamButton(item) +
           '<button class="edit-btn" data-id="' + item.id + '" data-type="' + typeKey + '" title="\u0420\u0435\u0434\u0430\u043A\u0442\u0438\u0440\u0430\u0439">\u{270F}\uFE0F</button>' +
           '<button class="delete-btn" data-id="' + item.id + '" data-title="' + escapeAttr(item.title) + '" title="\u0418\u0437\u0442\u0440\u0438\u0439">\u{1F5D1}\uFE0F</button>' +
         '</div>' +
@@ -895,8 +1453,22 @@
     attachContentListEvents();
   }
 
-  /** Attach edit/delete event handlers to the content list buttons. */
+  /** Attach publish/end-stream/edit/delete event handlers to the content list buttons. */
   function attachContentListEvents() {
+    // Publish buttons
+    document.querySelectorAll('.content-list .publish-btn').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        publishEntry(this.getAttribute('data-id'), this.getAttribute('data-title'));
+      });
+    });
+
+    // End-stream buttons
+    document.querySelectorAll('.content-list .end-stream-btn').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        openEndStreamDialog(this.getAttribute('data-id'));
+      });
+    });
+
     // Edit buttons
     document.querySelectorAll('.content-list .edit-btn').forEach(function (btn) {
       btn.addEventListener('click', function () {
@@ -939,9 +1511,14 @@
       case 'video':
         $('video-edit-id').value = id;
         $('video-title').value = entry.title || '';
-        $('video-gametag').value = entry.gameTag || 'Minecraft';
+        $('video-slug').value = entry.slug || '';
+        updateSlugHint('video');
+        setPickerTags('video', entry.tags);
         $('video-category').value = entry.category || "Let's Play";
         $('video-description').value = entry.description || '';
+        $('video-status').value = entry.status || 'published';
+        $('video-publish-at').value = toLocalDateTime(entry.publishAt);
+        syncScheduleField('video');
         $('video-date').value = entry.date || todayISO();
         if (entry.videoType === 'upload') {
           $('video-type-upload').checked = true;
@@ -955,21 +1532,21 @@
           $('video-youtube-section').style.display = '';
           $('video-upload-section').style.display = 'none';
           $('video-youtube-url').value = entry.url || '';
-          // Trigger preview
-          var ytId = extractYouTubeId(entry.url);
-          if (ytId) {
-            $('video-yt-iframe-wrapper').innerHTML = '<iframe style="position:absolute;inset:0;width:100%;height:100%;border:none;" src="https://www.youtube.com/embed/' + ytId + '" allowfullscreen></iframe>';
-            $('video-yt-preview').style.display = '';
-          }
+          showVideoPreview(entry.url);
         }
         break;
 
       case 'screenshot':
         $('screenshot-edit-id').value = id;
         $('screenshot-title').value = entry.title || '';
-        $('screenshot-gametag').value = entry.gameTag || 'Minecraft';
+        $('screenshot-slug').value = entry.slug || '';
+        updateSlugHint('screenshot');
+        setPickerTags('screenshot', entry.tags);
         $('screenshot-category').value = entry.category || 'Build';
         $('screenshot-caption').value = entry.description || '';
+        $('screenshot-status').value = entry.status || 'published';
+        $('screenshot-publish-at').value = toLocalDateTime(entry.publishAt);
+        syncScheduleField('screenshot');
         $('screenshot-date').value = entry.date || todayISO();
         if (entry.url) {
           $('screenshot-upload-url').value = entry.url;
@@ -981,9 +1558,14 @@
       case 'post':
         $('post-edit-id').value = id;
         $('post-title').value = entry.title || '';
+        $('post-slug').value = entry.slug || '';
+        updateSlugHint('post');
         $('post-editor').innerHTML = entry.content || '';
-        $('post-gametag').value = entry.gameTag || 'Minecraft';
+        setPickerTags('post', entry.tags);
         $('post-excerpt').value = entry.excerpt || '';
+        $('post-status').value = entry.status || 'published';
+        $('post-publish-at').value = toLocalDateTime(entry.publishAt);
+        syncScheduleField('post');
         $('post-date').value = entry.date || todayISO();
         break;
 
@@ -991,8 +1573,17 @@
         $('stream-edit-id').value = id;
         $('stream-title').value = entry.title || '';
         $('stream-url').value = entry.url || '';
+        updateEmbedHint();
         $('stream-is-live').checked = !!entry.isLive;
-        $('stream-gametag').value = entry.gameTag || 'Minecraft';
+        setPickerTags('stream', entry.tags);
+        $('stream-status').value = entry.status || 'published';
+        $('stream-publish-at').value = toLocalDateTime(entry.publishAt);
+        syncScheduleField('stream');
+        $('stream-start').value = entry.start || '';
+        $('stream-duration').value = entry.duration || '';
+        renderTimeZoneOptions(entry.timezone);
+        setRepeatFields(entry.repeat);
+        renderOccurrences();
         $('stream-date').value = entry.date || todayISO();
         break;
     }
@@ -1001,29 +1592,197 @@
     window.scrollTo({ top: 0, behavior: 'smooth' });
   }
 
-  /** Show delete confirmation modal. */
-  function confirmDelete(id, title) {
-    var modal = $('modal-confirm');
-    $('modal-confirm-text').textContent = '\u0418\u0437\u0442\u0440\u0438\u0439 "' + (title || '') + '"? \u041D\u0435 \u043C\u043E\u0436\u0435 \u0434\u0430 \u0441\u0435 \u0432\u044A\u0440\u043D\u0435! / Delete "' + (title || '') + '"? Cannot be undone!';
+  /** Publish a draft/scheduled entry right away — stamps today's date. */
+  function publishEntry(id, title) {
+    if (!ContentStore.publish(id)) {
+      showError('\u041D\u0435 \u043C\u043E\u0436\u0430 \u0434\u0430 \u043F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043C \u0437\u0430\u043F\u0438\u0441\u0430. / Could not publish the entry.');
+      return;
+    }
+    updateStats();
+    renderContentList();
+    updateHistoryButtons();
+    showSuccess('\u{1F4E2} "' + (title || '') + '" \u0435 \u043F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043D\u043E! / Published!');
+  }
+
+  /**
+   * Build the end-stream button HTML: for live streams, and for finished
+   * ones that have no replay yet (repeating streams can always take one).
+   */
+  function endStreamButton(item) {
+    if ((item._type || item.type) !== 'stream') return '';
+    if (!item.isLive) {
+      var times = ContentStore.getStreamTimes(item);
+      if (!item.repeat && (ContentStore.getReplay(item.id) || (times && times.start > Date.now()))) return '';
+    }
+    var title = item.isLive ? '\u041A\u0440\u0430\u0439 \u043D\u0430 \u0441\u0442\u0440\u0438\u0439\u043C\u0430 / End stream' : '\u0414\u043E\u0431\u0430\u0432\u0438 \u0437\u0430\u043F\u0438\u0441 / Add replay';
+    return '<button class="end-stream-btn" data-id="' + item.id + '" title="' + title + '">' + (item.isLive ? '\u23F9\uFE0F' : '\u{1F39E}\uFE0F') + '</button>';
+  }
+
+  /** Show the section of the end-stream dialog for the chosen replay source. */
+  function syncEndStreamChoice() {
+    var choice = document.querySelector('input[name="end-stream-replay"]:checked').value;
+    $('end-stream-youtube').style.display = choice === 'youtube' ? '' : 'none';
+    $('end-stream-upload').style.display = choice === 'upload' ? '' : 'none';
+    $('end-stream-existing').style.display = choice === 'existing' ? '' : 'none';
+  }
+
+  /** Pick a replay source in the end-stream dialog. */
+  function setEndStreamChoice(choice) {
+    document.querySelector('input[name="end-stream-replay"][value="' + choice + '"]').checked = true;
+    syncEndStreamChoice();
+  }
+
+  /**
+   * The replay picked in the end-stream dialog, as ContentStore.endStream()
+   * takes it: a video id, new video fields or undefined. Null (after
+   * showing an error) when the picked source is incomplete.
+   */
+  function readEndStreamReplay() {
+    var choice = document.querySelector('input[name="end-stream-replay"]:checked').value;
+    var input = $('end-stream-youtube-url');
+    input.classList.remove('error');
+
+    if (choice === 'youtube') {
+      var ytId = EmbedProviders.youTubeId(input.value.trim());
+      if (!ytId) {
+        input.classList.add('error');
+        showError('\u041C\u043E\u043B\u044F \u0432\u044A\u0432\u0435\u0434\u0438 \u0432\u0430\u043B\u0438\u0434\u0435\u043D YouTube \u043B\u0438\u043D\u043A! / Please enter a valid YouTube URL!');
+        return null;
+      }
+      var vodUrl = 'https://www.youtube.com/watch?v=' + ytId;
+      return { url: vodUrl, thumbnail: EmbedProviders.thumbnail(vodUrl), videoType: 'youtube' };
+    }
+    if (choice === 'upload') {
+      var url = $('end-stream-upload-url').value;
+      if (!url) {
+        showError('\u041F\u044A\u0440\u0432\u043E \u043A\u0430\u0447\u0438 \u0432\u0438\u0434\u0435\u043E\u0442\u043E! / Upload the video first!');
+        return null;
+      }
+      return { url: url, thumbnail: EmbedProviders.thumbnail(url), videoType: 'upload' };
+    }
+    if (choice === 'existing') return $('end-stream-video').value;
+    return undefined;
+  }
+
+  /**
+   * Open the end-stream dialog: clear the live flag of stream `id` and
+   * add or link its recording (ContentStore.endStream).
+   */
+  function openEndStreamDialog(id) {
+    var stream = ContentStore.getById(id);
+    if (!stream) return;
+
+    var modal = $('modal-end-stream');
+    var okBtn = $('modal-end-stream-ok');
+    var cancelBtn = $('modal-end-stream-cancel');
+    var closeBtn = $('modal-end-stream-close');
+    var uploadBtn = $('end-stream-upload-btn');
+    var choices = $('modal-end-stream').querySelector('.end-stream-choices');
+
+    $('modal-end-stream-text').textContent = stream.isLive ?
+      '"' + stream.title + '" \u0441\u043F\u0438\u0440\u0430 \u0434\u0430 \u0435 LIVE. \u0414\u043E\u0431\u0430\u0432\u0438 \u0437\u0430\u043F\u0438\u0441\u0430, \u0437\u0430 \u0434\u0430 \u0433\u043E \u0433\u043B\u0435\u0434\u0430\u0442 \u0438 \u043F\u043E-\u043A\u044A\u0441\u043D\u043E. / "' + stream.title + '" goes off air. Add the recording so people can watch it later.' :
+      '\u0414\u043E\u0431\u0430\u0432\u0438 \u0437\u0430\u043F\u0438\u0441\u0430 \u043D\u0430 "' + stream.title + '". / Add the recording of "' + stream.title + '".';
+
+    // The live link of a YouTube stream usually becomes its VOD
+    $('end-stream-youtube-url').value = EmbedProviders.youTubeId(stream.url) ? stream.url : '';
+    $('end-stream-youtube-url').classList.remove('error');
+    $('end-stream-upload-url').value = '';
+    $('end-stream-upload-filename').textContent = '';
+
+    var videos = ContentStore.getAll('video').filter(function (video) {
+      return !video.streamId || video.streamId === id;
+    });
+    $('end-stream-video').innerHTML = videos.map(function (video) {
+      return '<option value="' + escapeAttr(video.id) + '">' + escapeHtml(video.title) + ' (' + escapeHtml(video.date || '') + ')</option>';
+    }).join('');
+    document.querySelector('input[name="end-stream-replay"][value="existing"]').disabled = !videos.length;
+
+    setEndStreamChoice(EmbedProviders.youTubeId(stream.url) ? 'youtube' : 'none');
     modal.classList.add('active');
 
-    var okBtn = $('modal-confirm-ok');
-    var cancelBtn = $('modal-confirm-cancel');
-    var closeBtn = $('modal-confirm-close');
+    function onUpload() {
+      if (typeof CloudinaryUpload === 'undefined' || !CloudinaryUpload.open) {
+        showError('\u041D\u0430\u0441\u0442\u0440\u043E\u0439 Cloudinary \u0432 \u041D\u0430\u0441\u0442\u0440\u043E\u0439\u043A\u0438! / Configure Cloudinary in Settings!');
+        return;
+      }
+      CloudinaryUpload.open('video', function (result) {
+        if (result && result.secure_url) {
+          $('end-stream-upload-url').value = result.secure_url;
+          $('end-stream-upload-filename').textContent = '\u2705 ' + (result.original_filename || 'Video') + '.' + (result.format || 'mp4');
+        }
+      });
+    }
 
     function cleanup() {
       modal.classList.remove('active');
+      choices.removeEventListener('change', syncEndStreamChoice);
+      uploadBtn.removeEventListener('click', onUpload);
       okBtn.removeEventListener('click', onOk);
-      cancelBtn.removeEventListener('click', onCancel);
-      closeBtn.removeEventListener('click', onCancel);
+      cancelBtn.removeEventListener('click', cleanup);
+      closeBtn.removeEventListener('click', cleanup);
     }
 
     function onOk() {
-      ContentStore.delete(id);
-      cleanup();
-      updateStats();
+      var replay = readEndStreamReplay();
+      if (replay === null) return;
+
+      var result;
+      try {
+        result = ContentStore.endStream(id, replay);
+      } catch (err) {
+        if (err instanceof ContentStore.ValidationError) {
+          showError('\u274C ' + err.message);
+          return;
+        }
+        throw err;
+      }
+      cleanup();
+      if (!result) {
+        showError('\u041D\u0435 \u043C\u043E\u0433\u0430 \u0434\u0430 \u043F\u0440\u0438\u043A\u043B\u044E\u0447\u0430 \u0441\u0442\u0440\u0438\u0439\u043C\u0430. / Could not end the stream.');
+        return;
+      }
+
+      if ($('stream-edit-id').value === id) $('stream-is-live').checked = false;
+      updateStats();
       renderContentList();
-      showSuccess('\u{1F5D1}\uFE0F \u0418\u0437\u0442\u0440\u0438\u0442\u043E! / Deleted!');
+      updateHistoryButtons();
+      showSuccess(result.video ?
+        '\u{1F39E}\uFE0F \u0417\u0430\u043F\u0438\u0441\u044A\u0442 \u0435 \u0434\u043E\u0431\u0430\u0432\u0435\u043D! / Replay added!' :
+        '\u23F9\uFE0F \u0421\u0442\u0440\u0438\u0439\u043C\u044A\u0442 \u043F\u0440\u0438\u043A\u043B\u044E\u0447\u0438! / Stream ended!');
+    }
+
+    choices.addEventListener('change', syncEndStreamChoice);
+    uploadBtn.addEventListener('click', onUpload);
+    okBtn.addEventListener('click', onOk);
+    cancelBtn.addEventListener('click', cleanup);
+    closeBtn.addEventListener('click', cleanup);
+  }
+
+  /** Show delete confirmation modal. */
+  function confirmDelete(id, title) {
+    var modal = $('modal-confirm');
+    $('modal-confirm-text').textContent = '\u041F\u0440\u0435\u043C\u0435\u0441\u0442\u0438 "' + (title || '') + '" \u0432 \u043A\u043E\u0448\u0447\u0435\u0442\u043E? \u041C\u043E\u0436\u0435\u0448 \u0434\u0430 \u0433\u043E \u0432\u044A\u0440\u043D\u0435\u0448 \u043E\u0442 \u0442\u0430\u0431\u0430 \u041A\u043E\u0448\u0447\u0435. / Move "' + (title || '') + '" to the trash? You can restore it from the Trash tab.';
+    modal.classList.add('active');
+
+    var okBtn = $('modal-confirm-ok');
+    var cancelBtn = $('modal-confirm-cancel');
+    var closeBtn = $('modal-confirm-close');
+
+    function cleanup() {
+      modal.classList.remove('active');
+      okBtn.removeEventListener('click', onOk);
+      cancelBtn.removeEventListener('click', onCancel);
+      closeBtn.removeEventListener('click', onCancel);
+    }
+
+    function onOk() {
+      ContentStore.delete(id);
+      cleanup();
+      updateStats();
+      renderContentList();
+      renderTrashList();
+      updateHistoryButtons();
+      showSuccess('\u{1F5D1}\uFE0F \u0412 \u043A\u043E\u0448\u0447\u0435\u0442\u043E! / Moved to trash!');
     }
 
     function onCancel() {
@@ -1035,6 +1794,416 @@
     closeBtn.addEventListener('click', onCancel);
   }
 
+  // =====================================================================
+  // J-b) UNDO / REDO
+  // =====================================================================
+
+  var HISTORY_OP_LABELS = {
+    add: '\u0434\u043E\u0431\u0430\u0432\u044F\u043D\u0435 / add',
+    update: '\u0440\u0435\u0434\u0430\u043A\u0446\u0438\u044F / edit',
+    delete: '\u0438\u0437\u0442\u0440\u0438\u0432\u0430\u043D\u0435 / delete',
+    restore: '\u0432\u0440\u044A\u0449\u0430\u043D\u0435 / restore',
+    publish: '\u043F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043D\u0435 / publish',
+    tag: '\u0442\u0430\u0433 / tag',
+    series: '\u0441\u0435\u0440\u0438\u044F / series',
+    site: '\u0441\u0430\u0439\u0442 / site',
+    purge: '\u0438\u0437\u0447\u0438\u0441\u0442\u0432\u0430\u043D\u0435 / purge',
+    setLive: 'LIVE',
+    occurrence: '\u0434\u0430\u0442\u0430 / date',
+    endStream: '\u043A\u0440\u0430\u0439 \u043D\u0430 \u0441\u0442\u0440\u0438\u0439\u043C / end stream',
+    import: '\u0438\u043C\u043F\u043E\u0440\u0442 / import'
+  };
+
+  /** Describe a journal record like 'delete "My Video"'. */
+  function describeHistory(record) {
+    var op = HISTORY_OP_LABELS[record.op] || record.op;
+    return record.label ? op + ' "' + record.label + '"' : op;
+  }
+
+  /** Enable/disable the undo/redo buttons and describe the next step. */
+  function updateHistoryButtons() {
+    var undoBtn = $('btn-undo');
+    var redoBtn = $('btn-redo');
+    if (!undoBtn || !redoBtn) return;
+
+    var history = ContentStore.getHistory();
+    undoBtn.disabled = history.undo.length === 0;
+    redoBtn.disabled = history.redo.length === 0;
+    undoBtn.title = history.undo.length ? 'Ctrl+Z \u2014 ' + describeHistory(history.undo[0]) : 'Ctrl+Z';
+    redoBtn.title = history.redo.length ? 'Ctrl+Shift+Z \u2014 ' + describeHistory(history.redo[0]) : 'Ctrl+Shift+Z';
+  }
+
+  /** Refresh everything that shows content after an undo/redo step. */
+  function afterHistoryStep(record, message) {
+    updateStats();
+    renderContentList();
+    renderTrashList();
+    renderTagList();
+    refreshTagPickers();
+    renderSeriesList();
+    renderSeriesItems();
+    renderFeedTagOptions();
+    if (record && record.op === 'site') showSiteSettings();
+    renderOccurrences();
+    updateHistoryButtons();
+    if (record) {
+      showSuccess(message + ' ' + describeHistory(record));
+    }
+  }
+
+  function undoLast() {
+    if (!ContentStore.canUndo()) return;
+    afterHistoryStep(ContentStore.undo(), '\u21B6 \u041E\u0442\u043C\u0435\u043D\u0435\u043D\u043E / Undone:');
+  }
+
+  function redoLast() {
+    if (!ContentStore.canRedo()) return;
+    afterHistoryStep(ContentStore.redo(), '\u21B7 \u041F\u043E\u0432\u0442\u043E\u0440\u0435\u043D\u043E / Redone:');
+  }
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) on the dashboard. Text fields keep
+   * their native undo, so the shortcut is ignored while one has focus.
+   */
+  function initHistoryShortcuts() {
+    document.addEventListener('keydown', function (e) {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (!$('admin-dashboard').classList.contains('visible')) return;
+
+      var target = e.target;
+      var tag = target && target.tagName ? target.tagName.toLowerCase() : '';
+      if (tag === 'input' || tag === 'textarea' || tag === 'select' || (target && target.isContentEditable)) return;
+
+      var key = (e.key || '').toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLast();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLast();
+      }
+    });
+  }
+
+  // =====================================================================
+  // J-c) TRASH
+  // =====================================================================
+
+  var DAY_MS = 24 * 60 * 60 * 1000;
+
+  /** Render the trashed entries in the Trash tab, newest deletion first. */
+  function renderTrashList() {
+    var container = $('trash-list');
+    if (!container) return;
+
+    var items = ContentStore.getTrash();
+    var days = ContentStore.getTrashRetentionDays();
+    $('trash-empty').disabled = items.length === 0;
+
+    if (!items.length) {
+      container.innerHTML = '<div class="empty-state"><p>\u{1F389} \u041A\u043E\u0448\u0447\u0435\u0442\u043E \u0435 \u043F\u0440\u0430\u0437\u043D\u043E! / The trash is empty!</p></div>';
+      return;
+    }
+
+    var html = '';
+    items.forEach(function (item) {
+      var icon = TYPE_ICONS[item.type] || '\u{1F4C4}';
+      var deleted = new Date(item.deletedAt);
+      var left = '';
+      if (days) {
+        var remaining = Math.max(0, Math.ceil((deleted.getTime() + days * DAY_MS - Date.now()) / DAY_MS));
+        left = '<span>\u23F3 ' + remaining + ' \u0434\u043D\u0438 / days left</span>';
+      }
+
+      html += '<div class="trash-entry">' +
+        '<span style="font-size:1.5rem;">' + icon + '</span>' +
+        '<div class="trash-entry-info">' +
+          '<div class="entry-title" title="' + escapeAttr(item.title) + '">' + escapeHtml(item.title || '\u0411\u0435\u0437 \u0437\u0430\u0433\u043B\u0430\u0432\u0438\u0435') + '</div>' +
+          '<div class="entry-meta">' +
+            tagBadges(item.tags) +
+            '<span>\u{1F5D1}\uFE0F ' + escapeHtml(isNaN(deleted) ? '' : deleted.toLocaleString()) + '</span>' +
+            left +
+          '</div>' +
+        '</div>' +
+        '<div class="trash-entry-actions">' +
+          '<button type="button" class="btn btn-primary btn-sm trash-restore-btn" data-id="' + item.id + '">\u267B\uFE0F \u0412\u044A\u0440\u043D\u0438 / Restore</button>' +
+          '<button type="button" class="btn btn-danger btn-sm trash-purge-btn" data-id="' + item.id + '" data-title="' + escapeAttr(item.title) + '">\u{1F525} \u0418\u0437\u0442\u0440\u0438\u0439 / Purge</button>' +
+        '</div>' +
+        '</div>';
+    });
+    container.innerHTML = html;
+
+    container.querySelectorAll('.trash-restore-btn').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        restoreFromTrash(this.getAttribute('data-id'));
+      });
+    });
+    container.querySelectorAll('.trash-purge-btn').forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        confirmPurge(this.getAttribute('data-id'), this.getAttribute('data-title'));
+      });
+    });
+  }
+
+  /** Refresh all views that change when the trash does. */
+  function afterTrashChange() {
+    updateStats();
+    renderContentList();
+    renderTrashList();
+    updateHistoryButtons();
+  }
+
+  function restoreFromTrash(id) {
+    var entry = ContentStore.restore(id);
+    if (!entry) return;
+    afterTrashChange();
+    showSuccess('\u267B\uFE0F \u0412\u044A\u0440\u043D\u0430\u0442\u043E! / Restored: ' + (entry.title || ''));
+  }
+
+  /** Ask before permanently removing one entry, or the whole trash when id is null. */
+  function confirmPurge(id, title) {
+    var message = id ?
+      '"' + (title || '') + '" \u0449\u0435 \u0431\u044A\u0434\u0435 \u0438\u0437\u0442\u0440\u0438\u0442\u043E \u0437\u0430\u0432\u0438\u043D\u0430\u0433\u0438. / "' + (title || '') + '" will be deleted forever.' :
+      '\u0412\u0441\u0438\u0447\u043A\u043E \u0432 \u043A\u043E\u0448\u0447\u0435\u0442\u043E \u0449\u0435 \u0431\u044A\u0434\u0435 \u0438\u0437\u0442\u0440\u0438\u0442\u043E \u0437\u0430\u0432\u0438\u043D\u0430\u0433\u0438. / Everything in the trash will be deleted forever.';
+
+    showConfirmModal(
+      '\u26A0\uFE0F \u0421\u0438\u0433\u0443\u0440\u0435\u043D \u043B\u0438 \u0441\u0438? / Are you sure?',
+      message,
+      function () {
+        var count = ContentStore.purge(id || undefined);
+        if (!count) return;
+        afterTrashChange();
+        showSuccess('\u{1F525} \u0418\u0437\u0447\u0438\u0441\u0442\u0435\u043D\u0438 / Purged: ' + count);
+      }
+    );
+  }
+
+  function initTrashTab() {
+    $('trash-retention-days').value = ContentStore.getTrashRetentionDays();
+
+    $('trash-save-retention').addEventListener('click', function () {
+      var purged = ContentStore.setTrashRetentionDays($('trash-retention-days').value);
+      $('trash-retention-days').value = ContentStore.getTrashRetentionDays();
+      renderTrashList();
+      showSuccess('\u23F3 \u0417\u0430\u043F\u0430\u0437\u0435\u043D\u043E! / Saved!' + (purged ? ' \u{1F525} ' + purged : ''));
+    });
+
+    $('trash-empty').addEventListener('click', function () {
+      confirmPurge(null);
+    });
+  }
+
+  // =====================================================================
+  // J-d) TAGS — FORM TAG PICKERS & TAGS TAB
+  // =====================================================================
+
+  var FORM_TYPES = ['video', 'screenshot', 'post', 'stream'];
+
+  /** True if `names` contains `name`, ignoring case. */
+  function hasTagName(names, name) {
+    var lower = name.toLowerCase();
+    return names.some(function (n) { return n.toLowerCase() === lower; });
+  }
+
+  /**
+   * The tags selected in a form's picker, plus a name still typed in its
+   * "new tag" box (ContentStore trims and de-duplicates them on save).
+   */
+  function getPickerTags(formType) {
+    var tags = [];
+    document.querySelectorAll('#' + formType + '-tags .tag-chip.selected').forEach(function (chip) {
+      tags.push(chip.getAttribute('data-tag'));
+    });
+    var input = $(formType + '-tags-input');
+    if (input && input.value.trim() && !hasTagName(tags, input.value.trim())) {
+      tags.push(input.value.trim());
+    }
+    return tags;
+  }
+
+  /**
+   * Render a form's tag picker: a chip for every known tag (selected ones
+   * highlighted) and a box to type a new one.
+   * @param {string} formType - 'video', 'screenshot', 'post' or 'stream'.
+   * @param {Array}  [selected] - Tag names to select.
+   */
+  function setPickerTags(formType, selected) {
+    var picker = $(formType + '-tags');
+    if (!picker) return;
+    selected = selected || [];
+
+    var names = ContentStore.getTags().map(function (tag) { return tag.name; });
+    selected.forEach(function (name) {
+      if (!hasTagName(names, name)) names.push(name);
+    });
+
+    picker.innerHTML = names.map(function (name) {
+      var tag = ContentStore.getTag(name);
+      var on = hasTagName(selected, name);
+      return '<button type="button" class="tag-chip' + (on ? ' selected' : '') + '" data-tag="' + escapeAttr(name) + '" ' +
+        'aria-pressed="' + on + '" style="' + escapeAttr(tagStyle(tag.color)) + '">' +
+        (tag.icon ? escapeHtml(tag.icon) + ' ' : '') + escapeHtml(tag.name) +
+        '</button>';
+    }).join('') +
+      '<input type="text" id="' + formType + '-tags-input" class="form-input tag-picker-input" ' +
+      'placeholder="+ \u041D\u043E\u0432 \u0442\u0430\u0433 / New tag">';
+  }
+
+  /** Re-render every form's picker (new registry colors/names), keeping the selection. */
+  function refreshTagPickers() {
+    FORM_TYPES.forEach(function (formType) {
+      setPickerTags(formType, getPickerTags(formType));
+    });
+  }
+
+  /** Toggle chips on click; Enter in the "new tag" box adds a selected chip. */
+  function initTagPickers() {
+    FORM_TYPES.forEach(function (formType) {
+      var picker = $(formType + '-tags');
+
+      picker.addEventListener('click', function (e) {
+        var chip = e.target.closest('.tag-chip');
+        if (!chip) return;
+        chip.classList.toggle('selected');
+        chip.setAttribute('aria-pressed', chip.classList.contains('selected'));
+        saveDraft(formType);
+      });
+
+      picker.addEventListener('keydown', function (e) {
+        if (e.key !== 'Enter' || !e.target.classList.contains('tag-picker-input')) return;
+        e.preventDefault();
+        setPickerTags(formType, getPickerTags(formType));
+        $(formType + '-tags-input').focus();
+        saveDraft(formType);
+      });
+    });
+  }
+
+  /** Render the Tags tab: one editable row per tag, with its usage count. */
+  function renderTagList() {
+    var container = $('tag-list');
+    if (!container) return;
+
+    var tags = ContentStore.getTags();
+    if (!tags.length) {
+      container.innerHTML = '<div class="empty-state"><p>\u{1F3F7}\uFE0F \u041D\u044F\u043C\u0430 \u0442\u0430\u0433\u043E\u0432\u0435. / No tags yet.</p></div>';
+      return;
+    }
+
+    container.innerHTML = tags.map(function (tag) {
+      return '<div class="tag-editor-row" data-id="' + escapeAttr(tag.id || '') + '" data-name="' + escapeAttr(tag.name) + '">' +
+        '<input type="text" class="form-input tag-editor-icon" value="' + escapeAttr(tag.icon) + '" aria-label="Icon">' +
+        '<input type="text" class="form-input tag-editor-name" value="' + escapeAttr(tag.name) + '" aria-label="Name">' +
+        '<input type="color" class="tag-editor-color" value="' + escapeAttr(tag.color) + '" aria-label="Color">' +
+        '<span class="tag" style="' + escapeAttr(tagStyle(tag.color)) + '">' + tag.count + ' \u0437\u0430\u043F\u0438\u0441\u0430 / entries</span>' +
+        '<div class="tag-editor-actions">' +
+          '<button type="button" class="btn btn-primary btn-sm tag-save-btn" title="\u0417\u0430\u043F\u0430\u0437\u0438 / Save">\u{1F4BE}</button>' +
+          '<button type="button" class="btn btn-danger btn-sm tag-delete-btn" title="\u0418\u0437\u0442\u0440\u0438\u0439 / Delete">\u{1F5D1}\uFE0F</button>' +
+        '</div>' +
+        '</div>';
+    }).join('');
+  }
+
+  /** Refresh all views that show tags. */
+  function afterTagChange() {
+    renderTagList();
+    refreshTagPickers();
+    renderContentList();
+    renderTrashList();
+    updateHistoryButtons();
+  }
+
+  /** Save a tag through ContentStore, reporting validation errors as a toast. */
+  function storeTag(tag) {
+    try {
+      var saved = ContentStore.saveTag(tag);
+      afterTagChange();
+      showSuccess('\u{1F3F7}\uFE0F \u0417\u0430\u043F\u0430\u0437\u0435\u043D\u043E! / Saved: ' + saved.name);
+      return true;
+    } catch (err) {
+      if (!(err instanceof ContentStore.ValidationError)) throw err;
+      var first = err.errors[0];
+      showError('\u274C ' + (FIELD_ERROR_TEXT[first.code] || first.message));
+      return false;
+    }
+  }
+
+  /** Ask before removing a tag from the registry and every entry. */
+  function confirmDeleteTag(name) {
+    showConfirmModal(
+      '\u26A0\uFE0F \u0421\u0438\u0433\u0443\u0440\u0435\u043D \u043B\u0438 \u0441\u0438? / Are you sure?',
+      '\u0422\u0430\u0433\u044A\u0442 "' + name + '" \u0449\u0435 \u0431\u044A\u0434\u0435 \u043F\u0440\u0435\u043C\u0430\u0445\u043D\u0430\u0442 \u043E\u0442 \u0432\u0441\u0438\u0447\u043A\u0438 \u0437\u0430\u043F\u0438\u0441\u0438. / The tag "' + name + '" will be removed from every entry.',
+      function () {
+        if (!ContentStore.deleteTag(name)) return;
+        afterTagChange();
+        showSuccess('\u{1F5D1}\uFE0F \u0418\u0437\u0442\u0440\u0438\u0442 / Deleted: ' + name);
+      }
+    );
+  }
+
+  function initTagsTab() {
+    $('tag-new-add').addEventListener('click', function () {
+      var added = storeTag({
+        name: $('tag-new-name').value,
+        color: $('tag-new-color').value,
+        icon: $('tag-new-icon').value
+      });
+      if (added) {
+        $('tag-new-name').value = '';
+        $('tag-new-icon').value = '';
+      }
+    });
+
+    $('tag-list').addEventListener('click', function (e) {
+      var row = e.target.closest('.tag-editor-row');
+      if (!row) return;
+
+      if (e.target.closest('.tag-save-btn')) {
+        var tag = {
+          id: row.getAttribute('data-id'),
+          name: row.querySelector('.tag-editor-name').value,
+          color: row.querySelector('.tag-editor-color').value,
+          icon: row.querySelector('.tag-editor-icon').value
+        };
+        // A tag only used on entries is registered under its current name
+        // first, so that renaming it also renames it on those entries
+        if (!tag.id) {
+          tag.id = ContentStore.saveTag({ name: row.getAttribute('data-name'), color: tag.color, icon: tag.icon }).id;
+        }
+        storeTag(tag);
+      } else if (e.target.closest('.tag-delete-btn')) {
+        confirmDeleteTag(row.getAttribute('data-name'));
+      }
+    });
+  }
+
+  // =====================================================================
+  // J-e) PERMALINK SLUGS
+  // =====================================================================
+
+  var SLUG_FORMS = ['video', 'screenshot', 'post'];
+
+  /**
+   * Show the static page address an entry will get: the typed slug, or
+   * one made from the title. ContentStore adds "-2", "-3"... on save when
+   * another entry already has it.
+   */
+  function updateSlugHint(formType) {
+    var slug = ContentStore.slugify($(formType + '-slug').value) ||
+      ContentStore.slugify($(formType + '-title').value);
+    $(formType + '-slug-hint').textContent = slug ? 'p/' + slug + '.html' : '';
+  }
+
+  function initSlugFields() {
+    SLUG_FORMS.forEach(function (formType) {
+      [formType + '-title', formType + '-slug'].forEach(function (id) {
+        $(id).addEventListener('input', function () {
+          updateSlugHint(formType);
+        });
+      });
+    });
+  }
+
   // =====================================================================
   // K) SETTINGS TAB HANDLERS
   // =====================================================================
@@ -1149,12 +2318,18 @@
       }
     });
 
-    // ---- Backup / Export ----
+    // ---- Export for publishing (no drafts, no trash) ----
     $('settings-export').addEventListener('click', function () {
       ContentStore.exportJSON();
       showSuccess('\u{1F4E5} \u0415\u043A\u0441\u043F\u043E\u0440\u0442\u0438\u0440\u0430\u043D\u043E! / Exported!');
     });
 
+    // ---- Full Backup: everything this browser holds, drafts and trash included ----
+    $('settings-export-full').addEventListener('click', function () {
+      ContentStore.exportJSON({ full: true });
+      showSuccess('\u{1F5C4}\uFE0F \u041F\u044A\u043B\u043D\u043E \u043A\u043E\u043F\u0438\u0435 \u0441\u0432\u0430\u043B\u0435\u043D\u043E! / Full backup downloaded!');
+    });
+
     // ---- Backup / Import ----
     $('settings-import').addEventListener('change', function () {
       var file = this.files[0];
@@ -1168,6 +2343,8 @@
             showSuccess('\u{1F4E4} \u0418\u043C\u043F\u043E\u0440\u0442\u0438\u0440\u0430\u043D\u043E! / Imported!');
             updateStats();
             renderContentList();
+            showSiteSettings();
+            updateHistoryButtons();
           }).catch(function (err) {
             showError('\u274C \u0413\u0440\u0435\u0448\u043A\u0430: ' + err.message);
           });
@@ -1177,6 +2354,25 @@
       this.value = '';
     });
 
+    // ---- Backup / Merge Import ----
+    $('settings-import-merge').addEventListener('change', function () {
+      var file = this.files[0];
+      if (!file) return;
+
+      ContentStore.importJSON(file, { mode: 'merge', resolve: openMergeDialog }).then(function (summary) {
+        if (!summary) return;
+        showSuccess('\u{1F500} \u041E\u0431\u0435\u0434\u0438\u043D\u0435\u043D\u043E! / Merged! +' + summary.added +
+          ' \u043D\u043E\u0432\u0438 / new, ' + summary.updated + ' \u043E\u0431\u043D\u043E\u0432\u0435\u043D\u0438 / updated');
+        updateStats();
+        renderContentList();
+        renderTrashList();
+        updateHistoryButtons();
+      }).catch(function (err) {
+        showError('\u274C \u0413\u0440\u0435\u0448\u043A\u0430: ' + err.message);
+      });
+      this.value = '';
+    });
+
     // ---- Cloud Backup: Upload JSON to Cloudinary ----
     // Uses signed upload with overwrite=true so the same file gets replaced
     // every time, keeping the URL stable. Requires API Key + API Secret.
@@ -1193,12 +2389,8 @@
         return;
       }
 
-      var rawData = ContentStore._getData ? ContentStore._getData() : {
-        videos: ContentStore.getAll('video'),
-        screenshots: ContentStore.getAll('screenshot'),
-        posts: ContentStore.getAll('post'),
-        streams: ContentStore.getAll('stream')
-      };
+      // Stamped with revision + publishedAt so visitors' browsers refresh
+      var rawData = ContentStore.createPublishedCopy();
       var jsonStr = JSON.stringify(rawData, null, 2);
       var blob = new Blob([jsonStr], { type: 'application/json' });
 
@@ -1251,6 +2443,8 @@
           var urlToSave = (apiKey && apiSecret) ? stableUrl : data.secure_url;
           $('settings-cloud-json-url').value = urlToSave;
           ContentStore.setCloudJsonUrl(urlToSave);
+          ContentStore.markPublished(rawData);
+          hideRemoteUpdate();
           showSuccess('\u2601\uFE0F \u041A\u0430\u0447\u0435\u043D\u043E! / Uploaded! URL \u0437\u0430\u043F\u0430\u0437\u0435\u043D.');
         } else {
           showError('\u274C ' + (data.error ? data.error.message : 'Upload failed'));
@@ -1280,6 +2474,46 @@
     $('settings-nuclear').addEventListener('click', function () {
       nuclearDeleteStep1();
     });
+
+    // ---- Nuclear Delete snapshot ----
+    $('settings-snapshot-restore').addEventListener('click', function () {
+      showConfirmModal(
+        '\u267B\uFE0F \u0412\u044A\u0440\u043D\u0438 \u0441\u043D\u0438\u043C\u043A\u0430\u0442\u0430? / Restore snapshot?',
+        '\u0422\u0435\u043A\u0443\u0449\u043E\u0442\u043E \u0441\u044A\u0434\u044A\u0440\u0436\u0430\u043D\u0438\u0435 \u0449\u0435 \u0431\u044A\u0434\u0435 \u0437\u0430\u043C\u0435\u043D\u0435\u043D\u043E. / Current content will be replaced.',
+        function () {
+          if (!ContentStore.restoreSnapshot()) {
+            showError('\u274C \u0421\u043D\u0438\u043C\u043A\u0430\u0442\u0430 \u043D\u0435 \u043C\u043E\u0436\u0435 \u0434\u0430 \u0441\u0435 \u0432\u044A\u0440\u043D\u0435. / Snapshot could not be restored.');
+            return;
+          }
+          afterTrashChange();
+          updateSnapshotInfo();
+          showSuccess('\u267B\uFE0F \u0412\u0441\u0438\u0447\u043A\u043E \u0435 \u0432\u044A\u0440\u043D\u0430\u0442\u043E! / Everything is back!');
+        }
+      );
+    });
+
+    $('settings-snapshot-discard').addEventListener('click', function () {
+      showConfirmModal(
+        '\u26A0\uFE0F \u0421\u0438\u0433\u0443\u0440\u0435\u043D \u043B\u0438 \u0441\u0438? / Are you sure?',
+        '\u0421\u043D\u0438\u043C\u043A\u0430\u0442\u0430 \u0449\u0435 \u0431\u044A\u0434\u0435 \u0438\u0437\u0442\u0440\u0438\u0442\u0430 \u0437\u0430\u0432\u0438\u043D\u0430\u0433\u0438. / The snapshot will be deleted forever.',
+        function () {
+          ContentStore.discardSnapshot();
+          updateSnapshotInfo();
+        }
+      );
+    });
+  }
+
+  /** Show the restore-snapshot controls when a Nuclear Delete snapshot exists. */
+  function updateSnapshotInfo() {
+    var info = ContentStore.getSnapshotInfo();
+    $('settings-snapshot').style.display = info ? '' : 'none';
+    if (!info) return;
+
+    var s = info.stats;
+    $('settings-snapshot-info').textContent = '\u{1F4F8} \u0421\u043D\u0438\u043C\u043A\u0430 \u043E\u0442 / Snapshot from ' +
+      new Date(info.takenAt).toLocaleString() + ' \u2014 ' +
+      s.videos + ' \u{1F4F9}, ' + s.screenshots + ' \u{1F5BC}\uFE0F, ' + s.posts + ' \u{1F4DD}, ' + s.streams + ' \u{1F3AC}';
   }
 
   /** Migrate old EmailJS keys to the correct ones used by emailjs.js */
@@ -1305,6 +2539,8 @@
     // Migrate any old EmailJS keys first
     migrateEmailJSKeys();
 
+    updateSnapshotInfo();
+
     // Cloudinary — auto-populate from secrets.js if available
     var secrets = window.MONKACRAFT_SECRETS || {};
     var cloudName = secrets.cloudName || localStorage.getItem('monkacraft_cloud_name') || '';
@@ -1353,6 +2589,398 @@
     }
   }
 
+  // =====================================================================
+  // K-b) MERGE IMPORT — CONFLICT RESOLUTION DIALOG
+  // =====================================================================
+
+  /** Short, plain-text preview of a field value for the diff table. */
+  function mergeValuePreview(value) {
+    if (value === undefined || value === null || value === '') {
+      return '<span class="merge-empty">\u2014</span>';
+    }
+    var text = typeof value === 'string' ? value.replace(/<[^>]*>/g, ' ') : JSON.stringify(value);
+    text = text.replace(/\s+/g, ' ').trim();
+    if (text.length > 140) text = text.slice(0, 140) + '\u2026';
+    return escapeHtml(text);
+  }
+
+  /** Render one conflict card with a field-by-field diff table. */
+  function renderMergeConflict(conflict, i) {
+    var icon = TYPE_ICONS[conflict.type] || '\u{1F4C4}';
+    var where = function (key) {
+      return key === 'trash' ? ' <span class="merge-where">\u{1F5D1}\uFE0F \u0412 \u043A\u043E\u0448\u0447\u0435\u0442\u043E / In trash</span>' : '';
+    };
+    var rows = conflict.fields.map(function (field, j) {
+      var name = 'merge-c' + i + '-f' + j;
+      return '<tr>' +
+        '<td class="merge-field">' + escapeHtml(field) + '</td>' +
+        '<td><label><input type="radio" name="' + name + '" value="local" checked> ' + mergeValuePreview(conflict.local[field]) + '</label></td>' +
+        '<td><label><input type="radio" name="' + name + '" value="incoming"> ' + mergeValuePreview(conflict.incoming[field]) + '</label></td>' +
+        '</tr>';
+    }).join('');
+
+    return '<div class="merge-conflict" data-index="' + i + '">' +
+      '<div class="merge-conflict-header">' +
+        '<span class="merge-conflict-title">' + icon + ' ' + escapeHtml(conflict.title || conflict.id) + '</span>' +
+        '<div class="merge-conflict-picks">' +
+          '<button type="button" class="btn btn-ghost btn-sm" data-pick="local">\u{1F4BB} \u041C\u043E\u0435\u0442\u043E / Mine</button>' +
+          '<button type="button" class="btn btn-ghost btn-sm" data-pick="incoming">\u{1F4E5} \u041D\u043E\u0432\u043E\u0442\u043E / Incoming</button>' +
+        '</div>' +
+      '</div>' +
+      '<table class="merge-diff">' +
+        '<thead><tr>' +
+          '<th>\u041F\u043E\u043B\u0435 / Field</th>' +
+          '<th>\u{1F4BB} \u041C\u043E\u0435\u0442\u043E / Mine' + where(conflict.localKey) + '</th>' +
+          '<th>\u{1F4E5} \u041D\u043E\u0432\u043E\u0442\u043E / Incoming' + where(conflict.incomingKey) + '</th>' +
+        '</tr></thead>' +
+        '<tbody>' + rows + '</tbody>' +
+      '</table>' +
+    '</div>';
+  }
+
+  /** Check the same side for every field inside `scope`. */
+  function pickMergeSide(scope, side) {
+    scope.querySelectorAll('input[type="radio"][value="' + side + '"]').forEach(function (radio) {
+      radio.checked = true;
+    });
+  }
+
+  /**
+   * Show the merge dialog for the conflicts of a merge import.
+   * @returns {Promise} Resolves with { id: 'local' | 'incoming' | { field:
+   *                    side } } for ContentStore.importJSON, or null when
+   *                    the user cancels.
+   */
+  function openMergeDialog(conflicts) {
+    return new Promise(function (resolve) {
+      var modal = $('modal-merge');
+      var list = $('modal-merge-conflicts');
+      var applyBtn = $('modal-merge-apply');
+      var cancelBtn = $('modal-merge-cancel');
+      var closeBtn = $('modal-merge-close');
+      var allLocalBtn = $('modal-merge-all-local');
+      var allIncomingBtn = $('modal-merge-all-incoming');
+
+      $('modal-merge-summary').textContent = conflicts.length +
+        ' \u0437\u0430\u043F\u0438\u0441\u0430 \u0441\u0430 \u0440\u0430\u0437\u043B\u0438\u0447\u043D\u0438 \u043D\u0430 \u0434\u0432\u0435\u0442\u0435 \u043C\u0435\u0441\u0442\u0430. \u0418\u0437\u0431\u0435\u0440\u0438 \u043A\u043E\u0435 \u0434\u0430 \u043E\u0441\u0442\u0430\u043D\u0435 \u2014 \u0446\u044F\u043B\u043E\u0442\u043E \u0438\u043B\u0438 \u043F\u043E\u043B\u0435 \u043F\u043E \u043F\u043E\u043B\u0435. / ' +
+        conflicts.length + ' entries differ on both sides. Pick what to keep \u2014 whole entries or field by field.';
+      list.innerHTML = conflicts.map(renderMergeConflict).join('');
+      modal.classList.add('active');
+
+      function onListClick(e) {
+        var btn = e.target.closest('[data-pick]');
+        if (!btn) return;
+        pickMergeSide(btn.closest('.merge-conflict'), btn.getAttribute('data-pick'));
+      }
+
+      function onAllLocal() {
+        pickMergeSide(list, 'local');
+      }
+
+      function onAllIncoming() {
+        pickMergeSide(list, 'incoming');
+      }
+
+      function collect() {
+        var resolutions = {};
+        conflicts.forEach(function (conflict, i) {
+          var fields = {};
+          var incoming = 0;
+          conflict.fields.forEach(function (field, j) {
+            var checked = list.querySelector('input[name="merge-c' + i + '-f' + j + '"]:checked');
+            fields[field] = checked ? checked.value : 'local';
+            if (fields[field] === 'incoming') incoming++;
+          });
+          if (incoming === 0) {
+            resolutions[conflict.id] = 'local';
+          } else if (incoming === conflict.fields.length) {
+            resolutions[conflict.id] = 'incoming';
+          } else {
+            resolutions[conflict.id] = fields;
+          }
+        });
+        return resolutions;
+      }
+
+      function cleanup() {
+        modal.classList.remove('active');
+        list.innerHTML = '';
+        list.removeEventListener('click', onListClick);
+        allLocalBtn.removeEventListener('click', onAllLocal);
+        allIncomingBtn.removeEventListener('click', onAllIncoming);
+        applyBtn.removeEventListener('click', onApply);
+        cancelBtn.removeEventListener('click', onCancel);
+        closeBtn.removeEventListener('click', onCancel);
+      }
+
+      function onApply() {
+        var resolutions = collect();
+        cleanup();
+        resolve(resolutions);
+      }
+
+      function onCancel() {
+        cleanup();
+        resolve(null);
+      }
+
+      list.addEventListener('click', onListClick);
+      allLocalBtn.addEventListener('click', onAllLocal);
+      allIncomingBtn.addEventListener('click', onAllIncoming);
+      applyBtn.addEventListener('click', onApply);
+      cancelBtn.addEventListener('click', onCancel);
+      closeBtn.addEventListener('click', onCancel);
+    });
+  }
+
+  // =====================================================================
+  // K-c) RSS / ATOM FEED EXPORT
+  // =====================================================================
+
+  var SITE_URL_KEY = 'monkacraft_site_url';
+
+  /** Saved site URL, or the root this admin page is served from. */
+  function getSiteUrl() {
+    var saved = localStorage.getItem(SITE_URL_KEY);
+    if (saved) return saved;
+    var root = window.SiteConfig ? SiteConfig.root : '';
+    return /^https?:/.test(root) ? root : '';
+  }
+
+  /**
+   * The site URL typed in Settings, remembered for next time. Shows an
+   * error and returns '' when it is not an http(s) address.
+   */
+  function readSiteUrl() {
+    var siteUrl = $('settings-site-url').value.trim();
+    if (!/^https?:\/\//.test(siteUrl)) {
+      showError('\u{1F310} \u0412\u044A\u0432\u0435\u0434\u0438 \u0430\u0434\u0440\u0435\u0441\u0430 \u043D\u0430 \u0441\u0430\u0439\u0442\u0430 (https://...)! / Enter the site URL (https://...)!');
+      return '';
+    }
+    localStorage.setItem(SITE_URL_KEY, siteUrl);
+    return siteUrl;
+  }
+
+  /** Offer one per-tag feed for each tag that published posts and videos use. */
+  function renderFeedTagOptions() {
+    var select = $('settings-feed-tag');
+    if (!select || typeof FeedBuilder === 'undefined') return;
+    var current = select.value;
+    var data = ContentStore.createPublishedCopy();
+    var tags = data ? FeedBuilder.tagFeeds(data) : [];
+
+    select.innerHTML = '<option value="">\u{1F4E1} \u0412\u0441\u0438\u0447\u043A\u043E / Everything</option>' +
+      tags.map(function (tag) {
+        return '<option value="' + escapeAttr(tag.name) + '">#' + escapeHtml(tag.name) + ' (' + tag.count + ')</option>';
+      }).join('');
+    select.value = current;
+    if (select.value !== current) select.value = '';
+  }
+
+  function downloadFile(name, text, type) {
+    var url = URL.createObjectURL(new Blob([text], { type: type }));
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(function () {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+
+  /**
+   * Download feed.xml or atom.xml (or a per-tag feed) built from the
+   * content in this browser, ready to upload next to index.html.
+   */
+  function downloadFeed(format) {
+    if (typeof FeedBuilder === 'undefined') {
+      showError('\u274C FeedBuilder \u043D\u0435 \u0435 \u043D\u0430\u043B\u0438\u0447\u0435\u043D! / FeedBuilder not available!');
+      return;
+    }
+    var siteUrl = readSiteUrl();
+    if (!siteUrl) return;
+
+    var tag = $('settings-feed-tag').value;
+    var options = { siteUrl: siteUrl, tag: tag };
+    var xml = format === 'atom'
+      ? FeedBuilder.atom(ContentStore.createPublishedCopy(), options)
+      : FeedBuilder.rss(ContentStore.createPublishedCopy(), options);
+    var path = FeedBuilder.fileName(format, tag);
+
+    downloadFile(path.split('/').pop(), xml, format === 'atom' ? 'application/atom+xml' : 'application/rss+xml');
+    showSuccess('\u{1F4E1} ' + path + ' \u0438\u0437\u0442\u0435\u0433\u043B\u0435\u043D! / ' + path + ' downloaded!');
+  }
+
+  function initFeedExport() {
+    $('settings-site-url').value = getSiteUrl();
+    renderFeedTagOptions();
+    $('settings-feed-rss').addEventListener('click', function () {
+      downloadFeed('rss');
+    });
+    $('settings-feed-atom').addEventListener('click', function () {
+      downloadFeed('atom');
+    });
+  }
+
+  // =====================================================================
+  // K-d) SITEMAP & ROBOTS.TXT EXPORT
+  // =====================================================================
+
+  /**
+   * Download sitemap.xml or robots.txt for the site URL in Settings.
+   * Entries are listed with their p/<slug>.html page when the box is
+   * ticked (those pages come from scripts/build-pages.js).
+   */
+  function downloadSitemapFile(kind) {
+    if (typeof SitemapBuilder === 'undefined') {
+      showError('\u274C SitemapBuilder \u043D\u0435 \u0435 \u043D\u0430\u043B\u0438\u0447\u0435\u043D! / SitemapBuilder not available!');
+      return;
+    }
+    var siteUrl = readSiteUrl();
+    if (!siteUrl) return;
+
+    var options = { siteUrl: siteUrl, permalinks: $('settings-sitemap-permalinks').checked };
+    var name = SitemapBuilder.FILES[kind];
+    if (kind === 'robots') {
+      downloadFile(name, SitemapBuilder.robots(options), 'text/plain');
+    } else {
+      downloadFile(name, SitemapBuilder.sitemap(ContentStore.createPublishedCopy(), options), 'application/xml');
+    }
+    showSuccess('\u{1F5FA}\uFE0F ' + name + ' \u0438\u0437\u0442\u0435\u0433\u043B\u0435\u043D! / ' + name + ' downloaded!');
+  }
+
+  function initSitemapExport() {
+    $('settings-sitemap-xml').addEventListener('click', function () {
+      downloadSitemapFile('sitemap');
+    });
+    $('settings-robots-txt').addEventListener('click', function () {
+      downloadSitemapFile('robots');
+    });
+  }
+
+  // =====================================================================
+  // K-e) SITE SETTINGS \u2014 NAVIGATION, SOCIAL LINKS, FOOTER
+  // =====================================================================
+
+  // Editable link lists: the rows container, add button and link field
+  var SITE_LINK_LISTS = {
+    nav: { rows: 'site-nav-rows', add: 'site-nav-add', urlField: 'href', placeholder: 'pages/videos.html' },
+    social: { rows: 'site-social-rows', add: 'site-social-add', urlField: 'url', placeholder: 'https://youtube.com/@...' }
+  };
+
+  function renderSiteRows(list, rows) {
+    var info = SITE_LINK_LISTS[list];
+    $(info.rows).innerHTML = rows.map(function (row, i) {
+      return '<div class="site-link-row" data-index="' + i + '">' +
+        '<input type="text" class="form-input site-link-icon" data-field="icon" value="' + escapeAttr(row.icon || '') + '" placeholder="\u{1F3AE}" aria-label="Icon">' +
+        '<input type="text" class="form-input site-link-label" data-field="label" value="' + escapeAttr(row.label || '') + '" placeholder="\u0422\u0435\u043A\u0441\u0442 / Label" aria-label="Label">' +
+        '<input type="text" class="form-input site-link-url" data-field="' + info.urlField + '" value="' + escapeAttr(row[info.urlField] || '') + '" placeholder="' + info.placeholder + '" aria-label="Link">' +
+        '<div class="content-list-actions">' +
+          '<button type="button" class="series-move-btn" data-action="move" data-step="-1" title="\u041D\u0430\u0433\u043E\u0440\u0435 / Up"' + (i === 0 ? ' disabled' : '') + '>\u25B2</button>' +
+          '<button type="button" class="series-move-btn" data-action="move" data-step="1" title="\u041D\u0430\u0434\u043E\u043B\u0443 / Down"' + (i === rows.length - 1 ? ' disabled' : '') + '>\u25BC</button>' +
+          '<button type="button" class="delete-btn" data-action="remove" title="\u041C\u0430\u0445\u043D\u0438 / Remove">\u2715</button>' +
+        '</div>' +
+        '</div>';
+    }).join('');
+  }
+
+  /** The rows of a link list as typed, in order. */
+  function readSiteRows(list) {
+    var info = SITE_LINK_LISTS[list];
+    return Array.prototype.map.call($(info.rows).querySelectorAll('.site-link-row'), function (rowEl) {
+      var row = {};
+      rowEl.querySelectorAll('[data-field]').forEach(function (input) {
+        row[input.getAttribute('data-field')] = input.value;
+      });
+      return row;
+    });
+  }
+
+  /** Fill the Site section from the stored settings. */
+  function loadSiteSettings() {
+    var site = ContentStore.getSiteSettings();
+    renderSiteRows('nav', site.nav);
+    renderSiteRows('social', site.social);
+    $('site-credits').value = site.credits;
+    $('site-creeper').checked = site.creeper;
+  }
+
+  /** Reload the Site section and redraw this page's header and footer. */
+  function showSiteSettings() {
+    loadSiteSettings();
+    if (window.MonkaCraft && MonkaCraft.injectHeader) {
+      MonkaCraft.injectHeader();
+      MonkaCraft.injectFooter();
+    }
+  }
+
+  /** Mark the inputs of the rows a ValidationError names. */
+  function showSiteErrors(errors) {
+    errors.forEach(function (err) {
+      var info = SITE_LINK_LISTS[err.field];
+      var rowEl = info && $(info.rows).querySelector('.site-link-row[data-index="' + err.index + '"]');
+      if (!rowEl) return;
+      var input = rowEl.querySelector('[data-field="' + (err.code === 'required' && !rowEl.querySelector('[data-field="label"]').value.trim() ? 'label' : info.urlField) + '"]');
+      input.classList.add('error');
+    });
+    showError('\u274C ' + errors[0].message);
+  }
+
+  function initSiteSettings() {
+    loadSiteSettings();
+
+    Object.keys(SITE_LINK_LISTS).forEach(function (list) {
+      var info = SITE_LINK_LISTS[list];
+
+      $(info.add).addEventListener('click', function () {
+        var rows = readSiteRows(list);
+        rows.push({});
+        renderSiteRows(list, rows);
+        $(info.rows).querySelector('.site-link-row:last-child .site-link-label').focus();
+      });
+
+      $(info.rows).addEventListener('input', function (e) {
+        e.target.classList.remove('error');
+      });
+
+      $(info.rows).addEventListener('click', function (e) {
+        var btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        var rows = readSiteRows(list);
+        var i = Number(btn.closest('.site-link-row').getAttribute('data-index'));
+        if (btn.getAttribute('data-action') === 'remove') {
+          rows.splice(i, 1);
+        } else {
+          var j = i + Number(btn.getAttribute('data-step'));
+          if (j < 0 || j >= rows.length) return;
+          rows.splice(j, 0, rows.splice(i, 1)[0]);
+        }
+        renderSiteRows(list, rows);
+      });
+    });
+
+    $('site-save').addEventListener('click', function () {
+      try {
+        ContentStore.saveSiteSettings({
+          nav: readSiteRows('nav'),
+          social: readSiteRows('social'),
+          credits: $('site-credits').value,
+          creeper: $('site-creeper').checked
+        });
+      } catch (err) {
+        if (err.name !== 'ValidationError') throw err;
+        showSiteErrors(err.errors);
+        return;
+      }
+      showSiteSettings();
+      updateHistoryButtons();
+      showSuccess('\u{1F9ED} \u0421\u0430\u0439\u0442\u044A\u0442 \u0435 \u0437\u0430\u043F\u0430\u0437\u0435\u043D! / Site settings saved!');
+    });
+  }
+
   // =====================================================================
   // L) NUCLEAR DELETE — TRIPLE CONFIRMATION
   // =====================================================================
@@ -1421,14 +3049,25 @@
 
     function onOk() {
       if (input.value.trim().toUpperCase() !== 'DELETE') return;
-      // Perform nuclear delete
-      localStorage.removeItem('monkacraft_content');
       cleanup();
-      // Re-init ContentStore (fetch defaults from content.json)
-      ContentStore.init().then(function () {
-        updateStats();
-        renderContentList();
-        showSuccess('\u{1F4A5} \u0412\u0441\u0438\u0447\u043A\u043E \u0435 \u0438\u0437\u0442\u0440\u0438\u0442\u043E! \u0417\u0430\u0440\u0435\u0434\u0435\u043D\u0438 \u0441\u0430 \u043D\u0430\u0447\u0430\u043B\u043D\u0438\u0442\u0435 \u0434\u0430\u043D\u043D\u0438. / Everything deleted! Defaults reloaded.');
+      // Keep a restorable copy first — refuse to continue without one
+      ContentStore.saveSnapshot().then(function (saved) {
+        if (!saved) {
+          showError('\u274C \u041D\u0435 \u043C\u043E\u0436\u0430\u0445 \u0434\u0430 \u0437\u0430\u043F\u0430\u0437\u044F \u0441\u043D\u0438\u043C\u043A\u0430. \u0421\u0432\u0430\u043B\u0438 \u041F\u044A\u043B\u043D\u043E \u043A\u043E\u043F\u0438\u0435 \u043F\u044A\u0440\u0432\u043E! / Could not save a snapshot. Download a Full Backup first!');
+          return;
+        }
+        // Perform nuclear delete, then re-init (fetch defaults from content.json)
+        return ContentStore.clearStorage()
+          .then(function () { return ContentStore.init(); })
+          .then(function () {
+            updateStats();
+            renderContentList();
+            renderTrashList();
+            showSiteSettings();
+            updateHistoryButtons();
+            updateSnapshotInfo();
+            showSuccess('\u{1F4A5} \u0412\u0441\u0438\u0447\u043A\u043E \u0435 \u0438\u0437\u0442\u0440\u0438\u0442\u043E! \u0417\u0430\u0440\u0435\u0434\u0435\u043D\u0438 \u0441\u0430 \u043D\u0430\u0447\u0430\u043B\u043D\u0438\u0442\u0435 \u0434\u0430\u043D\u043D\u0438. / Everything deleted! Defaults reloaded.');
+          });
       });
     }
 
@@ -1453,11 +3092,14 @@
       case 'video':
         data = {
           title: $('video-title').value,
+          slug: $('video-slug').value,
           youtubeUrl: $('video-youtube-url').value,
           uploadUrl: $('video-upload-url').value,
-          gametag: $('video-gametag').value,
+          tags: getPickerTags('video'),
           category: $('video-category').value,
           description: $('video-description').value,
+          status: $('video-status').value,
+          publishAt: $('video-publish-at').value,
           date: $('video-date').value,
           type: document.querySelector('input[name="video-type"]:checked').value
         };
@@ -1465,19 +3107,25 @@
       case 'screenshot':
         data = {
           title: $('screenshot-title').value,
+          slug: $('screenshot-slug').value,
           uploadUrl: $('screenshot-upload-url').value,
-          gametag: $('screenshot-gametag').value,
+          tags: getPickerTags('screenshot'),
           category: $('screenshot-category').value,
           caption: $('screenshot-caption').value,
+          status: $('screenshot-status').value,
+          publishAt: $('screenshot-publish-at').value,
           date: $('screenshot-date').value
         };
         break;
       case 'post':
         data = {
           title: $('post-title').value,
+          slug: $('post-slug').value,
           content: $('post-editor').innerHTML,
-          gametag: $('post-gametag').value,
+          tags: getPickerTags('post'),
           excerpt: $('post-excerpt').value,
+          status: $('post-status').value,
+          publishAt: $('post-publish-at').value,
           date: $('post-date').value
         };
         break;
@@ -1486,7 +3134,13 @@
           title: $('stream-title').value,
           url: $('stream-url').value,
           isLive: $('stream-is-live').checked,
-          gametag: $('stream-gametag').value,
+          tags: getPickerTags('stream'),
+          status: $('stream-status').value,
+          publishAt: $('stream-publish-at').value,
+          start: $('stream-start').value,
+          duration: $('stream-duration').value,
+          timezone: $('stream-timezone').value,
+          repeat: readRepeatFields(null),
           date: $('stream-date').value
         };
         break;
@@ -1518,30 +3172,33 @@
     switch (tabName) {
       case 'video':
         if (data.title) $('video-title').value = data.title;
+        if (data.slug) $('video-slug').value = data.slug;
+        updateSlugHint('video');
         if (data.youtubeUrl) $('video-youtube-url').value = data.youtubeUrl;
         if (data.uploadUrl) $('video-upload-url').value = data.uploadUrl;
-        if (data.gametag) $('video-gametag').value = data.gametag;
+        if (data.tags) setPickerTags('video', data.tags);
         if (data.category) $('video-category').value = data.category;
         if (data.description) $('video-description').value = data.description;
+        if (data.status) $('video-status').value = data.status;
+        if (data.publishAt) $('video-publish-at').value = data.publishAt;
+        syncScheduleField('video');
         if (data.type === 'upload') {
           $('video-type-upload').checked = true;
           $('video-youtube-section').style.display = 'none';
           $('video-upload-section').style.display = '';
         }
-        // Trigger YT preview if URL exists
-        if (data.youtubeUrl) {
-          var ytId = extractYouTubeId(data.youtubeUrl);
-          if (ytId) {
-            $('video-yt-iframe-wrapper').innerHTML = '<iframe style="position:absolute;inset:0;width:100%;height:100%;border:none;" src="https://www.youtube.com/embed/' + ytId + '" allowfullscreen></iframe>';
-            $('video-yt-preview').style.display = '';
-          }
-        }
+        if (data.youtubeUrl) showVideoPreview(data.youtubeUrl);
         break;
       case 'screenshot':
         if (data.title) $('screenshot-title').value = data.title;
-        if (data.gametag) $('screenshot-gametag').value = data.gametag;
+        if (data.slug) $('screenshot-slug').value = data.slug;
+        updateSlugHint('screenshot');
+        if (data.tags) setPickerTags('screenshot', data.tags);
         if (data.category) $('screenshot-category').value = data.category;
         if (data.caption) $('screenshot-caption').value = data.caption;
+        if (data.status) $('screenshot-status').value = data.status;
+        if (data.publishAt) $('screenshot-publish-at').value = data.publishAt;
+        syncScheduleField('screenshot');
         if (data.uploadUrl) {
           $('screenshot-upload-url').value = data.uploadUrl;
           $('screenshot-preview-img').src = data.uploadUrl;
@@ -1550,15 +3207,28 @@
         break;
       case 'post':
         if (data.title) $('post-title').value = data.title;
+        if (data.slug) $('post-slug').value = data.slug;
+        updateSlugHint('post');
         if (data.content) $('post-editor').innerHTML = data.content;
-        if (data.gametag) $('post-gametag').value = data.gametag;
+        if (data.tags) setPickerTags('post', data.tags);
         if (data.excerpt) $('post-excerpt').value = data.excerpt;
+        if (data.status) $('post-status').value = data.status;
+        if (data.publishAt) $('post-publish-at').value = data.publishAt;
+        syncScheduleField('post');
         break;
       case 'stream':
         if (data.title) $('stream-title').value = data.title;
         if (data.url) $('stream-url').value = data.url;
+        updateEmbedHint();
         if (data.isLive) $('stream-is-live').checked = true;
-        if (data.gametag) $('stream-gametag').value = data.gametag;
+        if (data.tags) setPickerTags('stream', data.tags);
+        if (data.status) $('stream-status').value = data.status;
+        if (data.publishAt) $('stream-publish-at').value = data.publishAt;
+        syncScheduleField('stream');
+        if (data.start) $('stream-start').value = data.start;
+        if (data.duration) $('stream-duration').value = data.duration;
+        if (data.timezone) renderTimeZoneOptions(data.timezone);
+        if (data.repeat) setRepeatFields(data.repeat);
         break;
     }
   }
@@ -1583,29 +3253,32 @@
   /** Set up auto-save listeners for all form inputs. */
   function setupAutoSave() {
     // Video form inputs
-    ['video-title', 'video-youtube-url', 'video-gametag', 'video-category', 'video-description', 'video-date'].forEach(function (id) {
+    ['video-title', 'video-slug', 'video-youtube-url', 'video-category', 'video-description', 'video-date'].forEach(function (id) {
       var el = $(id);
       if (el) el.addEventListener('input', function () { saveDraft('video'); });
     });
 
     // Screenshot form inputs
-    ['screenshot-title', 'screenshot-gametag', 'screenshot-category', 'screenshot-caption', 'screenshot-date'].forEach(function (id) {
+    ['screenshot-title', 'screenshot-slug', 'screenshot-category', 'screenshot-caption', 'screenshot-date'].forEach(function (id) {
       var el = $(id);
       if (el) el.addEventListener('input', function () { saveDraft('screenshot'); });
     });
 
     // Post form inputs
-    ['post-title', 'post-gametag', 'post-excerpt', 'post-date'].forEach(function (id) {
+    ['post-title', 'post-slug', 'post-excerpt', 'post-date'].forEach(function (id) {
       var el = $(id);
       if (el) el.addEventListener('input', function () { saveDraft('post'); });
     });
 
     // Stream form inputs
-    ['stream-title', 'stream-url', 'stream-gametag', 'stream-date'].forEach(function (id) {
+    ['stream-title', 'stream-url', 'stream-start', 'stream-duration', 'stream-repeat-interval', 'stream-repeat-until', 'stream-date'].forEach(function (id) {
       var el = $(id);
       if (el) el.addEventListener('input', function () { saveDraft('stream'); });
     });
     $('stream-is-live').addEventListener('change', function () { saveDraft('stream'); });
+    $('stream-timezone').addEventListener('change', function () { saveDraft('stream'); });
+    $('stream-repeat').addEventListener('change', function () { saveDraft('stream'); });
+    $('stream-repeat-weekdays').addEventListener('change', function () { saveDraft('stream'); });
   }
 
   // =====================================================================
@@ -1644,6 +3317,99 @@
     }, 3000);
   }
 
+  /** Show the publish-at input only while a form's status is "scheduled". */
+  function syncScheduleField(formType) {
+    var scheduled = $(formType + '-status').value === 'scheduled';
+    $(formType + '-publish-at-group').style.display = scheduled ? '' : 'none';
+  }
+
+  /** Wire the status selects of all four forms to their publish-at input. */
+  function initScheduleFields() {
+    ['video', 'screenshot', 'post', 'stream'].forEach(function (formType) {
+      $(formType + '-status').addEventListener('change', function () {
+        syncScheduleField(formType);
+      });
+      syncScheduleField(formType);
+    });
+  }
+
+  /**
+   * Save a form's entry through ContentStore (update when editId is set,
+   * add otherwise). Validation failures are shown next to the form inputs.
+   * @returns {Object|null} The stored entry, or null if it was rejected.
+   */
+  function persistEntry(formType, editId, entry) {
+    // Switching a draft to published in the form stamps the publish date
+    var existing = editId ? ContentStore.getById(editId) : null;
+    if (existing && existing.status !== 'published' && entry.status === 'published') {
+      entry.date = todayISO();
+    }
+    // A scheduled entry is dated by the day it goes public
+    var publishDate = toLocalDateTime(entry.status === 'scheduled' ? entry.publishAt : '');
+    if (publishDate) {
+      entry.date = publishDate.slice(0, 10);
+    }
+
+    try {
+      var saved = editId ? ContentStore.update(editId, entry) : ContentStore.add(entry);
+      updateHistoryButtons();
+      return saved;
+    } catch (err) {
+      if (err instanceof ContentStore.ValidationError) {
+        showFieldErrors(formType, err.errors);
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /** Resolve the input element that shows errors for a form field. */
+  function fieldInput(formType, field) {
+    var target = (FIELD_INPUTS[formType] || {})[field];
+    if (typeof target === 'function') target = target();
+    return target ? $(target) : null;
+  }
+
+  /**
+   * Mark inputs with ContentStore validation errors and put a message under
+   * each one. Also shows the first message as a toast.
+   * @param {string} formType - 'video', 'screenshot', 'post' or 'stream'.
+   * @param {Array}  errors   - { field, code, message } objects.
+   */
+  function showFieldErrors(formType, errors) {
+    var first = null;
+    errors.forEach(function (err) {
+      var input = fieldInput(formType, err.field);
+      var text = FIELD_ERROR_TEXT[err.code] || err.message;
+      if (!first) first = { input: input, text: text };
+      if (!input || input.getAttribute('data-has-error')) return;
+
+      input.classList.add('error');
+      input.setAttribute('data-has-error', formType);
+      var msg = document.createElement('p');
+      msg.className = 'form-error-text';
+      msg.setAttribute('data-field-error', formType);
+      msg.textContent = text;
+      input.insertAdjacentElement('afterend', msg);
+    });
+
+    if (first) {
+      showError('\u274C ' + first.text);
+      if (first.input && typeof first.input.focus === 'function') first.input.focus();
+    }
+  }
+
+  /** Remove all validation error markers from a form. */
+  function clearFieldErrors(formType) {
+    document.querySelectorAll('[data-field-error="' + formType + '"]').forEach(function (el) {
+      el.parentNode.removeChild(el);
+    });
+    document.querySelectorAll('[data-has-error="' + formType + '"]').forEach(function (input) {
+      input.classList.remove('error');
+      input.removeAttribute('data-has-error');
+    });
+  }
+
   /** Show a reusable confirmation modal. */
   function showConfirmModal(title, message, onConfirm) {
     var modal = $('modal-confirm');
@@ -1680,23 +3446,13 @@
   // O) HTML ESCAPING UTILITIES
   // =====================================================================
 
+  // One escaper for text and attributes alike (js/utils.js)
   function escapeHtml(str) {
-    if (!str) return '';
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;');
+    return MonkaCraft.escapeHtml(str);
   }
 
   function escapeAttr(str) {
-    if (!str) return '';
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#39;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
+    return MonkaCraft.escapeHtml(str);
   }
 
   // =====================================================================
@@ -1710,6 +3466,35 @@
       return;
     }
 
+    // The admin panel works on drafts and scheduled entries too
+    ContentStore.setAdminMode(true);
+
+    // Writes happen in the background — surface failures as a banner
+    window.addEventListener('contentSaveStatus', function (e) {
+      updateSaveWarning(e.detail || {});
+    });
+
+    // Newer published content held back because of unpublished edits
+    window.addEventListener('contentRemoteUpdate', function (e) {
+      if ($('admin-dashboard').classList.contains('visible')) showRemoteUpdate(e.detail);
+    });
+
+    // Another admin tab saved or newer published content arrived —
+    // refresh lists (the undo history may have been reset)
+    window.addEventListener('contentChanged', function (e) {
+      if (!$('admin-dashboard').classList.contains('visible')) return;
+      if (e.detail && e.detail.types && e.detail.types.indexOf('site') !== -1) loadSiteSettings();
+      updateStats();
+      renderContentList();
+      renderTrashList();
+      renderTagList();
+      refreshTagPickers();
+      renderSeriesList();
+      renderSeriesItems();
+      renderFeedTagOptions();
+      updateHistoryButtons();
+    });
+
     ContentStore.init().then(function () {
       // Check for existing session
       if (checkAuth()) {
@@ -1739,6 +3524,29 @@
         }
       });
 
+      $('admin-save-warning-export').addEventListener('click', function () {
+        ContentStore.exportJSON({ full: true });
+      });
+
+      $('admin-remote-update-load').addEventListener('click', function () {
+        if (!ContentStore.acceptRemoteUpdate()) return;
+        hideRemoteUpdate();
+        updateStats();
+        renderContentList();
+        renderTrashList();
+        renderTagList();
+        refreshTagPickers();
+        renderSeriesList();
+        renderSeriesItems();
+        updateHistoryButtons();
+        showSuccess('\u{1F195} \u0417\u0430\u0440\u0435\u0434\u0435\u043D\u0430 \u0435 \u043F\u0443\u0431\u043B\u0438\u043A\u0443\u0432\u0430\u043D\u0430\u0442\u0430 \u0432\u0435\u0440\u0441\u0438\u044F! \u041C\u043E\u0436\u0435\u0448 \u0434\u0430 \u043E\u0442\u043C\u0435\u043D\u0438\u0448 \u0441 Ctrl+Z. / Published version loaded! Ctrl+Z to undo.');
+      });
+
+      $('admin-remote-update-keep').addEventListener('click', function () {
+        ContentStore.dismissRemoteUpdate();
+        hideRemoteUpdate();
+      });
+
       // ---- Logout ----
       $('btn-logout').addEventListener('click', function () {
         logout();
@@ -1752,19 +3560,45 @@
         });
       });
 
+      // ---- Undo / Redo ----
+      $('btn-undo').addEventListener('click', undoLast);
+      $('btn-redo').addEventListener('click', redoLast);
+      initHistoryShortcuts();
+
       // ---- Content search ----
       $('content-search').addEventListener('input', function () {
         renderContentList(this.value);
       });
 
+      // ---- Scheduled entry countdowns ----
+      setInterval(tickCountdowns, 30000);
+
+      // ---- Content status filter ----
+      document.querySelectorAll('#content-status-filter .filter-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+          activeStatus = this.getAttribute('data-status');
+          document.querySelectorAll('#content-status-filter .filter-btn').forEach(function (b) {
+            b.classList.toggle('active', b === btn);
+          });
+          renderContentList();
+        });
+      });
+
       // ---- Initialize all tab handlers ----
-      initVideoTab();
-      initScreenshotTab();
-      initPostTab();
-      initStreamTab();
-      initChatTab();
-      initSettingsTab();
-      setupAutoSave();
+      // Each on its own: a part that fails (say, a missing element) is
+      // reported but does not leave the parts after it unwired
+      [
+        initVideoTab, initScreenshotTab, initPostTab, initStreamTab,
+        initSeriesTab, initChatTab, initScheduleFields, initTagPickers,
+        initSlugFields, initTagsTab, initTrashTab, initSettingsTab,
+        initFeedExport, initSitemapExport, initSiteSettings, setupAutoSave
+      ].forEach(function (initPart) {
+        try {
+          initPart();
+        } catch (err) {
+          console.error('[AdminPanel] ' + initPart.name + '() failed:', err);
+        }
+      });
     });
   }
 
@@ -1780,6 +3614,8 @@
     showConfirmModal: showConfirmModal,
     updateStats: updateStats,
     renderContentList: renderContentList,
+    undo: undoLast,
+    redo: redoLast,
     hashPassphrase: hashPassphrase,
     logout: logout
   };
@@ -2,42 +2,273 @@
  * app.js — MonkaCraft Shared Layout & Effects
  *
  * Injects header (sticky nav), footer (social + stats + creeper),
- * mouse torch/glow cursor, and page-load animations.
- * Relies on ContentStore from content.js being loaded first.
+ * mouse torch/glow cursor, and page-load animations. The LIVE badge
+ * and footer stats follow ContentStore's `contentChanged` event.
+ * Relies on SiteConfig (site-config.js), ContentStore (content.js) and
+ * the shared helpers (utils.js) being loaded first.
  */
 (function () {
   'use strict';
 
   /* ----------------------------------------------------------
      A) HELPER: getBasePath()
-     Returns '' when at root, '../' when inside pages/ subdir.
+     Returns the site root (with a trailing slash) from
+     SiteConfig, so links work from any page however deep the
+     site is hosted. Falls back to '' — relative to the page —
+     when site-config.js is not loaded.
      ---------------------------------------------------------- */
   function getBasePath() {
-    var path = window.location.pathname.replace(/\\/g, '/');
-    if (path.indexOf('/pages/') !== -1) {
-      return '../';
-    }
-    return '';
+    return window.SiteConfig ? window.SiteConfig.root : '';
   }
 
   /* ----------------------------------------------------------
      B) Active page detection
-     Returns a key like 'home', 'streams', etc.
+     Returns a key like 'home', 'streams', etc. A page can name
+     its section with <body data-page="videos"> (the generated
+     permalink pages do); otherwise it comes from the page's
+     file name under pages/.
      ---------------------------------------------------------- */
+  var PAGE_KEYS = ['streams', 'videos', 'gallery', 'blog', 'search', 'series', 'admin'];
+
   function getActivePage() {
-    var path = window.location.pathname.replace(/\\/g, '/').toLowerCase();
-    if (path.indexOf('streams') !== -1) return 'streams';
-    if (path.indexOf('videos') !== -1) return 'videos';
-    if (path.indexOf('gallery') !== -1) return 'gallery';
-    if (path.indexOf('blog') !== -1) return 'blog';
-    if (path.indexOf('admin') !== -1) return 'admin';
-    return 'home';
+    var named = document.body && document.body.getAttribute('data-page');
+    if (named) return named;
+    var path = window.SiteConfig ? window.SiteConfig.pagePath() : '';
+    var match = /^pages\/([a-z]+)\.html$/i.exec(path);
+    var key = match && match[1].toLowerCase();
+    return PAGE_KEYS.indexOf(key) !== -1 ? key : 'home';
+  }
+
+  /* ----------------------------------------------------------
+     B-b) escapeAttr()
+     Escapes a string for use inside an HTML attribute value —
+     MonkaCraft.escapeHtml from js/utils.js.
+     ---------------------------------------------------------- */
+  var escapeAttr = window.MonkaCraft.escapeHtml;
+
+  /* ----------------------------------------------------------
+     B-c) tagBadges()
+     Builds the colored tag chips for an entry's tags array,
+     using the color and icon from the tag registry (colors
+     via MonkaCraft.tagStyle from js/utils.js).
+     ---------------------------------------------------------- */
+  var tagStyle = window.MonkaCraft.tagStyle;
+
+  function tagBadges(tags) {
+    if (!tags || !tags.length || !window.ContentStore) return '';
+    return tags.map(function (name) {
+      var tag = ContentStore.getTag(name);
+      return '<span class="tag" style="' + escapeAttr(tagStyle(tag.color)) + '">' +
+        (tag.icon ? escapeAttr(tag.icon) + ' ' : '') + escapeAttr(tag.name) +
+        '</span>';
+    }).join(' ');
+  }
+
+  /* ----------------------------------------------------------
+     B-d) renderTagFilters()
+     Fills a filter bar with one button per tag in use by the
+     given content type. Buttons are inserted right after the
+     group's "All" button and carry the tag name in `attr`.
+     Returns the filter that should stay active — 'all' when
+     the previously active tag no longer exists.
+     ---------------------------------------------------------- */
+  function renderTagFilters(group, type, attr, active) {
+    if (!group || !window.ContentStore) return active;
+
+    var old = group.querySelectorAll('.tag-filter');
+    for (var i = 0; i < old.length; i++) {
+      old[i].parentNode.removeChild(old[i]);
+    }
+
+    var found = false;
+    var html = ContentStore.getTags(type).filter(function (tag) {
+      return tag.count > 0;
+    }).map(function (tag) {
+      if (tag.name === active) found = true;
+      return '<button class="filter-btn tag-filter' + (tag.name === active ? ' active' : '') + '" ' +
+        attr + '="' + escapeAttr(tag.name) + '">' +
+        (tag.icon ? escapeAttr(tag.icon) + ' ' : '') + escapeAttr(tag.name) +
+        '</button>';
+    }).join('');
+
+    var allBtn = group.querySelector('[' + attr + '="all"]');
+    if (allBtn) {
+      allBtn.insertAdjacentHTML('afterend', html);
+    } else {
+      group.insertAdjacentHTML('afterbegin', html);
+    }
+
+    // A static button (e.g. a category) may hold the active filter instead
+    if (!found && group.querySelector('.filter-btn.active:not(.tag-filter)')) return active;
+    if (!found) {
+      if (allBtn) allBtn.classList.add('active');
+      return 'all';
+    }
+    return active;
+  }
+
+  /* ----------------------------------------------------------
+     B-e) seriesNav()
+     "Part 3 of 7" box with previous/next links for an entry
+     that belongs to a series ('' when it is in none). Links
+     carry data-series-type / data-series-id so a page can
+     open a part of its own type in place.
+     ---------------------------------------------------------- */
+  var SERIES_PAGES = { video: 'videos.html#v=', post: 'blog.html#p=' };
+
+  function pageHref(page) {
+    return getBasePath() + 'pages/' + page;
+  }
+
+  function seriesLink(member, className, label) {
+    if (!member) {
+      return '<span class="btn btn-sm btn-ghost ' + className + '" aria-disabled="true">' + label + '</span>';
+    }
+    return '<a class="btn btn-sm btn-ghost ' + className + '" ' +
+      'href="' + pageHref(SERIES_PAGES[member.type] + encodeURIComponent(member.entry.id)) + '" ' +
+      'data-series-type="' + member.type + '" data-series-id="' + escapeAttr(member.entry.id) + '" ' +
+      'title="' + escapeAttr(member.entry.title || '') + '">' + label + '</a>';
+  }
+
+  function seriesNav(entryId) {
+    if (!window.ContentStore) return '';
+    var pos = ContentStore.getSeriesPosition(entryId);
+    if (!pos) return '';
+
+    return '<nav class="series-nav" aria-label="Series">' +
+      '<a class="series-nav-title" href="' + pageHref('series.html?id=' + encodeURIComponent(pos.series.id)) + '">' +
+        '\uD83D\uDCDA ' + escapeAttr(pos.series.title) +
+      '</a>' +
+      '<span class="series-nav-part">' +
+        '\u0427\u0430\u0441\u0442 ' + pos.part + ' \u043E\u0442 ' + pos.total + ' / Part ' + pos.part + ' of ' + pos.total +
+      '</span>' +
+      '<div class="series-nav-buttons">' +
+        seriesLink(pos.prev, 'series-prev', '\u2190 \u041D\u0430\u0437\u0430\u0434 / Previous') +
+        seriesLink(pos.next, 'series-next', '\u041D\u0430\u043F\u0440\u0435\u0434 / Next \u2192') +
+      '</div>' +
+    '</nav>';
+  }
+
+  /* ----------------------------------------------------------
+     B-f) readUrlState() / writeUrlState() / activateFilter()
+     Page state (open item, filters, sort order) lives in the
+     hash as key=value pairs, e.g. videos.html#filter=PVP&v=<id>,
+     so every view can be shared. writeUrlState() pushes a new
+     history entry (or replaces the current one) only when the
+     hash actually changes; pages re-apply it on `popstate`.
+     ---------------------------------------------------------- */
+  function readUrlState() {
+    var state = {};
+    var hash = window.location.hash.replace(/^#/, '');
+    if (!hash) return state;
+
+    hash.split('&').forEach(function (pair) {
+      var eq = pair.indexOf('=');
+      if (eq < 1) return;
+      try {
+        state[decodeURIComponent(pair.slice(0, eq))] = decodeURIComponent(pair.slice(eq + 1));
+      } catch (e) {
+        // Malformed escape sequence — ignore this pair
+      }
+    });
+    return state;
+  }
+
+  function writeUrlState(state, replace) {
+    if (!window.history || !window.history.pushState) return;
+
+    var parts = [];
+    Object.keys(state).forEach(function (key) {
+      if (state[key] === undefined || state[key] === null || state[key] === '') return;
+      parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(state[key]));
+    });
+
+    var hash = parts.length ? '#' + parts.join('&') : '';
+    if (hash === window.location.hash) return;
+
+    var url = window.location.pathname + window.location.search + hash;
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }
+
+  // Marks the filter button whose `attr` equals value as active.
+  // Falls back to the "all" button and returns 'all' when no
+  // button matches (e.g. a stale tag in a shared link).
+  function activateFilter(group, attr, value) {
+    if (!group) return 'all';
+    var buttons = group.querySelectorAll('.filter-btn');
+    var found = false;
+
+    for (var i = 0; i < buttons.length; i++) {
+      var match = !found && buttons[i].getAttribute(attr) === value;
+      buttons[i].classList.toggle('active', match);
+      if (match) found = true;
+    }
+
+    if (found) return value;
+    var allBtn = group.querySelector('[' + attr + '="all"]');
+    if (allBtn) allBtn.classList.add('active');
+    return 'all';
+  }
+
+  /* ----------------------------------------------------------
+     B-g) tagFeedLinks()
+     Visible RSS and Atom links to the per-tag feeds
+     (feeds/<tag-slug>.xml, see js/feeds.js) of the given tags,
+     for readers to copy or open in their feed reader. Returns ''
+     when there are no tags, or on pages that do not load feeds.js.
+     ---------------------------------------------------------- */
+  var FEED_FORMATS = [
+    { format: 'rss', type: 'application/rss+xml', label: 'RSS' },
+    { format: 'atom', type: 'application/atom+xml', label: 'Atom' }
+  ];
+
+  function tagFeedLinks(tags) {
+    if (!window.FeedBuilder || !tags || !tags.length) return '';
+
+    var links = tags.map(function (name) {
+      var tag = window.ContentStore ? ContentStore.getTag(name) : { name: name };
+      return '<span class="tag-feeds-tag">' + escapeAttr(tag.name) + ': ' +
+        FEED_FORMATS.map(function (feed) {
+          return '<a href="' + escapeAttr(getBasePath() + FeedBuilder.fileName(feed.format, tag.name)) + '"' +
+            ' type="' + feed.type + '">' + feed.label + '</a>';
+        }).join(' \u00B7 ') +
+        '</span>';
+    });
+
+    return '<p class="tag-feeds">\uD83D\uDCE1 \u0410\u0431\u043E\u043D\u0430\u043C\u0435\u043D\u0442 / Follow ' +
+      links.join(' ') + '</p>';
+  }
+
+  /* ----------------------------------------------------------
+     B-h) Site settings
+     Navigation, social links, credits and the creeper come from
+     ContentStore (data/config.json or the admin Settings tab).
+     navKey() names the section a nav href points to, matching
+     getActivePage(): 'pages/videos.html' -> 'videos',
+     'index.html' -> 'home'.
+     ---------------------------------------------------------- */
+  function getSiteSettings() {
+    if (window.ContentStore && typeof window.ContentStore.getSiteSettings === 'function') {
+      return window.ContentStore.getSiteSettings();
+    }
+    return { nav: [], social: [], credits: '', creeper: false };
+  }
+
+  function navKey(href) {
+    var match = /(?:^|\/)([a-z0-9_-]+)\.html$/i.exec(String(href).split(/[?#]/)[0]);
+    if (!match) return /^(\.?\/)*$/.test(href) ? 'home' : '';
+    return match[1].toLowerCase() === 'index' ? 'home' : match[1].toLowerCase();
   }
 
   /* ----------------------------------------------------------
      C) injectHeader()
      Builds and inserts the sticky top navbar with logo,
-     nav links, hamburger, and live badge.
+     nav links (from the site settings), search box, hamburger,
+     and live badge.
      ---------------------------------------------------------- */
   function injectHeader() {
     var header = document.getElementById('header');
@@ -52,25 +283,28 @@
       isLive = false;
     }
 
-    var navLinks = [
-      { key: 'home',    href: base + 'index.html',          icon: '\uD83C\uDFE0', label: 'Home' },
-      { key: 'streams', href: base + 'pages/streams.html',  icon: '\uD83C\uDFAC', label: 'Streams' },
-      { key: 'videos',  href: base + 'pages/videos.html',   icon: '\uD83D\uDCF9', label: 'Videos' },
-      { key: 'gallery', href: base + 'pages/gallery.html',  icon: '\uD83D\uDDBC\uFE0F', label: 'Gallery' },
-      { key: 'blog',    href: base + 'pages/blog.html',     icon: '\uD83D\uDCDD', label: 'Blog' }
-    ];
-
-    // Fix hrefs for pages/ subdir — nav links should not double up paths
-    if (base === '../') {
-      navLinks[0].href = '../index.html';
-      navLinks[1].href = 'streams.html';
-      navLinks[2].href = 'videos.html';
-      navLinks[3].href = 'gallery.html';
-      navLinks[4].href = 'blog.html';
-    }
+    var navLinks = getSiteSettings().nav.map(function (link) {
+      var external = /^https?:\/\//i.test(link.href);
+      return {
+        key: external ? '' : navKey(link.href),
+        href: external ? link.href : base + link.href.replace(/^(\.?\/)+/, ''),
+        target: external ? ' target="_blank" rel="noopener noreferrer"' : '',
+        icon: escapeAttr(link.icon),
+        label: escapeAttr(link.label)
+      };
+    });
 
     var liveBadgeClass = isLive ? 'live-badge' : 'live-badge hidden';
 
+    // Search box — a plain GET form, so it works before scripts load too
+    var searchHref = base + 'pages/search.html';
+    var query = active === 'search' ? (new URLSearchParams(window.location.search).get('q') || '') : '';
+    var searchFormHTML =
+      '<form class="nav-search" role="search" action="' + searchHref + '" method="get">' +
+        '<input type="search" name="q" class="form-input" value="' + escapeAttr(query) + '" ' +
+          'placeholder="\u0422\u044A\u0440\u0441\u0438... / Search..." aria-label="Search">' +
+      '</form>';
+
     // Build desktop links HTML
     var desktopLinksHTML = '';
     for (var i = 0; i < navLinks.length; i++) {
@@ -81,7 +315,7 @@
         badge = ' <span class="' + liveBadgeClass + '">LIVE</span>';
       }
       desktopLinksHTML +=
-        '<a href="' + link.href + '" class="nav-link' + activeClass + '">' +
+        '<a href="' + escapeAttr(link.href) + '" class="nav-link' + activeClass + '"' + link.target + '>' +
         '<span class="nav-icon">' + link.icon + '</span> ' + link.label + badge +
         '</a>';
     }
@@ -96,7 +330,7 @@
         mBadge = ' <span class="' + liveBadgeClass + '">LIVE</span>';
       }
       mobileLinksHTML +=
-        '<a href="' + mLink.href + '" class="nav-link' + mActiveClass + '">' +
+        '<a href="' + escapeAttr(mLink.href) + '" class="nav-link' + mActiveClass + '"' + mLink.target + '>' +
         '<span class="nav-icon">' + mLink.icon + '</span> ' + mLink.label + mBadge +
         '</a>';
     }
@@ -104,10 +338,10 @@
     header.innerHTML =
       '<nav class="navbar" role="navigation" aria-label="Main navigation">' +
         '<div class="container">' +
-          '<a href="' + navLinks[0].href + '" class="nav-logo" aria-label="MonkaCraft Home">' +
+          '<a href="' + base + 'index.html" class="nav-logo" aria-label="MonkaCraft Home">' +
             '<img src="' + base + 'assets/logo.svg" alt="MonkaCraft Logo">' +
           '</a>' +
-          '<div class="nav-links">' + desktopLinksHTML + '</div>' +
+          '<div class="nav-links">' + desktopLinksHTML + searchFormHTML + '</div>' +
           '<button class="hamburger" aria-label="Toggle menu" aria-expanded="false">' +
             '<span class="bar"></span>' +
             '<span class="bar"></span>' +
@@ -115,7 +349,7 @@
           '</button>' +
         '</div>' +
       '</nav>' +
-      '<div class="nav-mobile" id="nav-mobile">' + mobileLinksHTML + '</div>';
+      '<div class="nav-mobile" id="nav-mobile">' + searchFormHTML + mobileLinksHTML + '</div>';
 
     // Hamburger toggle
     var hamburger = header.querySelector('.hamburger');
@@ -140,9 +374,29 @@
     }
   }
 
+  /* ----------------------------------------------------------
+     C-b) updateLiveBadges()
+     Shows/hides the LIVE badges already in the header without
+     rebuilding it (keeps the mobile menu open if it is).
+     ---------------------------------------------------------- */
+  function updateLiveBadges() {
+    var isLive = false;
+    try {
+      isLive = window.ContentStore && window.ContentStore.isLive();
+    } catch (e) {
+      isLive = false;
+    }
+
+    var badges = document.querySelectorAll('#header .live-badge');
+    for (var i = 0; i < badges.length; i++) {
+      badges[i].classList.toggle('hidden', !isLive);
+    }
+  }
+
   /* ----------------------------------------------------------
      D) injectFooter()
      Social links, credits, pixel creeper, and content stats.
+     Social links without a URL are left out.
      ---------------------------------------------------------- */
   function injectFooter() {
     var footer = document.getElementById('footer');
@@ -171,6 +425,16 @@
       'GGGGGGGG'
     ];
 
+    var site = getSiteSettings();
+    var socialHTML = site.social.filter(function (link) {
+      return link.url;
+    }).map(function (link) {
+      return '<a href="' + escapeAttr(link.url) + '" target="_blank" rel="noopener noreferrer" ' +
+        'aria-label="' + escapeAttr(link.label) + '" title="' + escapeAttr(link.label) + '">' +
+        escapeAttr(link.icon || link.label) +
+      '</a>';
+    }).join('');
+
     var creeperHTML = '<div class="pixel-creeper" title="Creeper? Aww man...">';
     for (var r = 0; r < creeperRows.length; r++) {
       for (var c = 0; c < creeperRows[r].length; c++) {
@@ -185,20 +449,14 @@
       }
     }
     creeperHTML += '</div>';
+    if (!site.creeper) creeperHTML = '';
 
     footer.className = 'site-footer';
     footer.innerHTML =
       '<div class="container">' +
         '<div class="footer-content">' +
-          '<div class="footer-social">' +
-            '<a href="#" target="_blank" rel="noopener noreferrer" aria-label="YouTube">' +
-              '\uD83D\uDCFA' +
-            '</a>' +
-            '<a href="#" target="_blank" rel="noopener noreferrer" aria-label="Twitch">' +
-              '\uD83D\uDFE3' +
-            '</a>' +
-          '</div>' +
-          '<p class="footer-credits">Built with \u2764\uFE0F by MonkaS</p>' +
+          (socialHTML ? '<div class="footer-social">' + socialHTML + '</div>' : '') +
+          (site.credits ? '<p class="footer-credits">' + escapeAttr(site.credits) + '</p>' : '') +
           '<div class="footer-stats">' +
             '\uD83D\uDCF9 <span>' + stats.videos + '</span> Videos | ' +
             '\uD83D\uDDBC\uFE0F <span>' + stats.screenshots + '</span> Screenshots | ' +
@@ -348,9 +606,30 @@
   });
 
   /* ----------------------------------------------------------
-     Expose getBasePath globally for page-specific scripts
+     I) Live updates — content changed in another tab
+     ---------------------------------------------------------- */
+  window.addEventListener('contentChanged', function (e) {
+    if (e.detail && e.detail.types && e.detail.types.indexOf('site') !== -1) {
+      injectHeader();
+    } else {
+      updateLiveBadges();
+    }
+    injectFooter();
+  });
+
+  /* ----------------------------------------------------------
+     Expose shared helpers globally for page-specific scripts
      ---------------------------------------------------------- */
   window.MonkaCraft = window.MonkaCraft || {};
   window.MonkaCraft.getBasePath = getBasePath;
+  window.MonkaCraft.injectHeader = injectHeader;
+  window.MonkaCraft.injectFooter = injectFooter;
+  window.MonkaCraft.tagBadges = tagBadges;
+  window.MonkaCraft.renderTagFilters = renderTagFilters;
+  window.MonkaCraft.seriesNav = seriesNav;
+  window.MonkaCraft.readUrlState = readUrlState;
+  window.MonkaCraft.writeUrlState = writeUrlState;
+  window.MonkaCraft.activateFilter = activateFilter;
+  window.MonkaCraft.tagFeedLinks = tagFeedLinks;
 
 })();
@@ -1,10 +1,43 @@
 /**
  * ContentStore — Data Access Layer for MonkaCraft
  *
- * Manages all site content (videos, screenshots, posts, streams) via
- * localStorage. On first visit, fetches data/content.json as seed data.
- * Exposes CRUD operations, filtering, sorting, import/export, and
- * live-stream status helpers.
+ * Manages all site content (videos, screenshots, posts, streams) in an
+ * in-memory cache persisted through a storage adapter (IndexedDB, falling
+ * back to localStorage). On first visit, fetches data/content.json as seed
+ * data.
+ * Exposes CRUD operations, filtering, sorting, full-text search,
+ * import/export, and live-stream status helpers. Deleted entries go to a trash collection
+ * and are auto-purged after a configurable number of days.
+ *
+ * Entries carry a `status` (draft / scheduled / published). Read methods
+ * only return published entries — and scheduled ones whose `publishAt`
+ * time has passed — unless setAdminMode(true) was called. A timer
+ * announces scheduled entries going public with a `contentChanged` event.
+ * The publish rule itself, like a few other helpers, comes from
+ * js/utils.js, which every page loads right after this file.
+ *
+ * Entries carry any number of `tags`. The tag registry (`tagRegistry`)
+ * gives each tag a color and icon; renaming or deleting a registered tag
+ * updates every entry that uses it.
+ *
+ * A `series` groups videos and posts into an ordered list (Let's Play
+ * episodes, tutorial parts); an entry belongs to at most one series.
+ *
+ * Videos, screenshots and posts carry a unique `slug` naming their static
+ * permalink page, p/<slug>.html.
+ *
+ * `site` holds the header navigation, footer social links, credits and
+ * creeper toggle; it is saved and backed up with the content.
+ *
+ * Mutations are journaled (last HISTORY_LIMIT operations) so the admin
+ * panel can undo() / redo() them within a session.
+ *
+ * Writes made in another tab are picked up automatically and announced
+ * with a `contentChanged` event on window ({ types, ids, source }).
+ *
+ * Every stored or imported data object carries a `schemaVersion`. Older
+ * data is upgraded by the MIGRATIONS pipeline on load, import and cloud
+ * fetch; data written by a newer version of the site is refused.
  *
  * Usage:
  *   await ContentStore.init();
@@ -17,19 +50,28 @@
 
   var STORAGE_KEY = 'monkacraft_content';
   var CLOUD_JSON_KEY = 'monkacraft_cloud_json_url';
+  var TRASH_DAYS_KEY = 'monkacraft_trash_days';
+  var SNAPSHOT_KEY = 'monkacraft_snapshot';
+
+  /** Days a deleted entry stays in the trash before auto-purge (0 = never). */
+  var DEFAULT_TRASH_DAYS = 30;
 
   /**
-   * Determine the correct path to data/content.json based on the current
-   * page location. Pages served from root (index.html) use "data/content.json".
-   * Pages inside a subdirectory (pages/*.html) use "../data/content.json".
+   * Current version of the content data format. Bump this together with a
+   * new step at the end of MIGRATIONS whenever the shape of the stored
+   * data changes.
    */
-  function _resolveContentPath() {
-    var pathname = window.location.pathname.replace(/\\/g, '/');
-    // Check if we are inside the pages/ subdirectory
-    if (pathname.indexOf('/pages/') !== -1) {
-      return '../data/content.json';
-    }
-    return 'data/content.json';
+  var SCHEMA_VERSION = 8;
+
+  /**
+   * Address of a file under data/ (content.json, config.json), from the
+   * site root that SiteConfig (site-config.js) worked out — so it is right
+   * on every page, however deep the site is hosted. Without SiteConfig the
+   * path is taken relative to the page.
+   */
+  function _resolveDataPath(file) {
+    var path = 'data/' + file;
+    return window.SiteConfig ? window.SiteConfig.url(path) : path;
   }
 
   /**
@@ -85,315 +127,3479 @@
   }
 
   // -----------------------------------------------------------------------
-  // Internal data cache — populated on init(), kept in sync with localStorage
+  // Schema migrations
   // -----------------------------------------------------------------------
-  var _data = null;
+
+  /**
+   * Ordered list of migration steps. Each step upgrades a data object from
+   * version `to - 1` to version `to`. Data without a schemaVersion field is
+   * treated as version 0 (written before versioning existed).
+   *
+   * Steps receive the data object, may mutate it, and must return it.
+   */
+  var MIGRATIONS = [
+    {
+      to: 1,
+      description: 'Stamp legacy data: drop malformed entries, fill missing id/type',
+      up: function (data) {
+        Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+          if (!Array.isArray(data[key])) {
+            data[key] = [];
+            return;
+          }
+          data[key] = data[key].filter(function (entry) {
+            return entry && typeof entry === 'object' && !Array.isArray(entry);
+          });
+          data[key].forEach(function (entry) {
+            if (!entry.id) entry.id = _generateId();
+            entry.type = PLURAL_TO_SINGULAR[key];
+          });
+        });
+        return data;
+      }
+    },
+    {
+      to: 2,
+      description: 'Convert dd/mm/yy dates written by the old admin forms to YYYY-MM-DD',
+      up: function (data) {
+        Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+          (data[key] || []).forEach(function (entry) {
+            var m = typeof entry.date === 'string' && entry.date.match(/^(\d{1,2})[\/.](\d{1,2})[\/.](\d{2}|\d{4})$/);
+            if (!m) return;
+            var year = m[3].length === 2 ? '20' + m[3] : m[3];
+            entry.date = year + '-' + ('0' + m[2]).slice(-2) + '-' + ('0' + m[1]).slice(-2);
+          });
+        });
+        return data;
+      }
+    },
+    {
+      to: 3,
+      description: 'Add the trash collection for soft-deleted entries',
+      up: function (data) {
+        if (!Array.isArray(data.trash)) data.trash = [];
+        return data;
+      }
+    },
+    {
+      to: 4,
+      description: 'Mark every existing entry as published',
+      up: function (data) {
+        Object.keys(PLURAL_TO_SINGULAR).concat('trash').forEach(function (key) {
+          (data[key] || []).forEach(function (entry) {
+            if (!entry.status) entry.status = 'published';
+          });
+        });
+        return data;
+      }
+    },
+    {
+      to: 5,
+      description: 'Replace the single gameTag with a tags array and add the tag registry',
+      up: function (data) {
+        var names = DEFAULT_TAGS.map(function (tag) { return tag.name; });
+        Object.keys(PLURAL_TO_SINGULAR).concat('trash').forEach(function (key) {
+          (data[key] || []).forEach(function (entry) {
+            if (!Array.isArray(entry.tags)) {
+              entry.tags = entry.gameTag ? [String(entry.gameTag)] : [];
+            }
+            delete entry.gameTag;
+            entry.tags.forEach(function (name) {
+              if (!_findByName(names, name)) names.push(name);
+            });
+          });
+        });
+        if (!Array.isArray(data.tagRegistry)) {
+          data.tagRegistry = names.map(function (name) {
+            var preset = _findByName(DEFAULT_TAGS, name);
+            // Derived from the name, so every visitor migrating the same
+            // published file ends up with identical data
+            return {
+              id: 'tag-' + name.toLowerCase().replace(/\s+/g, '-'),
+              name: name,
+              color: preset ? preset.color : DEFAULT_TAG_COLOR,
+              icon: preset ? preset.icon : ''
+            };
+          });
+        }
+        return data;
+      }
+    },
+    {
+      to: 6,
+      description: 'Add the series collection for ordered video/post groups',
+      up: function (data) {
+        if (!Array.isArray(data.series)) data.series = [];
+        return data;
+      }
+    },
+    {
+      to: 7,
+      description: 'Give every video, screenshot and post a permalink slug',
+      up: function (data) {
+        return _assignSlugs(data);
+      }
+    },
+    {
+      to: 8,
+      description: 'Add site settings (navigation, social links, footer)',
+      up: function (data) {
+        data.site = _normalizeSite(data.site);
+        return data;
+      }
+    }
+  ];
+
+  /**
+   * Read the schema version of a data object (0 when absent or invalid).
+   */
+  function _schemaVersionOf(obj) {
+    var v = obj && obj.schemaVersion;
+    return (typeof v === 'number' && v >= 0 && Math.floor(v) === v) ? v : 0;
+  }
+
+  /**
+   * _migrate(obj) — Upgrade a data object to SCHEMA_VERSION by running every
+   * pending migration step in order.
+   *
+   * @param {Object} obj - Raw data object (from localStorage, a file or a fetch).
+   * @returns {Object} The migrated data object.
+   * @throws {Error} With code 'SCHEMA_TOO_NEW' if the data was written by a
+   *                 newer schema version.
+   */
+  function _migrate(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      obj = {};
+    }
+
+    var version = _schemaVersionOf(obj);
+    if (version > SCHEMA_VERSION) {
+      var err = new Error(
+        'This content was saved by a newer version of MonkaCraft (schema v' + version +
+        ', this site supports up to v' + SCHEMA_VERSION + '). Update the site files first.'
+      );
+      err.code = 'SCHEMA_TOO_NEW';
+      throw err;
+    }
+
+    for (var i = 0; i < MIGRATIONS.length; i++) {
+      var step = MIGRATIONS[i];
+      if (step.to <= version) continue;
+      obj = step.up(obj) || obj;
+      obj.schemaVersion = step.to;
+      version = step.to;
+    }
+
+    obj.schemaVersion = SCHEMA_VERSION;
+    return obj;
+  }
 
   // -----------------------------------------------------------------------
-  // Private helpers
+  // Entry validation
   // -----------------------------------------------------------------------
 
+  /** Tags every new registry starts with (they replaced the old gameTag). */
+  var DEFAULT_TAGS = [
+    { name: 'Minecraft', color: '#00ff88', icon: '\u26CF\uFE0F' },
+    { name: 'Roblox', color: '#00d4ff', icon: '\u{1F3B2}' },
+    { name: 'Other', color: '#ff3388', icon: '\u{1F3AE}' }
+  ];
+
+  /** Color of tags used on entries but not (yet) in the registry. */
+  var DEFAULT_TAG_COLOR = '#8888aa';
+
+  var TAG_COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
   /**
-   * _save() — Serialize the current in-memory data object to localStorage.
-   * Also triggers auto-backup to Cloudinary if configured.
+   * Find the item (a tag object, or a plain name) whose name equals `name`,
+   * ignoring case. Returns the item or null.
    */
-  function _save() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(_data));
-    } catch (e) {
-      console.error('[ContentStore] Failed to save to localStorage:', e);
+  function _findByName(list, name) {
+    var lower = String(name || '').toLowerCase();
+    for (var i = 0; i < list.length; i++) {
+      var itemName = typeof list[i] === 'string' ? list[i] : list[i].name;
+      if (String(itemName).toLowerCase() === lower) return list[i];
     }
+    return null;
   }
 
   /**
-   * _load() — Deserialize data from localStorage into the in-memory cache.
-   * Returns true if data was found and loaded, false otherwise.
+   * Publication states. Only 'published' entries reach the public pages;
+   * drafts and scheduled entries are visible in admin mode only.
    */
-  function _load() {
-    try {
-      var raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) {
-        _data = JSON.parse(raw);
-        return true;
-      }
-    } catch (e) {
-      console.error('[ContentStore] Failed to load from localStorage:', e);
+  var STATUSES = ['draft', 'scheduled', 'published'];
+
+  /** Categories offered by the admin forms, per type. */
+  var CATEGORIES = {
+    video: ["Let's Play", 'Tutorial', 'Funny Moments', 'PVP', 'Building'],
+    screenshot: ['Build', 'PVP', 'Funny', 'Landscape', 'Achievement']
+  };
+
+  /**
+   * Per-type rules: fields that must be non-empty, fields that must hold an
+   * http(s) URL when present, and enumerated fields with their allowed values.
+   */
+  var ENTRY_RULES = {
+    video: {
+      required: ['title', 'url', 'date'],
+      urls: ['url', 'thumbnail'],
+      enums: { category: CATEGORIES.video, videoType: ['youtube', 'upload'], status: STATUSES }
+    },
+    screenshot: {
+      required: ['title', 'url', 'date'],
+      urls: ['url', 'thumbnail'],
+      enums: { category: CATEGORIES.screenshot, status: STATUSES }
+    },
+    post: {
+      required: ['title', 'content', 'date'],
+      urls: [],
+      enums: { status: STATUSES }
+    },
+    stream: {
+      required: ['title', 'url', 'date'],
+      urls: ['url', 'thumbnail'],
+      enums: { status: STATUSES }
     }
-    return false;
+  };
+
+  /**
+   * ValidationError — thrown by add()/update() and rejected by importJSON()
+   * when entries break the rules above. `errors` holds one
+   * { field, code, message } object per problem (import errors also carry
+   * the entry's type and id) so forms can show each next to its input.
+   *
+   * Codes: 'required', 'url', 'date', 'enum', 'type', 'tags', 'slug' (plus
+   * 'duplicate' and 'color' for saveTag(), and 'series' for
+   * saveSeries()). saveSiteSettings() uses 'required' and 'url', with the
+   * row `index` of the bad link.
+   * Scheduled entries also need a valid `publishAt` date-time. Planned
+   * streams use 'date' for `start`, 'duration', 'timezone' and 'repeat';
+   * replays use 'date' for `streamedAt`.
+   */
+  function ValidationError(errors) {
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.message = errors.map(function (e) { return e.message; }).slice(0, 3).join(' ') +
+      (errors.length > 3 ? ' (+' + (errors.length - 3) + ' more)' : '');
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ValidationError);
+    }
+  }
+  ValidationError.prototype = Object.create(Error.prototype);
+  ValidationError.prototype.constructor = ValidationError;
+
+  function _isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '' ||
+      (typeof value === 'string' && value.trim() === '<br>');
+  }
+
+  function _isHttpUrl(value) {
+    return typeof value === 'string' && /^https?:\/\/[^\s\/?#]+([\/?#]\S*)?$/i.test(value.trim());
   }
 
   /**
-   * _getData() — Return the full data object (the in-memory cache).
+   * Accepts YYYY-MM-DD, optionally followed by an ISO time part, as long as
+   * it names a real calendar date.
    */
-  function _getData() {
-    return _data;
+  function _isISODate(value) {
+    if (typeof value !== 'string') return false;
+    var m = value.match(/^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (!m) return false;
+    var d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
   }
 
   /**
-   * Ensure the data object has all expected top-level arrays.
+   * _validateEntry(entry, type) — Check an entry against ENTRY_RULES.
+   *
+   * @param {Object} entry - The entry to check.
+   * @param {string} type  - Singular type the entry must belong to.
+   * @returns {Array} Error objects; empty when the entry is valid.
    */
-  function _ensureStructure(obj) {
-    if (!obj || typeof obj !== 'object') {
-      obj = {};
+  function _validateEntry(entry, type) {
+    var errors = [];
+    var rules = ENTRY_RULES[type];
+
+    if (!rules) {
+      return [{ field: 'type', code: 'type', message: 'Unknown content type "' + type + '".' }];
     }
-    if (!Array.isArray(obj.videos)) obj.videos = [];
-    if (!Array.isArray(obj.screenshots)) obj.screenshots = [];
-    if (!Array.isArray(obj.posts)) obj.posts = [];
-    if (!Array.isArray(obj.streams)) obj.streams = [];
-    return obj;
+    if (entry.type && entry.type !== type) {
+      errors.push({ field: 'type', code: 'type', message: 'Entry type "' + entry.type + '" does not match "' + type + '".' });
+    }
+
+    rules.required.forEach(function (field) {
+      if (_isBlank(entry[field])) {
+        errors.push({ field: field, code: 'required', message: 'The ' + field + ' field is required.' });
+      }
+    });
+
+    rules.urls.forEach(function (field) {
+      if (!_isBlank(entry[field]) && !_isHttpUrl(entry[field])) {
+        errors.push({ field: field, code: 'url', message: 'The ' + field + ' field must be an http(s) link.' });
+      }
+    });
+
+    if (!_isBlank(entry.date) && !_isISODate(entry.date)) {
+      errors.push({ field: 'date', code: 'date', message: 'The date must look like YYYY-MM-DD.' });
+    }
+
+    if (entry.tags !== undefined && (!Array.isArray(entry.tags) || entry.tags.some(function (tag) {
+      return typeof tag !== 'string' || _isBlank(tag);
+    }))) {
+      errors.push({ field: 'tags', code: 'tags', message: 'The tags field must be a list of tag names.' });
+    }
+
+    if (SLUG_TYPES.indexOf(type) !== -1 && !_isBlank(entry.slug) && !SLUG_RE.test(entry.slug)) {
+      errors.push({ field: 'slug', code: 'slug', message: 'The slug may only contain a-z, 0-9 and single dashes.' });
+    }
+
+    if (!_isBlank(entry.start) && !_isStreamStart(entry.start)) {
+      errors.push({ field: 'start', code: 'date', message: 'The start must look like YYYY-MM-DDTHH:mm.' });
+    }
+    if (!_isBlank(entry.duration) && !(Number(entry.duration) >= 1 && Number(entry.duration) <= 1440 &&
+        Math.floor(entry.duration) === Number(entry.duration))) {
+      errors.push({ field: 'duration', code: 'duration', message: 'The duration must be whole minutes between 1 and 1440.' });
+    }
+    if (!_isBlank(entry.timezone) && !_isTimeZone(entry.timezone)) {
+      errors.push({ field: 'timezone', code: 'timezone', message: 'Unknown time zone "' + entry.timezone + '".' });
+    }
+    if (entry.repeat !== undefined && entry.repeat !== null && entry.repeat !== '' && _repeatProblem(entry)) {
+      errors.push({ field: 'repeat', code: 'repeat', message: _repeatProblem(entry) });
+    }
+
+    if (!_isBlank(entry.streamedAt) && !_isISODate(entry.streamedAt)) {
+      errors.push({ field: 'streamedAt', code: 'date', message: 'The streamedAt field must be a valid date and time.' });
+    }
+
+    if (!_isBlank(entry.publishAt) && isNaN(Date.parse(entry.publishAt))) {
+      errors.push({ field: 'publishAt', code: 'date', message: 'The publishAt field must be a valid date and time.' });
+    } else if (String(entry.status || '').toLowerCase() === 'scheduled' && _isBlank(entry.publishAt)) {
+      errors.push({ field: 'publishAt', code: 'required', message: 'Scheduled entries need a publishAt time.' });
+    }
+
+    Object.keys(rules.enums).forEach(function (field) {
+      if (_isBlank(entry[field])) return;
+      var allowed = rules.enums[field];
+      var value = String(entry[field]).toLowerCase();
+      var ok = allowed.some(function (a) { return a.toLowerCase() === value; });
+      if (!ok) {
+        errors.push({ field: field, code: 'enum', message: 'The ' + field + ' must be one of: ' + allowed.join(', ') + '.' });
+      }
+    });
+
+    return errors;
   }
 
   /**
-   * Sort an array of entries by date descending (newest first).
+   * Validate every entry of a whole data object (used by importJSON).
+   * Each error is tagged with the entry's type and id.
    */
-  function _sortByDateDesc(arr) {
-    return arr.slice().sort(function (a, b) {
-      return new Date(b.date) - new Date(a.date);
+  function _validateData(obj) {
+    var errors = [];
+    Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+      var type = PLURAL_TO_SINGULAR[key];
+      (obj[key] || []).forEach(function (entry) {
+        _validateEntry(entry, type).forEach(function (err) {
+          err.type = type;
+          err.id = entry.id;
+          err.message = '[' + type + ' "' + (entry.title || entry.id) + '"] ' + err.message;
+          errors.push(err);
+        });
+      });
     });
+    return errors;
   }
 
   // -----------------------------------------------------------------------
-  // Public API
+  // Storage adapters
   // -----------------------------------------------------------------------
+  //
+  // An adapter persists JSON strings under string keys:
+  //   { name, read(key) -> Promise<string|null>,
+  //     write(key, value) -> Promise, remove(key) -> Promise }
+  // Reads go through the in-memory cache, so adapters are only touched on
+  // init() and when saving.
 
-  var ContentStore = {
+  var IDB_NAME = 'monkacraft';
+  var IDB_STORE = 'kv';
 
-    /**
-     * init() — Initialise the content store.
-     *
-     * If localStorage already contains data under STORAGE_KEY, use that.
-     * Otherwise, fetch data/content.json (adjusting the relative path for
-     * pages served from a subdirectory) and seed localStorage.
-     *
-     * Returns a Promise that resolves when the store is ready.
-     */
-    init: function () {
-      return new Promise(function (resolve, reject) {
-        // Try loading from localStorage first
-        if (_load()) {
-          _data = _ensureStructure(_data);
-          resolve(_data);
-          return;
+  /** localStorage adapter — the fallback when IndexedDB is unavailable. */
+  var LocalStorageAdapter = {
+    name: 'localStorage',
+    read: function (key) {
+      return new Promise(function (resolve) {
+        resolve(localStorage.getItem(key));
+      });
+    },
+    write: function (key, value) {
+      return new Promise(function (resolve) {
+        localStorage.setItem(key, value);
+        resolve();
+      });
+    },
+    remove: function (key) {
+      return new Promise(function (resolve) {
+        localStorage.removeItem(key);
+        resolve();
+      });
+    }
+  };
+
+  /** Wrap an IDBRequest in a Promise. */
+  function _idbRequest(request) {
+    return new Promise(function (resolve, reject) {
+      request.onsuccess = function () { resolve(request.result); };
+      request.onerror = function () { reject(request.error); };
+    });
+  }
+
+  /**
+   * Create an IndexedDB adapter backed by one key/value object store.
+   * Resolves with the adapter, or rejects when IndexedDB cannot be opened
+   * (private browsing, disabled storage, very old browsers).
+   */
+  function _openIndexedDBAdapter() {
+    return new Promise(function (resolve, reject) {
+      if (typeof indexedDB === 'undefined' || !indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      var request;
+      try {
+        request = indexedDB.open(IDB_NAME, 1);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      request.onupgradeneeded = function () {
+        request.result.createObjectStore(IDB_STORE);
+      };
+      request.onblocked = function () {
+        reject(new Error('IndexedDB open blocked'));
+      };
+      request.onerror = function () {
+        reject(request.error);
+      };
+      request.onsuccess = function () {
+        var db = request.result;
+
+        function store(mode) {
+          return db.transaction(IDB_STORE, mode).objectStore(IDB_STORE);
+        }
+
+        function complete(mode, fn) {
+          return new Promise(function (res, rej) {
+            var tx = db.transaction(IDB_STORE, mode);
+            fn(tx.objectStore(IDB_STORE));
+            tx.oncomplete = function () { res(); };
+            tx.onerror = function () { rej(tx.error); };
+            tx.onabort = function () { rej(tx.error || new Error('IndexedDB transaction aborted')); };
+          });
+        }
+
+        resolve({
+          name: 'indexedDB',
+          read: function (key) {
+            return _idbRequest(store('readonly').get(key)).then(function (value) {
+              return value === undefined ? null : value;
+            });
+          },
+          write: function (key, value) {
+            return complete('readwrite', function (s) { s.put(value, key); });
+          },
+          remove: function (key) {
+            return complete('readwrite', function (s) { s.delete(key); });
+          }
+        });
+      };
+    });
+  }
+
+  /**
+   * Pick the storage adapter: IndexedDB when it opens, else localStorage.
+   * Content left in localStorage by older versions of the site is copied
+   * into IndexedDB and then removed from localStorage.
+   */
+  function _openStorage() {
+    if (_storage) return Promise.resolve(_storage);
+
+    return _openIndexedDBAdapter()
+      .then(function (idb) {
+        return _migrateLegacyStorage(idb).then(function () { return idb; });
+      })
+      .catch(function (err) {
+        console.warn('[ContentStore] Using localStorage:', err && err.message);
+        return LocalStorageAdapter;
+      })
+      .then(function (adapter) {
+        _storage = adapter;
+        return adapter;
+      });
+  }
+
+  /** Move STORAGE_KEY and SNAPSHOT_KEY from localStorage into `adapter`. */
+  function _migrateLegacyStorage(adapter) {
+    return [STORAGE_KEY, SNAPSHOT_KEY].reduce(function (chain, key) {
+      return chain.then(function () {
+        var legacy = localStorage.getItem(key);
+        if (legacy === null) return;
+        return adapter.read(key).then(function (existing) {
+          return existing === null ? adapter.write(key, legacy) : null;
+        }).then(function () {
+          localStorage.removeItem(key);
+        });
+      });
+    }, Promise.resolve());
+  }
+
+  // -----------------------------------------------------------------------
+  // Internal data cache — populated on init(), kept in sync with storage
+  // -----------------------------------------------------------------------
+  var _data = null;
+
+  /** When true, read methods also return drafts and scheduled entries. */
+  var _adminMode = false;
+
+  /** Whether read methods should return `entry` (see setAdminMode). */
+  function _isVisible(entry) {
+    return _adminMode || _statusOf(entry) === 'published';
+  }
+
+  /** Epoch ms at which a scheduled entry goes public (NaN otherwise). */
+  function _publishTime(entry) {
+    return entry.status === 'scheduled' ? Date.parse(entry.publishAt) : NaN;
+  }
+
+  /**
+   * The status visitors see: a scheduled entry counts as published once
+   * its publishAt time has passed (MonkaCraft.isPublished from js/utils.js).
+   */
+  function _statusOf(entry) {
+    var status = entry.status || 'published';
+    if (status === 'scheduled' && window.MonkaCraft.isPublished(entry)) return 'published';
+    return status;
+  }
+
+  /** Only scheduled entries keep a publishAt time. */
+  function _normalizeSchedule(entry) {
+    if (entry.status !== 'scheduled') delete entry.publishAt;
+    return entry;
+  }
+
+  /** The active storage adapter (see _openStorage). */
+  var _storage = null;
+
+  /** Chain of pending writes, so saves land in the order they were made. */
+  var _writeQueue = Promise.resolve();
+
+  /** The error from the last failed write, cleared by the next success. */
+  var _saveError = null;
+
+  /** Cached Nuclear Delete snapshot ({ takenAt, data }), read on init(). */
+  var _snapshot = null;
+
+  /**
+   * Set when storage holds data from a newer schema version. The store
+   * then runs on seed data without persisting, so the newer copy survives.
+   */
+  var _storageLocked = false;
+
+  // -----------------------------------------------------------------------
+  // Private helpers
+  // -----------------------------------------------------------------------
+
+  /**
+   * Queue a write through the storage adapter. Failures are reported with
+   * a `contentSaveStatus` event on window ({ ok, error, storage }) whenever
+   * the status flips, so the admin panel can show a warning.
+   * @returns {Promise} Resolves true when written, false on failure.
+   */
+  function _write(key, value) {
+    var task = _writeQueue.then(function () {
+      return (value === null ? _storage.remove(key) : _storage.write(key, value));
+    }).then(function () {
+      if (_saveError) {
+        _saveError = null;
+        _dispatchSaveStatus();
+      }
+      _notifyOtherTabs(key);
+      return true;
+    }, function (err) {
+      console.error('[ContentStore] Failed to save to ' + _storage.name + ':', err);
+      _saveError = err || new Error('Write failed');
+      _dispatchSaveStatus();
+      return false;
+    });
+    _writeQueue = task;
+    return task;
+  }
+
+  function _dispatchSaveStatus() {
+    if (typeof window.dispatchEvent !== 'function' || typeof CustomEvent !== 'function') return;
+    window.dispatchEvent(new CustomEvent('contentSaveStatus', {
+      detail: { ok: !_saveError, error: _saveError, storage: _storage && _storage.name }
+    }));
+  }
+
+  // -----------------------------------------------------------------------
+  // Cross-tab sync
+  // -----------------------------------------------------------------------
+  //
+  // After a successful write, other tabs of the site are told to reload
+  // their cache: through a BroadcastChannel where supported, otherwise
+  // through a `storage` event (which IndexedDB writes do not fire on their
+  // own, hence the ping key). Changes are announced on window as a
+  // `contentChanged` event — see _replaceData().
+
+  var SYNC_CHANNEL = 'monkacraft_content';
+  var SYNC_PING_KEY = 'monkacraft_content_ping';
+  var _channel = null;
+  var _syncStarted = false;
+
+  function _notifyOtherTabs(key) {
+    var message = { key: key, at: Date.now() };
+    if (_channel) {
+      try {
+        _channel.postMessage(message);
+      } catch (e) {
+        console.warn('[ContentStore] Could not notify other tabs:', e);
+      }
+      return;
+    }
+    // localStorage writes fire `storage` events by themselves
+    if (!_storage || _storage.name === 'localStorage') return;
+    try {
+      localStorage.setItem(SYNC_PING_KEY, JSON.stringify(message));
+    } catch (e) {
+      // Nothing else to try — other tabs pick the change up on reload
+    }
+  }
+
+  /** Listen for writes made by other tabs. Safe to call more than once. */
+  function _startSync() {
+    if (_syncStarted) return;
+    _syncStarted = true;
+
+    if (typeof BroadcastChannel === 'function') {
+      try {
+        _channel = new BroadcastChannel(SYNC_CHANNEL);
+        _channel.onmessage = function (e) {
+          _onRemoteWrite(e.data && e.data.key);
+        };
+      } catch (e) {
+        _channel = null;
+      }
+    }
+
+    window.addEventListener('storage', function (e) {
+      if (e.key === STORAGE_KEY || e.key === SNAPSHOT_KEY) {
+        _onRemoteWrite(e.key);
+      } else if (e.key === SYNC_PING_KEY && e.newValue) {
+        try {
+          _onRemoteWrite(JSON.parse(e.newValue).key);
+        } catch (err) {
+          // Ignore malformed pings
+        }
+      }
+    });
+  }
+
+  /**
+   * Another tab wrote `key`: re-read it once our own pending writes have
+   * landed. A removed content key is ignored — the tab that removed it
+   * (Nuclear Delete) seeds and writes again right away.
+   */
+  function _onRemoteWrite(key) {
+    if (!_storage || _storageLocked) return;
+    if (key !== STORAGE_KEY && key !== SNAPSHOT_KEY) return;
+
+    _writeQueue.then(function () {
+      return _storage.read(key);
+    }).then(function (raw) {
+      if (key === SNAPSHOT_KEY) {
+        _snapshot = _parseSnapshot(raw);
+        return;
+      }
+      if (!raw) return;
+      _replaceData(_ensureStructure(_migrate(JSON.parse(raw))), 'storage');
+    }).catch(function (err) {
+      console.warn('[ContentStore] Could not reload content from another tab:', err);
+    });
+  }
+
+  /** Record `id` once in `list`. */
+  function _addUnique(list, id) {
+    if (list.indexOf(id) === -1) list.push(id);
+  }
+
+  /**
+   * Compare two data objects entry by entry.
+   * @returns {Object} { types, ids } — singular types ('trash' for the
+   *                   trash, 'tag' for the tag registry, 'series' for
+   *                   series, 'site' for the site settings) and ids of
+   *                   added, changed or removed entries.
+   */
+  function _diffData(before, after) {
+    var types = [];
+    var ids = [];
+
+    Object.keys(PLURAL_TO_SINGULAR).concat('trash', 'tagRegistry', 'series').forEach(function (key) {
+      var old = {};
+      var changed = false;
+
+      ((before && before[key]) || []).forEach(function (entry) {
+        old[entry.id] = JSON.stringify(entry);
+      });
+      (after[key] || []).forEach(function (entry) {
+        if (old[entry.id] !== JSON.stringify(entry)) {
+          changed = true;
+          _addUnique(ids, entry.id);
         }
+        delete old[entry.id];
+      });
+      Object.keys(old).forEach(function (id) {
+        changed = true;
+        _addUnique(ids, id);
+      });
+
+      if (changed) types.push(PLURAL_TO_SINGULAR[key] || (key === 'tagRegistry' ? 'tag' : key));
+    });
+
+    if (JSON.stringify((before && before.site) || null) !== JSON.stringify(after.site || null)) {
+      types.push('site');
+    }
+
+    return { types: types, ids: ids };
+  }
+
+  /**
+   * Swap in data that changed outside this tab's own mutations and
+   * announce it with a `contentChanged` event on window, whose detail is
+   * { types, ids, source }. Nothing happens when no entry differs. The
+   * undo history is dropped only when it records a change to something
+   * that differs (see _historyTouches) — a live flag set by another tab
+   * leaves this tab's edits undoable.
+   */
+  function _replaceData(next, source) {
+    var changes = _diffData(_data, next);
+    if (!changes.types.length) return changes;
+
+    _data = next;
+    if (_historyTouches(changes)) _clearHistory();
+    _armSchedule();
+    if (!_liveTimer && !_livePoll) _armLiveStatus();
+    _invalidateSearch();
+    if (typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('contentChanged', {
+        detail: { types: changes.types, ids: changes.ids, source: source }
+      }));
+    }
+    return changes;
+  }
+
+  // -----------------------------------------------------------------------
+  // Scheduled publishing
+  // -----------------------------------------------------------------------
+  //
+  // Visibility of scheduled entries is evaluated on every read, so a page
+  // rendered after publishAt shows them. For pages that stay open, a timer
+  // fires at the next pending publishAt and announces the entries that went
+  // public with a `contentChanged` event (source 'schedule').
+
+  /** Longest single wait, so sleep and clock changes are caught up on. */
+  var SCHEDULE_MAX_DELAY = 60 * 60 * 1000;
+  var _scheduleTimer = null;
+  var _scheduleCheckedAt = 0;
+
+  /** Call `fn(entry, key)` for every scheduled entry in the collections. */
+  function _eachScheduled(fn) {
+    Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+      ((_data && _data[key]) || []).forEach(function (entry) {
+        if (entry.status === 'scheduled') fn(entry, key);
+      });
+    });
+  }
+
+  /** (Re)start the timer for the earliest publishAt still in the future. */
+  function _armSchedule() {
+    clearTimeout(_scheduleTimer);
+    _scheduleTimer = null;
+
+    var now = Date.now();
+    var next = Infinity;
+    _eachScheduled(function (entry) {
+      var at = _publishTime(entry);
+      if (at > now && at < next) next = at;
+    });
+    if (next === Infinity) return;
+
+    _scheduleTimer = setTimeout(_onScheduleTimer, Math.min(next - now, SCHEDULE_MAX_DELAY));
+  }
+
+  /** Announce entries whose publishAt passed since the last check. */
+  function _onScheduleTimer() {
+    var now = Date.now();
+    var types = [];
+    var ids = [];
+
+    _eachScheduled(function (entry, key) {
+      var at = _publishTime(entry);
+      if (at > _scheduleCheckedAt && at <= now) {
+        _addUnique(types, PLURAL_TO_SINGULAR[key]);
+        _addUnique(ids, entry.id);
+      }
+    });
+    _scheduleCheckedAt = now;
+
+    if (ids.length && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+      window.dispatchEvent(new CustomEvent('contentChanged', {
+        detail: { types: types, ids: ids, source: 'schedule' }
+      }));
+    }
+    _armSchedule();
+  }
+
+  // -----------------------------------------------------------------------
+  // Live status providers
+  // -----------------------------------------------------------------------
+  //
+  // A provider tells whether a stream link is live right now:
+  //   { name, match(url) -> key|null,
+  //     check(key, url, options) -> Promise<boolean|null> }
+  // `key` is what the provider looks up (a YouTube video id or handle, a
+  // Twitch channel); null from check() means "could not tell" and leaves
+  // the flag alone. `options` is the provider's block in the "liveStatus"
+  // settings of data/config.json:
+  //   { interval, staleAfter, youtube: { endpoint, headers }, twitch: {...} }
+  // The built-in providers fetch `endpoint` — an address with {key} and
+  // {url} placeholders, such as a proxy in front of the YouTube or Twitch
+  // API, or a local JSON stub like data/live-status.sample.json — and read
+  // either { live } or the platform's own API response. A provider without
+  // an endpoint is off.
+  //
+  // While a page is open the newest stream of each provider, and any
+  // stream flagged live, is checked every `interval` seconds. Flags that
+  // change this way are saved without being journaled or marked
+  // unpublished (they report the outside world, not an edit) and announced
+  // with `contentChanged` (source 'liveStatus'). A check that only
+  // confirms a flag saves nothing: the time of the last confirmation is
+  // kept in memory, so open pages do not rewrite the store on every poll.
+  // A live flag nothing confirmed for `staleAfter` minutes is cleared, so
+  // a stream nobody switched off does not stay LIVE for days.
+
+  var LIVE_DEFAULTS = { interval: 120, staleAfter: 360 };
+  var _liveProviders = [];
+  var _liveFileConfig = null;
+  var _liveOverrides = null;
+  var _liveTimer = null;
+  var _livePoll = null;
+  var _liveChecked = {}; // stream id -> when this page last saw it live (epoch ms)
+
+  /** Live flag from a { live } stub: true/false, or a map of live keys. */
+  function _readLiveStub(json, key) {
+    if (!json || json.live === undefined) return null;
+    if (json.live && typeof json.live === 'object') return json.live[key] === true;
+    return json.live === true;
+  }
+
+  /**
+   * Fetch a provider's status endpoint for one key.
+   * @returns {Promise} The parsed JSON, or null when there is no endpoint
+   *                    or the request failed.
+   */
+  function _fetchLiveStatus(options, key, url) {
+    var endpoint = options && options.endpoint;
+    if (!endpoint) return Promise.resolve(null);
+
+    endpoint = endpoint
+      .replace(/\{key\}/g, encodeURIComponent(key))
+      .replace(/\{url\}/g, encodeURIComponent(url));
+    // Paths such as data/live-status.json are taken from the site root
+    if (!/^([a-z][a-z0-9+.-]*:|\/)/i.test(endpoint) && window.SiteConfig) {
+      endpoint = window.SiteConfig.url(endpoint);
+    }
+
+    return fetch(endpoint, { cache: 'no-store', headers: options.headers || {} })
+      .then(function (r) {
+        if (!r.ok) throw new Error('HTTP ' + r.status + ' for ' + endpoint);
+        return r.json();
+      })
+      .catch(function (err) {
+        console.warn('[ContentStore] Live status check failed:', err.message);
+        return null;
+      });
+  }
+
+  /**
+   * YouTube: video links (MonkaCraft.extractYouTubeId from js/utils.js,
+   * which every page loads before the first check), @handles and
+   * channel ids.
+   */
+  var YouTubeStatusProvider = {
+    name: 'youtube',
+    match: function (url) {
+      var id = window.MonkaCraft.extractYouTubeId(url);
+      if (id) return id;
+      var m = /youtube\.com\/(?:(@[\w.-]+)|channel\/(UC[\w-]+))/.exec(url || '');
+      return m ? m[1] || m[2] : null;
+    },
+    check: function (key, url, options) {
+      return _fetchLiveStatus(options, key, url).then(function (json) {
+        var stub = _readLiveStub(json, key);
+        if (stub !== null) return stub;
+        // videos.list / search.list response of the YouTube Data API
+        if (json && Array.isArray(json.items)) {
+          return json.items.some(function (item) {
+            return !!item.snippet && item.snippet.liveBroadcastContent === 'live';
+          });
+        }
+        return null;
+      });
+    }
+  };
+
+  /** Twitch: channel links (twitch.tv/<channel>); VODs and clips are never live. */
+  var TwitchStatusProvider = {
+    name: 'twitch',
+    match: function (url) {
+      var m = /twitch\.tv\/([a-zA-Z0-9_]{3,25})\/?(?:[?#]|$)/.exec(url || '');
+      return m && m[1].toLowerCase() !== 'videos' ? m[1].toLowerCase() : null;
+    },
+    check: function (key, url, options) {
+      return _fetchLiveStatus(options, key, url).then(function (json) {
+        var stub = _readLiveStub(json, key);
+        if (stub !== null) return stub;
+        // Helix "Get Streams" response: offline channels are left out
+        if (json && Array.isArray(json.data)) {
+          return json.data.some(function (stream) {
+            return stream.type === 'live';
+          });
+        }
+        return null;
+      });
+    }
+  };
+
+  _liveProviders.push(YouTubeStatusProvider, TwitchStatusProvider);
+
+  /** Settings in effect: defaults, then config.json, then configureLiveStatus(). */
+  function _liveConfig() {
+    return Object.assign({}, LIVE_DEFAULTS, _liveFileConfig || {}, _liveOverrides || {});
+  }
+
+  /** The provider for a stream link, with the key it looks up (or null). */
+  function _liveProviderFor(url) {
+    for (var i = 0; i < _liveProviders.length; i++) {
+      var key = _liveProviders[i].match(url);
+      if (key) return { provider: _liveProviders[i], key: key };
+    }
+    return null;
+  }
+
+  /**
+   * Stamp when a stream went live, and forget it when it is not live.
+   * Used for every stream that is saved.
+   */
+  function _normalizeLive(entry) {
+    if (entry.isLive === true) {
+      if (!entry.liveSince) entry.liveSince = new Date().toISOString();
+    } else {
+      delete entry.liveSince;
+    }
+    return entry;
+  }
+
+  /** When a live flag was last set or confirmed (epoch ms, NaN if unknown). */
+  function _liveConfirmedAt(entry) {
+    return _liveChecked[entry.id] || Date.parse(entry.liveSince || entry.date);
+  }
+
+  /**
+   * Streams worth asking about, grouped by provider and key: for every
+   * provider with an endpoint, its newest visible stream and all streams
+   * flagged live.
+   * @returns {Array} { provider, key, url, entries } (entries newest first)
+   */
+  function _liveCandidates(config) {
+    var groups = {};
+    var newest = {};
+
+    _data.streams.filter(_isVisible).forEach(function (entry) {
+      var match = _liveProviderFor(entry.url);
+      if (!match || !config[match.provider.name] || !config[match.provider.name].endpoint) return;
+
+      var id = match.provider.name + ':' + match.key;
+      var group = groups[id] || (groups[id] = {
+        provider: match.provider, key: match.key, url: entry.url, entries: [], wanted: false
+      });
+      group.entries.push(entry);
+      if (entry.isLive === true) group.wanted = true;
+
+      var last = newest[match.provider.name];
+      if (!last || Date.parse(entry.date) > Date.parse(last.entry.date)) {
+        newest[match.provider.name] = { entry: entry, group: group };
+      }
+    });
+
+    Object.keys(newest).forEach(function (name) {
+      newest[name].group.wanted = true;
+    });
+
+    return Object.keys(groups).map(function (id) {
+      return groups[id];
+    }).filter(function (group) {
+      group.entries.sort(function (a, b) {
+        return (Date.parse(b.date) || 0) - (Date.parse(a.date) || 0);
+      });
+      return group.wanted;
+    });
+  }
+
+  /**
+   * Ask the providers about the candidate streams, clear stale flags and
+   * save and announce what changed.
+   * @returns {Promise} Resolves with the ids whose live flag changed.
+   */
+  function _pollLiveStatus() {
+    if (_livePoll) return _livePoll;
+    if (!_data || _storageLocked) return Promise.resolve([]);
+
+    var config = _liveConfig();
+    var groups = _liveCandidates(config);
+
+    _livePoll = Promise.all(groups.map(function (group) {
+      return Promise.resolve()
+        .then(function () {
+          return group.provider.check(group.key, group.url, config[group.provider.name]);
+        })
+        .catch(function (err) {
+          console.warn('[ContentStore] Live status provider "' + group.provider.name + '" failed:', err);
+          return null;
+        });
+    })).then(function (results) {
+      var now = Date.now();
+      var ids = [];
+
+      function setFlag(entry, live) {
+        if (live) {
+          if (entry.isLive !== true) entry.liveSince = new Date(now).toISOString();
+          _liveChecked[entry.id] = now;
+        } else {
+          delete _liveChecked[entry.id];
+        }
+        if ((entry.isLive === true) !== live) {
+          entry.isLive = live;
+          _normalizeLive(entry);
+          _addUnique(ids, entry.id);
+        }
+      }
+
+      // Only the newest stream of a live channel shows as live
+      groups.forEach(function (group, i) {
+        if (typeof results[i] !== 'boolean') return;
+        group.entries.forEach(function (entry, n) {
+          var live = results[i] && n === 0;
+          if (live || entry.isLive === true) setFlag(entry, live);
+        });
+      });
+
+      var staleAfter = Number(config.staleAfter) * 60 * 1000;
+      if (staleAfter > 0) {
+        _data.streams.forEach(function (entry) {
+          if (entry.isLive === true && now - _liveConfirmedAt(entry) > staleAfter) setFlag(entry, false);
+        });
+      }
+
+      if (ids.length) _save();
+      if (ids.length && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+        window.dispatchEvent(new CustomEvent('contentChanged', {
+          detail: { types: ['stream'], ids: ids, source: 'liveStatus' }
+        }));
+      }
+      return ids;
+    });
+
+    return _livePoll.then(function (ids) {
+      _livePoll = null;
+      return ids;
+    }, function (err) {
+      _livePoll = null;
+      throw err;
+    });
+  }
+
+  /**
+   * (Re)start polling: when a provider has an endpoint, or a stream is
+   * flagged live and might go stale. Polls right away when `now` is set.
+   */
+  function _armLiveStatus(now) {
+    clearTimeout(_liveTimer);
+    _liveTimer = null;
+    if (!_data) return;
+
+    var config = _liveConfig();
+    var needed = _liveProviders.some(function (provider) {
+      return config[provider.name] && config[provider.name].endpoint;
+    }) || _data.streams.some(function (entry) {
+      return entry.isLive === true;
+    });
+    if (!needed) return;
+
+    var interval = Math.max(Number(config.interval) || LIVE_DEFAULTS.interval, 10) * 1000;
+    _liveTimer = setTimeout(function () {
+      _liveTimer = null;
+      _pollLiveStatus().then(function () {
+        _armLiveStatus();
+      });
+    }, now ? 0 : interval);
+  }
+
+  /** Read the "liveStatus" block of data/config.json, then start polling. */
+  function _startLiveStatus() {
+    return fetch(_resolveDataPath('config.json'))
+      .then(function (r) { return r.ok ? r.json() : {}; })
+      .catch(function () { return {}; })
+      .then(function (config) {
+        _liveFileConfig = (config && config.liveStatus) || null;
+        _armLiveStatus(true);
+      });
+  }
+
+  // -----------------------------------------------------------------------
+  // Stream schedule
+  // -----------------------------------------------------------------------
+  //
+  // A stream can be planned ahead: `start` is its wall-clock start time
+  // ('YYYY-MM-DDTHH:mm') in `timezone` (an IANA name such as
+  // 'Europe/Sofia'; without one, the viewer's own zone) and `duration` its
+  // length in minutes. Keeping the wall-clock time rather than an instant
+  // keeps a 19:00 stream at 19:00 across daylight-saving changes.
+  // The calendar, the homepage countdown and the .ics export work on
+  // occurrences: { id, entry, start, end } with the times in epoch ms.
+  //
+  // Recurring streams: a stream with a `repeat` rule stands for a whole
+  // run of streams at its start time, from the day of `start` on:
+  //   { freq: 'weekly', weekdays: [1, 3], interval: 1,  // 0 = Sunday
+  //     until: 'YYYY-MM-DD', skip: ['YYYY-MM-DD'],
+  //     moved: { 'YYYY-MM-DD': 'YYYY-MM-DDTHH:mm' } }
+  // freq 'daily' with interval N means every N days; weekly with interval
+  // N every N-th week. `until` is the last day, `skip` lists days left out
+  // and `moved` gives single days another start. Their occurrences carry
+  // the `day` they fall on by the rule, and ids like '<id>:YYYY-MM-DD'.
+
+  var STREAM_START_RE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+  var DEFAULT_STREAM_MINUTES = 120;
+  var REPEAT_FREQS = ['daily', 'weekly'];
+
+  /** Most days one expansion of a repeating stream walks through. */
+  var REPEAT_MAX_DAYS = 3660;
+
+  /** How far ahead getStreamSchedule() and exportICS() look by default. */
+  var SCHEDULE_DAYS = 90;
+
+  function _isTimeZone(tz) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function _isStreamStart(value) {
+    var m = STREAM_START_RE.exec(value);
+    return !!m && _isISODate(value.slice(0, 10)) && +m[4] < 24 && +m[5] < 60;
+  }
+
+  /** Minutes that `tz` is ahead of UTC at the instant `time`. */
+  function _zoneOffset(time, tz) {
+    var parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(time)).forEach(function (part) {
+      parts[part.type] = +part.value;
+    });
+    var wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return Math.round((wall - time) / 60000);
+  }
+
+  /**
+   * Epoch ms of the wall-clock time 'YYYY-MM-DDTHH:mm' in `tz` (NaN when
+   * invalid). A time skipped by a daylight-saving jump moves forward.
+   */
+  function _zonedTime(wall, tz) {
+    if (!_isStreamStart(wall)) return NaN;
+    var m = STREAM_START_RE.exec(wall);
+    if (!tz || !_isTimeZone(tz)) {
+      return new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5]).getTime();
+    }
+    var asUTC = Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]);
+    var guess = asUTC - _zoneOffset(asUTC, tz) * 60000;
+    // Again with the offset at the guess, in case a DST change lies between
+    return asUTC - _zoneOffset(guess, tz) * 60000;
+  }
+
+  /** Length of a planned stream in ms. */
+  function _streamLength(entry) {
+    var minutes = Number(entry.duration);
+    return (minutes > 0 ? minutes : DEFAULT_STREAM_MINUTES) * 60000;
+  }
+
+  /** Day number (days since 1970-01-01) of a 'YYYY-MM-DD' calendar day. */
+  function _dayNumber(day) {
+    return Date.UTC(+day.slice(0, 4), +day.slice(5, 7) - 1, +day.slice(8, 10)) / 86400000;
+  }
+
+  function _dayString(number) {
+    return new Date(number * 86400000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Check a `repeat` rule (see "Recurring streams" below).
+   * @returns {string} What is wrong, or '' when the rule is fine.
+   */
+  function _repeatProblem(entry) {
+    var rule = entry.repeat;
+    if (!rule || typeof rule !== 'object') return 'The repeat rule must be an object.';
+    if (!_isStreamStart(entry.start)) return 'A repeating stream needs a start.';
+    if (REPEAT_FREQS.indexOf(rule.freq) === -1) return 'The repeat freq must be one of: ' + REPEAT_FREQS.join(', ') + '.';
+    if (rule.interval !== undefined &&
+        !(rule.interval >= 1 && rule.interval <= 365 && Math.floor(rule.interval) === rule.interval)) {
+      return 'The repeat interval must be a whole number from 1 to 365.';
+    }
+    if (rule.freq === 'weekly' && (!Array.isArray(rule.weekdays) || !rule.weekdays.length ||
+        rule.weekdays.some(function (day) { return [0, 1, 2, 3, 4, 5, 6].indexOf(day) === -1; }))) {
+      return 'A weekly repeat needs weekdays (0 = Sunday ... 6 = Saturday).';
+    }
+    if (!_isBlank(rule.until) && !(_isISODate(rule.until) && rule.until.length === 10)) {
+      return 'The repeat end date must look like YYYY-MM-DD.';
+    }
+    if (rule.skip !== undefined && (!Array.isArray(rule.skip) || rule.skip.some(function (day) {
+      return !_isISODate(day) || day.length !== 10;
+    }))) {
+      return 'Skipped days must be a list of YYYY-MM-DD dates.';
+    }
+    if (rule.moved !== undefined && (!rule.moved || typeof rule.moved !== 'object' ||
+        Object.keys(rule.moved).some(function (day) {
+          return !_isISODate(day) || day.length !== 10 || !_isStreamStart(rule.moved[day]);
+        }))) {
+      return 'Moved days must map YYYY-MM-DD to YYYY-MM-DDTHH:mm.';
+    }
+    return '';
+  }
+
+  /** Whether a repeating stream falls on `day`, before skips and moves. */
+  function _repeatsOn(entry, day) {
+    var rule = entry.repeat;
+    var first = _dayNumber(entry.start);
+    var n = _dayNumber(day);
+    if (n < first || (rule.until && day > rule.until)) return false;
+
+    var interval = rule.interval || 1;
+    if (rule.freq === 'daily') return (n - first) % interval === 0;
+
+    // Weekly: day 0 was a Thursday; weeks are counted Monday to Sunday
+    if (rule.weekdays.indexOf((n + 4) % 7) === -1) return false;
+    var weeks = ((n - (n + 3) % 7) - (first - (first + 3) % 7)) / 7;
+    return weeks % interval === 0;
+  }
+
+  /**
+   * Occurrences of one stream overlapping [from, to), in no particular
+   * order. A repeating stream yields one per day of its rule, with
+   * `day` (the day it falls on by the rule) and `moved` set.
+   */
+  function _entryOccurrences(entry, from, to) {
+    var list = [];
+    var length = _streamLength(entry);
+
+    function add(day, wall, moved) {
+      var start = _zonedTime(wall, entry.timezone);
+      if (isNaN(start) || start + length <= from || start >= to) return;
+      var occ = { id: entry.id, entry: entry, start: start, end: start + length };
+      if (day) {
+        occ.id = entry.id + ':' + day;
+        occ.day = day;
+        occ.moved = moved;
+      }
+      list.push(occ);
+    }
+
+    if (!_isStreamStart(entry.start)) return list;
+    if (!entry.repeat || _repeatProblem(entry)) {
+      add('', entry.start, false);
+      return list;
+    }
+
+    var rule = entry.repeat;
+    var skip = rule.skip || [];
+    var moved = rule.moved || {};
+    var time = entry.start.slice(10);
+    // A day either side, for time zones and streams running past midnight
+    var first = Math.max(_dayNumber(entry.start), Math.floor(from / 86400000) - 2);
+    var last = Math.min(first + REPEAT_MAX_DAYS, Math.floor(to / 86400000) + 1);
+    if (rule.until) last = Math.min(last, _dayNumber(rule.until));
+
+    for (var n = first; n <= last; n++) {
+      var day = _dayString(n);
+      if (skip.indexOf(day) === -1 && !moved[day] && _repeatsOn(entry, day)) add(day, day + time, false);
+    }
+    Object.keys(moved).forEach(function (day) {
+      if (skip.indexOf(day) === -1 && _repeatsOn(entry, day)) add(day, moved[day], true);
+    });
+    return list;
+  }
+
+  /** Occurrences of visible planned streams overlapping [from, to), earliest first. */
+  function _streamOccurrences(from, to) {
+    var list = [];
+    ((_data && _data.streams) || []).filter(_isVisible).forEach(function (entry) {
+      list = list.concat(_entryOccurrences(entry, from, to));
+    });
+    return list.sort(function (a, b) {
+      return a.start - b.start;
+    });
+  }
+
+  /**
+   * Change the skip and moved lists of a repeating stream as one undoable
+   * step. The day is first taken out of both; `change(rule)` then puts it
+   * where it belongs.
+   * @returns {Object|null} The updated entry, or null when `day` is not a
+   *                        day of the repeating stream `id`.
+   * @throws {ValidationError} When a moved start is invalid.
+   */
+  function _editOccurrence(id, day, change) {
+    var found = _locate(id, ['streams']);
+    if (!found || !found.entry.repeat || _repeatProblem(found.entry) ||
+        !_isISODate(day) || day.length !== 10 || !_repeatsOn(found.entry, day)) {
+      console.warn('[ContentStore] Not a day of a repeating stream:', id, day);
+      return null;
+    }
+
+    var next = _clone(found.entry);
+    var rule = next.repeat;
+    rule.skip = (rule.skip || []).filter(function (d) { return d !== day; });
+    rule.moved = rule.moved || {};
+    delete rule.moved[day];
+    change(rule);
+    rule.skip.sort();
+    if (!rule.skip.length) delete rule.skip;
+    if (!Object.keys(rule.moved).length) delete rule.moved;
+
+    var errors = _validateEntry(next, 'stream');
+    if (errors.length) {
+      throw new ValidationError(errors);
+    }
+
+    _data.streams[found.index] = next;
+    _record('occurrence', next.title, [
+      { key: 'streams', id: id, index: found.index, before: _clone(found.entry), after: _clone(next) }
+    ]);
+    _commit();
+    return next;
+  }
+
+  /** A time argument (Date, ms or date string) as epoch ms, or `fallback`. */
+  function _toTime(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    var time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+    return isNaN(time) ? fallback : time;
+  }
+
+  /** Escape text for an iCalendar property value (RFC 5545 3.3.11). */
+  function _icsText(value) {
+    return String(value == null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /** UTC date-time in iCalendar form, e.g. 20240601T160000Z. */
+  function _icsTime(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  }
+
+  /** Fold a content line into chunks of at most 75 UTF-8 bytes. */
+  function _icsFold(line) {
+    var out = '';
+    var bytes = 0;
+    for (var i = 0; i < line.length; i++) {
+      var ch = line.charAt(i);
+      var code = line.charCodeAt(i);
+      if (code >= 0xD800 && code <= 0xDBFF) ch += line.charAt(++i);
+      var size = code < 0x80 ? 1 : code < 0x800 ? 2 : ch.length === 2 ? 4 : 3;
+      if (bytes + size > 75) {
+        out += '\r\n ';
+        bytes = 1;
+      }
+      out += ch;
+      bytes += size;
+    }
+    return out;
+  }
+
+  /** An iCalendar file with one event per occurrence. */
+  function _buildICS(occurrences, name) {
+    var stamp = _icsTime(Date.now());
+    var lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//MonkaCraft//Stream Schedule//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:' + _icsText(name)
+    ];
+
+    occurrences.forEach(function (occ) {
+      var entry = occ.entry;
+      var details = [entry.description, entry.url].filter(function (text) {
+        return !_isBlank(text);
+      }).join('\n\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        'UID:' + _icsText(occ.id) + '@monkacraft',
+        'DTSTAMP:' + stamp,
+        'DTSTART:' + _icsTime(occ.start),
+        'DTEND:' + _icsTime(occ.end),
+        'SUMMARY:' + _icsText(entry.title)
+      );
+      if (details) lines.push('DESCRIPTION:' + _icsText(details));
+      if (_isHttpUrl(entry.url)) lines.push('URL:' + entry.url.trim());
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(_icsFold).join('\r\n') + '\r\n';
+  }
+
+  // -----------------------------------------------------------------------
+  // Stream replays
+  // -----------------------------------------------------------------------
+  //
+  // A finished stream keeps its stream entry. Its recording is a video
+  // entry with `streamId` (the stream's id) and `streamedAt` (when the
+  // stream started, ISO date-time), so the streams page can offer the
+  // replay and the video can tell where it came from. endStream() clears
+  // the live flag and adds or links the video in one undo step. A
+  // repeating stream collects one replay per broadcast; getReplay()
+  // returns the newest.
+
+  /**
+   * Fill in a new entry the way add() does (id, date, status, tags, slug,
+   * live stamp) and check it.
+   * @throws {ValidationError} If the entry breaks the rules for its type.
+   */
+  function _prepareNewEntry(entry) {
+    var key = TYPE_MAP[entry.type];
+
+    // Auto-generate id if missing
+    if (!entry.id) {
+      entry.id = _generateId();
+    }
+
+    // Auto-set date if missing
+    if (!entry.date) {
+      entry.date = _todayISO();
+    }
+
+    // Entries are public unless saved as a draft or scheduled
+    if (!entry.status) {
+      entry.status = 'published';
+    }
+    _normalizeSchedule(entry);
+    _normalizeTags(entry);
+    if (key === 'streams') _normalizeLive(entry);
+    if (SLUG_TYPES.indexOf(entry.type) !== -1) {
+      entry.slug = _uniqueSlug(entry);
+    }
+
+    var errors = _validateEntry(entry, entry.type);
+    if (errors.length) {
+      throw new ValidationError(errors);
+    }
+    return entry;
+  }
+
+  /**
+   * When a stream that is ending started: when it went live, else the last
+   * planned start that has passed, else its date.
+   */
+  function _streamedAt(entry) {
+    if (entry.liveSince) return entry.liveSince;
+    var now = Date.now();
+    var past = _entryOccurrences(entry, 0, now).filter(function (occ) {
+      return occ.start <= now;
+    }).sort(function (a, b) {
+      return b.start - a.start;
+    })[0];
+    if (past) return new Date(past.start).toISOString();
+    return entry.date;
+  }
+
+  /**
+   * _save() — Serialize the current in-memory data object and queue it for
+   * writing. Reads keep using the in-memory cache, so callers need not wait.
+   * @returns {Promise} Resolves true when written, false on failure.
+   */
+  function _save() {
+    _invalidateSearch();
+    if (_storageLocked) {
+      console.error('[ContentStore] Not saving: storage holds content from a newer schema version.');
+      return Promise.resolve(false);
+    }
+    if (!_storage) {
+      console.error('[ContentStore] Not saving: init() has not run.');
+      return Promise.resolve(false);
+    }
+    return _write(STORAGE_KEY, JSON.stringify(_data));
+  }
+
+  /**
+   * _commit() — Persist a journaled edit. The data is flagged as having
+   * unpublished changes until it is exported or uploaded (markPublished),
+   * which keeps background refreshes from overwriting it.
+   */
+  function _commit() {
+    _data.unpublished = true;
+    _armSchedule();
+    if (!_liveTimer && !_livePoll) _armLiveStatus();
+    return _save();
+  }
+
+  /**
+   * _load() — Deserialize data from storage into the in-memory cache.
+   * Also reads the Nuclear Delete snapshot into its cache.
+   * @returns {Promise} Resolves true if data was found and loaded.
+   */
+  function _load() {
+    return _openStorage()
+      .then(function (storage) {
+        return Promise.all([storage.read(STORAGE_KEY), storage.read(SNAPSHOT_KEY)]);
+      })
+      .then(function (values) {
+        _snapshot = _parseSnapshot(values[1]);
+
+        if (!values[0]) return false;
+        var parsed = JSON.parse(values[0]);
+        var before = _schemaVersionOf(parsed);
+        _data = _migrate(parsed);
+        if (before !== _data.schemaVersion) {
+          _save();
+        }
+        return true;
+      })
+      .catch(function (e) {
+        if (e.code === 'SCHEMA_TOO_NEW') {
+          _storageLocked = true;
+        }
+        console.error('[ContentStore] Failed to load from storage:', e);
+        return false;
+      });
+  }
+
+  /**
+   * _getData() — Return the full data object (the in-memory cache).
+   */
+  function _getData() {
+    return _data;
+  }
+
+  /**
+   * Ensure the data object has all expected top-level arrays and is stamped
+   * with the current schema version.
+   */
+  function _ensureStructure(obj) {
+    if (!obj || typeof obj !== 'object') {
+      obj = {};
+    }
+    if (!Array.isArray(obj.videos)) obj.videos = [];
+    if (!Array.isArray(obj.screenshots)) obj.screenshots = [];
+    if (!Array.isArray(obj.posts)) obj.posts = [];
+    if (!Array.isArray(obj.streams)) obj.streams = [];
+    if (!Array.isArray(obj.trash)) obj.trash = [];
+    obj.tagRegistry = Array.isArray(obj.tagRegistry) ? _normalizeTagRegistry(obj.tagRegistry) : [];
+    if (!Array.isArray(obj.series)) obj.series = [];
+    obj.site = _normalizeSite(obj.site);
+    obj.schemaVersion = SCHEMA_VERSION;
+    return obj;
+  }
+
+  /**
+   * Fetch the published content: the cloud backup named in data/config.json
+   * (or saved in Settings), falling back to data/content.json. Rejects when
+   * neither can be read. The result is migrated but not stored; content
+   * without site settings gets the "site" block of config.json.
+   */
+  function _fetchRemote() {
+    var configPath = _resolveDataPath('config.json');
+    var localPath = _resolveDataPath('content.json');
+    var siteDefaults = null;
+
+    function fetchJSON(url) {
+      return fetch(url, { cache: 'no-cache' }).then(function (r) {
+        if (!r.ok) throw new Error('HTTP ' + r.status + ' for ' + url);
+        return r.json();
+      });
+    }
+
+    // Step 1: Try to get cloud URL from config.json (committed to repo)
+    return fetch(configPath)
+      .then(function (r) { return r.ok ? r.json() : {}; })
+      .catch(function () { return {}; })
+      .then(function (config) {
+        siteDefaults = config && config.site;
+        var cloudUrl = (config && config.cloudBackupUrl) || localStorage.getItem(CLOUD_JSON_KEY);
+
+        if (cloudUrl) {
+          // Step 2a: Fetch from Cloudinary
+          // (a newer-schema backup is refused here so the local file is used instead)
+          return fetchJSON(cloudUrl)
+            .then(_migrate)
+            .catch(function (err) {
+              console.warn('[ContentStore] Cloud fetch failed, trying local:', err.message);
+              // Step 2b: Cloudinary failed, fall back to local file
+              return fetchJSON(localPath);
+            });
+        }
+        // No cloud URL — use local file
+        return fetchJSON(localPath);
+      })
+      .then(function (json) {
+        // Content without site settings takes them from config.json
+        if (json && typeof json === 'object' && !json.site && siteDefaults) json.site = siteDefaults;
+        var remote = _ensureStructure(_migrate(json));
+        if (!remote.revision) remote.revision = _contentHash(remote);
+        delete remote.unpublished;
+        return remote;
+      });
+  }
+
+  /**
+   * Seed an empty store from the published content. Calls resolve(_data).
+   */
+  function _seed(resolve) {
+    _fetchRemote()
+      .then(function (remote) {
+        _data = remote;
+        _data.unpublished = false;
+        _save();
+        _purgeExpiredTrash();
+        resolve(_data);
+      })
+      .catch(function (err) {
+        console.warn('[ContentStore] Could not fetch content.json:', err.message);
+        _data = _ensureStructure({});
+        _save();
+        resolve(_data);
+      });
+  }
+
+  // -----------------------------------------------------------------------
+  // Publishing & freshness
+  // -----------------------------------------------------------------------
+  //
+  // Published JSON (export / cloud backup) carries a `revision` (hash of the
+  // content) and `publishedAt` (ISO timestamp). The cache keeps the marker
+  // of the copy it came from, plus `unpublished: true` once edited here.
+  // On init() the published copy is fetched in the background; if it is
+  // newer it replaces a clean cache, but a cache with unpublished edits is
+  // left alone and the newer copy is offered via getRemoteUpdate().
+
+  /** Top-level keys that describe the data rather than being content. */
+  var META_KEYS = ['schemaVersion', 'revision', 'publishedAt', 'unpublished'];
+
+  /** Newer published copy held back because of unpublished local edits. */
+  var _remoteUpdate = null;
+
+  /**
+   * FNV-1a hash of the content collections, as 8 hex digits. Used as the
+   * revision of published data that has no `revision` of its own.
+   */
+  function _contentHash(obj) {
+    var content = {};
+    Object.keys(obj).sort().forEach(function (key) {
+      if (META_KEYS.indexOf(key) === -1) content[key] = obj[key];
+    });
+
+    var str = JSON.stringify(content);
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+  }
+
+  /** Drafts never leave this browser (scheduled entries do, see below). */
+  function _isDraft(entry) {
+    return entry.status === 'draft';
+  }
+
+  /**
+   * The part of `data` that gets published: drafts and the trash are left
+   * out, and so is the `unpublished` flag. Scheduled entries stay, with
+   * their publishAt, so they go public on their own; the pages hide them
+   * until then.
+   */
+  function _publicCopy(data) {
+    var copy = _clone(data);
+    Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+      copy[key] = (copy[key] || []).filter(function (entry) {
+        return !_isDraft(entry);
+      });
+    });
+    delete copy.trash;
+    delete copy.unpublished;
+    return copy;
+  }
+
+  /**
+   * Add what only this browser keeps (drafts and the trash) to `remote`
+   * before it replaces the cache, unless the published copy has an entry
+   * with the same id by now.
+   */
+  function _keepLocalOnly(remote) {
+    var ids = {};
+    Object.keys(PLURAL_TO_SINGULAR).concat('trash').forEach(function (key) {
+      remote[key].forEach(function (entry) { ids[entry.id] = true; });
+    });
+    Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+      (_data[key] || []).forEach(function (entry) {
+        if (_isDraft(entry) && !ids[entry.id]) remote[key].push(_clone(entry));
+      });
+    });
+    (_data.trash || []).forEach(function (entry) {
+      if (!ids[entry.id]) remote.trash.push(_clone(entry));
+    });
+    return remote;
+  }
+
+  /**
+   * Whether the published copy `remote` should replace `local`. A copy with
+   * a publish date never loses to one without; otherwise the later date wins.
+   */
+  function _isNewer(remote, local) {
+    if (remote.revision === local.revision) return false;
+    if (local.publishedAt) {
+      return !!remote.publishedAt && new Date(remote.publishedAt) > new Date(local.publishedAt);
+    }
+    return true;
+  }
+
+  /**
+   * Compare the published copy with the cache and refresh it in the
+   * background. Fires `contentChanged` (source 'remote') when content was
+   * replaced, or `contentRemoteUpdate` when unpublished edits kept it out.
+   * @returns {Promise} Resolves true if the cache was refreshed.
+   */
+  function _checkRemote() {
+    return _fetchRemote().then(function (remote) {
+      if (!_data || _storageLocked || !_isNewer(remote, _data)) return false;
+
+      if (_data.unpublished) {
+        _remoteUpdate = remote;
+        if (typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+          window.dispatchEvent(new CustomEvent('contentRemoteUpdate', {
+            detail: { revision: remote.revision, publishedAt: remote.publishedAt || null }
+          }));
+        }
+        return false;
+      }
+
+      // A cache from before revisions existed may hold edits nobody
+      // published — keep it restorable, like Nuclear Delete does
+      var keep = !_data.revision && !_snapshot ?
+        _write(SNAPSHOT_KEY, JSON.stringify(_snapshot = { takenAt: new Date().toISOString(), data: _clone(_data) })) :
+        Promise.resolve();
+
+      return keep.then(function () {
+        remote.unpublished = false;
+        if (!_replaceData(_keepLocalOnly(remote), 'remote').types.length) {
+          _data.revision = remote.revision;
+          _data.publishedAt = remote.publishedAt;
+        }
+        _save();
+        return true;
+      });
+    }).catch(function (err) {
+      console.warn('[ContentStore] Freshness check failed:', err.message);
+      return false;
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Trash (soft delete)
+  // -----------------------------------------------------------------------
+
+  /**
+   * Read the trash retention setting in days (0 disables auto-purge).
+   */
+  function _trashDays() {
+    var raw = localStorage.getItem(TRASH_DAYS_KEY);
+    var days = raw === null ? DEFAULT_TRASH_DAYS : parseInt(raw, 10);
+    return isNaN(days) || days < 0 ? DEFAULT_TRASH_DAYS : days;
+  }
+
+  /**
+   * Permanently remove trashed entries older than the retention setting.
+   * Not journaled: runs on init, right before the history is cleared.
+   * @returns {number} How many entries were purged.
+   */
+  function _purgeExpiredTrash() {
+    var days = _trashDays();
+    if (!_data || !days || !_data.trash.length) return 0;
+
+    var cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    var kept = _data.trash.filter(function (item) {
+      var t = new Date(item.deletedAt).getTime();
+      return isNaN(t) || t >= cutoff;
+    });
+    var purged = _data.trash.length - kept.length;
+    if (purged) {
+      _data.trash = kept;
+      _save();
+    }
+    return purged;
+  }
+
+  /**
+   * Parse a stored Nuclear Delete snapshot ({ takenAt, data }).
+   */
+  function _parseSnapshot(raw) {
+    try {
+      var snap = JSON.parse(raw || 'null');
+      return snap && snap.data ? snap : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // -----------------------------------------------------------------------
+  // Operation journal (undo / redo)
+  // -----------------------------------------------------------------------
+
+  /** How many mutations the journal keeps before dropping the oldest. */
+  var HISTORY_LIMIT = 50;
+
+  var _undoStack = [];
+  var _redoStack = [];
+
+  /** Deep-copy a JSON-safe value (entries and data objects). */
+  function _clone(value) {
+    return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Find an entry by id in the given collections (defaults to all four
+   * content types). Returns { key, index, entry } or null.
+   */
+  function _locate(id, keys) {
+    if (!_data || !id) return null;
+    keys = keys || Object.keys(PLURAL_TO_SINGULAR);
+    for (var k = 0; k < keys.length; k++) {
+      var arr = _data[keys[k]];
+      if (!arr) continue;
+      for (var i = 0; i < arr.length; i++) {
+        if (arr[i] && arr[i].id === id) {
+          return { key: keys[k], index: i, entry: arr[i] };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * _record(op, label, changes) — Push a mutation onto the undo stack and
+   * clear the redo stack.
+   *
+   * Each change is { key, id, index, before, after }: the collection key,
+   * the entry id, its position, and deep copies of the entry before and
+   * after the mutation (null when absent). A change with key '*' holds
+   * whole data objects (used by import); one with key 'site' holds the
+   * whole site settings object.
+   */
+  function _record(op, label, changes) {
+    _undoStack.push({ op: op, label: label || '', time: Date.now(), changes: changes });
+    if (_undoStack.length > HISTORY_LIMIT) {
+      _undoStack.shift();
+    }
+    _redoStack = [];
+  }
+
+  /**
+   * Whether the undo or redo journal records a change to one of `changes`
+   * (from _diffData), so undoing it would overwrite the newer data. Whole
+   * data swaps (import, merge) touch everything.
+   */
+  function _historyTouches(changes) {
+    return _undoStack.concat(_redoStack).some(function (record) {
+      return record.changes.some(function (change) {
+        if (change.key === '*') return true;
+        if (change.key === 'site') return changes.types.indexOf('site') !== -1;
+        return changes.ids.indexOf(change.id) !== -1;
+      });
+    });
+  }
+
+  /**
+   * Put one side ('before' or 'after') of a recorded change back into _data.
+   */
+  function _applyChange(change, side) {
+    var value = _clone(change[side]);
+
+    if (change.key === '*') {
+      _data = _ensureStructure(value);
+      return;
+    }
+    if (change.key === 'site') {
+      _data.site = _normalizeSite(value);
+      return;
+    }
+
+    if (!Array.isArray(_data[change.key])) _data[change.key] = [];
+    var arr = _data[change.key];
+    var found = _locate(change.id, [change.key]);
+
+    if (value === null) {
+      if (found) arr.splice(found.index, 1);
+    } else if (found) {
+      arr[found.index] = value;
+    } else {
+      arr.splice(Math.min(change.index, arr.length), 0, value);
+    }
+  }
+
+  /** Drop all recorded history (after init or an external reload). */
+  function _clearHistory() {
+    _undoStack = [];
+    _redoStack = [];
+  }
+
+  /**
+   * Sort an array of entries by date descending (newest first).
+   */
+  function _sortByDateDesc(arr) {
+    return arr.slice().sort(function (a, b) {
+      return new Date(b.date) - new Date(a.date);
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Tag registry
+  // -----------------------------------------------------------------------
+  //
+  // Entries carry free-form `tags` (an array of names). `tagRegistry` holds
+  // how each tag looks: { id, name, color, icon }. A tag used on entries but
+  // missing from the registry shows with DEFAULT_TAG_COLOR and no icon.
+  // Names are compared without regard to case.
+
+  /**
+   * Drop registry tags that are not objects and give any tag whose color
+   * is not #RRGGBB the default color. Registry colors go straight into
+   * style attributes on every page, so stored, published, imported and
+   * merged data all pass through here (via _ensureStructure).
+   */
+  function _normalizeTagRegistry(registry) {
+    return registry.filter(function (tag) {
+      return tag && typeof tag === 'object';
+    }).map(function (tag) {
+      if (!TAG_COLOR_RE.test(tag.color || '')) tag.color = DEFAULT_TAG_COLOR;
+      return tag;
+    });
+  }
+
+  /**
+   * Trim an entry's tag names, spell registered tags the way the registry
+   * does, and drop empty and duplicate names.
+   */
+  function _normalizeTags(entry) {
+    if (!Array.isArray(entry.tags)) return entry;
+    var names = [];
+    entry.tags.forEach(function (name) {
+      if (typeof name !== 'string') {
+        names.push(name); // left for validation
+        return;
+      }
+      name = name.trim();
+      var known = _data && _findByName(_data.tagRegistry || [], name);
+      if (known) name = known.name;
+      if (name && !_findByName(names.filter(function (n) { return typeof n === 'string'; }), name)) {
+        names.push(name);
+      }
+    });
+    entry.tags = names;
+    return entry;
+  }
+
+  /**
+   * Check a registry tag: a unique non-empty name and a #rrggbb color.
+   * @returns {Array} Error objects (codes 'required', 'duplicate', 'color').
+   */
+  function _validateTag(tag) {
+    var errors = [];
+    if (_isBlank(tag.name)) {
+      errors.push({ field: 'name', code: 'required', message: 'The tag name is required.' });
+    } else {
+      var other = _findByName(_data.tagRegistry, tag.name);
+      if (other && other.id !== tag.id) {
+        errors.push({ field: 'name', code: 'duplicate', message: 'A tag named "' + other.name + '" already exists.' });
+      }
+    }
+    if (!TAG_COLOR_RE.test(tag.color || '')) {
+      errors.push({ field: 'color', code: 'color', message: 'The tag color must look like #RRGGBB.' });
+    }
+    return errors;
+  }
+
+  /**
+   * Rewrite the tags of every entry (collections and trash) carrying
+   * `name`. `replacement` is the new name, or null to remove the tag.
+   * @returns {Array} Journal changes for the rewritten entries.
+   */
+  function _retagEntries(name, replacement) {
+    var changes = [];
+    Object.keys(PLURAL_TO_SINGULAR).concat('trash').forEach(function (key) {
+      _data[key].forEach(function (entry, index) {
+        if (!Array.isArray(entry.tags) || !_findByName(entry.tags, name)) return;
+        var after = _clone(entry);
+        after.tags = [];
+        entry.tags.forEach(function (tag) {
+          if (String(tag).toLowerCase() !== name.toLowerCase()) {
+            after.tags.push(tag);
+          } else if (replacement) {
+            after.tags.push(replacement);
+          }
+        });
+        _normalizeTags(after);
+        changes.push({ key: key, id: entry.id, index: index, before: _clone(entry), after: _clone(after) });
+        _data[key][index] = after;
+      });
+    });
+    return changes;
+  }
+
+  // -----------------------------------------------------------------------
+  // Series
+  // -----------------------------------------------------------------------
+  //
+  // `series` holds { id, title, cover, description, items } where `items`
+  // is the ordered list of member video/post ids. Trashed members keep
+  // their place (they come back with restore) but are skipped when the
+  // series is read, like drafts outside admin mode.
+
+  /** Content types that can be part of a series. */
+  var SERIES_TYPES = ['video', 'post'];
+
+  /**
+   * Find a series member by id: { type, entry } for a video or post that
+   * read methods may show, else null.
+   */
+  function _seriesMember(id) {
+    var found = _locate(id, SERIES_TYPES.map(function (type) { return TYPE_MAP[type]; }));
+    if (!found || !_isVisible(found.entry)) return null;
+    return { type: PLURAL_TO_SINGULAR[found.key], entry: found.entry };
+  }
+
+  /** The series containing an entry id, or null. */
+  function _seriesOf(id) {
+    var list = (_data && _data.series) || [];
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].items.indexOf(id) !== -1) return list[i];
+    }
+    return null;
+  }
+
+  /**
+   * Trim a series' text fields and keep only the ids of existing videos
+   * and posts (trashed ones included), each once.
+   */
+  function _normalizeSeries(series) {
+    var known = {};
+    SERIES_TYPES.forEach(function (type) {
+      _data[TYPE_MAP[type]].forEach(function (entry) { known[entry.id] = true; });
+    });
+    _data.trash.forEach(function (entry) {
+      if (SERIES_TYPES.indexOf(entry.type) !== -1) known[entry.id] = true;
+    });
+
+    series.title = String(series.title || '').trim();
+    series.cover = String(series.cover || '').trim();
+    series.description = String(series.description || '').trim();
+    series.items = (Array.isArray(series.items) ? series.items : []).filter(function (id, i, items) {
+      return known[id] && items.indexOf(id) === i;
+    });
+    return series;
+  }
+
+  /**
+   * Check a series: a title, an http(s) cover if any, and no member that
+   * already belongs to another series.
+   * @returns {Array} Error objects (codes 'required', 'url', 'series').
+   */
+  function _validateSeries(series) {
+    var errors = [];
+    if (_isBlank(series.title)) {
+      errors.push({ field: 'title', code: 'required', message: 'The title field is required.' });
+    }
+    if (!_isBlank(series.cover) && !_isHttpUrl(series.cover)) {
+      errors.push({ field: 'cover', code: 'url', message: 'The cover field must be an http(s) link.' });
+    }
+    series.items.forEach(function (id) {
+      var other = _seriesOf(id);
+      if (other && other.id !== series.id) {
+        errors.push({ field: 'items', code: 'series', message: 'An entry is already part of the series "' + other.title + '".' });
+      }
+    });
+    return errors;
+  }
+
+  // -----------------------------------------------------------------------
+  // Site settings
+  // -----------------------------------------------------------------------
+  //
+  // `site` holds what the shared header and footer show:
+  // { nav: [{ label, href, icon }], social: [{ label, url, icon }],
+  //   credits, creeper }. Nav hrefs are paths from the site root
+  // ('pages/videos.html') or full links. It travels with the content, so
+  // exports and the cloud backup carry it; data without it starts from the
+  // "site" block of data/config.json, else from DEFAULT_SITE.
+
+  var DEFAULT_SITE = {
+    nav: [
+      { label: 'Home',    href: 'index.html',          icon: '\u{1F3E0}' },
+      { label: 'Streams', href: 'pages/streams.html',  icon: '\u{1F3AC}' },
+      { label: 'Videos',  href: 'pages/videos.html',   icon: '\u{1F4F9}' },
+      { label: 'Gallery', href: 'pages/gallery.html',  icon: '\u{1F5BC}\uFE0F' },
+      { label: 'Blog',    href: 'pages/blog.html',     icon: '\u{1F4DD}' }
+    ],
+    social: [
+      { label: 'YouTube', url: '', icon: '\u{1F4FA}' },
+      { label: 'Twitch',  url: '', icon: '\u{1F7E3}' }
+    ],
+    credits: 'Built with \u2764\uFE0F by MonkaS',
+    creeper: true
+  };
+
+  /** Nav links may be site paths or full links, never scripts. */
+  function _isNavHref(value) {
+    var href = String(value || '').trim();
+    return _isHttpUrl(href) || (!/^[a-z][a-z0-9+.-]*:/i.test(href) && !/^\/\//.test(href) && !/\s/.test(href));
+  }
+
+  /** Trimmed copies of the link rows, without completely empty ones. */
+  function _normalizeLinks(rows, urlField) {
+    return (Array.isArray(rows) ? rows : []).filter(function (row) {
+      return row && typeof row === 'object';
+    }).map(function (row) {
+      var link = { label: String(row.label || '').trim() };
+      link[urlField] = String(row[urlField] || '').trim();
+      link.icon = String(row.icon || '').trim();
+      return link;
+    }).filter(function (link) {
+      return link.label || link[urlField] || link.icon;
+    });
+  }
+
+  /**
+   * A complete site settings object: missing parts come from DEFAULT_SITE,
+   * text is trimmed and empty link rows dropped.
+   */
+  function _normalizeSite(site) {
+    site = site && typeof site === 'object' ? site : {};
+    return {
+      nav: Array.isArray(site.nav) ? _normalizeLinks(site.nav, 'href') : _clone(DEFAULT_SITE.nav),
+      social: Array.isArray(site.social) ? _normalizeLinks(site.social, 'url') : _clone(DEFAULT_SITE.social),
+      credits: typeof site.credits === 'string' ? site.credits.trim() : DEFAULT_SITE.credits,
+      creeper: site.creeper === undefined ? DEFAULT_SITE.creeper : !!site.creeper
+    };
+  }
+
+  /**
+   * Check site settings: every nav link needs a label and a safe href,
+   * social links need an http(s) url (an empty one hides the icon).
+   * @returns {Array} Error objects (codes 'required', 'url').
+   */
+  function _validateSite(site) {
+    var errors = [];
+    site.nav.forEach(function (link, i) {
+      var name = 'Navigation link ' + (i + 1);
+      if (_isBlank(link.label)) {
+        errors.push({ field: 'nav', index: i, code: 'required', message: name + ' needs a label.' });
+      }
+      if (_isBlank(link.href)) {
+        errors.push({ field: 'nav', index: i, code: 'required', message: name + ' needs a page or link.' });
+      } else if (!_isNavHref(link.href)) {
+        errors.push({ field: 'nav', index: i, code: 'url', message: name + ' must be a site path or an http(s) link.' });
+      }
+    });
+    site.social.forEach(function (link, i) {
+      var name = 'Social link ' + (i + 1);
+      if (_isBlank(link.label)) {
+        errors.push({ field: 'social', index: i, code: 'required', message: name + ' needs a label.' });
+      }
+      if (!_isBlank(link.url) && !_isHttpUrl(link.url)) {
+        errors.push({ field: 'social', index: i, code: 'url', message: name + ' must be an http(s) link.' });
+      }
+    });
+    return errors;
+  }
+
+  // -----------------------------------------------------------------------
+  // Permalink slugs
+  // -----------------------------------------------------------------------
+  //
+  // Videos, screenshots and posts carry a `slug` naming their static page,
+  // p/<slug>.html (built by scripts/build-pages.js). Slugs are folded like
+  // search terms, so Cyrillic titles become Latin, and are unique across
+  // the collections and the trash. Once set, a slug survives title edits
+  // so shared links keep working.
+
+  /** Content types that get a permalink page. */
+  var SLUG_TYPES = ['video', 'screenshot', 'post'];
+
+  /** Longest slug built from a title (a "-2" suffix may follow). */
+  var SLUG_MAX = 60;
+
+  var SLUG_RE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+  /**
+   * Lowercase Latin words of a text joined by dashes ('' when none):
+   * MonkaCraft.slugify from js/utils.js, cut to SLUG_MAX.
+   */
+  function _slugify(text) {
+    return window.MonkaCraft.slugify(text).slice(0, SLUG_MAX).replace(/-+$/, '');
+  }
+
+  /** Every entry that owns a slug, collections first, then the trash. */
+  function _slugEntries(data) {
+    var list = [];
+    SLUG_TYPES.forEach(function (type) {
+      list = list.concat(data[TYPE_MAP[type]] || []);
+    });
+    return list.concat((data.trash || []).filter(function (entry) {
+      return SLUG_TYPES.indexOf(entry.type) !== -1;
+    }));
+  }
+
+  /** `base`, or `base-2`, `base-3`, ... — the first one not in `taken`. */
+  function _freeSlug(base, taken) {
+    var slug = base;
+    for (var n = 2; taken[slug]; n++) {
+      slug = base + '-' + n;
+    }
+    return slug;
+  }
+
+  /** The entry's own slug (cleaned up), else one made from its title. */
+  function _baseSlug(entry) {
+    return _slugify(entry.slug) || _slugify(entry.title) || entry.type;
+  }
+
+  /**
+   * Give every entry of a data object a clean slug, renaming later
+   * duplicates. Used by the migration and after a merge import.
+   */
+  function _assignSlugs(data) {
+    var taken = {};
+    _slugEntries(data).forEach(function (entry) {
+      entry.slug = _freeSlug(_baseSlug(entry), taken);
+      taken[entry.slug] = true;
+    });
+    return data;
+  }
+
+  /** A slug for an entry being saved that no other entry uses. */
+  function _uniqueSlug(entry) {
+    var taken = {};
+    _slugEntries(_data).forEach(function (other) {
+      if (other.id !== entry.id && other.slug) taken[other.slug] = true;
+    });
+    return _freeSlug(_baseSlug(entry), taken);
+  }
+
+  // -----------------------------------------------------------------------
+  // Merge import
+  // -----------------------------------------------------------------------
+  //
+  // importJSON(file, { mode: 'merge' }) matches entries by id across the
+  // four collections and the trash. Backups carry no common ancestor, so an
+  // entry that differs between the two sides in any way counts as changed
+  // on both and becomes a conflict for the caller to resolve.
+
+  /** Map every entry id to { key, entry } (collections first, then trash). */
+  function _indexEntries(obj) {
+    var index = {};
+    Object.keys(PLURAL_TO_SINGULAR).concat('trash').forEach(function (key) {
+      (obj[key] || []).forEach(function (entry) {
+        if (entry && entry.id && !index[entry.id]) {
+          index[entry.id] = { key: key, entry: entry };
+        }
+      });
+    });
+    return index;
+  }
+
+  /** Names of the fields whose values differ between two entries. */
+  function _diffFields(a, b) {
+    var fields = [];
+    Object.keys(a).concat(Object.keys(b)).forEach(function (field) {
+      if (fields.indexOf(field) !== -1) return;
+      if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) fields.push(field);
+    });
+    return fields;
+  }
+
+  /**
+   * Compare imported data with the current data.
+   * @returns {Object} { added: [{ key, entry }], conflicts: [...], unchanged,
+   *   tags, series } where each conflict is { id, type, title, local,
+   *   incoming, localKey, incomingKey, fields }. `type` is singular; a key
+   *   is 'trash' when that side has the entry in the trash. `tags` lists
+   *   registry tags whose name is new here (existing names keep their local
+   *   look); `series` lists series whose id is new here.
+   */
+  function _planMerge(imported) {
+    var local = _indexEntries(_data);
+    var plan = { added: [], conflicts: [], unchanged: 0, tags: [], series: [] };
+
+    (imported.tagRegistry || []).forEach(function (tag) {
+      if (!_findByName(_data.tagRegistry, tag.name)) plan.tags.push(tag);
+    });
+    (imported.series || []).forEach(function (series) {
+      var known = _data.series.some(function (mine) { return mine.id === series.id; });
+      if (!known) plan.series.push(series);
+    });
+
+    Object.keys(PLURAL_TO_SINGULAR).concat('trash').forEach(function (key) {
+      (imported[key] || []).forEach(function (entry) {
+        var mine = local[entry.id];
+        if (!mine) {
+          plan.added.push({ key: key, entry: entry });
+          return;
+        }
+        var fields = _diffFields(mine.entry, entry);
+        if (!fields.length && mine.key === key) {
+          plan.unchanged++;
+          return;
+        }
+        plan.conflicts.push({
+          id: entry.id,
+          type: entry.type || PLURAL_TO_SINGULAR[key],
+          title: mine.entry.title || entry.title || '',
+          local: _clone(mine.entry),
+          incoming: _clone(entry),
+          localKey: mine.key,
+          incomingKey: key,
+          fields: fields
+        });
+      });
+    });
+    return plan;
+  }
+
+  /**
+   * Build the entry a conflict resolves to. `choice` is 'local', 'incoming'
+   * or an object mapping field names to 'local' / 'incoming' (fields left
+   * out keep the local value).
+   * @returns {Object} { key, entry } — trashed when the result has deletedAt.
+   */
+  function _resolveConflict(conflict, choice) {
+    if (choice === 'incoming') return { key: conflict.incomingKey, entry: conflict.incoming };
+    if (!choice || typeof choice !== 'object') return { key: conflict.localKey, entry: conflict.local };
+
+    var entry = _clone(conflict.local);
+    conflict.fields.forEach(function (field) {
+      if (choice[field] !== 'incoming') return;
+      if (conflict.incoming[field] === undefined) {
+        delete entry[field];
+      } else {
+        entry[field] = _clone(conflict.incoming[field]);
+      }
+    });
+    entry.id = conflict.id;
+    entry.type = entry.type || conflict.type;
+    return { key: entry.deletedAt ? 'trash' : TYPE_MAP[entry.type || conflict.type], entry: entry };
+  }
+
+  /**
+   * Apply a merge plan to a copy of the current data.
+   * @param {Object} plan        - From _planMerge().
+   * @param {Object} resolutions - Conflict id -> choice (see _resolveConflict).
+   * @returns {Object} { data, summary } — summary counts added, updated,
+   *                   kept and unchanged entries, and added registry tags
+   *                   and series.
+   * @throws {ValidationError} If a resolved entry would be invalid.
+   */
+  function _applyMerge(plan, resolutions) {
+    var next = _clone(_data);
+    var summary = {
+      added: 0, updated: 0, kept: 0, unchanged: plan.unchanged,
+      tags: plan.tags.length, series: 0
+    };
+    var errors = [];
+
+    plan.tags.forEach(function (tag) {
+      next.tagRegistry.push(_clone(tag));
+    });
+
+    plan.added.forEach(function (item) {
+      next[item.key].push(_clone(item.entry));
+      summary.added++;
+    });
+
+    plan.conflicts.forEach(function (conflict) {
+      var choice = resolutions && resolutions[conflict.id];
+      var resolved = _resolveConflict(conflict, choice);
+      if (!choice || choice === 'local') {
+        summary.kept++;
+        return;
+      }
+
+      if (resolved.key !== 'trash') {
+        delete resolved.entry.deletedAt;
+        _validateEntry(resolved.entry, PLURAL_TO_SINGULAR[resolved.key]).forEach(function (err) {
+          err.type = PLURAL_TO_SINGULAR[resolved.key];
+          err.id = conflict.id;
+          err.message = '[' + err.type + ' "' + (resolved.entry.title || conflict.id) + '"] ' + err.message;
+          errors.push(err);
+        });
+      }
+
+      var arr = next[conflict.localKey];
+      var at = -1;
+      for (var i = 0; i < arr.length; i++) {
+        if (arr[i].id === conflict.id) { at = i; break; }
+      }
+      if (resolved.key === conflict.localKey && at !== -1) {
+        arr[at] = _clone(resolved.entry);
+      } else {
+        if (at !== -1) arr.splice(at, 1);
+        next[resolved.key].push(_clone(resolved.entry));
+      }
+      summary.updated++;
+    });
+
+    // New series keep only members that are not in a local series already
+    plan.series.forEach(function (series) {
+      var taken = {};
+      next.series.forEach(function (mine) {
+        mine.items.forEach(function (id) { taken[id] = true; });
+      });
+      var copy = _clone(series);
+      copy.items = (copy.items || []).filter(function (id) { return !taken[id]; });
+      next.series.push(copy);
+      summary.series++;
+    });
+
+    if (errors.length) throw new ValidationError(errors);
+    // Entries from the two sides may have picked the same slug
+    return { data: _assignSlugs(next), summary: summary };
+  }
+
+  /**
+   * Read a backup file, then parse, migrate and validate it.
+   * @returns {Promise} Resolves with the imported data object.
+   */
+  function _readImportFile(file) {
+    return new Promise(function (resolve, reject) {
+      if (!file) {
+        reject(new Error('No file provided.'));
+        return;
+      }
+
+      var reader = new FileReader();
+
+      reader.onload = function (e) {
+        var json;
+        try {
+          json = JSON.parse(e.target.result);
+        } catch (err) {
+          reject(new Error('Invalid JSON file: ' + err.message));
+          return;
+        }
+        var imported;
+        try {
+          imported = _ensureStructure(_migrate(json));
+        } catch (err) {
+          reject(err);
+          return;
+        }
+        var errors = _validateData(imported);
+        if (errors.length) {
+          reject(new ValidationError(errors));
+          return;
+        }
+        resolve(imported);
+      };
+
+      reader.onerror = function () {
+        reject(new Error('Failed to read file.'));
+      };
+
+      reader.readAsText(file);
+    });
+  }
+
+  // -----------------------------------------------------------------------
+  // Full-text search
+  // -----------------------------------------------------------------------
+  //
+  // A small inverted index (term -> entry id -> weight) over the title,
+  // tags, description, excerpt and tag-stripped post content of every entry. It
+  // is built on the first search() and dropped whenever the data changes.
+  //
+  // Words are folded before indexing and querying: lowercased, diacritics
+  // removed and Cyrillic transliterated to Latin, so "Майнкрафт" and
+  // "mainkraft" find each other and "café" finds "cafe".
+
+  /** Field -> score weight of a term found in it. */
+  var SEARCH_FIELDS = { title: 5, tags: 3, excerpt: 2, description: 2, content: 1 };
+
+  /** A word in the original text: Latin (with accents), Cyrillic or digits. */
+  var WORD_RE = /[0-9A-Za-z\u00C0-\u024F\u0400-\u04FF]+/g;
+
+  var _searchIndex = null;
+
+  /**
+   * Fold one word to its index form (see the section comment), with
+   * MonkaCraft.transliterate from js/utils.js.
+   */
+  function _foldWord(word) {
+    return window.MonkaCraft.transliterate(word);
+  }
+
+  /** Split text into folded terms. */
+  function _tokenize(text) {
+    return (String(text || '').match(WORD_RE) || []).map(_foldWord).filter(Boolean);
+  }
+
+  /** Searchable text of an entry field ('content' goes through MonkaCraft.stripHtml). */
+  function _fieldText(entry, field) {
+    if (field === 'content') return window.MonkaCraft.stripHtml(entry.content);
+    if (field === 'tags') return (entry.tags || []).join(' ');
+    return String(entry[field] || '');
+  }
+
+  /** Drop the search index; the next search() rebuilds it. */
+  function _invalidateSearch() {
+    _searchIndex = null;
+  }
+
+  /** Build the inverted index over all four collections. */
+  function _buildSearchIndex() {
+    var index = { terms: {}, entries: {} };
+    Object.keys(PLURAL_TO_SINGULAR).forEach(function (key) {
+      ((_data && _data[key]) || []).forEach(function (entry) {
+        index.entries[entry.id] = { type: PLURAL_TO_SINGULAR[key], entry: entry };
+        Object.keys(SEARCH_FIELDS).forEach(function (field) {
+          _tokenize(_fieldText(entry, field)).forEach(function (term) {
+            var postings = index.terms[term] || (index.terms[term] = {});
+            postings[entry.id] = (postings[entry.id] || 0) + SEARCH_FIELDS[field];
+          });
+        });
+      });
+    });
+    index.list = Object.keys(index.terms);
+    return index;
+  }
+
+  /** Whether a folded word matches one of the folded query terms. */
+  function _matchesQuery(folded, queryTerms) {
+    for (var i = 0; i < queryTerms.length; i++) {
+      if (folded.indexOf(queryTerms[i]) === 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Escape `text` and wrap words matching the query in <mark>. With
+   * `maxLength`, cut a window around the first match instead of returning
+   * the whole text.
+   */
+  function _highlight(text, queryTerms, maxLength) {
+    var ranges = [];
+    var match;
+    WORD_RE.lastIndex = 0;
+    while ((match = WORD_RE.exec(text))) {
+      if (_matchesQuery(_foldWord(match[0]), queryTerms)) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+
+    var start = 0;
+    var end = text.length;
+    if (maxLength && text.length > maxLength) {
+      start = ranges.length ? Math.max(0, ranges[0][0] - Math.floor(maxLength / 3)) : 0;
+      end = Math.min(text.length, start + maxLength);
+      // Don't cut words in half
+      if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+      if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    }
+
+    var escapeHtml = window.MonkaCraft.escapeHtml;
+    var html = start > 0 ? '\u2026' : '';
+    var pos = start;
+    ranges.forEach(function (range) {
+      if (range[0] < start || range[1] > end) return;
+      html += escapeHtml(text.slice(pos, range[0])) + '<mark>' + escapeHtml(text.slice(range[0], range[1])) + '</mark>';
+      pos = range[1];
+    });
+    html += escapeHtml(text.slice(pos, end));
+    return end < text.length ? html + '\u2026' : html;
+  }
+
+  // -----------------------------------------------------------------------
+  // Public API
+  // -----------------------------------------------------------------------
+
+  var ContentStore = {
+
+    /** Schema version of the data format this build reads and writes. */
+    SCHEMA_VERSION: SCHEMA_VERSION,
+
+    /** Error type thrown for invalid entries; see ValidationError above. */
+    ValidationError: ValidationError,
+
+    /** Allowed category and status values (read-only copies). */
+    CATEGORIES: { video: CATEGORIES.video.slice(), screenshot: CATEGORIES.screenshot.slice() },
+    STATUSES: STATUSES.slice(),
+
+    /**
+     * validate(entry, type) — Check an entry without storing it.
+     * @param {Object} entry  - Entry to check.
+     * @param {string} [type] - Singular type; defaults to entry.type.
+     * @returns {Array} { field, code, message } objects; empty when valid.
+     */
+    validate: function (entry, type) {
+      return _validateEntry(entry || {}, type || (entry && entry.type));
+    },
+
+    /**
+     * slugify(text) — The permalink slug a title or typed slug turns into:
+     * lowercase Latin words joined by dashes (Cyrillic is transliterated).
+     * add()/update() use it and then make the slug unique.
+     * @param {string} text
+     * @returns {string} '' when the text has no letters or digits.
+     */
+    slugify: function (text) {
+      return _slugify(text);
+    },
+
+    /**
+     * init() — Initialise the content store.
+     *
+     * Opens the storage adapter (IndexedDB, or localStorage as fallback,
+     * moving any legacy localStorage content over). If storage already
+     * contains data under STORAGE_KEY, use that. Otherwise, fetch
+     * data/content.json (adjusting the relative path for pages served from
+     * a subdirectory) and seed storage. Whichever source is used is
+     * migrated to SCHEMA_VERSION first.
+     *
+     * Returns a Promise that resolves when the store is ready.
+     */
+    init: function () {
+      return new Promise(function (resolve, reject) {
+        _storageLocked = false;
+        _clearHistory();
+        _invalidateSearch();
+        _scheduleCheckedAt = Date.now();
+        clearTimeout(_liveTimer);
+        _liveTimer = null;
+
+        function ready(data) {
+          _armSchedule();
+          _startLiveStatus();
+          resolve(data);
+        }
+
+        // Try loading from storage first
+        _load().then(function (found) {
+          _startSync();
+          if (found) {
+            _data = _ensureStructure(_data);
+            _purgeExpiredTrash();
+            ready(_data);
+            // Serve the cache now, pick up newer published content after
+            _checkRemote();
+            return;
+          }
+          _seed(ready);
+        });
+      });
+    },
+
+    /**
+     * storageName() — Which adapter is persisting content
+     * ('indexedDB' or 'localStorage'); null before init().
+     */
+    storageName: function () {
+      return _storage ? _storage.name : null;
+    },
+
+    /**
+     * setStorageAdapter(adapter) — Persist through a custom adapter
+     * ({ name, read, write, remove }, see "Storage adapters" above) instead
+     * of IndexedDB. Call before init().
+     */
+    setStorageAdapter: function (adapter) {
+      _storage = adapter || null;
+    },
+
+    /**
+     * getSaveError() — The error from the last failed write, or null when
+     * the last write succeeded. See the `contentSaveStatus` window event.
+     */
+    getSaveError: function () {
+      return _saveError;
+    },
+
+    /**
+     * flush() — Wait for all queued writes.
+     * @returns {Promise} Resolves true if the last write succeeded.
+     */
+    flush: function () {
+      return _writeQueue;
+    },
+
+    /**
+     * clearStorage() — Remove stored content (but not the snapshot), so the
+     * next init() seeds from data/content.json again. Used by Nuclear Delete.
+     * @returns {Promise}
+     */
+    clearStorage: function () {
+      return _openStorage().then(function () {
+        return _write(STORAGE_KEY, null);
+      });
+    },
+    /** Get/set the Cloudinary JSON backup URL. */
+    getCloudJsonUrl: function () {
+      return localStorage.getItem(CLOUD_JSON_KEY) || '';
+    },
+    setCloudJsonUrl: function (url) {
+      if (url) {
+        localStorage.setItem(CLOUD_JSON_KEY, url);
+      } else {
+        localStorage.removeItem(CLOUD_JSON_KEY);
+      }
+    },
+
+    // -------------------------------------------------------------------
+    // Read operations
+    // -------------------------------------------------------------------
+
+    /**
+     * setAdminMode(on) — Let read methods return every entry, including
+     * drafts and scheduled ones. Public pages leave this off and only ever
+     * see published entries. The admin panel turns it on before init().
+     */
+    setAdminMode: function (on) {
+      _adminMode = !!on;
+    },
+
+    /**
+     * statusOf(entry) — The status visitors currently see for an entry:
+     * 'draft', 'scheduled' (publishAt still ahead) or 'published'.
+     * @param {Object} entry
+     * @returns {string}
+     */
+    statusOf: function (entry) {
+      return _statusOf(entry);
+    },
+
+    /**
+     * getAll(type) — Return all entries for the given singular type
+     * (published ones only, unless in admin mode).
+     * @param {string} type - One of 'video', 'screenshot', 'post', 'stream'.
+     * @returns {Array} Array of entry objects (empty if type is unknown).
+     */
+    getAll: function (type) {
+      var key = TYPE_MAP[type];
+      if (!key || !_data) return [];
+      return (_data[key] || []).filter(_isVisible);
+    },
+
+    /**
+     * getById(id) — Find an entry of any type by its id (published ones
+     * only, unless in admin mode).
+     * @param {string} id - The UUID of the entry.
+     * @returns {Object|null}
+     */
+    getById: function (id) {
+      var found = _locate(id);
+      return found && _isVisible(found.entry) ? found.entry : null;
+    },
+
+    /**
+     * getLatest(type, count) — Return the N newest entries of the given type,
+     * sorted by date descending.
+     * @param {string} type  - Singular type name.
+     * @param {number} count - Maximum number of entries to return.
+     * @returns {Array}
+     */
+    getLatest: function (type, count) {
+      var all = this.getAll(type);
+      return _sortByDateDesc(all).slice(0, count);
+    },
+
+    /**
+     * getByTag(type, tags, options) — Return entries of the given type that
+     * carry the given tag(s) (case-insensitive comparison).
+     * @param {string}       type      - Singular type name.
+     * @param {string|Array} tags      - e.g. 'Minecraft' or ['Minecraft', 'PVP'].
+     * @param {Object}       [options] - { match: 'any' (default) | 'all' }.
+     * @returns {Array}
+     */
+    getByTag: function (type, tags, options) {
+      var wanted = (Array.isArray(tags) ? tags : [tags]).filter(function (name) {
+        return !_isBlank(name);
+      });
+      var matchAll = !!options && options.match === 'all';
+      return this.getAll(type).filter(function (entry) {
+        var has = function (name) {
+          return !!_findByName(entry.tags || [], name);
+        };
+        return matchAll ? wanted.every(has) : wanted.some(has);
+      });
+    },
+
+    /**
+     * getByCategory(type, category) — Return entries of the given type that
+     * match the specified category (case-insensitive comparison).
+     * @param {string} type     - Singular type name.
+     * @param {string} category - e.g. 'Tutorial', 'PVP'.
+     * @returns {Array}
+     */
+    getByCategory: function (type, category) {
+      var all = this.getAll(type);
+      var lowerCat = (category || '').toLowerCase();
+      return all.filter(function (entry) {
+        return (entry.category || '').toLowerCase() === lowerCat;
+      });
+    },
+
+    /**
+     * getTags(type) — The tag registry plus tags used on entries but not
+     * registered, each as { id, name, color, icon, count }. `count` is the
+     * number of entries (of `type`, if given) carrying the tag; like the
+     * other read methods it counts published entries only outside admin
+     * mode. Unregistered tags have id null.
+     * @param {string} [type] - Singular type name.
+     * @returns {Array}
+     */
+    getTags: function (type) {
+      var tags = ((_data && _data.tagRegistry) || []).map(function (tag) {
+        return Object.assign(_clone(tag), { count: 0 });
+      });
+      var keys = type ? [TYPE_MAP[type]] : Object.keys(PLURAL_TO_SINGULAR);
+      keys.forEach(function (key) {
+        ((_data && _data[key]) || []).filter(_isVisible).forEach(function (entry) {
+          (entry.tags || []).forEach(function (name) {
+            var tag = _findByName(tags, name);
+            if (!tag) {
+              tag = { id: null, name: name, color: DEFAULT_TAG_COLOR, icon: '', count: 0 };
+              tags.push(tag);
+            }
+            tag.count++;
+          });
+        });
+      });
+      return tags;
+    },
+
+    /**
+     * getTag(name) — How a tag looks: its registry entry, or a default
+     * { id: null, name, color, icon: '' } when it is not registered.
+     * @param {string} name
+     * @returns {Object}
+     */
+    getTag: function (name) {
+      var tag = _data && _findByName(_data.tagRegistry || [], name);
+      return tag ? _clone(tag) : { id: null, name: name, color: DEFAULT_TAG_COLOR, icon: '' };
+    },
+
+    /**
+     * getSeries() — All series, each with `count`: how many of its members
+     * read methods may show (so 0 for a series of drafts outside admin
+     * mode).
+     * @returns {Array} [{ id, title, cover, description, items, count }]
+     */
+    getSeries: function () {
+      return ((_data && _data.series) || []).map(function (series) {
+        return Object.assign(_clone(series), {
+          count: series.items.filter(_seriesMember).length
+        });
+      });
+    },
+
+    /**
+     * getSeriesEntries(id) — The members of a series in order, skipping
+     * trashed entries (and unpublished ones outside admin mode).
+     * @param {string} id - Series id.
+     * @returns {Array} [{ type, entry }] — empty for an unknown series.
+     */
+    getSeriesEntries: function (id) {
+      var list = (_data && _data.series) || [];
+      for (var i = 0; i < list.length; i++) {
+        if (list[i].id !== id) continue;
+        return list[i].items.map(_seriesMember).filter(Boolean).map(function (member) {
+          return { type: member.type, entry: _clone(member.entry) };
+        });
+      }
+      return [];
+    },
+
+    /**
+     * getSeriesPosition(entryId) — Where an entry sits in its series, for
+     * "Part 3 of 7" labels and previous/next links.
+     * @param {string} entryId
+     * @returns {Object|null} { series, part, total, prev, next } where part
+     *   is 1-based and prev/next are { type, entry } or null. Null when the
+     *   entry is in no series or is not shown itself.
+     */
+    getSeriesPosition: function (entryId) {
+      var series = _seriesOf(entryId);
+      if (!series) return null;
+      var members = this.getSeriesEntries(series.id);
+      for (var i = 0; i < members.length; i++) {
+        if (members[i].entry.id !== entryId) continue;
+        return {
+          series: _clone(series),
+          part: i + 1,
+          total: members.length,
+          prev: members[i - 1] || null,
+          next: members[i + 1] || null
+        };
+      }
+      return null;
+    },
+
+    /**
+     * search(query, options) — Full-text search across all four content
+     * types (published entries only, unless in admin mode). Every query
+     * word must match the start of a word in the title, description,
+     * excerpt or post text; case, diacritics and Cyrillic vs Latin spelling
+     * are ignored. Title hits rank above body hits, whole words above
+     * prefixes; ties go to the newer entry.
+     *
+     * @param {string} query
+     * @param {Object} [options] - { types: ['video', ...], limit: 50 }
+     *                             (limit 0 = no limit).
+     * @returns {Array} [{ type, entry, score, title, snippet }] where title
+     *                  and snippet are escaped HTML with matches in <mark>.
+     */
+    search: function (query, options) {
+      options = options || {};
+      var queryTerms = _tokenize(query).filter(function (term, i, all) {
+        return all.indexOf(term) === i;
+      });
+      if (!queryTerms.length || !_data) return [];
+
+      var index = _searchIndex || (_searchIndex = _buildSearchIndex());
+      var scores = null;
+
+      queryTerms.forEach(function (queryTerm) {
+        var termScores = {};
+        index.list.forEach(function (term) {
+          if (term.indexOf(queryTerm) !== 0) return;
+          var factor = term === queryTerm ? 1 : 0.5;
+          var postings = index.terms[term];
+          Object.keys(postings).forEach(function (id) {
+            termScores[id] = (termScores[id] || 0) + postings[id] * factor;
+          });
+        });
+        // Every query word has to match
+        if (scores) {
+          Object.keys(scores).forEach(function (id) {
+            if (termScores[id]) {
+              scores[id] += termScores[id];
+            } else {
+              delete scores[id];
+            }
+          });
+        } else {
+          scores = termScores;
+        }
+      });
+
+      var types = options.types || Object.keys(TYPE_MAP);
+      var results = [];
+      Object.keys(scores).forEach(function (id) {
+        var hit = index.entries[id];
+        if (types.indexOf(hit.type) === -1 || !_isVisible(hit.entry)) return;
+
+        var body = '';
+        ['description', 'excerpt', 'content'].some(function (field) {
+          var text = _fieldText(hit.entry, field);
+          if (!body) body = text;
+          if (_tokenize(text).some(function (word) { return _matchesQuery(word, queryTerms); })) {
+            body = text;
+            return true;
+          }
+          return false;
+        });
+
+        results.push({
+          type: hit.type,
+          entry: hit.entry,
+          score: scores[id],
+          title: _highlight(String(hit.entry.title || ''), queryTerms),
+          snippet: _highlight(body, queryTerms, 160)
+        });
+      });
+
+      results.sort(function (a, b) {
+        return (b.score - a.score) || (new Date(b.entry.date || 0) - new Date(a.entry.date || 0));
+      });
+      var limit = options.limit === undefined ? 50 : options.limit;
+      return limit ? results.slice(0, limit) : results;
+    },
+
+    // -------------------------------------------------------------------
+    // Write operations
+    // -------------------------------------------------------------------
+
+    /**
+     * add(entry) — Add a new content entry.
+     *
+     * The entry object MUST contain a `type` field (singular: 'video',
+     * 'screenshot', 'post', 'stream'). An `id` and `date` will be
+     * auto-generated if not provided. The result is checked with validate().
+     *
+     * @param {Object} entry - The content entry to add.
+     * @returns {Object} The entry as stored (with generated id/date).
+     * @throws {ValidationError} If the entry breaks the rules for its type.
+     */
+    add: function (entry) {
+      if (!entry || !entry.type) {
+        console.error('[ContentStore] add() requires an entry with a "type" field.');
+        return null;
+      }
+
+      var key = TYPE_MAP[entry.type];
+      if (!key) {
+        console.error('[ContentStore] add() unknown type:', entry.type);
+        return null;
+      }
+
+      if (!_data) {
+        _data = _ensureStructure({});
+      }
+
+      _prepareNewEntry(entry);
+      _data[key].push(entry);
+      _record('add', entry.title, [
+        { key: key, id: entry.id, index: _data[key].length - 1, before: null, after: _clone(entry) }
+      ]);
+      _commit();
+      return entry;
+    },
+
+    /**
+     * update(id, updatedFields) — Find an entry by its id across ALL types,
+     * merge the updated fields into it, and persist to storage.
+     * The merged result is validated before anything is changed.
+     *
+     * @param {string} id            - The UUID of the entry to update.
+     * @param {Object} updatedFields - Key/value pairs to merge.
+     * @returns {Object|null} The updated entry, or null if not found.
+     * @throws {ValidationError} If the merged entry would be invalid.
+     */
+    update: function (id, updatedFields) {
+      var found = _locate(id);
+      if (!found) {
+        if (_data && id) console.warn('[ContentStore] update() entry not found:', id);
+        return null;
+      }
+
+      // Merge fields into a copy first so an invalid update changes nothing
+      var merged = _normalizeTags(_normalizeSchedule(Object.assign({}, found.entry, updatedFields || {})));
+      merged.id = id;
+      if (found.key === 'streams') _normalizeLive(merged);
+      // A blank slug is rebuilt from the title
+      if (SLUG_TYPES.indexOf(PLURAL_TO_SINGULAR[found.key]) !== -1) {
+        merged.slug = _uniqueSlug(merged);
+      }
+      var errors = _validateEntry(merged, PLURAL_TO_SINGULAR[found.key]);
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
+
+      _data[found.key][found.index] = merged;
+      _record('update', merged.title, [
+        { key: found.key, id: id, index: found.index, before: _clone(found.entry), after: _clone(merged) }
+      ]);
+      _commit();
+      return merged;
+    },
+
+    /**
+     * publish(id) — Make a draft or scheduled entry public and stamp its
+     * `date` with today's date.
+     *
+     * @param {string} id - The UUID of the entry.
+     * @returns {Object|null} The published entry, or null if not found.
+     */
+    publish: function (id) {
+      var found = _locate(id);
+      if (!found) {
+        console.warn('[ContentStore] publish() entry not found:', id);
+        return null;
+      }
+      if (found.entry.status === 'published') return found.entry;
+
+      var published = _clone(found.entry);
+      published.status = 'published';
+      published.date = _todayISO();
+      delete published.publishAt;
+
+      _data[found.key][found.index] = published;
+      _record('publish', published.title, [
+        { key: found.key, id: id, index: found.index, before: _clone(found.entry), after: _clone(published) }
+      ]);
+      _commit();
+      return published;
+    },
+
+    /**
+     * saveTag(tag) — Add a tag to the registry, or update the one with the
+     * same `id`. Renaming a tag renames it on every entry carrying it.
+     *
+     * @param {Object} tag - { id?, name, color ('#RRGGBB'), icon? }.
+     * @returns {Object} The stored registry tag.
+     * @throws {ValidationError} For a missing or duplicate name or a bad color.
+     */
+    saveTag: function (tag) {
+      tag = tag || {};
+      var registry = _data.tagRegistry;
+      var index = -1;
+      for (var i = 0; tag.id && i < registry.length; i++) {
+        if (registry[i].id === tag.id) index = i;
+      }
+      var before = index === -1 ? null : registry[index];
+
+      var saved = {
+        id: before ? before.id : _generateId(),
+        name: String(tag.name || '').trim(),
+        color: tag.color || DEFAULT_TAG_COLOR,
+        icon: String(tag.icon || '').trim()
+      };
+      var errors = _validateTag(saved);
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
+
+      var changes = before && before.name !== saved.name ? _retagEntries(before.name, saved.name) : [];
+      changes.push({
+        key: 'tagRegistry', id: saved.id, index: index === -1 ? registry.length : index,
+        before: _clone(before), after: _clone(saved)
+      });
+      if (index === -1) {
+        registry.push(saved);
+      } else {
+        registry[index] = saved;
+      }
+
+      _record('tag', saved.name, changes);
+      _commit();
+      return _clone(saved);
+    },
+
+    /**
+     * deleteTag(name) — Remove a tag from the registry and from every entry
+     * carrying it (trashed entries included).
+     * @param {string} name
+     * @returns {boolean} True if the tag was registered or in use.
+     */
+    deleteTag: function (name) {
+      if (!_data || _isBlank(name)) return false;
+      var changes = _retagEntries(String(name), null);
+      var registry = _data.tagRegistry;
+      var tag = _findByName(registry, name);
+      if (tag) {
+        var index = registry.indexOf(tag);
+        changes.push({ key: 'tagRegistry', id: tag.id, index: index, before: _clone(tag), after: null });
+        registry.splice(index, 1);
+      }
+      if (!changes.length) return false;
+
+      _record('tag', tag ? tag.name : String(name), changes);
+      _commit();
+      return true;
+    },
+
+    /**
+     * saveSeries(series) — Add a series, or update the one with the same
+     * `id`. `items` is the ordered list of member video/post ids; unknown
+     * ids are dropped.
+     *
+     * @param {Object} series - { id?, title, cover?, description?, items }.
+     * @returns {Object} The stored series.
+     * @throws {ValidationError} For a missing title, a bad cover link or a
+     *                           member that is in another series.
+     */
+    saveSeries: function (series) {
+      series = series || {};
+      var list = _data.series;
+      var index = -1;
+      for (var i = 0; series.id && i < list.length; i++) {
+        if (list[i].id === series.id) index = i;
+      }
+      var before = index === -1 ? null : list[index];
 
-        // No local data — read config.json for Cloudinary URL, then fetch content
-        var basePath = _resolveContentPath().replace('content.json', '');
-        var configPath = basePath + 'config.json';
-        var localPath = basePath + 'content.json';
-
-        // Step 1: Try to get cloud URL from config.json (committed to repo)
-        fetch(configPath)
-          .then(function (r) { return r.ok ? r.json() : {}; })
-          .then(function (config) {
-            var cloudUrl = (config && config.cloudBackupUrl) || localStorage.getItem(CLOUD_JSON_KEY);
-
-            if (cloudUrl) {
-              // Step 2a: Fetch from Cloudinary
-              return fetch(cloudUrl)
-                .then(function (r) {
-                  if (!r.ok) throw new Error('Cloud HTTP ' + r.status);
-                  return r.json();
-                })
-                .catch(function (err) {
-                  console.warn('[ContentStore] Cloud fetch failed, trying local:', err.message);
-                  // Step 2b: Cloudinary failed, fall back to local file
-                  return fetch(localPath).then(function (r) { return r.ok ? r.json() : {}; });
-                });
-            }
-            // No cloud URL — use local file
-            return fetch(localPath).then(function (r) { return r.ok ? r.json() : {}; });
-          })
-          .then(function (json) {
-            _data = _ensureStructure(json);
-            _save();
-            resolve(_data);
-          })
-          .catch(function (err) {
-            console.warn('[ContentStore] Could not fetch content.json:', err.message);
-            _data = _ensureStructure({});
-            _save();
-            resolve(_data);
-          });
+      var saved = _normalizeSeries({
+        id: before ? before.id : _generateId(),
+        title: series.title,
+        cover: series.cover,
+        description: series.description,
+        items: series.items
       });
-    },
+      var errors = _validateSeries(saved);
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
 
-    /** Get/set the Cloudinary JSON backup URL. */
-    getCloudJsonUrl: function () {
-      return localStorage.getItem(CLOUD_JSON_KEY) || '';
-    },
-    setCloudJsonUrl: function (url) {
-      if (url) {
-        localStorage.setItem(CLOUD_JSON_KEY, url);
+      if (index === -1) {
+        list.push(saved);
       } else {
-        localStorage.removeItem(CLOUD_JSON_KEY);
+        list[index] = saved;
       }
+      _record('series', saved.title, [{
+        key: 'series', id: saved.id, index: index === -1 ? list.length - 1 : index,
+        before: _clone(before), after: _clone(saved)
+      }]);
+      _commit();
+      return _clone(saved);
     },
 
-    // -------------------------------------------------------------------
-    // Read operations
-    // -------------------------------------------------------------------
-
     /**
-     * getAll(type) — Return all entries for the given singular type.
-     * @param {string} type - One of 'video', 'screenshot', 'post', 'stream'.
-     * @returns {Array} Array of entry objects (empty if type is unknown).
+     * deleteSeries(id) — Remove a series. Its members stay as they are.
+     * @param {string} id
+     * @returns {boolean} True if the series existed.
      */
-    getAll: function (type) {
-      var key = TYPE_MAP[type];
-      if (!key || !_data) return [];
-      return (_data[key] || []).slice();
+    deleteSeries: function (id) {
+      var found = _locate(id, ['series']);
+      if (!found) return false;
+
+      _data.series.splice(found.index, 1);
+      _record('series', found.entry.title, [{
+        key: 'series', id: id, index: found.index, before: _clone(found.entry), after: null
+      }]);
+      _commit();
+      return true;
     },
 
     /**
-     * getLatest(type, count) — Return the N newest entries of the given type,
-     * sorted by date descending.
-     * @param {string} type  - Singular type name.
-     * @param {number} count - Maximum number of entries to return.
-     * @returns {Array}
+     * getSiteSettings() — Navigation, social links, footer credits and the
+     * creeper toggle: { nav, social, credits, creeper }.
+     * @returns {Object} A copy; defaults before init().
      */
-    getLatest: function (type, count) {
-      var all = this.getAll(type);
-      return _sortByDateDesc(all).slice(0, count);
+    getSiteSettings: function () {
+      return _clone(_data ? _data.site : _normalizeSite(null));
     },
 
     /**
-     * getByTag(type, tag) — Return entries of the given type that match the
-     * specified gameTag value (case-insensitive comparison).
-     * @param {string} type - Singular type name.
-     * @param {string} tag  - e.g. 'Minecraft', 'Roblox'.
-     * @returns {Array}
+     * saveSiteSettings(site) — Replace the site settings. Link rows that
+     * are completely empty are dropped; parts left out keep their defaults.
+     *
+     * @param {Object} site - { nav, social, credits, creeper }.
+     * @returns {Object} The stored settings.
+     * @throws {ValidationError} For a nav link without label or with an
+     *                           unsafe href, or a social link that is not
+     *                           an http(s) link.
      */
-    getByTag: function (type, tag) {
-      var all = this.getAll(type);
-      var lowerTag = (tag || '').toLowerCase();
-      return all.filter(function (entry) {
-        return (entry.gameTag || '').toLowerCase() === lowerTag;
-      });
+    saveSiteSettings: function (site) {
+      var saved = _normalizeSite(site);
+      var errors = _validateSite(saved);
+      if (errors.length) {
+        throw new ValidationError(errors);
+      }
+
+      var before = _data.site;
+      _data.site = saved;
+      _record('site', '', [{ key: 'site', id: null, index: 0, before: _clone(before), after: _clone(saved) }]);
+      _commit();
+      return _clone(saved);
     },
 
     /**
-     * getByCategory(type, category) — Return entries of the given type that
-     * match the specified category (case-insensitive comparison).
-     * @param {string} type     - Singular type name.
-     * @param {string} category - e.g. 'Tutorial', 'PVP'.
-     * @returns {Array}
+     * delete(id) — Move an entry by its id from whichever type array
+     * contains it into the trash (stamped with `deletedAt`), then persist.
+     * Use purge(id) to remove a trashed entry for good.
+     *
+     * @param {string} id - The UUID of the entry to delete.
+     * @returns {boolean} True if an entry was found and moved to the trash.
      */
-    getByCategory: function (type, category) {
-      var all = this.getAll(type);
-      var lowerCat = (category || '').toLowerCase();
-      return all.filter(function (entry) {
-        return (entry.category || '').toLowerCase() === lowerCat;
-      });
+    delete: function (id) {
+      var found = _locate(id);
+      if (!found) {
+        if (_data && id) console.warn('[ContentStore] delete() entry not found:', id);
+        return false;
+      }
+
+      var trashed = _clone(found.entry);
+      trashed.type = PLURAL_TO_SINGULAR[found.key];
+      trashed.deletedAt = new Date().toISOString();
+
+      _data[found.key].splice(found.index, 1);
+      _data.trash.push(trashed);
+      _record('delete', found.entry.title, [
+        { key: found.key, id: id, index: found.index, before: _clone(found.entry), after: null },
+        { key: 'trash', id: id, index: _data.trash.length - 1, before: null, after: _clone(trashed) }
+      ]);
+      _commit();
+      return true;
     },
 
     // -------------------------------------------------------------------
-    // Write operations
+    // Trash
     // -------------------------------------------------------------------
 
     /**
-     * add(entry) — Add a new content entry.
-     *
-     * The entry object MUST contain a `type` field (singular: 'video',
-     * 'screenshot', 'post', 'stream'). An `id` and `date` will be
-     * auto-generated if not provided.
-     *
-     * @param {Object} entry - The content entry to add.
-     * @returns {Object} The entry as stored (with generated id/date).
+     * getTrash() — Return all trashed entries, most recently deleted first.
+     * Each keeps its original fields plus `type` and `deletedAt`.
+     * @returns {Array}
      */
-    add: function (entry) {
-      if (!entry || !entry.type) {
-        console.error('[ContentStore] add() requires an entry with a "type" field.');
+    getTrash: function () {
+      if (!_data) return [];
+      return _data.trash.slice().sort(function (a, b) {
+        return new Date(b.deletedAt) - new Date(a.deletedAt);
+      });
+    },
+
+    /**
+     * restore(id) — Move a trashed entry back to its type collection.
+     * @param {string} id - The UUID of the trashed entry.
+     * @returns {Object|null} The restored entry, or null if not in the trash.
+     */
+    restore: function (id) {
+      var found = _locate(id, ['trash']);
+      if (!found) {
+        console.warn('[ContentStore] restore() entry not in trash:', id);
         return null;
       }
 
-      var key = TYPE_MAP[entry.type];
+      var key = TYPE_MAP[found.entry.type];
       if (!key) {
-        console.error('[ContentStore] add() unknown type:', entry.type);
+        console.error('[ContentStore] restore() unknown type:', found.entry.type);
         return null;
       }
 
-      if (!_data) {
-        _data = _ensureStructure({});
-      }
-
-      // Auto-generate id if missing
-      if (!entry.id) {
-        entry.id = _generateId();
-      }
-
-      // Auto-set date if missing
-      if (!entry.date) {
-        entry.date = _todayISO();
-      }
+      var entry = _clone(found.entry);
+      delete entry.deletedAt;
 
+      _data.trash.splice(found.index, 1);
       _data[key].push(entry);
-      _save();
+      _record('restore', entry.title, [
+        { key: 'trash', id: id, index: found.index, before: _clone(found.entry), after: null },
+        { key: key, id: id, index: _data[key].length - 1, before: null, after: _clone(entry) }
+      ]);
+      _commit();
       return entry;
     },
 
     /**
-     * update(id, updatedFields) — Find an entry by its id across ALL types,
-     * merge the updated fields into it, and persist to localStorage.
-     *
-     * @param {string} id            - The UUID of the entry to update.
-     * @param {Object} updatedFields - Key/value pairs to merge.
-     * @returns {Object|null} The updated entry, or null if not found.
+     * purge(id) — Permanently remove an entry from the trash. Pass no id to
+     * empty the whole trash. Still undoable until the page is reloaded.
+     * @param {string} [id] - The UUID of the trashed entry.
+     * @returns {number} How many entries were removed.
      */
-    update: function (id, updatedFields) {
-      if (!_data || !id) return null;
+    purge: function (id) {
+      if (!_data) return 0;
 
-      var pluralKeys = Object.keys(TYPE_MAP).map(function (t) { return TYPE_MAP[t]; });
+      var targets = id ? [_locate(id, ['trash'])].filter(Boolean) :
+        _data.trash.map(function (entry, i) { return { key: 'trash', index: i, entry: entry }; });
+      if (!targets.length) return 0;
 
-      for (var k = 0; k < pluralKeys.length; k++) {
-        var key = pluralKeys[k];
-        var arr = _data[key];
-        if (!arr) continue;
-
-        for (var i = 0; i < arr.length; i++) {
-          if (arr[i].id === id) {
-            // Merge fields
-            var fields = Object.keys(updatedFields || {});
-            for (var f = 0; f < fields.length; f++) {
-              arr[i][fields[f]] = updatedFields[fields[f]];
-            }
-            _save();
-            return arr[i];
-          }
-        }
-      }
+      var changes = targets.map(function (t) {
+        return { key: 'trash', id: t.entry.id, index: t.index, before: _clone(t.entry), after: null };
+      });
+      var purgedIds = targets.map(function (t) { return t.entry.id; });
+      _data.trash = _data.trash.filter(function (entry) {
+        return purgedIds.indexOf(entry.id) === -1;
+      });
+      _record('purge', id ? targets[0].entry.title : '', changes);
+      _commit();
+      return targets.length;
+    },
 
-      console.warn('[ContentStore] update() entry not found:', id);
-      return null;
+    /** Get/set how many days trashed entries are kept (0 = forever). */
+    getTrashRetentionDays: function () {
+      return _trashDays();
+    },
+    setTrashRetentionDays: function (days) {
+      var n = parseInt(days, 10);
+      localStorage.setItem(TRASH_DAYS_KEY, String(isNaN(n) || n < 0 ? DEFAULT_TRASH_DAYS : n));
+      return _purgeExpiredTrash();
     },
 
+    // -------------------------------------------------------------------
+    // Snapshots (taken before Nuclear Delete)
+    // -------------------------------------------------------------------
+
     /**
-     * delete(id) — Remove an entry by its id from whichever type array
-     * contains it, then persist to localStorage.
-     *
-     * @param {string} id - The UUID of the entry to delete.
-     * @returns {boolean} True if an entry was found and removed.
+     * saveSnapshot() — Copy all current data into a separate storage key
+     * so it can be brought back with restoreSnapshot().
+     * @returns {Promise} Resolves false if the snapshot could not be
+     *                    written (usually because storage is full).
      */
-    delete: function (id) {
-      if (!_data || !id) return false;
+    saveSnapshot: function () {
+      if (!_data || !_storage) return Promise.resolve(false);
+      var snap = { takenAt: new Date().toISOString(), data: _clone(_data) };
+      return _write(SNAPSHOT_KEY, JSON.stringify(snap)).then(function (ok) {
+        if (ok) _snapshot = snap;
+        return ok;
+      });
+    },
 
-      var pluralKeys = Object.keys(TYPE_MAP).map(function (t) { return TYPE_MAP[t]; });
+    /**
+     * getSnapshotInfo() — Describe the saved snapshot, if any.
+     * @returns {Object|null} { takenAt, stats } or null.
+     */
+    getSnapshotInfo: function () {
+      if (!_snapshot) return null;
+      var d = _snapshot.data;
+      var count = function (key) { return Array.isArray(d[key]) ? d[key].length : 0; };
+      return {
+        takenAt: _snapshot.takenAt,
+        stats: { videos: count('videos'), screenshots: count('screenshots'), posts: count('posts'), streams: count('streams') }
+      };
+    },
 
-      for (var k = 0; k < pluralKeys.length; k++) {
-        var key = pluralKeys[k];
-        var arr = _data[key];
-        if (!arr) continue;
+    /**
+     * restoreSnapshot() — Replace all data with the saved snapshot (after
+     * migrating it) and remove the snapshot. Undoable like an import.
+     * @returns {boolean} True if a snapshot was restored.
+     */
+    restoreSnapshot: function () {
+      if (!_snapshot) return false;
 
-        for (var i = 0; i < arr.length; i++) {
-          if (arr[i].id === id) {
-            arr.splice(i, 1);
-            _save();
-            return true;
-          }
-        }
+      var restored;
+      try {
+        restored = _ensureStructure(_migrate(_clone(_snapshot.data)));
+      } catch (e) {
+        console.error('[ContentStore] Snapshot could not be restored:', e);
+        return false;
       }
 
-      console.warn('[ContentStore] delete() entry not found:', id);
-      return false;
+      _record('restore', '', [
+        { key: '*', id: null, index: 0, before: _clone(_data), after: _clone(restored) }
+      ]);
+      _data = restored;
+      _commit();
+      _snapshot = null;
+      _write(SNAPSHOT_KEY, null);
+      return true;
+    },
+
+    /** discardSnapshot() — Delete the saved snapshot. */
+    discardSnapshot: function () {
+      _snapshot = null;
+      if (_storage) _write(SNAPSHOT_KEY, null);
     },
 
     // -------------------------------------------------------------------
@@ -401,22 +3607,36 @@
     // -------------------------------------------------------------------
 
     /**
-     * exportJSON() — Trigger a browser download of all content as a .json file.
+     * exportJSON(options) — Trigger a browser download of the content as a
+     * .json file. By default this is the published copy (see
+     * createPublishedCopy), ready to go live as data/content.json.
      * Creates a Blob, builds a temporary download link, clicks it, and cleans up.
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Download everything this
+     *   browser holds instead, drafts and trash included. Restore it with
+     *   importJSON(); it is never marked as published.
      */
-    exportJSON: function () {
+    exportJSON: function (options) {
       if (!_data) {
         console.error('[ContentStore] exportJSON() called before init().');
         return;
       }
 
-      var jsonStr = JSON.stringify(_data, null, 2);
+      var full = !!(options && options.full);
+      var copy;
+      if (full) {
+        copy = _clone(_data);
+        delete copy.unpublished;
+      } else {
+        copy = this.createPublishedCopy();
+      }
+      var jsonStr = JSON.stringify(copy, null, 2);
       var blob = new Blob([jsonStr], { type: 'application/json' });
       var url = URL.createObjectURL(blob);
 
       var a = document.createElement('a');
       a.href = url;
-      a.download = 'monkacraft_content_' + _todayISO() + '.json';
+      a.download = (full ? 'monkacraft_backup_' : 'monkacraft_content_') + _todayISO() + '.json';
       a.style.display = 'none';
 
       document.body.appendChild(a);
@@ -427,42 +3647,141 @@
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
       }, 100);
+
+      if (!full) this.markPublished(copy);
+    },
+
+    /**
+     * createPublishedCopy() — The content to publish, stamped with a fresh
+     * `revision` and `publishedAt`, ready to go live as content.json or a
+     * cloud backup. Drafts and the trash stay in this browser only; the
+     * schedule is kept. Call markPublished(copy) once it has been published.
+     * @returns {Object|null}
+     */
+    createPublishedCopy: function () {
+      if (!_data) return null;
+      var copy = _publicCopy(_data);
+      copy.revision = _contentHash(copy);
+      copy.publishedAt = new Date().toISOString();
+      return copy;
     },
 
     /**
-     * importJSON(file) — Accept a File object (from <input type="file">),
-     * read its contents, parse as JSON, replace the in-memory data and
-     * localStorage entirely.
+     * markPublished(copy) — Record that `copy` (from createPublishedCopy)
+     * is now the published version: the cache takes over its marker and
+     * no longer counts as having unpublished changes.
+     */
+    markPublished: function (copy) {
+      if (!_data || !copy) return;
+      _data.revision = copy.revision;
+      _data.publishedAt = copy.publishedAt;
+      _data.unpublished = _contentHash(_publicCopy(_data)) !== copy.revision;
+      _remoteUpdate = null;
+      _save();
+    },
+
+    /** hasUnpublishedChanges() — Whether this browser holds edits not yet published. */
+    hasUnpublishedChanges: function () {
+      return !!(_data && _data.unpublished);
+    },
+
+    /**
+     * checkForUpdates() — Run the background freshness check now.
+     * @returns {Promise} Resolves true if newer published content was loaded.
+     */
+    checkForUpdates: function () {
+      return _checkRemote();
+    },
+
+    /**
+     * getRemoteUpdate() — The newer published copy held back because this
+     * browser has unpublished edits, as { revision, publishedAt }, or null.
+     */
+    getRemoteUpdate: function () {
+      return _remoteUpdate ? { revision: _remoteUpdate.revision, publishedAt: _remoteUpdate.publishedAt || null } : null;
+    },
+
+    /**
+     * acceptRemoteUpdate() — Replace local data (including unpublished
+     * edits) with the held-back published copy. Drafts and the trash are
+     * kept. Undoable like an import.
+     * @returns {boolean} True if there was an update to accept.
+     */
+    acceptRemoteUpdate: function () {
+      if (!_remoteUpdate) return false;
+      var remote = _remoteUpdate;
+      _remoteUpdate = null;
+      remote.unpublished = false;
+
+      _keepLocalOnly(remote);
+      _record('import', '', [
+        { key: '*', id: null, index: 0, before: _clone(_data), after: _clone(remote) }
+      ]);
+      _data = remote;
+      _save();
+      return true;
+    },
+
+    /** dismissRemoteUpdate() — Keep local edits; forget the held-back copy. */
+    dismissRemoteUpdate: function () {
+      _remoteUpdate = null;
+    },
+
+    /**
+     * importJSON(file, options) — Accept a File object (from
+     * <input type="file">), read its contents, parse as JSON and run schema
+     * migrations. By default the in-memory data and stored content are
+     * replaced entirely.
+     *
+     * With options.mode === 'merge' entries are matched by id instead: new
+     * ones are added, identical ones skipped, and entries that differ are
+     * passed as conflicts (see _planMerge) to options.resolve(conflicts).
+     * It returns — or resolves with — an object mapping conflict ids to
+     * 'local', 'incoming' or { field: 'local' | 'incoming' }, or null to
+     * cancel. Without options.resolve every conflict keeps the local entry.
+     * A merge is one undoable 'import' step.
      *
-     * @param {File} file - A File object containing valid JSON.
-     * @returns {Promise} Resolves with the imported data object, or rejects
-     *                    on parse/read error.
+     * @param {File}   file    - A File object containing valid JSON.
+     * @param {Object} [options] - { mode: 'replace' | 'merge', resolve }.
+     * @returns {Promise} Resolves with the imported data object (replace),
+     *                    a { added, updated, kept, unchanged, tags } summary
+     *                    (merge) or null when the merge was cancelled.
+     *                    Rejects on parse/read error, when the file comes
+     *                    from a newer schema version, or with a
+     *                    ValidationError when any entry is invalid (nothing
+     *                    is changed).
      */
-    importJSON: function (file) {
-      return new Promise(function (resolve, reject) {
-        if (!file) {
-          reject(new Error('No file provided.'));
-          return;
-        }
+    importJSON: function (file, options) {
+      options = options || {};
 
-        var reader = new FileReader();
+      return _readImportFile(file).then(function (imported) {
+        if (options.mode !== 'merge') {
+          _record('import', file.name, [
+            { key: '*', id: null, index: 0, before: _clone(_data), after: _clone(imported) }
+          ]);
+          _data = imported;
+          _commit();
+          return _data;
+        }
 
-        reader.onload = function (e) {
-          try {
-            var json = JSON.parse(e.target.result);
-            _data = _ensureStructure(json);
-            _save();
-            resolve(_data);
-          } catch (err) {
-            reject(new Error('Invalid JSON file: ' + err.message));
-          }
-        };
+        var plan = _planMerge(imported);
+        var ask = plan.conflicts.length && typeof options.resolve === 'function' ?
+          options.resolve(_clone(plan.conflicts)) : {};
 
-        reader.onerror = function () {
-          reject(new Error('Failed to read file.'));
-        };
+        return Promise.resolve(ask).then(function (resolutions) {
+          if (resolutions === null) return null;
 
-        reader.readAsText(file);
+          var merged = _applyMerge(plan, resolutions);
+          var counts = merged.summary;
+          if (counts.added || counts.updated || counts.tags || counts.series) {
+            _record('import', file.name, [
+              { key: '*', id: null, index: 0, before: _clone(_data), after: _clone(merged.data) }
+            ]);
+            _data = merged.data;
+            _commit();
+          }
+          return merged.summary;
+        });
       });
     },
 
@@ -471,29 +3790,32 @@
     // -------------------------------------------------------------------
 
     /**
-     * getStats() — Return an object with counts of each content type.
+     * getStats() — Return an object with counts of each content type
+     * (published entries only, unless in admin mode).
      * @returns {{ videos: number, screenshots: number, posts: number, streams: number }}
      */
     getStats: function () {
       if (!_data) {
         return { videos: 0, screenshots: 0, posts: 0, streams: 0 };
       }
+      var count = function (key) { return (_data[key] || []).filter(_isVisible).length; };
       return {
-        videos: (_data.videos || []).length,
-        screenshots: (_data.screenshots || []).length,
-        posts: (_data.posts || []).length,
-        streams: (_data.streams || []).length
+        videos: count('videos'),
+        screenshots: count('screenshots'),
+        posts: count('posts'),
+        streams: count('streams')
       };
     },
 
     /**
-     * isLive() — Check whether any stream entry currently has isLive === true.
+     * isLive() — Check whether any published stream entry currently has
+     * isLive === true.
      * @returns {boolean}
      */
     isLive: function () {
       if (!_data || !_data.streams) return false;
       for (var i = 0; i < _data.streams.length; i++) {
-        if (_data.streams[i].isLive === true) {
+        if (_data.streams[i].isLive === true && _isVisible(_data.streams[i])) {
           return true;
         }
       }
@@ -502,6 +3824,8 @@
 
     /**
      * setLive(id, bool) — Set a specific stream entry's isLive property.
+     * Going live stamps `liveSince`, which the stale-flag timeout counts
+     * from (see "Live status providers").
      *
      * @param {string}  id   - The UUID of the stream entry.
      * @param {boolean} bool - true for live, false for offline.
@@ -510,26 +3834,318 @@
     setLive: function (id, bool) {
       if (!_data || !_data.streams) return null;
 
-      for (var i = 0; i < _data.streams.length; i++) {
-        if (_data.streams[i].id === id) {
-          _data.streams[i].isLive = !!bool;
-          _save();
-          return _data.streams[i];
+      var found = _locate(id, ['streams']);
+      if (!found) {
+        console.warn('[ContentStore] setLive() stream not found:', id);
+        return null;
+      }
+
+      // Only journal real changes, so saving a stream form is one undo step
+      if (found.entry.isLive !== !!bool) {
+        var before = _clone(found.entry);
+        found.entry.isLive = !!bool;
+        _normalizeLive(found.entry);
+        _record('setLive', found.entry.title, [
+          { key: 'streams', id: id, index: found.index, before: before, after: _clone(found.entry) }
+        ]);
+        _commit();
+      }
+      return found.entry;
+    },
+
+    /**
+     * registerStatusProvider(provider) — Add a live status provider
+     * ({ name, match, check }, see "Live status providers" above), or
+     * replace the one with the same name. Its options are the block of
+     * the same name in the liveStatus settings.
+     * @param {Object} provider
+     */
+    registerStatusProvider: function (provider) {
+      if (!provider || !provider.name || typeof provider.match !== 'function' ||
+          typeof provider.check !== 'function') {
+        console.error('[ContentStore] registerStatusProvider() needs { name, match, check }.');
+        return;
+      }
+      _liveProviders = _liveProviders.filter(function (p) {
+        return p.name !== provider.name;
+      });
+      _liveProviders.push(provider);
+      _armLiveStatus(true);
+    },
+
+    /**
+     * configureLiveStatus(options) — Override the "liveStatus" settings of
+     * data/config.json for this page, e.g.
+     * { interval: 60, staleAfter: 240, twitch: { endpoint: '...' } },
+     * and check again right away. null goes back to config.json.
+     * @param {Object|null} options
+     * @returns {Object} The settings now in effect.
+     */
+    configureLiveStatus: function (options) {
+      _liveOverrides = options ? Object.assign({}, _liveOverrides || {}, options) : null;
+      _armLiveStatus(true);
+      return _liveConfig();
+    },
+
+    /**
+     * checkLiveStatus() — Ask the providers now and clear stale live flags,
+     * instead of waiting for the next poll.
+     * @returns {Promise} Resolves with the ids of streams whose isLive changed.
+     */
+    checkLiveStatus: function () {
+      return _pollLiveStatus();
+    },
+
+    /**
+     * getStreamTimes(entry) — When a planned stream starts and ends; for
+     * a repeating stream, its next occurrence (the first once the run is
+     * over).
+     * @param {Object} entry - A stream entry.
+     * @returns {Object|null} { start, end } in epoch ms, or null when the
+     *                        stream has no (valid) `start`.
+     */
+    getStreamTimes: function (entry) {
+      var start = entry ? _zonedTime(entry.start, entry.timezone) : NaN;
+      if (isNaN(start)) return null;
+      if (entry.repeat) {
+        var now = Date.now();
+        var next = _entryOccurrences(entry, now, now + REPEAT_MAX_DAYS * 86400000).sort(function (a, b) {
+          return a.start - b.start;
+        })[0];
+        if (next) return { start: next.start, end: next.end };
+      }
+      return { start: start, end: start + _streamLength(entry) };
+    },
+
+    /**
+     * getStreamSchedule(from, to) — Planned streams (those with a `start`)
+     * that overlap the time range, earliest first, with repeating streams
+     * expanded into their occurrences. Drafts are left out unless in
+     * admin mode.
+     * @param {Date|number|string} [from] - Range start (default: now).
+     * @param {Date|number|string} [to]   - Range end (default: 90 days later).
+     * @returns {Array} { id, entry, start, end } with times in epoch ms;
+     *   occurrences of repeating streams also have `day` and `moved`.
+     */
+    getStreamSchedule: function (from, to) {
+      var start = _toTime(from, Date.now());
+      return _streamOccurrences(start, _toTime(to, start + SCHEDULE_DAYS * 86400000));
+    },
+
+    /**
+     * getNextStream() — The planned stream that is on now or starts next.
+     * @returns {Object|null} { id, entry, start, end }, or null.
+     */
+    getNextStream: function () {
+      return this.getStreamSchedule()[0] || null;
+    },
+
+    /**
+     * exportICS(options) — Upcoming planned streams as an iCalendar (.ics)
+     * file that calendar apps can import. Times are written in UTC.
+     * @param {Object} [options] - { from, to, name } (name = calendar title).
+     * @returns {string}
+     */
+    exportICS: function (options) {
+      options = options || {};
+      return _buildICS(this.getStreamSchedule(options.from, options.to), options.name || 'MonkaCraft Streams');
+    },
+
+    /**
+     * skipStreamOccurrence(id, day) — Leave one day out of a repeating
+     * stream.
+     * @param {string} id  - The repeating stream.
+     * @param {string} day - 'YYYY-MM-DD', a day it falls on by its rule.
+     * @returns {Object|null} The updated entry, or null if `day` is not one
+     *                        of its days.
+     */
+    skipStreamOccurrence: function (id, day) {
+      return _editOccurrence(id, day, function (rule) {
+        rule.skip.push(day);
+      });
+    },
+
+    /**
+     * moveStreamOccurrence(id, day, start) — Give one day of a repeating
+     * stream another start time, in the stream's time zone.
+     * @param {string} id    - The repeating stream.
+     * @param {string} day   - 'YYYY-MM-DD', a day it falls on by its rule.
+     * @param {string} start - New start 'YYYY-MM-DDTHH:mm' (any day).
+     * @returns {Object|null} The updated entry, or null if `day` is not one
+     *                        of its days.
+     * @throws {ValidationError} If `start` is not a valid date and time.
+     */
+    moveStreamOccurrence: function (id, day, start) {
+      return _editOccurrence(id, day, function (rule) {
+        rule.moved[day] = start;
+      });
+    },
+
+    /**
+     * restoreStreamOccurrence(id, day) — Undo a skip or move: the day
+     * follows the rule again.
+     * @returns {Object|null} The updated entry, or null if `day` is not one
+     *                        of its days.
+     */
+    restoreStreamOccurrence: function (id, day) {
+      return _editOccurrence(id, day, function () {});
+    },
+
+    /**
+     * endStream(id, replay) — Take a stream off the air and optionally link
+     * its recording (see "Stream replays"), as one undo step. The video
+     * gets `streamId` and `streamedAt`.
+     *
+     * @param {string} id              - The UUID of the stream entry.
+     * @param {string|Object} [replay] - The id of an existing video to
+     *   link, or the fields of a new video entry (title and tags default
+     *   to the stream's). Leave out to only clear the live flag.
+     * @returns {Object|null} { stream, video } (video is null without a
+     *   replay), or null if the stream or video is not found.
+     * @throws {ValidationError} If the new video would be invalid.
+     */
+    endStream: function (id, replay) {
+      var found = _locate(id, ['streams']);
+      if (!found) {
+        console.warn('[ContentStore] endStream() stream not found:', id);
+        return null;
+      }
+
+      var changes = [];
+      var streamedAt = _streamedAt(found.entry);
+      var stream = found.entry;
+      var video = null;
+      var linked = null;
+
+      if (typeof replay === 'string') {
+        linked = _locate(replay, ['videos']);
+        if (!linked) {
+          console.warn('[ContentStore] endStream() video not found:', replay);
+          return null;
         }
+        video = Object.assign(_clone(linked.entry), { streamId: id, streamedAt: streamedAt });
+        changes.push({ key: 'videos', id: replay, index: linked.index, before: _clone(linked.entry), after: _clone(video) });
+      } else if (replay) {
+        video = _prepareNewEntry(Object.assign({ title: stream.title, tags: (stream.tags || []).slice() }, replay, {
+          type: 'video', streamId: id, streamedAt: streamedAt
+        }));
+        changes.push({ key: 'videos', id: video.id, index: _data.videos.length, before: null, after: _clone(video) });
       }
 
-      console.warn('[ContentStore] setLive() stream not found:', id);
-      return null;
+      if (stream.isLive === true) {
+        stream = _normalizeLive(Object.assign(_clone(found.entry), { isLive: false }));
+        changes.unshift({ key: 'streams', id: id, index: found.index, before: _clone(found.entry), after: _clone(stream) });
+        _data.streams[found.index] = stream;
+      }
+      if (!changes.length) return { stream: stream, video: null };
+
+      if (linked) {
+        _data.videos[linked.index] = video;
+      } else if (video) {
+        _data.videos.push(video);
+      }
+      _record('endStream', stream.title, changes);
+      _commit();
+      return { stream: stream, video: video };
+    },
+
+    /**
+     * getReplay(streamId) — The recording of a stream: the visible video
+     * linked to it, the newest broadcast first for repeating streams.
+     * @param {string} streamId
+     * @returns {Object|null}
+     */
+    getReplay: function (streamId) {
+      if (!_data || !streamId) return null;
+      return _data.videos.filter(function (video) {
+        return video.streamId === streamId && _isVisible(video);
+      }).sort(function (a, b) {
+        return (Date.parse(b.streamedAt) || 0) - (Date.parse(a.streamedAt) || 0);
+      })[0] || null;
+    },
+
+    /**
+     * getReplayStream(video) — The stream a replay video recorded, or null
+     * for other videos and streams that are gone or not visible.
+     * @param {Object|string} video - The video entry or its id.
+     * @returns {Object|null}
+     */
+    getReplayStream: function (video) {
+      if (typeof video === 'string') video = this.getById(video);
+      if (!_data || !video || !video.streamId) return null;
+      var found = _locate(video.streamId, ['streams']);
+      return found && _isVisible(found.entry) ? found.entry : null;
+    },
+
+    // -------------------------------------------------------------------
+    // Undo / Redo
+    // -------------------------------------------------------------------
+
+    /**
+     * undo() — Revert the most recent recorded mutation (add, update,
+     * publish, delete, restore, purge, tag, series, occurrence, setLive,
+     * endStream or import) and persist the result.
+     * @returns {Object|null} { op, label } of the reverted operation, or null
+     *                        if there was nothing to undo.
+     */
+    undo: function () {
+      var record = _undoStack.pop();
+      if (!record) return null;
+      for (var i = record.changes.length - 1; i >= 0; i--) {
+        _applyChange(record.changes[i], 'before');
+      }
+      _redoStack.push(record);
+      _commit();
+      return { op: record.op, label: record.label };
+    },
+
+    /**
+     * redo() — Re-apply the most recently undone mutation.
+     * @returns {Object|null} { op, label } of the re-applied operation, or
+     *                        null if there was nothing to redo.
+     */
+    redo: function () {
+      var record = _redoStack.pop();
+      if (!record) return null;
+      for (var i = 0; i < record.changes.length; i++) {
+        _applyChange(record.changes[i], 'after');
+      }
+      _undoStack.push(record);
+      _commit();
+      return { op: record.op, label: record.label };
+    },
+
+    /** canUndo() / canRedo() — Whether undo()/redo() would do anything. */
+    canUndo: function () {
+      return _undoStack.length > 0;
     },
+    canRedo: function () {
+      return _redoStack.length > 0;
+    },
+
+    /**
+     * getHistory() — Describe the journal, newest first.
+     * @returns {{ undo: Array, redo: Array }} Lists of { op, label, time }.
+     */
+    getHistory: function () {
+      function describe(r) { return { op: r.op, label: r.label, time: r.time }; }
+      return {
+        undo: _undoStack.map(describe).reverse(),
+        redo: _redoStack.map(describe).reverse()
+      };
+    },
+
+    /** clearHistory() — Forget all undo/redo steps. */
+    clearHistory: _clearHistory,
 
     // -------------------------------------------------------------------
     // Expose private helpers for internal / admin use
     // -------------------------------------------------------------------
 
-    /** Private: serialize current data to localStorage. */
+    /** Private: serialize current data to storage (returns a Promise). */
     _save: _save,
 
-    /** Private: deserialize from localStorage. */
+    /** Private: deserialize from storage (returns a Promise). */
     _load: _load,
 
     /** Private: get the full data object. */
@@ -0,0 +1,321 @@
+/**
+ * EmbedProviders — players and thumbnails for video and stream links
+ *
+ * Turns the link an entry was saved with (a YouTube or Twitch page, a
+ * Kick channel, an uploaded MP4) into what a page needs to show it: the
+ * embed address, a ready-made player and a thumbnail. Links nothing here
+ * understands get no player, so pages show a plain link instead of an
+ * iframe the site refuses to load.
+ *
+ * A provider is { name, match(url) -> info|null, embed(info, options),
+ * thumbnail(info) }. `info` is whatever match() found (ids, channel...)
+ * plus `kind`: 'iframe' for embedded players, 'video' for files the
+ * browser plays itself and 'hls' for .m3u8 streams. Providers are asked
+ * in order, so register() puts new ones first.
+ *
+ * HLS streams only get a player in browsers that play them in a plain
+ * <video> (Safari, iOS, most Android phones); elsewhere player() returns
+ * '' and pages show the link instead, as for unknown links.
+ *
+ * Twitch only plays on pages it is told about: its embeds carry the
+ * page's host name as `parent` (options.parent, a host name or a list).
+ * Opened from disk (file://) there is no host, so Twitch links get no
+ * player there.
+ *
+ * Needs js/utils.js (loaded first in the browser, required in Node).
+ * Exposed as window.EmbedProviders in the browser, module.exports in Node.
+ */
+(function () {
+  'use strict';
+
+  var Utils = typeof module !== 'undefined' && module.exports ? require('./utils.js') : window.MonkaCraft;
+  var escapeAttr = Utils.escapeHtml;
+
+  var YOUTUBE_CHANNEL_RE = /youtube\.com\/channel\/(UC[A-Za-z0-9_-]{22})/;
+  var TWITCH_NAME_RE = /^[A-Za-z0-9_]{3,25}$/;
+  // twitch.tv/<first segment> pages that are not channels
+  var TWITCH_RESERVED = ['videos', 'directory', 'settings', 'search', 'downloads', 'p', 'embed'];
+  var VIDEO_FILE_RE = /\.(mp4|webm|ogv|mov|m4v)(?:[?#]|$)/i;
+  var HLS_FILE_RE = /\.m3u8(?:[?#]|$)/i;
+  var CLOUDINARY_VIDEO_RE = /^(https?:\/\/res\.cloudinary\.com\/[^?#]+\/video\/upload\/[^?#]+?)(\.[A-Za-z0-9]+)?(?:[?#].*)?$/;
+
+  /* ----------------------------------------------------------
+     Helpers
+     ---------------------------------------------------------- */
+
+  /** Host (without www.), path segments and query of an http(s) link, or null. */
+  function parseUrl(url) {
+    var m = /^https?:\/\/([^\/?#]+)([^?#]*)(\?[^#]*)?/i.exec(String(url || '').trim());
+    if (!m) return null;
+    var query = {};
+    (m[3] || '').slice(1).split('&').forEach(function (pair) {
+      if (!pair) return;
+      var eq = pair.indexOf('=');
+      var key = eq === -1 ? pair : pair.slice(0, eq);
+      try {
+        query[decodeURIComponent(key)] = eq === -1 ? '' : decodeURIComponent(pair.slice(eq + 1).replace(/\+/g, ' '));
+      } catch (e) {
+        // Leave out malformed pairs
+      }
+    });
+    return {
+      host: m[1].toLowerCase().replace(/^(www|m)\./, ''),
+      path: m[2].split('/').filter(Boolean),
+      query: query
+    };
+  }
+
+  /** Host names for Twitch's `parent` parameter. */
+  function parentHosts(options) {
+    var parent = options && options.parent;
+    if (parent === undefined && typeof location !== 'undefined') parent = location.hostname;
+    return (Array.isArray(parent) ? parent : [parent]).filter(Boolean);
+  }
+
+  /** Whether a <video> here plays HLS (.m3u8) by itself. Never true in Node. */
+  function canPlayHls() {
+    if (typeof document === 'undefined' || typeof document.createElement !== 'function') return false;
+    var video = document.createElement('video');
+    return !!(video && typeof video.canPlayType === 'function' &&
+      video.canPlayType('application/vnd.apple.mpegurl'));
+  }
+
+  /** Query string from pairs, leaving out empty values. */
+  function query(pairs) {
+    return pairs.filter(function (pair) {
+      return pair[1] !== '' && pair[1] !== undefined && pair[1] !== null;
+    }).map(function (pair) {
+      return encodeURIComponent(pair[0]) + '=' + encodeURIComponent(pair[1]);
+    }).join('&');
+  }
+
+  /* ----------------------------------------------------------
+     Built-in providers
+     ---------------------------------------------------------- */
+
+  /** YouTube: video links (see MonkaCraft.extractYouTubeId) and bare video ids; channel ids play their live stream. */
+  var YouTube = {
+    name: 'youtube',
+    match: function (url) {
+      url = String(url || '').trim();
+      var id = Utils.extractYouTubeId(url) || (/^[A-Za-z0-9_-]{11}$/.test(url) ? url : null);
+      if (id) return { kind: 'iframe', id: id };
+      var m = YOUTUBE_CHANNEL_RE.exec(url);
+      return m ? { kind: 'iframe', channel: m[1] } : null;
+    },
+    embed: function (info, options) {
+      var params = query([['autoplay', options.autoplay ? 1 : ''], ['rel', 0]]);
+      if (info.channel) {
+        return 'https://www.youtube.com/embed/live_stream?' + query([['channel', info.channel]]) + '&' + params;
+      }
+      return 'https://www.youtube.com/embed/' + info.id + '?' + params;
+    },
+    thumbnail: function (info) {
+      return info.id ? 'https://img.youtube.com/vi/' + info.id + '/hqdefault.jpg' : '';
+    }
+  };
+
+  /** Twitch: channels, VODs (twitch.tv/videos/<id>) and clips, plus player links. */
+  var Twitch = {
+    name: 'twitch',
+    match: function (url) {
+      var link = parseUrl(url);
+      if (!link) return null;
+
+      if (link.host === 'clips.twitch.tv') {
+        var slug = link.path[0] === 'embed' ? link.query.clip : link.path[0];
+        return slug ? { kind: 'iframe', clip: slug } : null;
+      }
+      if (link.host === 'player.twitch.tv') {
+        if (link.query.video) return { kind: 'iframe', video: link.query.video.replace(/^v/, '') };
+        return TWITCH_NAME_RE.test(link.query.channel || '') ? { kind: 'iframe', channel: link.query.channel.toLowerCase() } : null;
+      }
+      if (link.host !== 'twitch.tv') return null;
+
+      var first = link.path[0] || '';
+      if (first === 'videos' && /^\d+$/.test(link.path[1] || '')) return { kind: 'iframe', video: link.path[1] };
+      if (link.path[1] === 'clip' && link.path[2]) return { kind: 'iframe', clip: link.path[2] };
+      if (link.path.length === 1 && TWITCH_NAME_RE.test(first) && TWITCH_RESERVED.indexOf(first.toLowerCase()) === -1) {
+        return { kind: 'iframe', channel: first.toLowerCase() };
+      }
+      return null;
+    },
+    embed: function (info, options) {
+      var parents = parentHosts(options);
+      if (!parents.length) return '';
+      var parentQuery = parents.map(function (host) {
+        return 'parent=' + encodeURIComponent(host);
+      }).join('&');
+      var autoplay = options.autoplay ? 'true' : 'false';
+
+      if (info.clip) {
+        return 'https://clips.twitch.tv/embed?' + query([['clip', info.clip], ['autoplay', autoplay]]) + '&' + parentQuery;
+      }
+      var target = info.video ? ['video', 'v' + info.video] : ['channel', info.channel];
+      return 'https://player.twitch.tv/?' + query([target, ['autoplay', autoplay]]) + '&' + parentQuery;
+    },
+    thumbnail: function () {
+      // VOD and clip images need the Twitch API; channel previews change
+      // with whatever is on air, so none is better than a wrong one
+      return '';
+    }
+  };
+
+  /** Kick: channel links (kick.com/<channel>) and player links. */
+  var Kick = {
+    name: 'kick',
+    match: function (url) {
+      var link = parseUrl(url);
+      if (!link || (link.host !== 'kick.com' && link.host !== 'player.kick.com')) return null;
+      var channel = link.path[0] || '';
+      if (link.path.length !== 1 || !/^[A-Za-z0-9_-]{2,25}$/.test(channel)) return null;
+      return { kind: 'iframe', channel: channel.toLowerCase() };
+    },
+    embed: function (info, options) {
+      return 'https://player.kick.com/' + info.channel + (options.autoplay ? '?autoplay=true' : '?autoplay=false');
+    },
+    thumbnail: function () {
+      return '';
+    }
+  };
+
+  /** Video files: MP4/WebM uploads (Cloudinary or anywhere) and HLS (.m3u8) streams. */
+  var VideoFile = {
+    name: 'file',
+    match: function (url) {
+      url = String(url || '').trim();
+      if (!/^https?:\/\//i.test(url)) return null;
+      if (HLS_FILE_RE.test(url)) return { kind: 'hls', src: url };
+      if (VIDEO_FILE_RE.test(url) || CLOUDINARY_VIDEO_RE.test(url)) return { kind: 'video', src: url };
+      return null;
+    },
+    embed: function (info) {
+      return info.src;
+    },
+    thumbnail: function (info) {
+      // Cloudinary makes a poster frame for any video when asked for .jpg
+      var m = CLOUDINARY_VIDEO_RE.exec(info.src);
+      return m ? m[1] + '.jpg' : '';
+    }
+  };
+
+  var providers = [YouTube, Twitch, Kick, VideoFile];
+
+  /* ----------------------------------------------------------
+     Public API
+     ---------------------------------------------------------- */
+
+  /**
+   * register(provider) — Add a provider ({ name, match, embed, thumbnail },
+   * see above), or replace the one with the same name. New providers are
+   * asked first.
+   * @param {Object} provider
+   */
+  function register(provider) {
+    if (!provider || !provider.name || typeof provider.match !== 'function' ||
+        typeof provider.embed !== 'function') {
+      throw new Error('An embed provider needs { name, match, embed }.');
+    }
+    providers = [provider].concat(providers.filter(function (p) {
+      return p.name !== provider.name;
+    }));
+  }
+
+  /**
+   * parse(url) — What a link points at.
+   * @param {string} url
+   * @returns {Object|null} The provider's info plus `provider` (its name),
+   *   or null when no provider knows the link.
+   */
+  function parse(url) {
+    if (!url) return null;
+    for (var i = 0; i < providers.length; i++) {
+      var info = providers[i].match(url);
+      if (info) return Object.assign({ provider: providers[i].name }, info);
+    }
+    return null;
+  }
+
+  function providerOf(info) {
+    return providers.filter(function (p) {
+      return p.name === info.provider;
+    })[0];
+  }
+
+  /**
+   * embedUrl(url, options) — Address to put in an iframe (or a <video>
+   * for kind 'video' / 'hls').
+   * @param {string} url
+   * @param {Object} [options] - { autoplay, parent }
+   * @returns {string} '' when the link cannot be embedded here.
+   */
+  function embedUrl(url, options) {
+    var info = parse(url);
+    return info ? providerOf(info).embed(info, options || {}) || '' : '';
+  }
+
+  /**
+   * thumbnail(url) — Preview image for a link ('' when there is none).
+   * @param {string} url
+   * @returns {string}
+   */
+  function thumbnail(url) {
+    var info = parse(url);
+    var provider = info && providerOf(info);
+    return provider && typeof provider.thumbnail === 'function' ? provider.thumbnail(info) || '' : '';
+  }
+
+  /**
+   * player(url, options) — HTML of a player for the link: an <iframe>, or
+   * a <video> for files and HLS streams.
+   * @param {string} url
+   * @param {Object} [options] - { autoplay, parent, title }
+   * @returns {string} '' when the link cannot be embedded here — also for
+   *   HLS streams in browsers without built-in HLS playback.
+   */
+  function player(url, options) {
+    options = options || {};
+    var info = parse(url);
+    var src = info ? providerOf(info).embed(info, options) : '';
+    if (!src || (info.kind === 'hls' && !canPlayHls())) return '';
+    var title = escapeAttr(options.title || 'Video');
+
+    if (info.kind === 'video' || info.kind === 'hls') {
+      var type = info.kind === 'hls' ? 'application/vnd.apple.mpegurl' : '';
+      return '<video controls playsinline preload="metadata"' + (options.autoplay ? ' autoplay' : '') +
+        ' title="' + title + '" style="width:100%;height:100%;background:#000;">' +
+          '<source src="' + escapeAttr(src) + '"' + (type ? ' type="' + type + '"' : '') + '>' +
+          '<a href="' + escapeAttr(src) + '" target="_blank" rel="noopener">' + escapeAttr(src) + '</a>' +
+        '</video>';
+    }
+    return '<iframe src="' + escapeAttr(src) + '" title="' + title + '" ' +
+      'allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" ' +
+      'allowfullscreen></iframe>';
+  }
+
+  /**
+   * youTubeId(url) — The YouTube video id of a link or bare id, or null.
+   * For forms that only take YouTube videos.
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function youTubeId(url) {
+    var info = YouTube.match(url);
+    return info && info.id ? info.id : null;
+  }
+
+  var EmbedProviders = {
+    register: register,
+    parse: parse,
+    embedUrl: embedUrl,
+    thumbnail: thumbnail,
+    player: player,
+    youTubeId: youTubeId
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmbedProviders;
+  } else {
+    window.EmbedProviders = EmbedProviders;
+  }
+})();
@@ -0,0 +1,278 @@
+/**
+ * FeedBuilder — RSS 2.0 and Atom feeds for MonkaCraft
+ *
+ * Turns a content data object (the shape of data/content.json) into
+ * feed.xml (RSS 2.0) and atom.xml (Atom) with the newest published blog
+ * posts and videos, so family members can follow new uploads in a feed
+ * reader. Posts carry their HTML `content`; videos their thumbnail and
+ * description. Optional per-tag feeds hold only the entries with one tag
+ * and live in feeds/<tag-slug>.xml and feeds/<tag-slug>.atom.xml.
+ *
+ * Items link to the entry on the live site (blog.html#p=<id>,
+ * videos.html#v=<id>), which needs the absolute site URL.
+ *
+ * Used by the admin Settings tab and by scripts/build-feeds.js, so it
+ * depends on nothing but the data passed in and js/utils.js.
+ *
+ * Exposed as window.FeedBuilder in the browser, module.exports in Node.
+ */
+(function () {
+  'use strict';
+
+  var Utils = typeof module !== 'undefined' && module.exports ? require('./utils.js') : window.MonkaCraft;
+  var escapeXml = Utils.escapeXml;
+  var slugify = Utils.slugify;
+  var normalizeSiteUrl = Utils.normalizeSiteUrl;
+
+  var SITE_NAME = 'MonkaCraft';
+  var SITE_DESCRIPTION = 'Видеа и постове от MonkaS / Videos and blog posts by MonkaS';
+  var AUTHOR = 'MonkaS';
+  var GENERATOR = 'MonkaCraft FeedBuilder';
+  var DEFAULT_LIMIT = 50;
+
+  // Feed content types -> collection key and the page an item links to
+  var FEED_TYPES = {
+    post:  { key: 'posts',  page: 'pages/blog.html#p=' },
+    video: { key: 'videos', page: 'pages/videos.html#v=' }
+  };
+
+  var FILES = { rss: 'feed.xml', atom: 'atom.xml' };
+
+  /* ----------------------------------------------------------
+     Helpers
+     ---------------------------------------------------------- */
+
+  function hasTag(entry, tag) {
+    var wanted = tag.toLowerCase();
+    return (entry.tags || []).some(function (name) {
+      return String(name).toLowerCase() === wanted;
+    });
+  }
+
+  /** Entry date as a Date (the epoch when missing or invalid). */
+  function dateOf(entry) {
+    var time = Date.parse(entry.date);
+    return new Date(isNaN(time) ? 0 : time);
+  }
+
+  function thumbnailOf(entry) {
+    if (entry.thumbnail) return entry.thumbnail;
+    var ytId = Utils.extractYouTubeId(entry.url);
+    return ytId ? 'https://img.youtube.com/vi/' + ytId + '/hqdefault.jpg' : '';
+  }
+
+  /** The HTML body of an item: a post's content, a video's thumbnail and description. */
+  function itemHtml(item, link) {
+    if (item.type === 'post') return item.entry.content || '';
+
+    var thumb = thumbnailOf(item.entry);
+    return (thumb
+        ? '<p><a href="' + escapeXml(link) + '"><img src="' + escapeXml(thumb) + '" alt="' + escapeXml(item.entry.title) + '"></a></p>'
+        : '') +
+      (item.entry.description ? '<p>' + escapeXml(item.entry.description) + '</p>' : '');
+  }
+
+  /** Registered spelling of a tag name, if the registry has it. */
+  function tagName(data, name) {
+    var registry = data.tagRegistry || [];
+    for (var i = 0; i < registry.length; i++) {
+      if (String(registry[i].name).toLowerCase() === String(name).toLowerCase()) return registry[i].name;
+    }
+    return name;
+  }
+
+  /* ----------------------------------------------------------
+     Feed items
+     ---------------------------------------------------------- */
+
+  /**
+   * Published posts and videos, newest first.
+   * @param {Object} data              - Content data object.
+   * @param {Object} [options]
+   * @param {string} [options.tag]     - Only entries with this tag.
+   * @param {number} [options.limit]   - Most items to return (0 = all).
+   * @returns {Array} { type, entry } objects.
+   */
+  function items(data, options) {
+    options = options || {};
+    var now = Date.now();
+    var limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+    var list = [];
+
+    Object.keys(FEED_TYPES).forEach(function (type) {
+      (data[FEED_TYPES[type].key] || []).forEach(function (entry) {
+        if (!Utils.isPublished(entry, now)) return;
+        if (options.tag && !hasTag(entry, options.tag)) return;
+        list.push({ type: type, entry: entry });
+      });
+    });
+
+    list.sort(function (a, b) {
+      return dateOf(b.entry) - dateOf(a.entry);
+    });
+    return limit ? list.slice(0, limit) : list;
+  }
+
+  /**
+   * Tags used by published posts and videos, each with the name of its
+   * feed files and how many entries it has.
+   * @returns {Array} { name, slug, count } objects, by name.
+   */
+  function tagFeeds(data) {
+    var counts = {};
+    items(data, { limit: 0 }).forEach(function (item) {
+      (item.entry.tags || []).forEach(function (name) {
+        var display = tagName(data, name);
+        var slug = slugify(display);
+        if (!slug) return;
+        if (!counts[slug]) counts[slug] = { name: display, slug: slug, count: 0 };
+        counts[slug].count++;
+      });
+    });
+    return Object.keys(counts).map(function (slug) {
+      return counts[slug];
+    }).sort(function (a, b) {
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Path of a feed file relative to the site root.
+   * @param {string} format - 'rss' or 'atom'.
+   * @param {string} [tag]  - Tag name for a per-tag feed.
+   */
+  function fileName(format, tag) {
+    if (!tag) return FILES[format];
+    return 'feeds/' + slugify(tag) + (format === 'atom' ? '.atom.xml' : '.xml');
+  }
+
+  /** Shared values for both formats. */
+  function prepare(data, options, format) {
+    options = options || {};
+    var siteUrl = normalizeSiteUrl(options.siteUrl);
+    if (!siteUrl) throw new Error('A site URL is needed to build feeds.');
+
+    var tag = options.tag ? tagName(data, options.tag) : '';
+    var list = items(data, { tag: tag, limit: options.limit });
+
+    return {
+      siteUrl: siteUrl,
+      title: SITE_NAME + (tag ? ' — ' + tag : ''),
+      selfUrl: siteUrl + fileName(format, tag),
+      updated: list.length ? dateOf(list[0].entry) : new Date(),
+      items: list.map(function (item) {
+        var link = siteUrl + FEED_TYPES[item.type].page + encodeURIComponent(item.entry.id);
+        return {
+          link: link,
+          title: item.entry.title || '',
+          date: dateOf(item.entry),
+          tags: (item.entry.tags || []).map(function (name) { return tagName(data, name); }),
+          html: itemHtml(item, link),
+          thumbnail: item.type === 'video' ? thumbnailOf(item.entry) : '',
+          id: item.entry.id
+        };
+      })
+    };
+  }
+
+  /* ----------------------------------------------------------
+     Formats
+     ---------------------------------------------------------- */
+
+  /**
+   * rss(data, options) — feed.xml as an RSS 2.0 string.
+   * @param {Object} data
+   * @param {Object} options - { siteUrl, tag?, limit? }
+   * @returns {string}
+   * @throws {Error} When options.siteUrl is missing.
+   */
+  function rss(data, options) {
+    var feed = prepare(data, options, 'rss');
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+      '  <channel>',
+      '    <title>' + escapeXml(feed.title) + '</title>',
+      '    <link>' + escapeXml(feed.siteUrl) + '</link>',
+      '    <description>' + escapeXml(SITE_DESCRIPTION) + '</description>',
+      '    <language>bg</language>',
+      '    <generator>' + GENERATOR + '</generator>',
+      '    <lastBuildDate>' + new Date().toUTCString() + '</lastBuildDate>',
+      '    <atom:link href="' + escapeXml(feed.selfUrl) + '" rel="self" type="application/rss+xml"/>'
+    ];
+
+    feed.items.forEach(function (item) {
+      out.push('    <item>');
+      out.push('      <title>' + escapeXml(item.title) + '</title>');
+      out.push('      <link>' + escapeXml(item.link) + '</link>');
+      out.push('      <guid isPermaLink="false">' + escapeXml(item.id) + '</guid>');
+      out.push('      <pubDate>' + item.date.toUTCString() + '</pubDate>');
+      item.tags.forEach(function (name) {
+        out.push('      <category>' + escapeXml(name) + '</category>');
+      });
+      out.push('      <description>' + escapeXml(item.html) + '</description>');
+      if (item.thumbnail) out.push('      <media:thumbnail url="' + escapeXml(item.thumbnail) + '"/>');
+      out.push('    </item>');
+    });
+
+    out.push('  </channel>', '</rss>', '');
+    return out.join('\n');
+  }
+
+  /**
+   * atom(data, options) — atom.xml as an Atom string.
+   * @param {Object} data
+   * @param {Object} options - { siteUrl, tag?, limit? }
+   * @returns {string}
+   * @throws {Error} When options.siteUrl is missing.
+   */
+  function atom(data, options) {
+    var feed = prepare(data, options, 'atom');
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="bg">',
+      '  <title>' + escapeXml(feed.title) + '</title>',
+      '  <subtitle>' + escapeXml(SITE_DESCRIPTION) + '</subtitle>',
+      '  <link href="' + escapeXml(feed.siteUrl) + '"/>',
+      '  <link rel="self" type="application/atom+xml" href="' + escapeXml(feed.selfUrl) + '"/>',
+      '  <id>' + escapeXml(feed.selfUrl) + '</id>',
+      '  <updated>' + feed.updated.toISOString() + '</updated>',
+      '  <author><name>' + escapeXml(AUTHOR) + '</name></author>',
+      '  <generator>' + GENERATOR + '</generator>'
+    ];
+
+    feed.items.forEach(function (item) {
+      out.push('  <entry>');
+      out.push('    <title>' + escapeXml(item.title) + '</title>');
+      out.push('    <link href="' + escapeXml(item.link) + '"/>');
+      out.push('    <id>' + escapeXml(item.link) + '</id>');
+      out.push('    <published>' + item.date.toISOString() + '</published>');
+      out.push('    <updated>' + item.date.toISOString() + '</updated>');
+      item.tags.forEach(function (name) {
+        out.push('    <category term="' + escapeXml(name) + '"/>');
+      });
+      out.push('    <content type="html">' + escapeXml(item.html) + '</content>');
+      if (item.thumbnail) out.push('    <media:thumbnail url="' + escapeXml(item.thumbnail) + '"/>');
+      out.push('  </entry>');
+    });
+
+    out.push('</feed>', '');
+    return out.join('\n');
+  }
+
+  var FeedBuilder = {
+    FILES: FILES,
+    GENERATOR: GENERATOR,
+    items: items,
+    tagFeeds: tagFeeds,
+    fileName: fileName,
+    rss: rss,
+    atom: atom
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeedBuilder;
+  } else {
+    window.FeedBuilder = FeedBuilder;
+  }
+})();
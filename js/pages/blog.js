@@ -0,0 +1,240 @@
+/**
+ * pages/blog.js — Blog page (pages/blog.html)
+ *
+ * Blog posts as an accordion of cards with excerpts; the open post
+ * lives in the address (blog.html#p=<id>). An open post shows links
+ * to its tags' feeds.
+ *
+ * Runs after site-config.js, content.js, utils.js, feeds.js and app.js.
+ */
+(function () {
+  'use strict';
+
+  // Post named in the address (blog.html#p=<id>), if any
+  var linkedPostId = null;
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+  var stripHtml = MonkaCraft.stripHtml;
+
+  /**
+   * Build the excerpt: use the description field if available,
+   * otherwise strip HTML from content and take first 150 chars.
+   */
+  function getExcerpt(post) {
+    if (post.description) return post.description;
+    return stripHtml(post.content, 150);
+  }
+
+  /**
+   * Build an accordion blog card for a single post.
+   */
+  function buildBlogPost(post) {
+    var article = document.createElement('article');
+    article.className = 'blog-post animate-in';
+    article.setAttribute('data-id', post.id || '');
+
+    var headerHTML =
+      '<div class="blog-post-header" role="button" tabindex="0" aria-expanded="false">' +
+        '<div>' +
+          '<h3 style="font-family: var(--font-heading); font-size: var(--fs-xs); color: var(--color-text-bright); margin-bottom: var(--space-sm); line-height:1.6;">' +
+            (post.title || 'Untitled') +
+          '</h3>' +
+          '<div style="display:flex; align-items:center; gap: var(--space-sm); flex-wrap:wrap;">' +
+            MonkaCraft.tagBadges(post.tags) +
+            '<span style="font-size: var(--fs-sm); color: var(--color-text-dim);">' + formatDate(post.date) + '</span>' +
+          '</div>' +
+          '<p style="margin-top: var(--space-sm); font-size: var(--fs-sm); color: var(--color-text); line-height:1.5;">' +
+            getExcerpt(post) +
+          '</p>' +
+        '</div>' +
+        '<span class="blog-post-toggle" aria-hidden="true">&#9660;</span>' +
+      '</div>';
+
+    var bodyHTML =
+      '<div class="blog-post-body">' +
+        '<div class="blog-post-content">' +
+          (post.content || '<p><em>No content available.</em></p>') +
+        '</div>' +
+        MonkaCraft.seriesNav(post.id) +
+        MonkaCraft.tagFeedLinks(post.tags) +
+      '</div>';
+
+    article.innerHTML = headerHTML + bodyHTML;
+
+    // Toggle expand/collapse on header click
+    var header = article.querySelector('.blog-post-header');
+    header.addEventListener('click', function () {
+      var isExpanded = article.classList.toggle('expanded');
+      header.setAttribute('aria-expanded', isExpanded ? 'true' : 'false');
+
+      // Opening a post links to it; closing the linked post unlinks it
+      if (isExpanded) {
+        linkedPostId = post.id;
+        syncUrl();
+      } else if (post.id === linkedPostId) {
+        linkedPostId = null;
+        syncUrl(true);
+      }
+    });
+
+    // Also handle keyboard Enter/Space for accessibility
+    header.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        header.click();
+      }
+    });
+
+    return article;
+  }
+
+  /**
+   * Render all blog posts into the #blog-posts container.
+   * Posts are sorted newest first.
+   */
+  function renderBlogPosts() {
+    var container = document.getElementById('blog-posts');
+    if (!container || !window.ContentStore) return;
+
+    var posts = ContentStore.getLatest('post', 999);
+
+    // Remember which posts are open so a re-render keeps them open
+    var expanded = {};
+    var openEls = container.querySelectorAll('.blog-post.expanded');
+    for (var e = 0; e < openEls.length; e++) {
+      expanded[openEls[e].getAttribute('data-id')] = true;
+    }
+
+    if (posts.length === 0) {
+      container.innerHTML =
+        '<div class="empty-state">' +
+          '<div class="empty-icon">📝</div>' +
+          '<p>Няма постове все още / No posts yet!</p>' +
+        '</div>';
+      return;
+    }
+
+    // Clear container and append each post card
+    container.innerHTML = '';
+    for (var i = 0; i < posts.length; i++) {
+      var article = buildBlogPost(posts[i]);
+      if (expanded[posts[i].id]) {
+        article.classList.add('expanded');
+        article.querySelector('.blog-post-header').setAttribute('aria-expanded', 'true');
+      }
+      container.appendChild(article);
+    }
+
+    // Re-trigger animation observer for the newly added .animate-in elements
+    if ('IntersectionObserver' in window) {
+      var animElements = container.querySelectorAll('.animate-in');
+      var observer = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) {
+            var delay = Array.prototype.indexOf.call(animElements, entry.target) * 100;
+            setTimeout(function () {
+              entry.target.classList.add('visible');
+            }, delay);
+            observer.unobserve(entry.target);
+          }
+        });
+      }, { threshold: 0.1, rootMargin: '0px 0px -30px 0px' });
+
+      for (var j = 0; j < animElements.length; j++) {
+        observer.observe(animElements[j]);
+      }
+    } else {
+      // Fallback — make them all visible with staggered delay
+      var els = container.querySelectorAll('.animate-in');
+      for (var k = 0; k < els.length; k++) {
+        (function (el, idx) {
+          setTimeout(function () { el.classList.add('visible'); }, idx * 120 + 200);
+        })(els[k], k);
+      }
+    }
+  }
+
+  /**
+   * Find a post's accordion card on the page.
+   */
+  function findArticle(id) {
+    var articles = document.querySelectorAll('#blog-posts .blog-post');
+    for (var i = 0; i < articles.length; i++) {
+      if (articles[i].getAttribute('data-id') === id) return articles[i];
+    }
+    return null;
+  }
+
+  /**
+   * Expand a post's accordion card and scroll it into view.
+   * @returns {boolean} False if the post is not on the page.
+   */
+  function openPost(id) {
+    var article = findArticle(id);
+    if (!article) return false;
+    article.classList.add('expanded', 'visible');
+    article.querySelector('.blog-post-header').setAttribute('aria-expanded', 'true');
+    article.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  }
+
+  /**
+   * Collapse a post's accordion card.
+   */
+  function closePost(id) {
+    var article = findArticle(id);
+    if (!article) return;
+    article.classList.remove('expanded');
+    article.querySelector('.blog-post-header').setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Put the linked post in the address. Opening a post pushes a
+   * history entry, so back/forward step between opened posts.
+   */
+  function syncUrl(replace) {
+    MonkaCraft.writeUrlState({ p: linkedPostId || '' }, replace);
+  }
+
+  /**
+   * Open the post named in the address (blog.html#p=<id>) — on
+   * load, and on back/forward, where the previous one is closed.
+   */
+  function applyUrlState() {
+    var id = MonkaCraft.readUrlState().p || null;
+    if (linkedPostId && linkedPostId !== id) closePost(linkedPostId);
+    linkedPostId = id && openPost(id) ? id : null;
+  }
+
+  /**
+   * Series previous/next links to other posts open them in place.
+   */
+  function initSeriesNav() {
+    document.getElementById('blog-posts').addEventListener('click', function (e) {
+      var link = e.target.closest('a[data-series-type="post"]');
+      var id = link && link.getAttribute('data-series-id');
+      if (id && openPost(id)) {
+        e.preventDefault();
+        linkedPostId = id;
+        syncUrl();
+      }
+    });
+  }
+
+  // Listen for the contentReady event dispatched by app.js after ContentStore.init()
+  window.addEventListener('contentReady', function () {
+    renderBlogPosts();
+    initSeriesNav();
+    applyUrlState();
+    window.addEventListener('popstate', applyUrlState);
+  });
+
+  // Re-render when posts change in another tab (e.g. the admin panel)
+  window.addEventListener('contentChanged', function (e) {
+    var types = e.detail.types;
+    if (types.indexOf('post') !== -1 || types.indexOf('tag') !== -1 || types.indexOf('series') !== -1) {
+      renderBlogPosts();
+    }
+  });
+})();
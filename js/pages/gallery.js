@@ -0,0 +1,397 @@
+/**
+ * pages/gallery.js — Gallery page (pages/gallery.html)
+ *
+ * Screenshot grid with tag and category filters, and the lightbox.
+ * Filters and the open screenshot live in the address
+ * (gallery.html#tag=PVP&cat=Build&s=<id>).
+ *
+ * Runs after site-config.js, content.js, utils.js and app.js.
+ */
+(function () {
+  'use strict';
+
+  /* ================================================================
+     STATE
+     ================================================================ */
+  var allScreenshots = [];   // Full list from ContentStore
+  var filtered = [];         // Currently visible (after filters)
+  var activeTag = 'all';     // Current tag filter
+  var activeCat = 'all';     // Current category filter
+  var lightboxIndex = -1;    // Currently shown image in lightbox (-1 = closed)
+
+  /* ================================================================
+     DOM REFERENCES
+     ================================================================ */
+  var gridEl = document.getElementById('gallery-grid');
+  var lightboxEl = document.getElementById('lightbox');
+  var lightboxImg = document.getElementById('lightbox-img');
+  var lightboxTitle = document.getElementById('lightbox-title');
+  var lightboxTags = document.getElementById('lightbox-tags');
+  var lightboxDate = document.getElementById('lightbox-date');
+  var lightboxCounter = document.getElementById('lightbox-counter');
+  var btnClose = document.getElementById('lightbox-close');
+  var btnPrev = document.getElementById('lightbox-prev');
+  var btnNext = document.getElementById('lightbox-next');
+
+  /* ================================================================
+     HELPERS
+     ================================================================ */
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+
+  /**
+   * True when the screenshot carries the given tag (case-insensitive).
+   */
+  function hasTag(s, name) {
+    var wanted = name.toLowerCase();
+    return (s.tags || []).some(function (tag) {
+      return tag.toLowerCase() === wanted;
+    });
+  }
+
+  /* ================================================================
+     FILTERING
+     ================================================================ */
+
+  /**
+   * Apply current activeTag + activeCat filters to allScreenshots,
+   * store result in `filtered`, and re-render the grid.
+   */
+  function applyFilters() {
+    filtered = allScreenshots.filter(function (s) {
+      var tagOk = (activeTag === 'all') || hasTag(s, activeTag);
+      var catOk = (activeCat === 'all') ||
+                  (s.category || '').toLowerCase() === activeCat.toLowerCase();
+      return tagOk && catOk;
+    });
+
+    // Sort newest first
+    filtered.sort(function (a, b) {
+      return new Date(b.date) - new Date(a.date);
+    });
+
+    renderGrid();
+  }
+
+  /* ================================================================
+     RENDER GALLERY GRID
+     ================================================================ */
+
+  function renderGrid() {
+    if (!gridEl) return;
+
+    // Fade out existing items before replacing
+    gridEl.style.opacity = '0';
+    gridEl.style.transition = 'opacity 200ms ease';
+
+    setTimeout(function () {
+      if (filtered.length === 0) {
+        gridEl.innerHTML =
+          '<div class="empty-state">' +
+            '<div class="empty-icon">&#x1F5BC;&#xFE0F;</div>' +
+            '<p>&#x041D;&#x044F;&#x043C;&#x0430; &#x0441;&#x043D;&#x0438;&#x043C;&#x043A;&#x0438; &#x0437;&#x0430; &#x0442;&#x0430;&#x0437;&#x0438; &#x043A;&#x0430;&#x0442;&#x0435;&#x0433;&#x043E;&#x0440;&#x0438;&#x044F;.<br><small>No screenshots match these filters.</small></p>' +
+          '</div>';
+      } else {
+        var html = '';
+        for (var i = 0; i < filtered.length; i++) {
+          var s = filtered[i];
+          var imgSrc = s.thumbnail || s.url || '';
+          var title = s.title || 'Screenshot';
+          html +=
+            '<div class="gallery-item animate-in" data-index="' + i + '">' +
+              '<img loading="lazy" src="' + imgSrc + '" alt="' + title.replace(/"/g, '&quot;') + '">' +
+              '<div class="gallery-item-overlay">' +
+                '<span class="item-title">' + title + '</span>' +
+                (s.tags && s.tags.length ? ' ' + MonkaCraft.tagBadges(s.tags) : '') +
+              '</div>' +
+            '</div>';
+        }
+        gridEl.innerHTML = html;
+
+        // Attach click handlers to open lightbox
+        var items = gridEl.querySelectorAll('.gallery-item');
+        for (var j = 0; j < items.length; j++) {
+          (function (idx) {
+            items[idx].addEventListener('click', function () {
+              openLightbox(idx);
+              syncUrl();
+            });
+          })(j);
+        }
+
+        // Re-trigger fade-in animations for new items
+        requestAnimationFrame(function () {
+          var animItems = gridEl.querySelectorAll('.animate-in');
+          for (var k = 0; k < animItems.length; k++) {
+            (function (el, delay) {
+              setTimeout(function () {
+                el.classList.add('visible');
+              }, delay);
+            })(animItems[k], k * 60);
+          }
+        });
+      }
+
+      // Fade grid back in
+      gridEl.style.opacity = '1';
+    }, 200);
+  }
+
+  /* ================================================================
+     LIGHTBOX
+     ================================================================ */
+
+  function openLightbox(index) {
+    if (!filtered || filtered.length === 0) return;
+    if (index < 0 || index >= filtered.length) return;
+
+    lightboxIndex = index;
+    var s = filtered[index];
+
+    lightboxImg.src = s.url || s.thumbnail || '';
+    lightboxImg.alt = s.title || 'Screenshot';
+    lightboxTitle.textContent = s.title || '';
+
+    // Tag badges
+    var tags = s.tags || [];
+    lightboxTags.innerHTML = MonkaCraft.tagBadges(tags);
+    lightboxTags.style.display = tags.length ? 'inline-block' : 'none';
+
+    // Date
+    lightboxDate.textContent = formatDate(s.date);
+
+    // Counter
+    lightboxCounter.textContent = (index + 1) + ' / ' + filtered.length;
+
+    // Show overlay
+    lightboxEl.classList.add('active');
+
+    // Prevent body scroll
+    document.body.style.overflow = 'hidden';
+
+    // Focus close button for accessibility
+    btnClose.focus();
+  }
+
+  function closeLightbox() {
+    lightboxEl.classList.remove('active');
+    lightboxIndex = -1;
+    document.body.style.overflow = '';
+  }
+
+  function nextImage() {
+    if (filtered.length === 0) return;
+    var next = (lightboxIndex + 1) % filtered.length;
+    openLightbox(next);
+    syncUrl(true);
+  }
+
+  function prevImage() {
+    if (filtered.length === 0) return;
+    var prev = (lightboxIndex - 1 + filtered.length) % filtered.length;
+    openLightbox(prev);
+    syncUrl(true);
+  }
+
+  /**
+   * Close the lightbox and drop the screenshot from the address.
+   */
+  function hideLightbox() {
+    closeLightbox();
+    syncUrl(true);
+  }
+
+  /* ================================================================
+     URL STATE — gallery.html#tag=PVP&cat=Build&s=<id>
+     ================================================================ */
+
+  /**
+   * Write filters and the open screenshot to the hash. Opening an
+   * image or changing a filter pushes a history entry; stepping
+   * through the lightbox or closing it replaces the current one.
+   */
+  function syncUrl(replace) {
+    var open = lightboxIndex >= 0 ? filtered[lightboxIndex] : null;
+    MonkaCraft.writeUrlState({
+      tag: activeTag !== 'all' ? activeTag : '',
+      cat: activeCat !== 'all' ? activeCat : '',
+      s: open ? open.id : ''
+    }, replace);
+  }
+
+  /**
+   * Restore filters and the lightbox from the hash — on load and
+   * on back/forward.
+   */
+  function applyUrlState() {
+    var state = MonkaCraft.readUrlState();
+
+    renderTagFilters();
+    activeTag = MonkaCraft.activateFilter(tagFilterGroup, 'data-filter-tag', state.tag || 'all');
+    activeCat = MonkaCraft.activateFilter(
+      document.getElementById('filter-category'), 'data-filter-cat', state.cat || 'all'
+    );
+    applyFilters();
+
+    for (var i = 0; state.s && i < filtered.length; i++) {
+      if (filtered[i].id === state.s) {
+        openLightbox(i);
+        return;
+      }
+    }
+    if (lightboxIndex >= 0) closeLightbox();
+  }
+
+  /* ================================================================
+     EVENT LISTENERS — LIGHTBOX
+     ================================================================ */
+
+  // Close button
+  btnClose.addEventListener('click', function (e) {
+    e.stopPropagation();
+    hideLightbox();
+  });
+
+  // Prev / Next buttons
+  btnPrev.addEventListener('click', function (e) {
+    e.stopPropagation();
+    prevImage();
+  });
+
+  btnNext.addEventListener('click', function (e) {
+    e.stopPropagation();
+    nextImage();
+  });
+
+  // Click backdrop (outside image) to close
+  lightboxEl.addEventListener('click', function (e) {
+    // Only close if clicking the overlay itself, not children (except image wrapper area)
+    if (e.target === lightboxEl) {
+      hideLightbox();
+    }
+  });
+
+  // Keyboard navigation
+  document.addEventListener('keydown', function (e) {
+    if (lightboxIndex < 0) return; // Lightbox not open
+    if (e.key === 'Escape' || e.key === 'Esc') {
+      hideLightbox();
+    } else if (e.key === 'ArrowRight') {
+      nextImage();
+    } else if (e.key === 'ArrowLeft') {
+      prevImage();
+    }
+  });
+
+  // Touch/swipe support for mobile
+  var touchStartX = 0;
+  var touchEndX = 0;
+
+  lightboxEl.addEventListener('touchstart', function (e) {
+    touchStartX = e.changedTouches[0].screenX;
+  }, { passive: true });
+
+  lightboxEl.addEventListener('touchend', function (e) {
+    touchEndX = e.changedTouches[0].screenX;
+    var diff = touchStartX - touchEndX;
+    var threshold = 50;
+
+    if (Math.abs(diff) >= threshold) {
+      if (diff > 0) {
+        // Swiped left — go next
+        nextImage();
+      } else {
+        // Swiped right — go prev
+        prevImage();
+      }
+    }
+  }, { passive: true });
+
+  /* ================================================================
+     EVENT LISTENERS — FILTER BUTTONS
+     ================================================================ */
+
+  // Tag filter buttons — delegated, since the tag buttons are rebuilt
+  var tagFilterGroup = document.getElementById('filter-tag');
+  tagFilterGroup.addEventListener('click', function (e) {
+    var btn = e.target.closest('.filter-btn');
+    if (!btn) return;
+
+    // Update active state
+    var tagFilterBtns = tagFilterGroup.querySelectorAll('.filter-btn');
+    for (var x = 0; x < tagFilterBtns.length; x++) {
+      tagFilterBtns[x].classList.remove('active');
+    }
+    btn.classList.add('active');
+
+    activeTag = btn.getAttribute('data-filter-tag');
+    applyFilters();
+    syncUrl();
+  });
+
+  /**
+   * Rebuild the tag buttons from the tags used by screenshots.
+   */
+  function renderTagFilters() {
+    activeTag = MonkaCraft.renderTagFilters(tagFilterGroup, 'screenshot', 'data-filter-tag', activeTag);
+  }
+
+  // Category filter buttons
+  var catFilterBtns = document.querySelectorAll('#filter-category .filter-btn');
+  for (var c = 0; c < catFilterBtns.length; c++) {
+    catFilterBtns[c].addEventListener('click', function () {
+      // Update active state
+      for (var y = 0; y < catFilterBtns.length; y++) {
+        catFilterBtns[y].classList.remove('active');
+      }
+      this.classList.add('active');
+
+      activeCat = this.getAttribute('data-filter-cat');
+      applyFilters();
+      syncUrl();
+    });
+  }
+
+  /* ================================================================
+     INIT — Wait for contentReady event from app.js
+     ================================================================ */
+
+  window.addEventListener('contentReady', function () {
+    // Load all screenshots from ContentStore
+    if (window.ContentStore && typeof window.ContentStore.getAll === 'function') {
+      allScreenshots = window.ContentStore.getAll('screenshot') || [];
+    }
+
+    // Apply the filters and open image from the address, then render
+    applyUrlState();
+
+    // Back/forward (or an edited hash) restores filters and the lightbox
+    window.addEventListener('popstate', applyUrlState);
+  });
+
+  /* ================================================================
+     LIVE UPDATES — screenshots changed in another tab
+     ================================================================ */
+
+  window.addEventListener('contentChanged', function (e) {
+    if (e.detail.types.indexOf('screenshot') === -1 && e.detail.types.indexOf('tag') === -1) return;
+
+    renderTagFilters();
+    var openId = lightboxIndex >= 0 && filtered[lightboxIndex] ? filtered[lightboxIndex].id : null;
+    allScreenshots = window.ContentStore.getAll('screenshot') || [];
+    applyFilters();
+
+    // Keep the lightbox on the same screenshot, or close it if it is gone
+    if (openId) {
+      for (var i = 0; i < filtered.length; i++) {
+        if (filtered[i].id === openId) {
+          openLightbox(i);
+          return;
+        }
+      }
+      hideLightbox();
+    }
+  });
+
+})();
@@ -0,0 +1,232 @@
+/**
+ * pages/home.js — Homepage (index.html)
+ *
+ * Latest-content cards, the animated stats counters, the LIVE
+ * indicator and the countdown to the next planned stream.
+ *
+ * Runs after site-config.js, content.js, utils.js, embeds.js and app.js.
+ */
+(function () {
+  'use strict';
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+  var stripHtml = MonkaCraft.stripHtml;
+
+  /**
+   * Build a thumbnail URL for a content entry.
+   * Uses the entry thumbnail, then the video host's preview image
+   * (js/embeds.js), otherwise the url itself (screenshots).
+   */
+  function getThumbnail(entry) {
+    // Older uploads saved the video file itself as the thumbnail
+    if (entry.thumbnail && entry.thumbnail !== entry.url) return entry.thumbnail;
+    return EmbedProviders.thumbnail(entry.url) || (entry.type === 'video' ? '' : entry.url || '');
+  }
+
+  /**
+   * Build a deep link that opens this entry on its content page.
+   */
+  function getViewLink(entry) {
+    var id = encodeURIComponent(entry.id || '');
+    if (entry.type === 'video') return SiteConfig.url('pages/videos.html#v=' + id);
+    if (entry.type === 'screenshot') return SiteConfig.url('pages/gallery.html#s=' + id);
+    if (entry.type === 'post') return SiteConfig.url('pages/blog.html#p=' + id);
+    return '#';
+  }
+
+  /**
+   * Build the HTML for a single latest-content card.
+   */
+  function buildCard(entry) {
+    var thumb = getThumbnail(entry);
+    var link = getViewLink(entry);
+    var typeLabel = entry.type === 'video' ? '📹 Video' : entry.type === 'screenshot' ? '🖼️ Screenshot' : '📝 Post';
+    var excerpt = entry.description || stripHtml(entry.content, 100);
+
+    var html =
+      '<article class="card">' +
+        (thumb
+          ? '<img src="' + thumb + '" alt="' + (entry.title || '').replace(/"/g, '&quot;') + '" class="card-image" loading="lazy">'
+          : '') +
+        '<h3 class="card-title">' + (entry.title || 'Untitled') + '</h3>' +
+        '<div class="card-meta">' +
+          MonkaCraft.tagBadges(entry.tags) + ' ' +
+          '<span>' + formatDate(entry.date) + '</span>' +
+        '</div>' +
+        '<p class="card-excerpt">' + typeLabel + ' — ' + excerpt + '</p>' +
+        '<a href="' + link + '" class="btn btn-sm btn-ghost mt-md" style="width:100%;">View &rarr;</a>' +
+      '</article>';
+
+    return html;
+  }
+
+  /**
+   * Render the 3 latest content cards into the #latest-cards grid.
+   */
+  function renderLatestCards() {
+    var container = document.getElementById('latest-cards');
+    if (!container || !window.ContentStore) return;
+
+    var latestVideo = ContentStore.getLatest('video', 1);
+    var latestScreenshot = ContentStore.getLatest('screenshot', 1);
+    var latestPost = ContentStore.getLatest('post', 1);
+
+    var cards = [];
+    if (latestVideo.length > 0) cards.push(buildCard(latestVideo[0]));
+    if (latestScreenshot.length > 0) cards.push(buildCard(latestScreenshot[0]));
+    if (latestPost.length > 0) cards.push(buildCard(latestPost[0]));
+
+    if (cards.length === 0) {
+      container.innerHTML =
+        '<div class="empty-state" style="grid-column: 1/-1;">' +
+          '<div class="empty-icon">🎮</div>' +
+          '<p>Няма съдържание все още / No content yet!</p>' +
+        '</div>';
+      return;
+    }
+
+    container.innerHTML = cards.join('');
+  }
+
+  /**
+   * Animate a stat counter from 0 to its target value.
+   */
+  function animateCounter(el, target, duration) {
+    var start = 0;
+    var startTime = null;
+
+    function step(timestamp) {
+      if (!startTime) startTime = timestamp;
+      var progress = Math.min((timestamp - startTime) / duration, 1);
+      // Ease-out quad
+      var eased = 1 - (1 - progress) * (1 - progress);
+      var current = Math.floor(eased * target);
+      el.textContent = current;
+      if (progress < 1) {
+        requestAnimationFrame(step);
+      } else {
+        el.textContent = target;
+      }
+    }
+
+    requestAnimationFrame(step);
+  }
+
+  /**
+   * Set up animated stat counters via IntersectionObserver.
+   * They count up when the stats row scrolls into view.
+   */
+  function initStatsCounters() {
+    if (!window.ContentStore) return;
+    var stats = ContentStore.getStats();
+
+    var videoEl = document.getElementById('stat-videos');
+    var screenshotEl = document.getElementById('stat-screenshots');
+    var postEl = document.getElementById('stat-posts');
+
+    if (videoEl) videoEl.setAttribute('data-target', stats.videos);
+    if (screenshotEl) screenshotEl.setAttribute('data-target', stats.screenshots);
+    if (postEl) postEl.setAttribute('data-target', stats.posts);
+
+    var statsRow = document.getElementById('stats-counter');
+    if (!statsRow) return;
+
+    if ('IntersectionObserver' in window) {
+      var observed = false;
+      var observer = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting && !observed) {
+            observed = true;
+            if (videoEl) animateCounter(videoEl, stats.videos, 1200);
+            if (screenshotEl) animateCounter(screenshotEl, stats.screenshots, 1200);
+            if (postEl) animateCounter(postEl, stats.posts, 1200);
+            observer.unobserve(statsRow);
+          }
+        });
+      }, { threshold: 0.3 });
+
+      observer.observe(statsRow);
+    } else {
+      // Fallback — just set values
+      if (videoEl) videoEl.textContent = stats.videos;
+      if (screenshotEl) screenshotEl.textContent = stats.screenshots;
+      if (postEl) postEl.textContent = stats.posts;
+    }
+  }
+
+  /**
+   * Show or hide the LIVE NOW indicator based on ContentStore.isLive().
+   */
+  function updateLiveIndicator() {
+    var indicator = document.getElementById('live-indicator');
+    if (!indicator || !window.ContentStore) return;
+    if (ContentStore.isLive()) {
+      indicator.style.display = '';
+    } else {
+      indicator.style.display = 'none';
+    }
+  }
+
+  /**
+   * Format the time left until `time` (epoch ms) as e.g. "2h 14m",
+   * with days when the stream is further off.
+   */
+  function formatCountdown(time) {
+    var minutes = Math.max(Math.ceil((time - Date.now()) / 60000), 0);
+    var days = Math.floor(minutes / 1440);
+    var hours = Math.floor((minutes % 1440) / 60);
+    var parts = [];
+    if (days) parts.push(days + 'd');
+    if (days || hours) parts.push(hours + 'h');
+    parts.push((minutes % 60) + 'm');
+    return parts.join(' ');
+  }
+
+  /**
+   * Show the countdown to the next planned stream, or that it has
+   * started. Hidden while LIVE NOW shows or nothing is planned.
+   */
+  function updateCountdown() {
+    var box = document.getElementById('next-stream');
+    if (!box || !window.ContentStore) return;
+
+    var next = ContentStore.getNextStream();
+    if (!next || ContentStore.isLive()) {
+      box.style.display = 'none';
+      return;
+    }
+
+    var started = next.start <= Date.now();
+    var timeEl = document.getElementById('next-stream-time');
+    document.getElementById('next-stream-label').textContent = started
+      ? '🎬 Стриймът започна! / Streaming now:'
+      : '⏰ Следващ стрийм след / Next stream in';
+    timeEl.textContent = started ? '' : formatCountdown(next.start);
+    timeEl.style.display = started ? 'none' : '';
+    document.getElementById('next-stream-title').textContent = next.entry.title || '';
+    box.style.display = '';
+  }
+
+  // Listen for the contentReady event dispatched by app.js after ContentStore.init()
+  window.addEventListener('contentReady', function () {
+    renderLatestCards();
+    initStatsCounters();
+    updateLiveIndicator();
+    updateCountdown();
+    setInterval(updateCountdown, 30000);
+  });
+
+  // Content changed in another tab — refresh cards, counters and LIVE
+  window.addEventListener('contentChanged', function () {
+    var stats = ContentStore.getStats();
+    var counters = { 'stat-videos': stats.videos, 'stat-screenshots': stats.screenshots, 'stat-posts': stats.posts };
+    Object.keys(counters).forEach(function (id) {
+      var el = document.getElementById(id);
+      if (el) el.textContent = counters[id];
+    });
+    renderLatestCards();
+    updateLiveIndicator();
+    updateCountdown();
+  });
+})();
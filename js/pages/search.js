@@ -0,0 +1,142 @@
+/**
+ * pages/search.js — Search page (pages/search.html)
+ *
+ * Search box with type filters over ContentStore.search(); the query
+ * stays in the address (search.html?q=...) so results can be shared.
+ *
+ * Runs after site-config.js, content.js, utils.js and app.js.
+ */
+(function () {
+  'use strict';
+
+  /* -------------------------------------------------------
+     State
+     ------------------------------------------------------- */
+  var currentType = 'all';
+  var typingTimer = null;
+
+  // Where each content type lives (with its deep-link prefix), and how it is labelled
+  var TYPE_INFO = {
+    video:      { icon: '📹', label: 'Video',      href: SiteConfig.url('pages/videos.html#v=') },
+    screenshot: { icon: '🖼️', label: 'Screenshot', href: SiteConfig.url('pages/gallery.html#s=') },
+    post:       { icon: '📝', label: 'Blog',       href: SiteConfig.url('pages/blog.html#p=') },
+    stream:     { icon: '🎬', label: 'Stream',     href: SiteConfig.url('pages/streams.html') }
+  };
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+  var escapeHtml = MonkaCraft.escapeHtml;
+
+  /* -------------------------------------------------------
+     Keep ?q= in the address bar so results can be shared
+     ------------------------------------------------------- */
+  function syncUrl(query) {
+    if (!window.history || !window.history.replaceState) return;
+    var url = window.location.pathname + (query ? '?q=' + encodeURIComponent(query) : '');
+    window.history.replaceState(null, '', url);
+  }
+
+  /* -------------------------------------------------------
+     Build one result card
+     ------------------------------------------------------- */
+  function buildResult(result) {
+    var entry = result.entry;
+    var info = TYPE_INFO[result.type];
+    var thumb = entry.thumbnail || (result.type === 'screenshot' ? entry.url : '');
+
+    return '<a class="card search-result animate-in visible" href="' + info.href + (info.href.indexOf('#') !== -1 ? encodeURIComponent(entry.id) : '') + '">' +
+        (thumb ? '<img class="search-result-thumb" src="' + escapeHtml(thumb) + '" alt="" loading="lazy">' : '') +
+        '<div class="search-result-body">' +
+          '<div class="card-meta">' +
+            '<span class="search-result-type">' + info.icon + ' ' + info.label + '</span> ' +
+            (entry.tags && entry.tags.length ? MonkaCraft.tagBadges(entry.tags) + ' ' : '') +
+            '<span>' + formatDate(entry.date) + '</span>' +
+          '</div>' +
+          '<h3 class="card-title">' + (result.title || escapeHtml(entry.title || 'Untitled')) + '</h3>' +
+          (result.snippet ? '<p class="card-excerpt">' + result.snippet + '</p>' : '') +
+        '</div>' +
+      '</a>';
+  }
+
+  /* -------------------------------------------------------
+     Run the search and render the results
+     ------------------------------------------------------- */
+  function renderResults() {
+    var container = document.getElementById('search-results');
+    var summary = document.getElementById('search-summary');
+    if (!container || !window.ContentStore) return;
+
+    var query = document.getElementById('search-input').value.trim();
+    syncUrl(query);
+
+    if (!query) {
+      summary.textContent = '';
+      container.innerHTML =
+        '<div class="empty-state">' +
+          '<div class="empty-icon">🔍</div>' +
+          '<p>Напиши нещо за търсене / Type something to search</p>' +
+        '</div>';
+      return;
+    }
+
+    var options = { limit: 0 };
+    if (currentType !== 'all') options.types = [currentType];
+    var results = ContentStore.search(query, options);
+
+    summary.textContent = results.length + ' резултата / results';
+
+    if (results.length === 0) {
+      container.innerHTML =
+        '<div class="empty-state">' +
+          '<div class="empty-icon">🤔</div>' +
+          '<p>Нищо не е намерено / Nothing found</p>' +
+        '</div>';
+      return;
+    }
+
+    container.innerHTML = results.map(buildResult).join('');
+  }
+
+  /* -------------------------------------------------------
+     Wire up the search box and type filter
+     ------------------------------------------------------- */
+  function initControls() {
+    var input = document.getElementById('search-input');
+    input.value = new URLSearchParams(window.location.search).get('q') || '';
+
+    // Search as you type, with a short pause between keystrokes
+    input.addEventListener('input', function () {
+      clearTimeout(typingTimer);
+      typingTimer = setTimeout(renderResults, 200);
+    });
+
+    document.getElementById('search-form').addEventListener('submit', function (e) {
+      e.preventDefault();
+      clearTimeout(typingTimer);
+      renderResults();
+    });
+
+    var buttons = document.querySelectorAll('#search-filter .filter-btn');
+    for (var i = 0; i < buttons.length; i++) {
+      buttons[i].addEventListener('click', function () {
+        for (var j = 0; j < buttons.length; j++) {
+          buttons[j].classList.remove('active');
+        }
+        this.classList.add('active');
+        currentType = this.getAttribute('data-type');
+        renderResults();
+      });
+    }
+  }
+
+  // Listen for the contentReady event dispatched by app.js after ContentStore.init()
+  window.addEventListener('contentReady', function () {
+    initControls();
+    renderResults();
+  });
+
+  // Re-run the search when content changes in another tab or goes public
+  window.addEventListener('contentChanged', function () {
+    renderResults();
+  });
+})();
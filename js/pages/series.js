@@ -0,0 +1,160 @@
+/**
+ * pages/series.js — Series page (pages/series.html)
+ *
+ * All series as cards, or one series (series.html?id=<id>) with its
+ * parts in order.
+ *
+ * Runs after site-config.js, content.js, utils.js and app.js.
+ */
+(function () {
+  'use strict';
+
+  // Where each part type opens, and how it is labelled
+  var TYPE_INFO = {
+    video: { icon: '📹', label: 'Video', href: SiteConfig.url('pages/videos.html#v=') },
+    post:  { icon: '📝', label: 'Blog',  href: SiteConfig.url('pages/blog.html#p=') }
+  };
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+  var escapeHtml = MonkaCraft.escapeHtml;
+  var stripHtml = MonkaCraft.stripHtml;
+
+  /* -------------------------------------------------------
+     Helper: Thumbnail for a part — its own, or YouTube's
+     ------------------------------------------------------- */
+  function thumbOf(entry) {
+    if (entry.thumbnail) return entry.thumbnail;
+    var ytId = MonkaCraft.extractYouTubeId(entry.url);
+    return ytId ? 'https://img.youtube.com/vi/' + ytId + '/hqdefault.jpg' : '';
+  }
+
+  /* -------------------------------------------------------
+     Helper: Cover for a series — its own, or the first part's
+     ------------------------------------------------------- */
+  function coverOf(series, parts) {
+    if (series.cover) return series.cover;
+    for (var i = 0; i < parts.length; i++) {
+      var thumb = thumbOf(parts[i].entry);
+      if (thumb) return thumb;
+    }
+    return '';
+  }
+
+  /* -------------------------------------------------------
+     All series that have parts to show, as cards
+     ------------------------------------------------------- */
+  function renderIndex(view) {
+    var list = ContentStore.getSeries().filter(function (series) {
+      return series.count > 0;
+    });
+    document.title = 'MonkaCraft - Series';
+
+    if (list.length === 0) {
+      view.innerHTML =
+        '<div class="empty-state">' +
+          '<div class="empty-icon">📚</div>' +
+          '<p>Още няма серии / No series yet</p>' +
+        '</div>';
+      return;
+    }
+
+    view.innerHTML = '<div class="grid grid-3">' + list.map(function (series) {
+      var cover = coverOf(series, ContentStore.getSeriesEntries(series.id));
+      return '<a class="card series-card animate-in visible" href="' + SiteConfig.url('pages/series.html?id=' + encodeURIComponent(series.id)) + '">' +
+          (cover
+            ? '<img class="card-image" src="' + escapeHtml(cover) + '" alt="" loading="lazy">'
+            : '<div class="card-image series-card-placeholder">📚</div>'
+          ) +
+          '<h3 class="card-title">' + escapeHtml(series.title) + '</h3>' +
+          '<div class="card-meta"><span>' + series.count + ' части / parts</span></div>' +
+          (series.description ? '<p class="card-excerpt">' + escapeHtml(series.description) + '</p>' : '') +
+        '</a>';
+    }).join('') + '</div>';
+  }
+
+  /* -------------------------------------------------------
+     One series: its cover, description and parts in order
+     ------------------------------------------------------- */
+  function renderSeries(view, id) {
+    var series = null;
+    ContentStore.getSeries().forEach(function (s) {
+      if (s.id === id) series = s;
+    });
+    var parts = series ? ContentStore.getSeriesEntries(series.id) : [];
+    var back = '<a class="btn btn-sm btn-ghost" href="' + SiteConfig.url('pages/series.html') + '">← Всички серии / All series</a>';
+
+    if (!series || parts.length === 0) {
+      document.title = 'MonkaCraft - Series';
+      view.innerHTML =
+        '<div class="empty-state">' +
+          '<div class="empty-icon">🤔</div>' +
+          '<p>Тази серия не е намерена / This series was not found</p>' +
+          back +
+        '</div>';
+      return;
+    }
+
+    document.title = 'MonkaCraft - ' + series.title;
+    var cover = coverOf(series, parts);
+
+    view.innerHTML =
+      '<div class="series-header animate-in visible">' +
+        (cover ? '<img class="series-header-cover" src="' + escapeHtml(cover) + '" alt="">' : '') +
+        '<div>' +
+          '<h2 class="series-header-title">' + escapeHtml(series.title) + '</h2>' +
+          '<p class="card-meta">' + parts.length + ' части / parts</p>' +
+          (series.description ? '<p class="card-excerpt">' + escapeHtml(series.description) + '</p>' : '') +
+          back +
+        '</div>' +
+      '</div>' +
+      '<ol class="series-episodes">' + parts.map(function (part, i) {
+        var entry = part.entry;
+        var info = TYPE_INFO[part.type];
+        var thumb = thumbOf(entry);
+        var text = entry.description || entry.excerpt || stripHtml(entry.content);
+        if (text.length > 140) text = text.substring(0, 140) + '...';
+
+        return '<li>' +
+          '<a class="card series-episode animate-in visible" href="' + info.href + encodeURIComponent(entry.id) + '">' +
+            '<span class="series-episode-number">' + (i + 1) + '</span>' +
+            (thumb ? '<img class="series-episode-thumb" src="' + escapeHtml(thumb) + '" alt="" loading="lazy">' : '') +
+            '<div class="series-episode-body">' +
+              '<div class="card-meta">' +
+                '<span class="search-result-type">' + info.icon + ' ' + info.label + '</span> ' +
+                '<span>' + formatDate(entry.date) + '</span>' +
+              '</div>' +
+              '<h3 class="card-title">' + escapeHtml(entry.title || 'Untitled') + '</h3>' +
+              (text ? '<p class="card-excerpt">' + escapeHtml(text) + '</p>' : '') +
+            '</div>' +
+          '</a>' +
+        '</li>';
+      }).join('') + '</ol>';
+  }
+
+  /* -------------------------------------------------------
+     Render the view the address asks for
+     ------------------------------------------------------- */
+  function render() {
+    var view = document.getElementById('series-view');
+    if (!view || !window.ContentStore) return;
+
+    var id = new URLSearchParams(window.location.search).get('id');
+    if (id) {
+      renderSeries(view, id);
+    } else {
+      renderIndex(view);
+    }
+  }
+
+  // Listen for the contentReady event dispatched by app.js after ContentStore.init()
+  window.addEventListener('contentReady', render);
+
+  // Re-render when series or their parts change in another tab
+  window.addEventListener('contentChanged', function (e) {
+    var types = e.detail.types;
+    if (types.indexOf('series') !== -1 || types.indexOf('video') !== -1 || types.indexOf('post') !== -1) {
+      render();
+    }
+  });
+})();
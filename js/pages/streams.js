@@ -0,0 +1,430 @@
+/**
+ * pages/streams.js — Streams page (pages/streams.html)
+ *
+ * Featured stream player with its LIVE / next-stream status, stream
+ * cards with tag filters, and the month / week calendar of planned
+ * streams with its .ics download.
+ *
+ * Runs after site-config.js, content.js, utils.js, embeds.js and app.js.
+ */
+(function () {
+  'use strict';
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+  var escapeHtml = MonkaCraft.escapeHtml;
+
+  /* -------------------------------------------------------
+     Helper: Start time of a planned stream in the visitor's
+     own time zone, with the date
+     ------------------------------------------------------- */
+  function formatStart(time) {
+    return formatDate(time, { time: true });
+  }
+
+  function formatTime(time) {
+    return new Date(time).toLocaleTimeString('bg-BG', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  /* -------------------------------------------------------
+     Player for a stream link (see js/embeds.js), or a plain
+     link for links that cannot be embedded
+     ------------------------------------------------------- */
+  function streamPlayer(url, title, autoplay) {
+    var player = EmbedProviders.player(url, { title: title || 'Stream', autoplay: autoplay });
+    if (player) return player;
+    return '<div class="empty-state"><div class="empty-icon">\uD83C\uDFAC</div>' +
+      '<p><a href="' + escapeHtml(url) + '" target="_blank" rel="noopener">' +
+        '\u0413\u043B\u0435\u0434\u0430\u0439 \u0441\u0442\u0440\u0438\u0439\u043C\u0430 / Watch the stream \u2197</a></p></div>';
+  }
+
+  /* -------------------------------------------------------
+     Render the featured stream embed
+     If a stream is live, show that one.
+     Otherwise show the most recent stream.
+     ------------------------------------------------------- */
+  function renderFeaturedStream() {
+    var statusEl = document.getElementById('stream-status');
+    var statusTextEl = document.getElementById('stream-status-text');
+    var embedEl = document.getElementById('featured-stream-embed');
+    if (!statusEl || !statusTextEl || !embedEl) return;
+
+    var streams = ContentStore.getAll('stream');
+    if (streams.length === 0) {
+      statusEl.className = 'stream-status offline';
+      statusTextEl.innerHTML = '\uD83D\uDE34 Offline \u2014 \u041E\u0447\u0430\u043A\u0432\u0430\u0439 \u0441\u043A\u043E\u0440\u043E! / Check back soon!';
+      embedEl.innerHTML = '<div class="empty-state"><div class="empty-icon">\uD83C\uDFAC</div><p>\u041D\u044F\u043C\u0430 \u0441\u0442\u0440\u0438\u0439\u043C\u043E\u0432\u0435 \u0437\u0430\u0441\u0435\u0433\u0430 / No streams yet</p></div>';
+      embedEl.removeAttribute('data-embed-url');
+      return;
+    }
+
+    // Find the live stream or the most recent one
+    var featured = null;
+    for (var i = 0; i < streams.length; i++) {
+      if (streams[i].isLive === true) {
+        featured = streams[i];
+        break;
+      }
+    }
+
+    // If no live stream, get the most recent by date — streams planned
+    // for later count once they have started
+    if (!featured) {
+      var now = Date.now();
+      var started = streams.filter(function (stream) {
+        var times = ContentStore.getStreamTimes(stream);
+        return !times || times.start <= now;
+      });
+      var sorted = (started.length ? started : streams).slice().sort(function (a, b) {
+        return new Date(b.date) - new Date(a.date);
+      });
+      featured = sorted[0];
+    }
+
+    // Update status indicator
+    if (featured.isLive) {
+      statusEl.className = 'stream-status live';
+      statusTextEl.innerHTML = '\uD83D\uDD34 CURRENTLY LIVE! / \u041D\u0410 \u0416\u0418\u0412\u041E!';
+    } else {
+      var next = ContentStore.getNextStream();
+      statusEl.className = 'stream-status offline';
+      statusTextEl.innerHTML = next
+        ? '\uD83D\uDE34 Offline \u2014 \u0421\u043B\u0435\u0434\u0432\u0430\u0449 \u0441\u0442\u0440\u0438\u0439\u043C / Next stream: ' + escapeHtml(formatStart(next.start))
+        : '\uD83D\uDE34 Offline \u2014 \u041E\u0447\u0430\u043A\u0432\u0430\u0439 \u0441\u043A\u043E\u0440\u043E! / Check back soon!';
+    }
+
+    // Embed the stream — keep a playing embed when only other fields changed
+    if (embedEl.getAttribute('data-embed-url') === (featured.url || '')) return;
+    embedEl.setAttribute('data-embed-url', featured.url || '');
+
+    if (featured.url) {
+      embedEl.innerHTML = streamPlayer(featured.url, featured.title, false);
+    } else {
+      embedEl.innerHTML = '<div class="empty-state"><div class="empty-icon">\uD83C\uDFAC</div><p>\u041D\u044F\u043C\u0430 \u043B\u0438\u043D\u043A \u043A\u044A\u043C \u0441\u0442\u0440\u0438\u0439\u043C\u0430 / No stream link available</p></div>';
+    }
+  }
+
+  /* -------------------------------------------------------
+     Render stream cards in the past streams grid
+     ------------------------------------------------------- */
+  function renderStreamCards(filter) {
+    var grid = document.getElementById('streams-grid');
+    if (!grid) return;
+
+    var streams;
+    if (filter && filter !== 'all') {
+      streams = ContentStore.getByTag('stream', filter);
+    } else {
+      streams = ContentStore.getAll('stream');
+    }
+
+    // Sort by date descending (newest first)
+    streams.sort(function (a, b) {
+      return new Date(b.date) - new Date(a.date);
+    });
+
+    if (streams.length === 0) {
+      grid.innerHTML =
+        '<div class="empty-state" style="grid-column: 1 / -1;">' +
+          '<div class="empty-icon">\uD83C\uDFAC</div>' +
+          '<p>\u041D\u044F\u043C\u0430 \u043D\u0430\u043C\u0435\u0440\u0435\u043D\u0438 \u0441\u0442\u0440\u0438\u0439\u043C\u043E\u0432\u0435 / No streams found</p>' +
+        '</div>';
+      return;
+    }
+
+    var html = '';
+    for (var i = 0; i < streams.length; i++) {
+      var stream = streams[i];
+      var thumbUrl = stream.thumbnail || EmbedProviders.thumbnail(stream.url);
+
+      var times = ContentStore.getStreamTimes(stream);
+      var liveBadge = stream.isLive
+        ? '<span class="tag" style="background:rgba(255,34,68,0.2);color:#ff2244;border:1px solid rgba(255,34,68,0.4);margin-left:6px;">\uD83D\uDD34 LIVE</span>'
+        : times && times.end > Date.now()
+          ? '<span class="tag" style="background:rgba(0,212,255,0.15);color:#00d4ff;border:1px solid rgba(0,212,255,0.4);margin-left:6px;">\u23F0 \u041F\u0440\u0435\u0434\u0441\u0442\u043E\u0438 / Upcoming</span>'
+          : '';
+
+      // Finished streams link to their recording
+      var replay = !stream.isLive && ContentStore.getReplay(stream.id);
+
+      html +=
+        '<div class="card card-clickable animate-in" data-stream-url="' + (stream.url || '') + '" data-stream-id="' + (stream.id || '') + '">' +
+          (thumbUrl
+            ? '<img class="card-image" src="' + thumbUrl + '" alt="' + (stream.title || 'Stream') + '" loading="lazy">'
+            : '<div class="card-image" style="background:var(--color-surface);display:flex;align-items:center;justify-content:center;font-size:2rem;">\uD83C\uDFAC</div>'
+          ) +
+          '<h3 class="card-title">' + (stream.title || 'Stream') + '</h3>' +
+          '<div class="card-meta">' +
+            '<span>' + (times ? formatStart(times.start) : formatDate(stream.date)) + '</span>' +
+            (stream.tags && stream.tags.length
+              ? ' &middot; ' + MonkaCraft.tagBadges(stream.tags)
+              : ''
+            ) +
+            liveBadge +
+          '</div>' +
+          (stream.description
+            ? '<p class="card-excerpt">' + stream.description.substring(0, 120) + (stream.description.length > 120 ? '...' : '') + '</p>'
+            : ''
+          ) +
+          (replay
+            ? '<a class="card-replay" href="' + SiteConfig.url('pages/videos.html#v=' + encodeURIComponent(replay.id)) + '">\u25B6\uFE0F \u0413\u043B\u0435\u0434\u0430\u0439 \u0437\u0430\u043F\u0438\u0441\u0430 / Watch the replay</a>'
+            : ''
+          ) +
+        '</div>';
+    }
+
+    grid.innerHTML = html;
+
+    // Re-apply animations to newly added cards
+    var newCards = grid.querySelectorAll('.animate-in');
+    for (var j = 0; j < newCards.length; j++) {
+      (function (el, idx) {
+        setTimeout(function () {
+          el.classList.add('visible');
+        }, idx * 80 + 50);
+      })(newCards[j], j);
+    }
+  }
+
+  /* -------------------------------------------------------
+     Play a stream in the featured area and scroll to it
+     ------------------------------------------------------- */
+  function playStream(url) {
+    var embedEl = document.getElementById('featured-stream-embed');
+    if (!embedEl || !url) return;
+
+    embedEl.innerHTML = streamPlayer(url, 'Stream', true);
+
+    // Scroll to the featured stream area
+    var featuredSection = document.querySelector('.featured-stream');
+    if (featuredSection) {
+      featuredSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /* -------------------------------------------------------
+     Handle card clicks \u2014 embed the clicked stream in the
+     featured area and scroll to it.
+     ------------------------------------------------------- */
+  function handleStreamCardClick(e) {
+    var card = e.target.closest('.card-clickable');
+    if (!card || e.target.closest('.card-replay')) return;
+    playStream(card.getAttribute('data-stream-url'));
+  }
+
+  /* -------------------------------------------------------
+     Stream calendar \u2014 planned streams by week or month,
+     weeks starting on Monday, times in the visitor's zone
+     ------------------------------------------------------- */
+  var calendar = { view: 'week', anchor: new Date() };
+
+  function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  function startOfWeek(date) {
+    return addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+  }
+
+  /** First day shown and number of days for the current view. */
+  function calendarRange() {
+    if (calendar.view === 'week') {
+      return { first: startOfWeek(calendar.anchor), days: 7 };
+    }
+    var month = new Date(calendar.anchor.getFullYear(), calendar.anchor.getMonth(), 1);
+    return { first: startOfWeek(month), days: 42 };
+  }
+
+  function calendarTitle(range) {
+    if (calendar.view === 'month') {
+      return calendar.anchor.toLocaleDateString('bg-BG', { month: 'long', year: 'numeric' });
+    }
+    var last = addDays(range.first, 6);
+    return range.first.toLocaleDateString('bg-BG', { day: 'numeric', month: 'short' }) + ' \u2013 ' +
+      last.toLocaleDateString('bg-BG', { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+
+  function renderCalendar() {
+    var grid = document.getElementById('calendar-grid');
+    var titleEl = document.getElementById('calendar-title');
+    if (!grid || !titleEl) return;
+
+    var range = calendarRange();
+    var end = addDays(range.first, range.days);
+    var occurrences = ContentStore.getStreamSchedule(range.first, end);
+    var today = startOfDay(new Date()).getTime();
+    var now = Date.now();
+
+    titleEl.textContent = calendarTitle(range);
+    grid.className = 'calendar-grid ' + calendar.view;
+
+    var html = '';
+    for (var w = 0; w < 7; w++) {
+      html += '<div class="calendar-weekday">' +
+        addDays(range.first, w).toLocaleDateString('bg-BG', { weekday: 'short' }) + '</div>';
+    }
+
+    for (var i = 0; i < range.days; i++) {
+      var day = addDays(range.first, i);
+      var next = addDays(day, 1).getTime();
+      var classes = 'calendar-day';
+      if (day.getTime() === today) classes += ' today';
+      if (calendar.view === 'month' && day.getMonth() !== calendar.anchor.getMonth()) classes += ' other-month';
+
+      html += '<div class="' + classes + '"><span class="calendar-day-number">' + day.getDate() + '</span>';
+      occurrences.forEach(function (occ) {
+        if (occ.start < day.getTime() || occ.start >= next) return;
+        var state = occ.end <= now ? ' past' : occ.start <= now ? ' now' : '';
+        var time = formatTime(occ.start) + (calendar.view === 'week' ? '\u2013' + formatTime(occ.end) : '');
+        html +=
+          '<button type="button" class="calendar-event' + state + '" ' +
+            'data-stream-url="' + escapeHtml(occ.entry.url || '') + '" ' +
+            'title="' + escapeHtml(formatStart(occ.start) + ' \u2014 ' + (occ.entry.title || 'Stream')) + '">' +
+            '<span class="calendar-event-time">' + time + '</span> ' +
+            '<span class="calendar-event-title">' + escapeHtml(occ.entry.title || 'Stream') + '</span>' +
+          '</button>';
+      });
+      html += '</div>';
+    }
+
+    if (!occurrences.length) {
+      html += '<div class="calendar-empty">\uD83D\uDCC5 \u041D\u044F\u043C\u0430 \u043F\u043B\u0430\u043D\u0438\u0440\u0430\u043D\u0438 \u0441\u0442\u0440\u0438\u0439\u043C\u043E\u0432\u0435 / No planned streams</div>';
+    }
+    grid.innerHTML = html;
+
+    var icsBtn = document.getElementById('calendar-ics');
+    if (icsBtn) icsBtn.disabled = !ContentStore.getNextStream();
+  }
+
+  /** Download the upcoming streams as an .ics file for calendar apps. */
+  function downloadICS() {
+    var blob = new Blob([ContentStore.exportICS()], { type: 'text/calendar;charset=utf-8' });
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'monkacraft-streams.ics';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function () {
+      URL.revokeObjectURL(link.href);
+    }, 1000);
+  }
+
+  function initCalendar() {
+    var views = document.getElementById('calendar-views');
+    if (!views) return;
+
+    views.addEventListener('click', function (e) {
+      var btn = e.target.closest('.filter-btn');
+      if (!btn) return;
+      calendar.view = btn.getAttribute('data-view');
+      MonkaCraft.activateFilter(views, 'data-view', calendar.view);
+      renderCalendar();
+    });
+
+    function step(direction) {
+      var a = calendar.anchor;
+      calendar.anchor = calendar.view === 'week' ?
+        addDays(a, 7 * direction) :
+        new Date(a.getFullYear(), a.getMonth() + direction, 1);
+      renderCalendar();
+    }
+    document.getElementById('calendar-prev').addEventListener('click', function () { step(-1); });
+    document.getElementById('calendar-next').addEventListener('click', function () { step(1); });
+    document.getElementById('calendar-ics').addEventListener('click', downloadICS);
+
+    document.getElementById('calendar-grid').addEventListener('click', function (e) {
+      var event = e.target.closest('.calendar-event');
+      if (event) playStream(event.getAttribute('data-stream-url'));
+    });
+
+    // Keep "on now" and past markers current
+    setInterval(renderCalendar, 60000);
+  }
+
+  /* -------------------------------------------------------
+     Filter button click handlers
+     ------------------------------------------------------- */
+  function initFilters() {
+    var filterGroup = document.getElementById('stream-filters');
+    if (!filterGroup) return;
+
+    filterGroup.addEventListener('click', function (e) {
+      var btn = e.target.closest('.filter-btn');
+      if (!btn) return;
+
+      // Update active state
+      var allBtns = filterGroup.querySelectorAll('.filter-btn');
+      for (var i = 0; i < allBtns.length; i++) {
+        allBtns[i].classList.remove('active');
+      }
+      btn.classList.add('active');
+
+      // Re-render with filter and keep it in the address
+      var filter = btn.getAttribute('data-filter');
+      renderStreamCards(filter);
+      MonkaCraft.writeUrlState({ filter: filter !== 'all' ? filter : '' });
+    });
+  }
+
+  /* -------------------------------------------------------
+     URL state — streams.html#filter=<tag>, restored on load
+     and on back/forward
+     ------------------------------------------------------- */
+  function applyUrlState() {
+    renderTagFilters();
+    renderStreamCards(MonkaCraft.activateFilter(
+      document.getElementById('stream-filters'), 'data-filter',
+      MonkaCraft.readUrlState().filter || 'all'
+    ));
+  }
+
+  /* -------------------------------------------------------
+     Tag filter buttons — one per tag used by a stream.
+     Returns the filter that is active after the rebuild.
+     ------------------------------------------------------- */
+  function renderTagFilters() {
+    var activeBtn = document.querySelector('#stream-filters .filter-btn.active');
+    return MonkaCraft.renderTagFilters(
+      document.getElementById('stream-filters'), 'stream', 'data-filter',
+      activeBtn ? activeBtn.getAttribute('data-filter') : 'all'
+    );
+  }
+
+  /* -------------------------------------------------------
+     Attach click listener for stream cards
+     ------------------------------------------------------- */
+  function initCardClicks() {
+    var grid = document.getElementById('streams-grid');
+    if (!grid) return;
+    grid.addEventListener('click', handleStreamCardClick);
+  }
+
+  /* -------------------------------------------------------
+     Initialize when content is ready
+     ------------------------------------------------------- */
+  window.addEventListener('contentReady', function () {
+    renderFeaturedStream();
+    renderCalendar();
+    initCalendar();
+    applyUrlState();
+    initFilters();
+    initCardClicks();
+    window.addEventListener('popstate', applyUrlState);
+  });
+
+  /* -------------------------------------------------------
+     Re-render when streams change in another tab
+     ------------------------------------------------------- */
+  window.addEventListener('contentChanged', function (e) {
+    if (e.detail.types.indexOf('stream') === -1 && e.detail.types.indexOf('tag') === -1) return;
+    renderFeaturedStream();
+    renderCalendar();
+    renderStreamCards(renderTagFilters());
+  });
+
+})();
@@ -0,0 +1,443 @@
+/**
+ * pages/videos.js — Videos page (pages/videos.html)
+ *
+ * Video grid with tag filters and sorting, and the player modal
+ * (YouTube, Twitch, Kick or an uploaded file) with series navigation.
+ * Filters, sort order and the open video live in the address
+ * (videos.html#filter=PVP&sort=oldest&v=<id>). A tag filter also
+ * shows links to that tag's feeds.
+ *
+ * Runs after site-config.js, content.js, utils.js, embeds.js, feeds.js
+ * and app.js.
+ */
+(function () {
+  'use strict';
+
+  /* -------------------------------------------------------
+     State
+     ------------------------------------------------------- */
+  var currentFilter = 'all';
+  var sortNewest = true; // true = newest first, false = oldest first
+  var openVideoId = null; // id of the video playing in the modal
+
+  // Shared helpers from js/utils.js
+  var formatDate = MonkaCraft.formatDate;
+  var escapeHtml = MonkaCraft.escapeHtml;
+
+  /* -------------------------------------------------------
+     Get filtered and sorted videos
+     ------------------------------------------------------- */
+  function getFilteredVideos() {
+    var videos;
+
+    if (currentFilter === 'all') {
+      videos = ContentStore.getAll('video');
+    } else if (currentFilter === 'Tutorial' || currentFilter === 'Funny Moments') {
+      // Filter by category
+      videos = ContentStore.getByCategory('video', currentFilter);
+    } else {
+      // Filter by tag (buttons generated from the tag registry)
+      videos = ContentStore.getByTag('video', currentFilter);
+    }
+
+    // Sort
+    videos.sort(function (a, b) {
+      var dateA = new Date(a.date);
+      var dateB = new Date(b.date);
+      return sortNewest ? (dateB - dateA) : (dateA - dateB);
+    });
+
+    return videos;
+  }
+
+  /* -------------------------------------------------------
+     Feed links for the active tag filter (categories and
+     "all" have none beyond the site-wide feeds)
+     ------------------------------------------------------- */
+  function updateTagFeeds() {
+    var box = document.getElementById('video-tag-feeds');
+    if (!box) return;
+    var isTag = currentFilter !== 'all' && currentFilter !== 'Tutorial' && currentFilter !== 'Funny Moments';
+    box.innerHTML = MonkaCraft.tagFeedLinks(isTag ? [currentFilter] : []);
+  }
+
+  /* -------------------------------------------------------
+     Render video cards in the grid
+     ------------------------------------------------------- */
+  function renderVideoCards() {
+    var grid = document.getElementById('videos-grid');
+    if (!grid) return;
+
+    updateTagFeeds();
+
+    var videos = getFilteredVideos();
+
+    if (videos.length === 0) {
+      grid.innerHTML =
+        '<div class="empty-state" style="grid-column: 1 / -1;">' +
+          '<div class="empty-icon">\uD83D\uDCF9</div>' +
+          '<p>\u041D\u044F\u043C\u0430 \u043D\u0430\u043C\u0435\u0440\u0435\u043D\u0438 \u0432\u0438\u0434\u0435\u0430 / No videos found</p>' +
+        '</div>';
+      return;
+    }
+
+    var html = '';
+    for (var i = 0; i < videos.length; i++) {
+      var video = videos[i];
+      // Thumbnail from the link when none was saved (older uploads
+      // saved the video file itself, which no <img> can show)
+      var thumbUrl = (video.thumbnail !== video.url && video.thumbnail) || EmbedProviders.thumbnail(video.url);
+
+      var catClass = MonkaCraft.tagClass(video.category);
+
+      // Truncate description for card snippet
+      var descSnippet = '';
+      if (video.description) {
+        descSnippet = video.description.length > 100
+          ? video.description.substring(0, 100) + '...'
+          : video.description;
+      }
+
+      html +=
+        '<div class="card card-clickable animate-in" data-video-index="' + i + '" data-video-id="' + (video.id || '') + '">' +
+          (thumbUrl
+            ? '<img class="card-image" src="' + thumbUrl + '" alt="' + (video.title || 'Video') + '" loading="lazy">'
+            : '<div class="card-image" style="background:var(--color-surface);display:flex;align-items:center;justify-content:center;font-size:2rem;">\uD83C\uDFAC</div>'
+          ) +
+          '<h3 class="card-title">' + (video.title || 'Video') + '</h3>' +
+          '<div class="card-meta">' +
+            '<span>' + formatDate(video.date) + '</span>' +
+            (video.tags && video.tags.length
+              ? ' &middot; ' + MonkaCraft.tagBadges(video.tags)
+              : ''
+            ) +
+            (video.category
+              ? ' <span class="tag ' + catClass + '">' + video.category + '</span>'
+              : ''
+            ) +
+          '</div>' +
+          (descSnippet
+            ? '<p class="card-excerpt">' + descSnippet + '</p>'
+            : ''
+          ) +
+        '</div>';
+    }
+
+    grid.innerHTML = html;
+
+    // Re-apply animations to newly added cards
+    var newCards = grid.querySelectorAll('.animate-in');
+    for (var j = 0; j < newCards.length; j++) {
+      (function (el, idx) {
+        setTimeout(function () {
+          el.classList.add('visible');
+        }, idx * 60 + 50);
+      })(newCards[j], j);
+    }
+  }
+
+  /* -------------------------------------------------------
+     Modal: Open video player
+     ------------------------------------------------------- */
+  function openVideoModal(video) {
+    var modal = document.getElementById('video-modal');
+    var wrapper = document.getElementById('modal-video-wrapper');
+    var titleEl = document.getElementById('modal-video-title');
+    if (!modal || !wrapper || !titleEl) return;
+
+    openVideoId = video.id;
+
+    // Set title
+    titleEl.textContent = video.title || 'Video';
+
+    // Stream replays say when they were live
+    var originEl = document.getElementById('modal-video-origin');
+    originEl.hidden = !(video.streamId && video.streamedAt);
+    originEl.textContent = originEl.hidden ? '' :
+      '\uD83D\uDCE1 \u041F\u044A\u0440\u0432\u043E\u043D\u0430\u0447\u0430\u043B\u043D\u043E \u0438\u0437\u043B\u044A\u0447\u0435\u043D\u043E \u043D\u0430 \u0436\u0438\u0432\u043E \u043D\u0430 ' +
+      formatDate(video.streamedAt) + ' / Originally streamed on ' + formatDate(video.streamedAt);
+
+    // Series position with previous/next parts
+    document.getElementById('modal-series-nav').innerHTML = MonkaCraft.seriesNav(video.id);
+
+    // YouTube, Twitch, Kick or an uploaded file — see js/embeds.js
+    var player = EmbedProviders.player(video.url, { autoplay: true, title: video.title });
+
+    if (player) {
+      wrapper.innerHTML = player;
+    } else if (video.url) {
+      // A link no player knows — let it open on its own site
+      wrapper.innerHTML =
+        '<div class="empty-state" style="padding:var(--space-2xl);">' +
+          '<div class="empty-icon">\uD83D\uDCF9</div>' +
+          '<p><a href="' + escapeHtml(video.url) + '" target="_blank" rel="noopener">\u041E\u0442\u0432\u043E\u0440\u0438 \u0432\u0438\u0434\u0435\u043E\u0442\u043E / Open the video \u2197</a></p>' +
+        '</div>';
+    } else {
+      wrapper.innerHTML =
+        '<div class="empty-state" style="padding:var(--space-2xl);">' +
+          '<div class="empty-icon">\uD83D\uDCF9</div>' +
+          '<p>\u041D\u044F\u043C\u0430 \u043B\u0438\u043D\u043A \u043A\u044A\u043C \u0432\u0438\u0434\u0435\u043E\u0442\u043E / No video URL available</p>' +
+        '</div>';
+    }
+
+    // Show modal
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /* -------------------------------------------------------
+     Modal: Close video player and stop playback
+     ------------------------------------------------------- */
+  function closeVideoModal() {
+    var modal = document.getElementById('video-modal');
+    var wrapper = document.getElementById('modal-video-wrapper');
+    if (!modal) return;
+
+    openVideoId = null;
+    modal.classList.remove('active');
+    document.body.style.overflow = '';
+
+    // Stop video playback — clear the wrapper after transition
+    setTimeout(function () {
+      if (wrapper) {
+        // Remove iframe src to stop YouTube playback
+        var iframe = wrapper.querySelector('iframe');
+        if (iframe) {
+          iframe.src = '';
+        }
+        // Pause and remove video element
+        var videoEl = wrapper.querySelector('video');
+        if (videoEl) {
+          videoEl.pause();
+          videoEl.src = '';
+        }
+        wrapper.innerHTML = '';
+      }
+    }, 300);
+  }
+
+  /* -------------------------------------------------------
+     Filter click handlers
+     ------------------------------------------------------- */
+  function initFilters() {
+    var filterGroup = document.getElementById('video-filters');
+    if (!filterGroup) return;
+
+    filterGroup.addEventListener('click', function (e) {
+      var btn = e.target.closest('.filter-btn');
+      if (!btn) return;
+
+      // Update active state
+      var allBtns = filterGroup.querySelectorAll('.filter-btn');
+      for (var i = 0; i < allBtns.length; i++) {
+        allBtns[i].classList.remove('active');
+      }
+      btn.classList.add('active');
+
+      // Update filter and re-render
+      currentFilter = btn.getAttribute('data-filter');
+      renderVideoCards();
+      syncUrl();
+    });
+  }
+
+  /* -------------------------------------------------------
+     Tag filter buttons — one per tag used by a video
+     ------------------------------------------------------- */
+  function renderTagFilters() {
+    currentFilter = MonkaCraft.renderTagFilters(
+      document.getElementById('video-filters'), 'video', 'data-filter', currentFilter
+    );
+  }
+
+  /* -------------------------------------------------------
+     Sort toggle
+     ------------------------------------------------------- */
+  function initSortToggle() {
+    var sortBtn = document.getElementById('sort-toggle');
+    if (!sortBtn) return;
+
+    sortBtn.addEventListener('click', function () {
+      sortNewest = !sortNewest;
+      updateSortLabel();
+      renderVideoCards();
+      syncUrl();
+    });
+  }
+
+  /* -------------------------------------------------------
+     Sort button label for the current order
+     ------------------------------------------------------- */
+  function updateSortLabel() {
+    var sortLabel = document.getElementById('sort-label');
+    if (!sortLabel) return;
+
+    if (sortNewest) {
+      sortLabel.innerHTML = '\u041D\u0430\u0439-\u043D\u043E\u0432\u0438 / Newest \u2193';
+    } else {
+      sortLabel.innerHTML = '\u041D\u0430\u0439-\u0441\u0442\u0430\u0440\u0438 / Oldest \u2191';
+    }
+  }
+
+  /* -------------------------------------------------------
+     Card click — open modal
+     ------------------------------------------------------- */
+  function initCardClicks() {
+    var grid = document.getElementById('videos-grid');
+    if (!grid) return;
+
+    grid.addEventListener('click', function (e) {
+      var card = e.target.closest('.card-clickable');
+      if (!card) return;
+
+      var videoId = card.getAttribute('data-video-id');
+      if (!videoId) return;
+
+      // Find the video in the current filtered list
+      var videos = getFilteredVideos();
+      var video = null;
+      for (var i = 0; i < videos.length; i++) {
+        if (videos[i].id === videoId) {
+          video = videos[i];
+          break;
+        }
+      }
+
+      if (video) {
+        openVideoModal(video);
+        syncUrl();
+      }
+    });
+  }
+
+  /* -------------------------------------------------------
+     Modal close handlers
+     ------------------------------------------------------- */
+  function initModalClose() {
+    // Close button
+    var closeBtn = document.getElementById('modal-close-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', function (e) {
+        e.stopPropagation();
+        hideVideo();
+      });
+    }
+
+    // Backdrop click
+    var modal = document.getElementById('video-modal');
+    if (modal) {
+      modal.addEventListener('click', function (e) {
+        // Only close if click is on the overlay itself, not the content
+        if (e.target === modal) {
+          hideVideo();
+        }
+      });
+    }
+
+    // Escape key
+    document.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        var modal = document.getElementById('video-modal');
+        if (modal && modal.classList.contains('active')) {
+          hideVideo();
+        }
+      }
+    });
+  }
+
+  /* -------------------------------------------------------
+     Series previous/next — play other videos in place
+     ------------------------------------------------------- */
+  function initSeriesNav() {
+    var nav = document.getElementById('modal-series-nav');
+    if (!nav) return;
+
+    nav.addEventListener('click', function (e) {
+      var link = e.target.closest('a[data-series-type="video"]');
+      if (!link) return;
+      var video = findVideo(link.getAttribute('data-series-id'));
+      if (!video) return;
+      e.preventDefault();
+      openVideoModal(video);
+      syncUrl();
+    });
+  }
+
+  /* -------------------------------------------------------
+     Find a visible video by id
+     ------------------------------------------------------- */
+  function findVideo(id) {
+    var videos = ContentStore.getAll('video');
+    for (var i = 0; i < videos.length; i++) {
+      if (videos[i].id === id) return videos[i];
+    }
+    return null;
+  }
+
+  /* -------------------------------------------------------
+     Close the modal and drop the video from the address.
+     Replaces the history entry, so Back does not reopen it.
+     ------------------------------------------------------- */
+  function hideVideo() {
+    closeVideoModal();
+    syncUrl(true);
+  }
+
+  /* -------------------------------------------------------
+     URL state — videos.html#filter=PVP&sort=oldest&v=<id>
+     Every filter, sort or modal change pushes a history
+     entry so back/forward and shared links restore the view.
+     ------------------------------------------------------- */
+  function syncUrl(replace) {
+    MonkaCraft.writeUrlState({
+      filter: currentFilter !== 'all' ? currentFilter : '',
+      sort: sortNewest ? '' : 'oldest',
+      v: openVideoId || ''
+    }, replace);
+  }
+
+  function applyUrlState() {
+    var state = MonkaCraft.readUrlState();
+
+    renderTagFilters();
+    currentFilter = MonkaCraft.activateFilter(
+      document.getElementById('video-filters'), 'data-filter', state.filter || 'all'
+    );
+    sortNewest = state.sort !== 'oldest';
+    updateSortLabel();
+    renderVideoCards();
+
+    var video = state.v ? findVideo(state.v) : null;
+    if (video) {
+      if (video.id !== openVideoId) openVideoModal(video);
+    } else if (openVideoId) {
+      closeVideoModal();
+    }
+  }
+
+  /* -------------------------------------------------------
+     Initialize when content is ready
+     ------------------------------------------------------- */
+  window.addEventListener('contentReady', function () {
+    applyUrlState();
+    initFilters();
+    initSortToggle();
+    initCardClicks();
+    initModalClose();
+    initSeriesNav();
+
+    // Back/forward (or an edited hash) restores filters and the modal
+    window.addEventListener('popstate', applyUrlState);
+  });
+
+  /* -------------------------------------------------------
+     Re-render when videos change in another tab
+     ------------------------------------------------------- */
+  window.addEventListener('contentChanged', function (e) {
+    if (e.detail.types.indexOf('video') !== -1 || e.detail.types.indexOf('tag') !== -1) {
+      renderTagFilters();
+      renderVideoCards();
+    }
+  });
+
+})();
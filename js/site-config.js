@@ -0,0 +1,99 @@
+/**
+ * site-config.js — Where the MonkaCraft site lives
+ *
+ * Works out the site root once, so every page can build links, asset
+ * paths and the content.json address without guessing from folder names.
+ * The same files then work on a custom domain, a GitHub project subpath
+ * (name.github.io/monkacraft/), nested folders or straight from disk
+ * (file://).
+ *
+ * The root comes from, in order:
+ *   1. <meta name="monkacraft-root" content="...">  (relative or absolute)
+ *   2. <base href="...">
+ *   3. The address of this script, which lives at <root>/js/site-config.js
+ *
+ * Load it before content.js and app.js on every page.
+ */
+window.SiteConfig = (function () {
+  'use strict';
+
+  var SCRIPT_RE = /js\/site-config\.js([?#].*)?$/;
+
+  /* ----------------------------------------------------------
+     Root detection
+     ---------------------------------------------------------- */
+
+  function withSlash(url) {
+    return url.slice(-1) === '/' ? url : url + '/';
+  }
+
+  function fromMeta() {
+    var meta = document.querySelector('meta[name="monkacraft-root"]');
+    var content = meta && meta.getAttribute('content');
+    return content ? withSlash(new URL(content, document.baseURI).href) : '';
+  }
+
+  function fromBase() {
+    // document.baseURI is the <base> href, resolved against the page
+    return document.querySelector('base[href]') ? document.baseURI.split(/[?#]/)[0].replace(/[^\/]*$/, '') : '';
+  }
+
+  function fromScript() {
+    var script = document.currentScript;
+    if (!script || !SCRIPT_RE.test(script.src)) {
+      var scripts = document.getElementsByTagName('script');
+      script = null;
+      for (var i = 0; i < scripts.length; i++) {
+        if (SCRIPT_RE.test(scripts[i].src)) {
+          script = scripts[i];
+          break;
+        }
+      }
+    }
+    return script ? script.src.replace(SCRIPT_RE, '') : '';
+  }
+
+  /** The folder of the current page — last resort when nothing else says. */
+  function fromPage() {
+    return window.location.href.split(/[?#]/)[0].replace(/[^\/]*$/, '');
+  }
+
+  var root = fromMeta() || fromBase() || fromScript() || fromPage();
+
+  /* ----------------------------------------------------------
+     Public API
+     ---------------------------------------------------------- */
+
+  /**
+   * url(path) — Absolute address of a file in the site, e.g.
+   * url('pages/videos.html#v=abc') or url('data/content.json').
+   * @param {string} [path] - Path from the site root ('' = the root).
+   * @returns {string}
+   */
+  function url(path) {
+    return root + String(path || '').replace(/^(\.?\/)+/, '');
+  }
+
+  /**
+   * pagePath() — Path of the current page from the site root, without
+   * query or hash: '' or 'index.html' on the homepage,
+   * 'pages/videos.html', 'p/<slug>.html'... '' when the page is outside
+   * the site root.
+   * @returns {string}
+   */
+  function pagePath() {
+    var href = window.location.href.split(/[?#]/)[0];
+    if (href.indexOf(root) !== 0) return '';
+    try {
+      return decodeURI(href.slice(root.length));
+    } catch (e) {
+      return href.slice(root.length);
+    }
+  }
+
+  return {
+    root: root,
+    url: url,
+    pagePath: pagePath
+  };
+})();
@@ -0,0 +1,200 @@
+/**
+ * SitemapBuilder — sitemap.xml and robots.txt for MonkaCraft
+ *
+ * Lists every public page, every published video, screenshot and blog
+ * post, and every series with something to show, with <lastmod> taken
+ * from the entry dates. Entries link to their permalink page
+ * (p/<slug>.html, see scripts/build-pages.js) when it exists, otherwise
+ * to their deep link on the listing page (videos.html#v=<id>...).
+ *
+ * robots.txt keeps crawlers out of the admin panel and points them at
+ * the sitemap.
+ *
+ * Used by the admin Settings tab and by scripts/build-sitemap.js, so it
+ * depends on nothing but the data passed in and js/utils.js.
+ *
+ * Exposed as window.SitemapBuilder in the browser, module.exports in Node.
+ */
+(function () {
+  'use strict';
+
+  var Utils = typeof module !== 'undefined' && module.exports ? require('./utils.js') : window.MonkaCraft;
+  var escapeXml = Utils.escapeXml;
+  var normalizeSiteUrl = Utils.normalizeSiteUrl;
+
+  var FILES = { sitemap: 'sitemap.xml', robots: 'robots.txt' };
+  var ADMIN_PAGE = 'pages/admin.html';
+
+  // Public pages and the collections whose dates make up their lastmod
+  var PAGES = [
+    { path: '',                   keys: ['videos', 'screenshots', 'posts', 'streams'], priority: '1.0' },
+    { path: 'pages/videos.html',  keys: ['videos'],      priority: '0.8' },
+    { path: 'pages/gallery.html', keys: ['screenshots'], priority: '0.8' },
+    { path: 'pages/blog.html',    keys: ['posts'],       priority: '0.8' },
+    { path: 'pages/streams.html', keys: ['streams'],     priority: '0.8' },
+    { path: 'pages/series.html',  keys: ['videos', 'posts'], priority: '0.6' }
+  ];
+
+  // Entry types -> collection key and deep-link prefix
+  var ENTRY_TYPES = {
+    video:      { key: 'videos',      page: 'pages/videos.html#v=' },
+    screenshot: { key: 'screenshots', page: 'pages/gallery.html#s=' },
+    post:       { key: 'posts',       page: 'pages/blog.html#p=' }
+  };
+
+  /* ----------------------------------------------------------
+     Helpers
+     ---------------------------------------------------------- */
+
+  /** YYYY-MM-DD of an entry date, or '' when missing or invalid. */
+  function dayOf(date) {
+    var time = Date.parse(date);
+    return isNaN(time) ? '' : new Date(time).toISOString().slice(0, 10);
+  }
+
+  /** The latest of a list of YYYY-MM-DD days ('' when none). */
+  function latest(days) {
+    return days.reduce(function (max, day) {
+      return day > max ? day : max;
+    }, '');
+  }
+
+  function published(data, key, now) {
+    return (data[key] || []).filter(function (entry) {
+      return Utils.isPublished(entry, now);
+    });
+  }
+
+  /* ----------------------------------------------------------
+     URLs
+     ---------------------------------------------------------- */
+
+  /**
+   * Every public URL with its lastmod day, pages first.
+   * @param {Object} data                     - Content data object.
+   * @param {Object} [options]
+   * @param {boolean|Function} [options.permalinks=true]
+   *   Link entries to p/<slug>.html. A function gets the slug and says
+   *   whether that page exists; false always uses deep links.
+   * @returns {Array} { path, lastmod, priority } objects, paths relative
+   *   to the site root.
+   */
+  function urls(data, options) {
+    options = options || {};
+    var now = Date.now();
+    var permalinks = options.permalinks === undefined ? true : options.permalinks;
+    var list = [];
+
+    PAGES.forEach(function (page) {
+      var days = [];
+      page.keys.forEach(function (key) {
+        published(data, key, now).forEach(function (entry) {
+          days.push(dayOf(entry.date));
+        });
+      });
+      list.push({ path: page.path, lastmod: latest(days), priority: page.priority });
+    });
+
+    var dates = {};
+    Object.keys(ENTRY_TYPES).forEach(function (type) {
+      var info = ENTRY_TYPES[type];
+      published(data, info.key, now).forEach(function (entry) {
+        var day = dayOf(entry.date);
+        var usePermalink = entry.slug &&
+          (typeof permalinks === 'function' ? permalinks(entry.slug) : permalinks);
+        dates[entry.id] = day;
+        list.push({
+          path: usePermalink ? 'p/' + entry.slug + '.html' : info.page + encodeURIComponent(entry.id),
+          lastmod: day,
+          priority: '0.6'
+        });
+      });
+    });
+
+    // Series pages, for series with at least one published part
+    (data.series || []).forEach(function (series) {
+      var days = (series.items || []).filter(function (id) {
+        return dates.hasOwnProperty(id);
+      }).map(function (id) {
+        return dates[id];
+      });
+      if (!days.length) return;
+      list.push({
+        path: 'pages/series.html?id=' + encodeURIComponent(series.id),
+        lastmod: latest(days),
+        priority: '0.5'
+      });
+    });
+
+    return list;
+  }
+
+  /* ----------------------------------------------------------
+     Files
+     ---------------------------------------------------------- */
+
+  function requireSiteUrl(options) {
+    var siteUrl = normalizeSiteUrl(options && options.siteUrl);
+    if (!siteUrl) throw new Error('A site URL is needed to build the sitemap.');
+    return siteUrl;
+  }
+
+  /**
+   * sitemap(data, options) — sitemap.xml as a string.
+   * @param {Object} data
+   * @param {Object} options - { siteUrl, permalinks? }
+   * @returns {string}
+   * @throws {Error} When options.siteUrl is missing.
+   */
+  function sitemap(data, options) {
+    var siteUrl = requireSiteUrl(options);
+    var out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+    ];
+
+    urls(data, options).forEach(function (url) {
+      out.push('  <url>');
+      out.push('    <loc>' + escapeXml(siteUrl + url.path) + '</loc>');
+      if (url.lastmod) out.push('    <lastmod>' + url.lastmod + '</lastmod>');
+      out.push('    <priority>' + url.priority + '</priority>');
+      out.push('  </url>');
+    });
+
+    out.push('</urlset>', '');
+    return out.join('\n');
+  }
+
+  /**
+   * robots(options) — robots.txt as a string: keep crawlers out of the
+   * admin panel and point them at the sitemap.
+   * @param {Object} options - { siteUrl }
+   * @returns {string}
+   * @throws {Error} When options.siteUrl is missing.
+   */
+  function robots(options) {
+    var siteUrl = requireSiteUrl(options);
+    // Disallow paths start at the host root, so keep the project folder
+    var rootPath = siteUrl.replace(/^[a-z]+:\/\/[^\/]+/i, '') || '/';
+    return [
+      'User-agent: *',
+      'Disallow: ' + rootPath + ADMIN_PAGE,
+      '',
+      'Sitemap: ' + siteUrl + FILES.sitemap,
+      ''
+    ].join('\n');
+  }
+
+  var SitemapBuilder = {
+    FILES: FILES,
+    urls: urls,
+    sitemap: sitemap,
+    robots: robots
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SitemapBuilder;
+  } else {
+    window.SitemapBuilder = SitemapBuilder;
+  }
+})();
@@ -0,0 +1,248 @@
+/**
+ * utils.js — Small helpers shared by every MonkaCraft page
+ *
+ * One copy of the text, date and link helpers the pages, the admin
+ * panel and the Node build scripts all need, so a fix (a new kind of
+ * YouTube link, a date format) lands everywhere at once.
+ *
+ * Depends on nothing — no DOM, no ContentStore — so it also runs in
+ * Node. Load it before embeds.js and app.js.
+ *
+ * Exposed on window.MonkaCraft in the browser (next to the app.js
+ * helpers), module.exports in Node.
+ */
+(function () {
+  'use strict';
+
+  var YOUTUBE_ID_RE = /(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|live\/|shorts\/|v\/)|youtu\.be\/)([A-Za-z0-9_-]{11})/;
+
+  // Category name (lowercase) -> tag color class in style.css
+  var TAG_CLASSES = {
+    'minecraft': 'tag-minecraft',
+    'roblox': 'tag-roblox',
+    'tutorial': 'tag-tutorial',
+    'funny moments': 'tag-funny',
+    'funny': 'tag-funny',
+    'pvp': 'tag-pvp'
+  };
+
+  var TAG_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+  var NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  /** Bulgarian streamlined transliteration (after diacritics are removed). */
+  var TRANSLIT = {
+    '\u0430': 'a', '\u0431': 'b', '\u0432': 'v', '\u0433': 'g', '\u0434': 'd', '\u0435': 'e',
+    '\u0436': 'zh', '\u0437': 'z', '\u0438': 'i', '\u043A': 'k', '\u043B': 'l', '\u043C': 'm',
+    '\u043D': 'n', '\u043E': 'o', '\u043F': 'p', '\u0440': 'r', '\u0441': 's', '\u0442': 't',
+    '\u0443': 'u', '\u0444': 'f', '\u0445': 'h', '\u0446': 'ts', '\u0447': 'ch', '\u0448': 'sh',
+    '\u0449': 'sht', '\u044A': 'a', '\u044B': 'y', '\u044C': 'y', '\u044D': 'e', '\u044E': 'yu',
+    '\u044F': 'ya', '\u0451': 'e', '\u0454': 'e', '\u0456': 'i', '\u0457': 'i', '\u045E': 'u'
+  };
+
+  /* ----------------------------------------------------------
+     Text
+     ---------------------------------------------------------- */
+
+  /**
+   * escapeHtml(str) — Text made safe for HTML, in element content and
+   * in quoted attribute values alike. null/undefined become ''.
+   * @param {*} str
+   * @returns {string}
+   */
+  function escapeHtml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function decodeEntity(match, name) {
+    if (name.charAt(0) === '#') {
+      var code = name.charAt(1).toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES.hasOwnProperty(name) ? NAMED_ENTITIES[name] : match;
+  }
+
+  /**
+   * stripHtml(html, maxLen) — Plain text of an HTML snippet (a post body,
+   * an excerpt): tags, scripts and styles removed, entities decoded and
+   * whitespace collapsed. Works on a string, so nothing in the snippet
+   * is ever loaded or run.
+   * @param {string} html
+   * @param {number} [maxLen] - Cut longer text to this length, ending in '...'.
+   * @returns {string}
+   */
+  function stripHtml(html, maxLen) {
+    var text = String(html || '')
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&(#[xX]?[0-9A-Fa-f]+|[a-z]+);/g, decodeEntity)
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (maxLen && text.length > maxLen) {
+      text = text.substring(0, Math.max(maxLen - 3, 0)).trim() + '...';
+    }
+    return text;
+  }
+
+  /**
+   * escapeXml(str) — Text made safe for XML (feeds, sitemaps), in element
+   * content and quoted attribute values alike. null/undefined become ''.
+   * @param {*} str
+   * @returns {string}
+   */
+  function escapeXml(str) {
+    return String(str == null ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * transliterate(text) — Lowercase text with accents removed and Cyrillic
+   * spelled in Latin letters ("Къща" -> "kashta", "Café" -> "cafe").
+   * Other characters are left as they are.
+   * @param {string} text
+   * @returns {string}
+   */
+  function transliterate(text) {
+    var lower = String(text || '').toLowerCase();
+    if (lower.normalize) lower = lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return lower.replace(/[\u0400-\u04FF]/g, function (ch) {
+      return TRANSLIT.hasOwnProperty(ch) ? TRANSLIT[ch] : '';
+    });
+  }
+
+  /**
+   * slugify(text) — Lowercase Latin words joined by dashes, for entry
+   * slugs and feed file names ("Моята къща!" -> "moyata-kashta").
+   * @param {string} text
+   * @returns {string} '' when the text has no letters or digits.
+   */
+  function slugify(text) {
+    return transliterate(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /* ----------------------------------------------------------
+     Dates
+     ---------------------------------------------------------- */
+
+  /**
+   * formatDate(date, options) — A date the way the site shows it, in
+   * Bulgarian short form ("19.10.2026 г.").
+   * @param {string|number|Date} date - Entry date, ISO string or timestamp.
+   * @param {Object} [options]
+   * @param {boolean} [options.time=false] - Add hours and minutes.
+   * @returns {string} '' for no date; invalid dates come back unchanged.
+   */
+  function formatDate(date, options) {
+    if (date === '' || date == null) return '';
+    var d = new Date(date);
+    if (isNaN(d.getTime())) return String(date);
+    var format = { year: 'numeric', month: 'short', day: 'numeric' };
+    if (options && options.time) {
+      format.hour = '2-digit';
+      format.minute = '2-digit';
+      return d.toLocaleString('bg-BG', format);
+    }
+    return d.toLocaleDateString('bg-BG', format);
+  }
+
+  /* ----------------------------------------------------------
+     Publishing
+     ---------------------------------------------------------- */
+
+  /**
+   * isPublished(entry, now) — Whether visitors see an entry: drafts never,
+   * scheduled entries once their publishAt time has passed, entries
+   * without a status always. ContentStore, the feeds, the sitemap and the
+   * permalink pages all go by this one rule.
+   * @param {Object} entry
+   * @param {number} [now=Date.now()] - Time to judge by, in epoch ms.
+   * @returns {boolean}
+   */
+  function isPublished(entry, now) {
+    var status = entry.status || 'published';
+    if (status === 'scheduled') return Date.parse(entry.publishAt) <= (now === undefined ? Date.now() : now);
+    return status === 'published';
+  }
+
+  /* ----------------------------------------------------------
+     Links and tags
+     ---------------------------------------------------------- */
+
+  /**
+   * extractYouTubeId(url) — The 11-character video id of a YouTube link:
+   * watch?v=, youtu.be/, /embed/, /live/, /shorts/ and /v/ links.
+   * For players and thumbnails of any link, see js/embeds.js.
+   * @param {string} url
+   * @returns {string|null}
+   */
+  function extractYouTubeId(url) {
+    var match = YOUTUBE_ID_RE.exec(String(url || ''));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * normalizeSiteUrl(url) — The site's address ending in a slash, so page
+   * paths can be added to it ('' stays '').
+   * @param {string} url
+   * @returns {string}
+   */
+  function normalizeSiteUrl(url) {
+    url = String(url || '').trim();
+    return url && url.slice(-1) !== '/' ? url + '/' : url;
+  }
+
+  /**
+   * tagClass(category) — The colored tag class (style.css) for a
+   * category name: 'tag-tutorial', 'tag-funny'... 'tag-other' otherwise.
+   * @param {string} category
+   * @returns {string}
+   */
+  function tagClass(category) {
+    var key = String(category || '').trim().toLowerCase();
+    return TAG_CLASSES.hasOwnProperty(key) ? TAG_CLASSES[key] : 'tag-other';
+  }
+
+  /**
+   * tagStyle(color) — Inline style for a tag chip in its registry color.
+   * Only '#RRGGBB' is used; anything else gives '' (the plain .tag look),
+   * so a stored color can never carry other CSS into a style attribute.
+   * @param {string} color
+   * @returns {string}
+   */
+  function tagStyle(color) {
+    if (!TAG_COLOR_RE.test(color || '')) return '';
+    return 'color:' + color + ';background:' + color + '26;border:1px solid ' + color + '4d;';
+  }
+
+  var Utils = {
+    escapeHtml: escapeHtml,
+    stripHtml: stripHtml,
+    escapeXml: escapeXml,
+    transliterate: transliterate,
+    slugify: slugify,
+    formatDate: formatDate,
+    isPublished: isPublished,
+    extractYouTubeId: extractYouTubeId,
+    normalizeSiteUrl: normalizeSiteUrl,
+    tagClass: tagClass,
+    tagStyle: tagStyle
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
+  } else {
+    window.MonkaCraft = window.MonkaCraft || {};
+    Object.keys(Utils).forEach(function (name) {
+      window.MonkaCraft[name] = Utils[name];
+    });
+  }
+})();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * build-feeds.js — RSS and Atom feeds for MonkaCraft
+ *
+ * Reads data/content.json and writes feed.xml (RSS 2.0) and atom.xml
+ * (Atom) to the project folder with the newest published blog posts and
+ * videos. The feeds themselves are built by js/feeds.js, the same code
+ * the admin panel uses for its download buttons.
+ *
+ * Usage (from the project folder, Node 14+ — no npm install needed):
+ *   node scripts/build-feeds.js --site-url https://name.github.io/monkacraft/
+ *   node scripts/build-feeds.js --tags      (also one feed per tag in feeds/)
+ *
+ * Feed readers need absolute links, so the site URL is required — pass
+ * it on the command line or save it as "siteUrl" in data/config.json.
+ * Per-tag feeds written by an earlier run are removed first, so renamed
+ * or deleted tags do not leave stale feeds behind.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var FeedBuilder = require('../js/feeds.js');
+
+var ROOT = path.resolve(__dirname, '..');
+var TAG_DIR = path.join(ROOT, 'feeds');
+
+/* ------------------------------------------------------------
+   Helpers
+   ------------------------------------------------------------ */
+
+function readJSON(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined && err.code === 'ENOENT') return fallback;
+    throw new Error('Cannot read ' + path.relative(ROOT, file) + ': ' + err.message);
+  }
+}
+
+/** Value of a --name flag from the command line, or ''. */
+function argValue(name) {
+  var args = process.argv.slice(2);
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--' + name) return args[i + 1] || '';
+    if (args[i].indexOf('--' + name + '=') === 0) return args[i].slice(name.length + 3);
+  }
+  return '';
+}
+
+function hasFlag(name) {
+  return process.argv.slice(2).indexOf('--' + name) !== -1;
+}
+
+/** Delete per-tag feeds this script wrote before; leave any other file alone. */
+function cleanTagFeeds() {
+  if (!fs.existsSync(TAG_DIR)) return;
+  fs.readdirSync(TAG_DIR).forEach(function (name) {
+    var file = path.join(TAG_DIR, name);
+    if (!/\.xml$/.test(name)) return;
+    if (fs.readFileSync(file, 'utf8').indexOf('<generator>' + FeedBuilder.GENERATOR + '</generator>') !== -1) {
+      fs.unlinkSync(file);
+    }
+  });
+}
+
+function writeFeed(file, xml) {
+  var target = path.join(ROOT, file);
+  if (!fs.existsSync(path.dirname(target))) fs.mkdirSync(path.dirname(target));
+  fs.writeFileSync(target, xml);
+}
+
+/* ------------------------------------------------------------
+   Build
+   ------------------------------------------------------------ */
+
+function build() {
+  var data = readJSON(path.join(ROOT, 'data', 'content.json'));
+  var config = readJSON(path.join(ROOT, 'data', 'config.json'), {});
+
+  var siteUrl = argValue('site-url') || config.siteUrl || '';
+  if (!siteUrl) {
+    throw new Error('No site URL. Pass --site-url https://<name>.github.io/<repo>/ ' +
+      'or set "siteUrl" in data/config.json.');
+  }
+
+  var options = { siteUrl: siteUrl };
+  writeFeed(FeedBuilder.fileName('rss'), FeedBuilder.rss(data, options));
+  writeFeed(FeedBuilder.fileName('atom'), FeedBuilder.atom(data, options));
+  console.log('Wrote feed.xml and atom.xml (' + FeedBuilder.items(data).length + ' item(s)).');
+
+  if (!hasFlag('tags')) return;
+
+  cleanTagFeeds();
+  var tags = FeedBuilder.tagFeeds(data);
+  tags.forEach(function (tag) {
+    var tagOptions = { siteUrl: siteUrl, tag: tag.name };
+    writeFeed(FeedBuilder.fileName('rss', tag.name), FeedBuilder.rss(data, tagOptions));
+    writeFeed(FeedBuilder.fileName('atom', tag.name), FeedBuilder.atom(data, tagOptions));
+  });
+  console.log('Wrote ' + tags.length + ' per-tag feed pair(s) to feeds/.');
+}
+
+try {
+  build();
+} catch (err) {
+  console.error('Build failed: ' + err.message);
+  process.exit(1);
+}
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * build-pages.js — Static permalink pages for MonkaCraft
+ *
+ * Videos, screenshots and blog posts normally exist only inside the
+ * JS-rendered pages, where search engines and link previews (Discord,
+ * Viber, Facebook...) cannot see them. This script reads
+ * data/content.json and writes one plain HTML page per published entry
+ * to p/<slug>.html, with Open Graph / Twitter meta tags and the entry
+ * itself already in the markup. The shared header and footer are added
+ * by app.js, like on every other page.
+ *
+ * Usage (from the project folder, Node 14+ — no npm install needed):
+ *   node scripts/build-pages.js
+ *   node scripts/build-pages.js --site-url https://name.github.io/monkacraft/
+ *
+ * The site URL makes og:url / og:image links absolute, which most link
+ * previews require. It can also be saved as "siteUrl" in data/config.json.
+ * Pages written by an earlier run are removed first, so renamed or
+ * deleted entries do not leave stale pages behind.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Utils = require('../js/utils.js');
+
+var ROOT = path.resolve(__dirname, '..');
+var OUT_DIR = path.join(ROOT, 'p');
+var GENERATOR = 'MonkaCraft build-pages';
+var SITE_NAME = 'MonkaCraft';
+var DEFAULT_TAG_COLOR = '#8888aa';
+var DESCRIPTION_LENGTH = 160;
+
+// Type -> collection key, the page that lists it and its deep-link prefix
+var TYPES = {
+  video:      { key: 'videos',      page: 'videos',  hash: '#v=', ogType: 'video.other' },
+  screenshot: { key: 'screenshots', page: 'gallery', hash: '#s=', ogType: 'article' },
+  post:       { key: 'posts',       page: 'blog',    hash: '#p=', ogType: 'article' }
+};
+
+/* ------------------------------------------------------------
+   Helpers
+   ------------------------------------------------------------ */
+
+function readJSON(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined && err.code === 'ENOENT') return fallback;
+    throw new Error('Cannot read ' + path.relative(ROOT, file) + ': ' + err.message);
+  }
+}
+
+/** Value of a --name flag from the command line, or ''. */
+function argValue(name) {
+  var args = process.argv.slice(2);
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--' + name) return args[i + 1] || '';
+    if (args[i].indexOf('--' + name + '=') === 0) return args[i].slice(name.length + 3);
+  }
+  return '';
+}
+
+// Same escaping and dates as the site's own pages
+var escapeHtml = Utils.escapeHtml;
+var formatDate = Utils.formatDate;
+
+function truncate(text, maxLen) {
+  return text.length > maxLen ? text.substring(0, maxLen - 3).trim() + '...' : text;
+}
+
+/** Tag chips colored like MonkaCraft.tagBadges() on the live pages. */
+function tagBadges(tags, registry) {
+  return (tags || []).map(function (name) {
+    var tag = null;
+    for (var i = 0; i < registry.length; i++) {
+      if (String(registry[i].name).toLowerCase() === String(name).toLowerCase()) tag = registry[i];
+    }
+    var style = Utils.tagStyle(tag && tag.color) || Utils.tagStyle(DEFAULT_TAG_COLOR);
+    return '<span class="tag" style="' + escapeHtml(style) + '">' +
+      (tag && tag.icon ? escapeHtml(tag.icon) + ' ' : '') + escapeHtml(tag ? tag.name : name) +
+      '</span>';
+  }).join(' ');
+}
+
+/* ------------------------------------------------------------
+   Per-type content
+   ------------------------------------------------------------ */
+
+/** Short plain-text summary for the description meta tags. */
+function describe(entry) {
+  var text = entry.excerpt || entry.description || Utils.stripHtml(entry.content);
+  return truncate(String(text).replace(/\s+/g, ' ').trim(), DESCRIPTION_LENGTH);
+}
+
+/** Preview image URL, or '' when the entry has none. */
+function previewImage(type, entry) {
+  if (entry.thumbnail) return entry.thumbnail;
+  if (type === 'screenshot') return entry.url || '';
+  if (type === 'video') {
+    var ytId = Utils.extractYouTubeId(entry.url);
+    return ytId ? 'https://img.youtube.com/vi/' + ytId + '/hqdefault.jpg' : '';
+  }
+  var img = String(entry.content || '').match(/<img[^>]+src="([^"]+)"/i);
+  return img ? img[1].replace(/&amp;/g, '&') : '';
+}
+
+function mediaHtml(type, entry) {
+  var title = escapeHtml(entry.title);
+
+  if (type === 'video') {
+    var ytId = Utils.extractYouTubeId(entry.url);
+    if (ytId) {
+      return '<div class="permalink-media">' +
+        '<iframe src="https://www.youtube.com/embed/' + ytId + '?rel=0" title="' + title + '" ' +
+        'allow="accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture" ' +
+        'allowfullscreen loading="lazy"></iframe>' +
+        '</div>';
+    }
+    return entry.url
+      ? '<div class="permalink-media"><video controls preload="metadata" src="' + escapeHtml(entry.url) + '"></video></div>'
+      : '';
+  }
+
+  if (type === 'screenshot') {
+    return '<img class="permalink-image" src="' + escapeHtml(entry.url) + '" alt="' + title + '">';
+  }
+
+  return '';
+}
+
+function bodyHtml(type, entry) {
+  if (type === 'post') {
+    return '<div class="blog-post-content">' + (entry.content || '') + '</div>';
+  }
+  return entry.description ? '<p>' + escapeHtml(entry.description) + '</p>' : '';
+}
+
+/* ------------------------------------------------------------
+   Page template
+   ------------------------------------------------------------ */
+
+function metaTags(type, entry, siteUrl) {
+  var title = entry.title || SITE_NAME;
+  var description = describe(entry);
+  var image = previewImage(type, entry);
+  var pageUrl = siteUrl ? siteUrl + 'p/' + entry.slug + '.html' : '';
+
+  // Relative images only work in previews once the site URL is known
+  if (image && !/^https?:\/\//i.test(image)) {
+    image = siteUrl ? siteUrl + image.replace(/^\.?\//, '') : '';
+  }
+
+  var tags = [
+    ['name', 'description', description],
+    ['property', 'og:site_name', SITE_NAME],
+    ['property', 'og:type', TYPES[type].ogType],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', pageUrl],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image]
+  ];
+  if (type === 'post' && entry.date) {
+    tags.push(['property', 'article:published_time', entry.date]);
+  }
+
+  return tags.filter(function (tag) {
+    return tag[2];
+  }).map(function (tag) {
+    return '  <meta ' + tag[0] + '="' + tag[1] + '" content="' + escapeHtml(tag[2]) + '">';
+  }).join('\n') +
+    (pageUrl ? '\n  <link rel="canonical" href="' + escapeHtml(pageUrl) + '">' : '');
+}
+
+function renderPage(type, entry, data, siteUrl) {
+  var info = TYPES[type];
+  var liveHref = '../pages/' + info.page + '.html' + info.hash + encodeURIComponent(entry.id);
+
+  return '<!DOCTYPE html>\n' +
+    '<html lang="bg">\n' +
+    '<head>\n' +
+    '  <meta charset="UTF-8">\n' +
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+    '  <meta name="generator" content="' + GENERATOR + '">\n' +
+    '  <title>' + escapeHtml(entry.title) + ' - ' + SITE_NAME + '</title>\n' +
+    metaTags(type, entry, siteUrl) + '\n' +
+    '  <link rel="icon" type="image/svg+xml" href="../assets/favicon.svg">\n' +
+    '  <link rel="alternate" type="application/rss+xml" title="' + SITE_NAME + ' (RSS)" href="../feed.xml">\n' +
+    '  <link rel="alternate" type="application/atom+xml" title="' + SITE_NAME + ' (Atom)" href="../atom.xml">\n' +
+    '  <link rel="stylesheet" href="../css/style.css">\n' +
+    '</head>\n' +
+    '<body data-page="' + info.page + '">\n' +
+    '\n' +
+    '  <!-- Cursor torch glow (desktop only) -->\n' +
+    '  <div class="cursor-glow"></div>\n' +
+    '\n' +
+    '  <!-- Header — injected by app.js -->\n' +
+    '  <header id="header"></header>\n' +
+    '\n' +
+    '  <main id="content" class="container">\n' +
+    '    <article class="permalink permalink-' + type + '">\n' +
+    '      <h1 class="page-title">' + escapeHtml(entry.title) + '</h1>\n' +
+    '      <div class="permalink-meta">\n' +
+    '        <span>' + formatDate(entry.date) + '</span>\n' +
+    (entry.tags && entry.tags.length ? '        ' + tagBadges(entry.tags, data.tagRegistry || []) + '\n' : '') +
+    '      </div>\n' +
+    (mediaHtml(type, entry) ? '      ' + mediaHtml(type, entry) + '\n' : '') +
+    (bodyHtml(type, entry) ? '      ' + bodyHtml(type, entry) + '\n' : '') +
+    '      <div class="permalink-actions">\n' +
+    '        <a class="btn btn-primary" href="' + liveHref + '">&#x1F3AE; &#x0412;&#x0438;&#x0436; &#x0432; &#x0441;&#x0430;&#x0439;&#x0442;&#x0430; / View on the site</a>\n' +
+    '      </div>\n' +
+    '    </article>\n' +
+    '  </main>\n' +
+    '\n' +
+    '  <!-- Footer — injected by app.js -->\n' +
+    '  <footer id="footer"></footer>\n' +
+    '\n' +
+    '  <script src="../js/site-config.js"></script>\n' +
+    '  <script src="../js/content.js"></script>\n' +
+    '  <script src="../js/utils.js"></script>\n' +
+    '  <script src="../js/app.js"></script>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
+/* ------------------------------------------------------------
+   Build
+   ------------------------------------------------------------ */
+
+/** Delete pages this script wrote before; leave any other file alone. */
+function cleanOutput() {
+  if (!fs.existsSync(OUT_DIR)) {
+    fs.mkdirSync(OUT_DIR);
+    return;
+  }
+  fs.readdirSync(OUT_DIR).forEach(function (name) {
+    var file = path.join(OUT_DIR, name);
+    if (!/\.html$/.test(name)) return;
+    if (fs.readFileSync(file, 'utf8').indexOf('content="' + GENERATOR + '"') !== -1) {
+      fs.unlinkSync(file);
+    }
+  });
+}
+
+function build() {
+  var data = readJSON(path.join(ROOT, 'data', 'content.json'));
+  var config = readJSON(path.join(ROOT, 'data', 'config.json'), {});
+
+  var siteUrl = argValue('site-url') || config.siteUrl || '';
+  if (siteUrl && siteUrl.slice(-1) !== '/') siteUrl += '/';
+
+  cleanOutput();
+
+  var written = 0;
+  var skipped = 0;
+  var used = {};
+
+  Object.keys(TYPES).forEach(function (type) {
+    (data[TYPES[type].key] || []).forEach(function (entry) {
+      if (!Utils.isPublished(entry)) return;
+
+      // Slugs come from the admin panel; older files may lack them
+      var slug = entry.slug || entry.id;
+      var problem = !slug ? 'no slug or id'
+        : !/^[A-Za-z0-9_-]+$/.test(slug) ? 'slug "' + slug + '" is not a safe file name'
+        : used[slug] ? 'duplicate slug "' + slug + '"'
+        : '';
+      if (problem) {
+        console.warn('Skipped "' + entry.title + '": ' + problem);
+        skipped++;
+        return;
+      }
+      used[slug] = true;
+
+      var page = renderPage(type, Object.assign({}, entry, { slug: slug }), data, siteUrl);
+      fs.writeFileSync(path.join(OUT_DIR, slug + '.html'), page);
+      written++;
+    });
+  });
+
+  console.log('Wrote ' + written + ' page(s) to p/' + (skipped ? ', skipped ' + skipped : '') + '.');
+  if (!siteUrl) {
+    console.log('Tip: pass --site-url https://<name>.github.io/<repo>/ so link previews get full URLs.');
+  }
+}
+
+try {
+  build();
+} catch (err) {
+  console.error('Build failed: ' + err.message);
+  process.exit(1);
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * build-sitemap.js — sitemap.xml and robots.txt for MonkaCraft
+ *
+ * Reads data/content.json and writes sitemap.xml (every public page and
+ * published entry, with lastmod from the entry dates) and robots.txt
+ * (keeps crawlers out of pages/admin.html) to the project folder. Both
+ * are built by js/sitemap.js, the same code the admin panel uses for its
+ * download buttons.
+ *
+ * Usage (from the project folder, Node 14+ — no npm install needed):
+ *   node scripts/build-sitemap.js --site-url https://name.github.io/monkacraft/
+ *
+ * Search engines need absolute links, so the site URL is required — pass
+ * it on the command line or save it as "siteUrl" in data/config.json.
+ * Entries whose permalink page exists in p/ (node scripts/build-pages.js)
+ * are listed with that page; the rest with their deep link. Run
+ * build-pages.js first so the sitemap picks up fresh pages.
+ */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var SitemapBuilder = require('../js/sitemap.js');
+
+var ROOT = path.resolve(__dirname, '..');
+var PAGES_DIR = path.join(ROOT, 'p');
+
+/* ------------------------------------------------------------
+   Helpers
+   ------------------------------------------------------------ */
+
+function readJSON(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (fallback !== undefined && err.code === 'ENOENT') return fallback;
+    throw new Error('Cannot read ' + path.relative(ROOT, file) + ': ' + err.message);
+  }
+}
+
+/** Value of a --name flag from the command line, or ''. */
+function argValue(name) {
+  var args = process.argv.slice(2);
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--' + name) return args[i + 1] || '';
+    if (args[i].indexOf('--' + name + '=') === 0) return args[i].slice(name.length + 3);
+  }
+  return '';
+}
+
+/* ------------------------------------------------------------
+   Build
+   ------------------------------------------------------------ */
+
+function build() {
+  var data = readJSON(path.join(ROOT, 'data', 'content.json'));
+  var config = readJSON(path.join(ROOT, 'data', 'config.json'), {});
+
+  var siteUrl = argValue('site-url') || config.siteUrl || '';
+  if (!siteUrl) {
+    throw new Error('No site URL. Pass --site-url https://<name>.github.io/<repo>/ ' +
+      'or set "siteUrl" in data/config.json.');
+  }
+
+  var options = {
+    siteUrl: siteUrl,
+    permalinks: function (slug) {
+      return fs.existsSync(path.join(PAGES_DIR, slug + '.html'));
+    }
+  };
+  var sitemap = SitemapBuilder.sitemap(data, options);
+  fs.writeFileSync(path.join(ROOT, SitemapBuilder.FILES.sitemap), sitemap);
+  fs.writeFileSync(path.join(ROOT, SitemapBuilder.FILES.robots), SitemapBuilder.robots(options));
+  console.log('Wrote sitemap.xml (' + SitemapBuilder.urls(data, options).length + ' URL(s)) and robots.txt.');
+}
+
+try {
+  build();
+} catch (err) {
+  console.error('Build failed: ' + err.message);
+  process.exit(1);
+}
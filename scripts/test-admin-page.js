@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * test-admin-page.js — Checks that pages/admin.html has every element
+ * js/admin.js looks up
+ *
+ * The admin panel wires its tabs one after the other when it starts. A
+ * single $('some-id') that finds nothing throws and leaves every later
+ * tab unwired (buttons that do nothing, forms that never save), so each
+ * id the script asks for by name must exist in the page.
+ *
+ * Usage (from the project folder, Node 14+ — no npm install needed):
+ *   node scripts/test-admin-page.js
+ *
+ * Prints one line per check and exits with code 1 when any fails.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var ROOT = path.resolve(__dirname, '..');
+var script = fs.readFileSync(path.join(ROOT, 'js/admin.js'), 'utf8');
+var page = fs.readFileSync(path.join(ROOT, 'pages/admin.html'), 'utf8');
+
+var failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log('ok   ' + name);
+  } catch (err) {
+    failed++;
+    console.log('FAIL ' + name + '\n     ' + err.message.split('\n').join('\n     '));
+  }
+}
+
+/** Every id js/admin.js looks up by name: $('id') and getElementById('id'). */
+function lookedUp() {
+  var ids = {};
+  var re = /(?:\$|getElementById)\('([A-Za-z0-9_-]+)'\)/g;
+  var m;
+  while ((m = re.exec(script))) ids[m[1]] = true;
+  return Object.keys(ids).sort();
+}
+
+/** Every id="..." in pages/admin.html. */
+function inPage() {
+  var ids = {};
+  var re = /\sid="([^"]+)"/g;
+  var m;
+  while ((m = re.exec(page))) ids[m[1]] = true;
+  return ids;
+}
+
+check('js/admin.js looks up elements by id', function () {
+  assert.ok(lookedUp().length > 100, 'found only ' + lookedUp().length + ' ids');
+});
+
+check('pages/admin.html has every element js/admin.js looks up', function () {
+  var present = inPage();
+  var missing = lookedUp().filter(function (id) {
+    return !present[id];
+  });
+  assert.deepStrictEqual(missing, []);
+});
+
+check('pages/admin.html uses each id once', function () {
+  var seen = {};
+  var twice = [];
+  var re = /\sid="([^"]+)"/g;
+  var m;
+  while ((m = re.exec(page))) {
+    if (seen[m[1]] && twice.indexOf(m[1]) === -1) twice.push(m[1]);
+    seen[m[1]] = true;
+  }
+  assert.deepStrictEqual(twice, []);
+});
+
+if (failed) {
+  console.log(failed + ' check(s) failed.');
+  process.exit(1);
+}
+console.log('All checks passed.');
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * test-live-status.js — Checks for the automatic LIVE status in js/content.js
+ *
+ * Runs ContentStore in a small stand-in for the browser (window,
+ * localStorage and fetch, nothing else) and points the YouTube and
+ * Twitch status endpoints at the local stub data/live-status.sample.json,
+ * the same way a real config.json can. The stub's answer is then changed
+ * in memory to check that:
+ *   - isLive goes on and off with the stub,
+ *   - only the newest stream of a live channel shows as live,
+ *   - a live flag nothing confirms is cleared after `staleAfter`,
+ *   - a check that only confirms a flag writes nothing to storage.
+ *
+ * Usage (from the project folder, Node 14+ — no npm install needed):
+ *   node scripts/test-live-status.js
+ *
+ * Prints one line per check and exits with code 1 when any fails.
+ */
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ROOT = path.resolve(__dirname, '..');
+var STUB_FILE = 'data/live-status.sample.json';
+var HOUR = 60 * 60 * 1000;
+
+/* ------------------------------------------------------------
+   Test data
+   ------------------------------------------------------------ */
+
+function ago(ms) {
+  return new Date(Date.now() - ms).toISOString();
+}
+
+var CONTENT = {
+  schemaVersion: 8,
+  videos: [], screenshots: [], posts: [], trash: [], tagRegistry: [], series: [],
+  streams: [
+    { id: 'tw-old', type: 'stream', title: 'Older Twitch stream', url: 'https://www.twitch.tv/monkas',
+      date: '2026-01-10', status: 'published', isLive: false },
+    { id: 'tw-new', type: 'stream', title: 'Newest Twitch stream', url: 'https://twitch.tv/MonkaS',
+      date: '2026-02-10', status: 'published', isLive: false },
+    { id: 'yt', type: 'stream', title: 'YouTube stream', url: 'https://m.youtube.com/watch?v=abcdefghijk',
+      date: '2026-02-01', status: 'published', isLive: false },
+    // Ticked by hand, on a site no provider knows
+    { id: 'forgotten', type: 'stream', title: 'Forgotten LIVE tick', url: 'https://example.com/live',
+      date: '2026-01-01', status: 'published', isLive: true, liveSince: ago(10 * HOUR) },
+    { id: 'fresh', type: 'stream', title: 'Fresh LIVE tick', url: 'https://example.com/live2',
+      date: '2026-01-02', status: 'published', isLive: true, liveSince: ago(HOUR) }
+  ]
+};
+
+var CONFIG = {
+  liveStatus: {
+    interval: 3600,
+    staleAfter: 360,
+    youtube: { endpoint: STUB_FILE + '?video={key}' },
+    twitch: { endpoint: STUB_FILE + '?channel={key}' }
+  }
+};
+
+/* ------------------------------------------------------------
+   Browser stand-in
+   ------------------------------------------------------------ */
+
+var stub = null;      // In-memory answer of the stub file (null = the file itself)
+var stubReads = 0;
+var writes = 0;
+
+function makeStorage() {
+  var items = {};
+  return {
+    getItem: function (key) { return items.hasOwnProperty(key) ? items[key] : null; },
+    setItem: function (key, value) { writes++; items[key] = String(value); },
+    removeItem: function (key) { delete items[key]; },
+    key: function (i) { return Object.keys(items)[i] || null; },
+    get length() { return Object.keys(items).length; }
+  };
+}
+
+function respond(json) {
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    json: function () { return Promise.resolve(JSON.parse(JSON.stringify(json))); }
+  });
+}
+
+function fetchStub(url) {
+  var file = String(url).split(/[?#]/)[0];
+  if (file === 'data/content.json') return respond(CONTENT);
+  if (file === 'data/config.json') return respond(CONFIG);
+  if (file === STUB_FILE) {
+    stubReads++;
+    return respond(stub || JSON.parse(fs.readFileSync(path.join(ROOT, STUB_FILE), 'utf8')));
+  }
+  return Promise.resolve({ ok: false, status: 404, json: function () { return Promise.resolve(null); } });
+}
+
+function loadStore() {
+  var listeners = {};
+  var window = {
+    location: { href: 'http://localhost/index.html', pathname: '/index.html', hostname: 'localhost' },
+    addEventListener: function (name, fn) { (listeners[name] = listeners[name] || []).push(fn); },
+    removeEventListener: function () {},
+    dispatchEvent: function (event) {
+      (listeners[event.type] || []).forEach(function (fn) { fn(event); });
+    }
+  };
+  var context = {
+    window: window,
+    localStorage: makeStorage(),
+    fetch: fetchStub,
+    console: { log: function () {}, info: function () {}, warn: function () {}, error: console.error },
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    CustomEvent: function (type, init) { this.type = type; this.detail = init && init.detail; },
+    document: { querySelector: function () { return null; } },
+    navigator: {}
+  };
+  window.localStorage = context.localStorage;
+  vm.createContext(context);
+  ['js/utils.js', 'js/content.js'].forEach(function (file) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return window.ContentStore;
+}
+
+/* ------------------------------------------------------------
+   Checks
+   ------------------------------------------------------------ */
+
+var failed = 0;
+
+function check(name, fn) {
+  return Promise.resolve().then(fn).then(function () {
+    console.log('ok   ' + name);
+  }, function (err) {
+    failed++;
+    console.log('FAIL ' + name + '\n     ' + String(err && err.message || err).split('\n').join('\n     '));
+  });
+}
+
+// Arrays made inside the sandbox have another Array prototype
+function list(ids) {
+  return Array.prototype.slice.call(ids).sort();
+}
+
+/** Let init() read config.json and run its first check. */
+function settle() {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, 50);
+  });
+}
+
+function flags(store) {
+  var out = {};
+  store.getAll('stream').forEach(function (entry) {
+    out[entry.id] = entry.isLive === true;
+  });
+  return out;
+}
+
+var store = loadStore();
+
+store.init().then(settle).then(function () {
+  return check('the sample stub says offline; a forgotten LIVE tick is cleared after staleAfter', function () {
+    return store.checkLiveStatus().then(function () {
+      var live = flags(store);
+      assert.ok(stubReads > 0, 'the stub file was never asked');
+      assert.deepStrictEqual(live, { 'tw-old': false, 'tw-new': false, yt: false, forgotten: false, fresh: true });
+    });
+  });
+}).then(function () {
+  return check('isLive goes on when the stub says the channel is live', function () {
+    stub = { live: { monkas: true } };
+    return store.checkLiveStatus().then(function (ids) {
+      assert.deepStrictEqual(list(ids), ['tw-new']);
+      assert.strictEqual(flags(store)['tw-new'], true);
+      assert.ok(store.getById('tw-new').liveSince, 'liveSince was not stamped');
+    });
+  });
+}).then(function () {
+  return check('only the newest stream of a live channel shows as live', function () {
+    var live = flags(store);
+    assert.strictEqual(live['tw-old'], false);
+    assert.strictEqual(live.yt, false);
+  });
+}).then(function () {
+  return check('a check that only confirms a flag saves nothing', function () {
+    var before = writes;
+    return store.checkLiveStatus().then(function (ids) {
+      assert.deepStrictEqual(list(ids), []);
+      assert.strictEqual(writes, before, 'storage was written');
+      assert.strictEqual(flags(store)['tw-new'], true);
+    });
+  });
+}).then(function () {
+  return check('YouTube links are read with the shared helper (m.youtube.com)', function () {
+    stub = { live: { abcdefghijk: true } };
+    return store.checkLiveStatus().then(function (ids) {
+      assert.deepStrictEqual(list(ids), ['tw-new', 'yt']);
+      assert.strictEqual(flags(store).yt, true);
+    });
+  });
+}).then(function () {
+  return check('isLive goes off again when the stub says offline', function () {
+    stub = null;
+    return store.checkLiveStatus().then(function (ids) {
+      assert.deepStrictEqual(list(ids), ['yt']);
+      var live = flags(store);
+      assert.strictEqual(live.yt, false);
+      assert.strictEqual(live['tw-new'], false);
+      assert.strictEqual(store.getById('yt').liveSince, undefined);
+    });
+  });
+}).then(function () {
+  if (failed) {
+    console.log(failed + ' check(s) failed.');
+    process.exit(1);
+  }
+  console.log('All checks passed.');
+  process.exit(0);
+}).catch(function (err) {
+  console.error(err);
+  process.exit(1);
+});
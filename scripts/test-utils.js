@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * test-utils.js — Checks for the shared helpers in js/utils.js
+ *
+ * The pages, the admin panel and the build scripts all rely on these
+ * helpers, so a change to one of them should pass here first.
+ *
+ * Usage (from the project folder, Node 14+ — no npm install needed):
+ *   node scripts/test-utils.js
+ *
+ * Prints one line per check and exits with code 1 when any fails.
+ */
+'use strict';
+
+var assert = require('assert');
+var Utils = require('../js/utils.js');
+
+var failed = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log('ok   ' + name);
+  } catch (err) {
+    failed++;
+    console.log('FAIL ' + name + '\n     ' + err.message.split('\n').join('\n     '));
+  }
+}
+
+/* ------------------------------------------------------------
+   extractYouTubeId
+   ------------------------------------------------------------ */
+
+check('extractYouTubeId: watch, youtu.be, embed, live, v and shorts links', function () {
+  [
+    'https://www.youtube.com/watch?v=abcdefghijk',
+    'https://youtube.com/watch?feature=share&v=abcdefghijk&t=30',
+    'https://youtu.be/abcdefghijk?t=10',
+    'https://www.youtube.com/embed/abcdefghijk?rel=0',
+    'https://www.youtube.com/live/abcdefghijk',
+    'https://www.youtube.com/v/abcdefghijk',
+    'https://youtube.com/shorts/abcdefghijk?feature=share'
+  ].forEach(function (url) {
+    assert.strictEqual(Utils.extractYouTubeId(url), 'abcdefghijk', url);
+  });
+});
+
+check('extractYouTubeId: m. and -nocookie hosts', function () {
+  assert.strictEqual(Utils.extractYouTubeId('https://m.youtube.com/watch?v=A1b2C3d4E5_'), 'A1b2C3d4E5_');
+  assert.strictEqual(Utils.extractYouTubeId('https://www.youtube-nocookie.com/embed/A1b2C3d4E5-'), 'A1b2C3d4E5-');
+});
+
+check('extractYouTubeId: anything else is null', function () {
+  [undefined, null, '', 'abcdefghijk', 'https://www.youtube.com/@monkas',
+    'https://www.youtube.com/channel/UCabcdefghijklmnopqrstuv', 'https://twitch.tv/monkas',
+    'https://example.com/watch?v=abcdefghijk'
+  ].forEach(function (url) {
+    assert.strictEqual(Utils.extractYouTubeId(url), null, String(url));
+  });
+});
+
+/* ------------------------------------------------------------
+   stripHtml
+   ------------------------------------------------------------ */
+
+check('stripHtml: removes tags and collapses whitespace', function () {
+  assert.strictEqual(Utils.stripHtml('<p>Hello\n  <b>world</b></p><p>again</p>'), 'Hello world again');
+  assert.strictEqual(Utils.stripHtml(null), '');
+  assert.strictEqual(Utils.stripHtml(''), '');
+});
+
+check('stripHtml: drops scripts and styles with their contents', function () {
+  assert.strictEqual(Utils.stripHtml('a<script>alert(1)</script>b<STYLE type="text/css">p{}</STYLE>c'), 'a b c');
+});
+
+check('stripHtml: decodes named and numeric entities', function () {
+  assert.strictEqual(Utils.stripHtml('Tom &amp; Jerry &lt;3 &quot;hi&quot; &apos;x&#39; &#x1F600;&nbsp;!'),
+    'Tom & Jerry <3 "hi" \'x\' 😀 !');
+  assert.strictEqual(Utils.stripHtml('&unknown; &#0;'), '&unknown; &#0;');
+});
+
+check('stripHtml: maxLen cuts to that length, ending in ...', function () {
+  var text = Utils.stripHtml('<p>' + 'word '.repeat(20) + '</p>', 20);
+  assert.ok(text.length <= 20, text);
+  assert.ok(/\.\.\.$/.test(text), text);
+  assert.strictEqual(Utils.stripHtml('short', 20), 'short');
+});
+
+/* ------------------------------------------------------------
+   formatDate
+   ------------------------------------------------------------ */
+
+check('formatDate: empty input is empty, invalid input comes back unchanged', function () {
+  assert.strictEqual(Utils.formatDate(''), '');
+  assert.strictEqual(Utils.formatDate(null), '');
+  assert.strictEqual(Utils.formatDate(undefined), '');
+  assert.strictEqual(Utils.formatDate('someday'), 'someday');
+});
+
+check('formatDate: Bulgarian date, with hours and minutes on { time: true }', function () {
+  var noon = '2026-10-19T12:00:00Z';
+  var day = Utils.formatDate(noon);
+  var expected = new Date(noon).toLocaleDateString('bg-BG', { year: 'numeric', month: 'short', day: 'numeric' });
+  assert.strictEqual(day, expected);
+  assert.ok(day.indexOf('2026') !== -1, day);
+  assert.ok(day.indexOf(':') === -1, day);
+  assert.strictEqual(Utils.formatDate(Date.parse(noon)), day);
+  var withTime = Utils.formatDate(noon, { time: true });
+  assert.ok(/\d{2}:\d{2}/.test(withTime), withTime);
+});
+
+/* ------------------------------------------------------------
+   isPublished
+   ------------------------------------------------------------ */
+
+check('isPublished: drafts never, no status always, scheduled once due', function () {
+  var now = Date.parse('2026-10-19T12:00:00Z');
+  assert.strictEqual(Utils.isPublished({}, now), true);
+  assert.strictEqual(Utils.isPublished({ status: 'published' }, now), true);
+  assert.strictEqual(Utils.isPublished({ status: 'draft' }, now), false);
+  assert.strictEqual(Utils.isPublished({ status: 'scheduled', publishAt: '2026-10-19T11:59:00Z' }, now), true);
+  assert.strictEqual(Utils.isPublished({ status: 'scheduled', publishAt: '2026-10-19T12:01:00Z' }, now), false);
+  assert.strictEqual(Utils.isPublished({ status: 'scheduled' }, now), false);
+  assert.strictEqual(Utils.isPublished({ status: 'scheduled', publishAt: '2000-01-01T00:00:00Z' }), true);
+});
+
+/* ------------------------------------------------------------
+   tagStyle, tagClass and escapeHtml
+   ------------------------------------------------------------ */
+
+check('tagClass: known categories, any case, others are tag-other', function () {
+  assert.strictEqual(Utils.tagClass('Tutorial'), 'tag-tutorial');
+  assert.strictEqual(Utils.tagClass(' funny moments '), 'tag-funny');
+  assert.strictEqual(Utils.tagClass('PVP'), 'tag-pvp');
+  assert.strictEqual(Utils.tagClass('Building'), 'tag-other');
+  assert.strictEqual(Utils.tagClass(), 'tag-other');
+});
+
+check('tagStyle: #RRGGBB colors only, anything else is no style', function () {
+  assert.strictEqual(Utils.tagStyle('#00FF88'), 'color:#00FF88;background:#00FF8826;border:1px solid #00FF884d;');
+  ['', null, undefined, 'red', '#0f8', '#00ff8826', '#00ff88;background:url(x)', '"><script>'].forEach(function (color) {
+    assert.strictEqual(Utils.tagStyle(color), '', String(color));
+  });
+});
+
+check('escapeHtml: text and attribute characters', function () {
+  assert.strictEqual(Utils.escapeHtml('<a href="x" title=\'y\'>&</a>'),
+    '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.strictEqual(Utils.escapeHtml(null), '');
+  assert.strictEqual(Utils.escapeHtml(0), '0');
+});
+
+/* ------------------------------------------------------------
+   escapeXml, transliterate, slugify and normalizeSiteUrl
+   ------------------------------------------------------------ */
+
+check('escapeXml: the five XML entities', function () {
+  assert.strictEqual(Utils.escapeXml('<a b="c" d=\'e\'>&</a>'),
+    '&lt;a b=&quot;c&quot; d=&apos;e&apos;&gt;&amp;&lt;/a&gt;');
+  assert.strictEqual(Utils.escapeXml(undefined), '');
+});
+
+check('transliterate: lowercase, no accents, Cyrillic in Latin letters', function () {
+  assert.strictEqual(Utils.transliterate('Майнкрафт'), 'mainkraft');
+  assert.strictEqual(Utils.transliterate('Café Щурец'), 'cafe shturets');
+  assert.strictEqual(Utils.transliterate(null), '');
+});
+
+check('slugify: Latin words joined by dashes', function () {
+  assert.strictEqual(Utils.slugify('Моята къща! Café Йордан'),
+    'moyata-kashta-cafe-iordan');
+  assert.strictEqual(Utils.slugify('  --Top 10 PvP--  '), 'top-10-pvp');
+  assert.strictEqual(Utils.slugify('!!!'), '');
+});
+
+check('normalizeSiteUrl: ends in one slash, empty stays empty', function () {
+  assert.strictEqual(Utils.normalizeSiteUrl(' https://example.com '), 'https://example.com/');
+  assert.strictEqual(Utils.normalizeSiteUrl('https://example.com/site/'), 'https://example.com/site/');
+  assert.strictEqual(Utils.normalizeSiteUrl(''), '');
+});
+
+if (failed) {
+  console.log(failed + ' check(s) failed.');
+  process.exit(1);
+}
+console.log('All checks passed.');